@@ -0,0 +1,107 @@
+"use server";
+
+import { createClient } from "../../supabase/server";
+import { DEFAULT_LANGUAGE_SETTINGS } from "../utils/languages";
+import { DEFAULT_VOICE_COMMAND_SETTINGS, resolveVoiceCommands } from "../utils/voiceCommands";
+
+const SETTINGS_COLUMNS = 'dictation_language, note_language, auto_detect_language, voice_commands_enabled, voice_commands';
+
+/**
+ * Map a user_settings row to the shape used by the UI
+ * @param {Object|null} row - Row from public.user_settings
+ * @returns {Object} Settings with defaults filled in
+ */
+function toSettings(row) {
+  return {
+    dictationLanguage: row?.dictation_language || DEFAULT_LANGUAGE_SETTINGS.dictationLanguage,
+    noteLanguage: row?.note_language || DEFAULT_LANGUAGE_SETTINGS.noteLanguage,
+    autoDetectLanguage: row?.auto_detect_language ?? DEFAULT_LANGUAGE_SETTINGS.autoDetectLanguage,
+    voiceCommandsEnabled: row?.voice_commands_enabled ?? DEFAULT_VOICE_COMMAND_SETTINGS.voiceCommandsEnabled,
+    voiceCommands: resolveVoiceCommands(row?.voice_commands),
+  };
+}
+
+/**
+ * Map the settings the UI changed to user_settings columns
+ * Only fields that are present are written, so each settings section can save on its own
+ * @param {Object} settings - Settings in the shape returned by toSettings
+ * @returns {Object} Column values
+ */
+function toRow(settings) {
+  const row = {};
+
+  if (settings.dictationLanguage !== undefined) row.dictation_language = settings.dictationLanguage;
+  if (settings.noteLanguage !== undefined) row.note_language = settings.noteLanguage;
+  if (settings.autoDetectLanguage !== undefined) row.auto_detect_language = Boolean(settings.autoDetectLanguage);
+  if (settings.voiceCommandsEnabled !== undefined) row.voice_commands_enabled = Boolean(settings.voiceCommandsEnabled);
+  if (settings.voiceCommands !== undefined) row.voice_commands = resolveVoiceCommands(settings.voiceCommands);
+
+  return row;
+}
+
+/**
+ * Server action to load the current user's app preferences
+ * Falls back to defaults when the user has no settings row yet
+ */
+export async function getUserSettings() {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      return { error: "You must be logged in to view settings", settings: toSettings(null) };
+    }
+
+    const { data, error } = await supabase
+      .from('user_settings')
+      .select(SETTINGS_COLUMNS)
+      .eq('id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error loading user settings:", error);
+      return { error: "Failed to load settings", settings: toSettings(null) };
+    }
+
+    return { settings: toSettings(data) };
+  } catch (error) {
+    console.error("Settings action error:", error);
+    return { error: "An unexpected error occurred", settings: toSettings(null) };
+  }
+}
+
+/**
+ * Server action to save the current user's app preferences
+ * @param {Object} settings - Any of { dictationLanguage, noteLanguage, autoDetectLanguage,
+ *   voiceCommandsEnabled, voiceCommands }
+ */
+export async function updateUserSettings(settings) {
+  try {
+    const supabase = await createClient();
+    const { data: { user } } = await supabase.auth.getUser();
+
+    if (!user) {
+      return { error: "You must be logged in to update settings" };
+    }
+
+    const { data, error } = await supabase
+      .from('user_settings')
+      .upsert({
+        id: user.id,
+        ...toRow(settings),
+        updated_at: new Date().toISOString(),
+      })
+      .select(SETTINGS_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error("Error saving user settings:", error);
+      return { error: "Failed to save settings. Please try again." };
+    }
+
+    return { success: true, settings: toSettings(data) };
+  } catch (error) {
+    console.error("Settings action error:", error);
+    return { error: "An unexpected error occurred. Please try again." };
+  }
+}
@@ -0,0 +1,57 @@
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+
+const CODE_SYSTEMS = ['ICD-10-CM', 'CPT'];
+
+const MAX_LIMIT = 50;
+
+// Dynamic import for CommonJS modules
+let codeCatalogServicePromise = null;
+function getCodeCatalogService() {
+  if (!codeCatalogServicePromise) {
+    codeCatalogServicePromise = import('../../../../backend/services/codeCatalogService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing code catalog service:', err);
+        return null;
+      });
+  }
+  return codeCatalogServicePromise;
+}
+
+/**
+ * GET /api/coding/search?q=...&system=ICD-10-CM|CPT&limit=20
+ * Search the local code catalog by code prefix ("E11") or description words ("type 2 diabetes")
+ * Returns [{ system, code, description, score }]
+ */
+export async function GET(request) {
+  try {
+    await validateAuthToken(request);
+
+    const { searchParams } = new URL(request.url);
+    const query = (searchParams.get('q') || '').trim();
+    const system = searchParams.get('system') || undefined;
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 20, MAX_LIMIT);
+
+    if (!query) {
+      return formatApiResponse(null, 'A search query (q) is required', 400);
+    }
+    if (system && !CODE_SYSTEMS.includes(system)) {
+      return formatApiResponse(null, `System must be one of: ${CODE_SYSTEMS.join(', ')}`, 400);
+    }
+
+    const codeCatalogService = await getCodeCatalogService();
+    if (!codeCatalogService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    return formatApiResponse(codeCatalogService.search(query, { system, limit }));
+  } catch (error) {
+    console.error('Error searching codes:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to search codes: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Dictation Drafts API Route
+ * Stores the user's in-progress dictation session so it can be resumed after
+ * a crash or continued on another device. Each user has at most one draft;
+ * raw audio stays in the browser and is never uploaded here.
+ */
+
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+import { isDatabaseHealthy } from '../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+// Drafts are keyed by a client-generated session UUID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET /api/dictation/drafts
+ * Get the user's in-progress draft (data is null when there is none)
+ */
+export async function GET(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const draft = await databaseService.getDictationDraft(userId);
+    return formatApiResponse(draft);
+  } catch (error) {
+    console.error('Error fetching dictation draft:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to fetch dictation draft: ${error.message}`, 500);
+  }
+}
+
+/**
+ * PUT /api/dictation/drafts
+ * Save the user's in-progress draft, replacing any earlier session
+ */
+export async function PUT(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    if (!body.id || !UUID_PATTERN.test(body.id)) {
+      return NextResponse.json({ data: null, error: 'A draft session id is required' }, { status: 400 });
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const draft = await databaseService.saveDictationDraft(userId, {
+      id: body.id,
+      transcript: body.transcript,
+      transcriptPieces: body.transcriptPieces,
+      transcriptSegments: body.transcriptSegments,
+      recordingTime: Math.max(0, Math.floor(Number(body.recordingTime) || 0)),
+      templateId: body.templateId,
+      patient: body.patient
+    });
+
+    return formatApiResponse(draft);
+  } catch (error) {
+    console.error('Error saving dictation draft:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to save dictation draft: ${error.message}`, 500);
+  }
+}
+
+/**
+ * DELETE /api/dictation/drafts?id=<session id>
+ * Discard the user's draft; with an id, only if it is still that session
+ */
+export async function DELETE(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+    const draftId = new URL(request.url).searchParams.get('id');
+
+    if (draftId && !UUID_PATTERN.test(draftId)) {
+      return NextResponse.json({ data: null, error: 'Invalid draft session id' }, { status: 400 });
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const deleted = await databaseService.deleteDictationDraft(userId, draftId);
+    return formatApiResponse({ deleted });
+  } catch (error) {
+    console.error('Error deleting dictation draft:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to delete dictation draft: ${error.message}`, 500);
+  }
+}
+
+/**
+ * OPTIONS /api/dictation/drafts - Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
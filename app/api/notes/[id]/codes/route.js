@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+/**
+ * Note Codes API Route
+ * Stores the ICD-10-CM and CPT codes a clinician accepted for a note. Every
+ * code is checked against the local code catalog first.
+ */
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let codingServicePromise = null;
+function getCodingService() {
+  if (!codingServicePromise) {
+    codingServicePromise = import('../../../../../backend/services/codingService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing coding service:', err);
+        return null;
+      });
+  }
+  return codingServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * PUT /api/notes/[id]/codes
+ * Body: { codes: [{ system: 'ICD-10-CM'|'CPT', code, confidence?, source?: 'suggested'|'manual' }] }
+ * Replaces the note's accepted codes; returns the updated note
+ */
+export async function PUT(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    if (!Array.isArray(body.codes)) {
+      return NextResponse.json({ data: null, error: 'codes must be an array' }, { status: 400 });
+    }
+
+    const [databaseService, codingService] = await Promise.all([getDatabaseService(), getCodingService()]);
+    if (!databaseService || !codingService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const note = databaseService.getNote
+      ? await databaseService.getNote(noteId, userId)
+      : await databaseService.getNoteById(noteId, userId);
+
+    const { codes, invalid } = codingService.validateCodes(body.codes, note.codes);
+    if (invalid.length > 0) {
+      const listed = invalid.map(code => `${code.system || 'unknown system'} ${code.code || '(no code)'}`).join(', ');
+      return NextResponse.json(
+        { data: { invalid }, error: `Not in the code catalog: ${listed}` },
+        { status: 400 }
+      );
+    }
+
+    const updatedNote = await databaseService.updateNoteCodes(noteId, userId, codes);
+
+    return formatApiResponse(updatedNote);
+  } catch (error) {
+    console.error('Error updating note codes:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, 'Note not found', 404);
+    }
+
+    return formatApiResponse(null, `Failed to update note codes: ${error.message}`, 500);
+  }
+}
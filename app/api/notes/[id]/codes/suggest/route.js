@@ -0,0 +1,130 @@
+import { validateAuthToken, formatApiResponse } from '../../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../../database/connectionManager';
+
+/**
+ * Note Code Suggestion API Route
+ * Suggests ICD-10-CM and CPT codes for a note's Assessment and Plan. Nothing
+ * is stored; accepted codes are saved with PUT /api/notes/[id]/codes.
+ */
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let codingServicePromise = null;
+function getCodingService() {
+  if (!codingServicePromise) {
+    codingServicePromise = import('../../../../../../backend/services/codingService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing coding service:', err);
+        return null;
+      });
+  }
+  return codingServicePromise;
+}
+
+let soapSchemaServicePromise = null;
+function getSoapSchemaService() {
+  if (!soapSchemaServicePromise) {
+    soapSchemaServicePromise = import('../../../../../../backend/services/soapSchemaService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing soap schema service:', err);
+        return null;
+      });
+  }
+  return soapSchemaServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * POST /api/notes/[id]/codes/suggest
+ * Returns { suggestions: [{ system, code, description, confidence, rationale, source }], rejected, generatedBy }
+ * where rejected lists codes the model proposed that aren't in the catalog
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const [databaseService, codingService, soapSchemaService] = await Promise.all([
+      getDatabaseService(),
+      getCodingService(),
+      getSoapSchemaService()
+    ]);
+    if (!databaseService || !codingService || !soapSchemaService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const note = databaseService.getNote
+      ? await databaseService.getNote(noteId, userId)
+      : await databaseService.getNoteById(noteId, userId);
+
+    const soapData = note.soap_data || {};
+    const soapText = soapSchemaService.soapTextView(soapData, soapData.template?.sections);
+    const result = await codingService.suggestCodes({
+      assessment: soapText.assessment,
+      plan: soapText.plan,
+      problems: soapData.problems
+    });
+
+    return formatApiResponse(result);
+  } catch (error) {
+    console.error('Error suggesting note codes:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, 'Note not found', 404);
+    }
+
+    return formatApiResponse(null, `Failed to suggest codes: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,216 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+/**
+ * Note Medications API Route
+ * Reconciles the medication orders in a note with the medication list on the
+ * note's patient. GET shows the proposed changes; nothing reaches the
+ * patient's record until the clinician confirms them with POST.
+ */
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let medicationServicePromise = null;
+function getMedicationService() {
+  if (!medicationServicePromise) {
+    medicationServicePromise = import('../../../../../backend/services/medicationService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing medication service:', err);
+        return null;
+      });
+  }
+  return medicationServicePromise;
+}
+
+let soapSchemaServicePromise = null;
+function getSoapSchemaService() {
+  if (!soapSchemaServicePromise) {
+    soapSchemaServicePromise = import('../../../../../backend/services/soapSchemaService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing soap schema service:', err);
+        return null;
+      });
+  }
+  return soapSchemaServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Load a note and its patient
+ * @param {Object} databaseService - Database service
+ * @param {string} noteId - Note ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object>} { note, patient } where patient is null if the note has none
+ */
+async function loadNoteAndPatient(databaseService, noteId, userId) {
+  const note = databaseService.getNote
+    ? await databaseService.getNote(noteId, userId)
+    : await databaseService.getNoteById(noteId, userId);
+
+  const patientId = note.patient_id || note.patient?.id;
+  if (!patientId) {
+    return { note, patient: null };
+  }
+
+  const patient = databaseService.getPatient
+    ? await databaseService.getPatient(patientId, userId)
+    : await databaseService.getPatientById(patientId, userId);
+
+  return { note, patient };
+}
+
+/**
+ * Map an error to a response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} action - What failed, for the message
+ * @returns {Response} Error response
+ */
+function errorResponse(error, action) {
+  if (error.message && error.message.includes('Unauthorized')) {
+    return formatApiResponse(null, error.message, 401);
+  }
+
+  if (error.message && error.message.includes('Patient not found')) {
+    return formatApiResponse(null, 'Patient not found', 404);
+  }
+
+  if (error.message && error.message.includes('not found')) {
+    return formatApiResponse(null, 'Note not found', 404);
+  }
+
+  return formatApiResponse(null, `Failed to ${action}: ${error.message}`, 500);
+}
+
+/**
+ * GET /api/notes/[id]/medications
+ * Returns { orders, patientMedications, items } where items are the
+ * reconciliation of the note's orders against the patient's list
+ * ({ drug, change: 'add'|'update'|'remove'|'keep', current, proposed, reason, order })
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const [databaseService, medicationService, soapSchemaService] = await Promise.all([
+      getDatabaseService(),
+      getMedicationService(),
+      getSoapSchemaService()
+    ]);
+    if (!databaseService || !medicationService || !soapSchemaService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const { note, patient } = await loadNoteAndPatient(databaseService, noteId, userId);
+    const patientMedications = patient?.medications || [];
+
+    // Extracted again rather than read from soap_data.medicationOrders, since
+    // the Plan may have been edited after the note was generated
+    const soapData = note.soap_data || {};
+    const soapText = soapSchemaService.soapTextView(soapData, soapData.template?.sections);
+    const orders = medicationService.extractMedicationOrders(soapText, patientMedications);
+
+    return formatApiResponse({
+      orders,
+      patientMedications,
+      hasPatient: Boolean(patient),
+      items: medicationService.reconcileMedications(orders, patientMedications)
+    });
+  } catch (error) {
+    console.error('Error reconciling note medications:', error);
+    return errorResponse(error, 'reconcile medications');
+  }
+}
+
+/**
+ * POST /api/notes/[id]/medications
+ * Body: { items: [...] } — the reconciliation items the clinician accepted
+ * Applies them to the patient's medication list; returns { patientMedications }
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    if (!Array.isArray(body.items)) {
+      return NextResponse.json({ data: null, error: 'items must be an array' }, { status: 400 });
+    }
+
+    const [databaseService, medicationService] = await Promise.all([getDatabaseService(), getMedicationService()]);
+    if (!databaseService || !medicationService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const { patient } = await loadNoteAndPatient(databaseService, noteId, userId);
+    if (!patient) {
+      return formatApiResponse(null, 'This note has no patient to update', 400);
+    }
+
+    const medications = medicationService.applyReconciliation(patient.medications || [], body.items);
+    const updatedPatient = await databaseService.updatePatientMedications(patient.id, userId, medications);
+
+    return formatApiResponse({ patientMedications: updatedPatient.medications || medications });
+  } catch (error) {
+    console.error('Error updating patient medications:', error);
+    return errorResponse(error, 'update patient medications');
+  }
+}
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let recordingServicePromise = null;
+function getRecordingService() {
+  if (!recordingServicePromise) {
+    recordingServicePromise = import('../../../../../../backend/services/recordingService.js')
+      .then(module => {
+        // Handle both ESM default exports and CommonJS module.exports
+        return module.default || module;
+      })
+      .catch(err => {
+        console.error('Error importing recording service:', err);
+        return null;
+      });
+  }
+  return recordingServicePromise;
+}
+
+/**
+ * GET /api/notes/[id]/recording/audio
+ * Stream the decrypted audio of a note's recording
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const { audio, mimeType } = await recordingService.readRecordingAudio(userId, noteId);
+
+    return new NextResponse(audio, {
+      status: 200,
+      headers: {
+        'Content-Type': mimeType,
+        'Content-Length': String(audio.length),
+        // Decrypted PHI must not be kept by browsers or proxies
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Error reading note recording:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, error.message, 404);
+    }
+
+    return formatApiResponse(null, `Failed to read recording: ${error.message}`, 500);
+  }
+}
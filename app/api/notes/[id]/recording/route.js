@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+
+/**
+ * Note Recording API Route
+ * Uploads, describes and deletes the encrypted dictation recording of a note.
+ * The audio itself is served by /api/notes/[id]/recording/audio.
+ */
+
+// Dynamic import for CommonJS modules
+let recordingServicePromise = null;
+function getRecordingService() {
+  if (!recordingServicePromise) {
+    recordingServicePromise = import('../../../../../backend/services/recordingService.js')
+      .then(module => {
+        // Handle both ESM default exports and CommonJS module.exports
+        return module.default || module;
+      })
+      .catch(err => {
+        console.error('Error importing recording service:', err);
+        return null;
+      });
+  }
+  return recordingServicePromise;
+}
+
+/**
+ * Map a recording service error to a response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} action - What failed, for the message
+ * @returns {NextResponse} Error response
+ */
+function errorResponse(error, action) {
+  if (error.message && error.message.includes('Unauthorized')) {
+    return formatApiResponse(null, error.message, 401);
+  }
+
+  if (error.message && error.message.includes('Forbidden')) {
+    return formatApiResponse(null, error.message, 403);
+  }
+
+  if (error.message && error.message.includes('not found')) {
+    return formatApiResponse(null, error.message, 404);
+  }
+
+  if (error.message && error.message.includes('Invalid recording')) {
+    return formatApiResponse(null, error.message, 400);
+  }
+
+  return formatApiResponse(null, `Failed to ${action}: ${error.message}`, 500);
+}
+
+/**
+ * GET /api/notes/[id]/recording
+ * Get the metadata of a note's recording
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const recording = await recordingService.getRecordingMetadata(userId, noteId);
+    return formatApiResponse(recording);
+  } catch (error) {
+    console.error('Error getting note recording:', error);
+    return errorResponse(error, 'get recording');
+  }
+}
+
+/**
+ * POST /api/notes/[id]/recording
+ * Upload a note's recording as multipart form data:
+ * audio (file), durationSeconds and offsetSeconds
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const formData = await request.formData();
+    const audioFile = formData.get('audio');
+
+    if (!audioFile || typeof audioFile === 'string') {
+      return formatApiResponse(null, 'No audio file provided', 400);
+    }
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const durationSeconds = Number(formData.get('durationSeconds'));
+    const offsetSeconds = Number(formData.get('offsetSeconds'));
+
+    const recording = await recordingService.saveRecording(
+      userId,
+      noteId,
+      Buffer.from(await audioFile.arrayBuffer()),
+      {
+        mimeType: audioFile.type,
+        durationSeconds: Number.isFinite(durationSeconds) && durationSeconds > 0 ? durationSeconds : null,
+        offsetSeconds: Number.isFinite(offsetSeconds) && offsetSeconds > 0 ? offsetSeconds : 0
+      }
+    );
+
+    return formatApiResponse(recording, null, 201);
+  } catch (error) {
+    console.error('Error saving note recording:', error);
+    return errorResponse(error, 'save recording');
+  }
+}
+
+/**
+ * DELETE /api/notes/[id]/recording
+ * Delete a note's recording
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const deleted = await recordingService.deleteRecording(userId, noteId);
+    if (!deleted) {
+      return formatApiResponse(null, 'Recording not found', 404);
+    }
+
+    return formatApiResponse({ id: noteId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting note recording:', error);
+    return errorResponse(error, 'delete recording');
+  }
+}
+
+/**
+ * OPTIONS /api/notes/[id]/recording - Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,134 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+/**
+ * Note Section Refine API Route
+ * Merges dictation into one SOAP section of an existing note, either appended
+ * to or replacing the current text. The previous content is kept in note_versions.
+ */
+
+const MODES = ['append', 'replace'];
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let gcpServicePromise = null;
+function getGcpService() {
+  if (!gcpServicePromise) {
+    gcpServicePromise = import('../../../../../backend/services/gcpService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing GCP service:', err);
+        return null;
+      });
+  }
+  return gcpServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * POST /api/notes/[id]/refine
+ * Body: { section, mode: 'append'|'replace', transcript, noteLanguage }
+ * Returns the updated note and the new section text
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: noteId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    if (typeof body.section !== 'string' || !body.section) {
+      return NextResponse.json({ data: null, error: 'A section is required' }, { status: 400 });
+    }
+    if (body.mode && !MODES.includes(body.mode)) {
+      return NextResponse.json({ data: null, error: 'Mode must be append or replace' }, { status: 400 });
+    }
+    if (!body.transcript || !body.transcript.trim()) {
+      return NextResponse.json({ data: null, error: 'Transcript is required' }, { status: 400 });
+    }
+
+    const [databaseService, gcpService] = await Promise.all([getDatabaseService(), getGcpService()]);
+    if (!databaseService || !gcpService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const note = databaseService.getNote
+      ? await databaseService.getNote(noteId, userId)
+      : await databaseService.getNoteById(noteId, userId);
+
+    const refined = await gcpService.refineSection(body.section, body.transcript, {
+      currentText: note.soap_data?.[body.section],
+      mode: body.mode || 'append',
+      outputLanguage: body.noteLanguage,
+      sections: note.soap_data?.template?.sections,
+      userId
+    });
+
+    const updatedNote = await databaseService.updateNoteSection(noteId, userId, body.section, refined.text);
+
+    return formatApiResponse({ note: updatedNote, ...refined });
+  } catch (error) {
+    console.error('Error refining note section:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, 'Note not found', 404);
+    }
+
+    // Not a text section of the note
+    if (error.message && error.message.startsWith('Invalid section')) {
+      return formatApiResponse(null, error.message, 400);
+    }
+
+    return formatApiResponse(null, `Failed to update note section: ${error.message}`, 500);
+  }
+}
@@ -31,6 +31,19 @@ function getDatabaseService() {
   return databaseServicePromise;
 }
 
+let recordingServicePromise = null;
+function getRecordingService() {
+  if (!recordingServicePromise) {
+    recordingServicePromise = import('../../../../backend/services/recordingService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing recording service:', err);
+        return null;
+      });
+  }
+  return recordingServicePromise;
+}
+
 /**
  * Helper function to ensure database connection is available
  * @returns {Promise<boolean>} Whether the database is connected
@@ -210,6 +223,13 @@ export async function DELETE(request, { params }) {
         return formatApiResponse(null, 'Note not found', 404);
       }
       
+      // Notes are soft deleted, so remove the recording explicitly
+      const recordingService = await getRecordingService();
+      if (recordingService) {
+        await recordingService.deleteRecording(userId, noteId)
+          .catch(recordingError => console.error('Error deleting note recording:', recordingError));
+      }
+      
       return formatApiResponse({ id: noteId, deleted: true });
     } catch (dbError) {
       console.error('Error deleting from database:', dbError);
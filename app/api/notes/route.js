@@ -195,7 +195,14 @@ export async function POST(request) {
     
     // Add the user ID to the note data
     noteData.user_id = userId;
-    
+
+    // Record the exact template version the note was generated with
+    const generatedWith = (noteData.soap_data || noteData.soapData)?.template;
+    if (generatedWith && !noteData.template_version_id) {
+      noteData.template_id = generatedWith.id;
+      noteData.template_version_id = generatedWith.versionId || null;
+    }
+
     // Add created_at timestamp if not provided
     if (!noteData.created_at) {
       noteData.created_at = new Date().toISOString();
@@ -0,0 +1,161 @@
+/**
+ * Organization Invites API Route
+ * Users live in Supabase, so admins add members with invite links: whoever
+ * signs in and accepts a link joins the organization with its role. Each link
+ * can be accepted once and expires.
+ */
+
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+const ORGANIZATION_ROLES = ['admin', 'member'];
+
+// Longest an invite link can stay valid
+const MAX_INVITE_DAYS = 30;
+
+/**
+ * Invite with the path of its link
+ * @param {Object} invite - organization_invites row
+ * @returns {Object} Invite with url
+ */
+function withUrl(invite) {
+  return { ...invite, url: `/settings/organizations/invites/${invite.token}` };
+}
+
+/**
+ * GET /api/organizations/[id]/invites
+ * Returns the invites that can still be accepted; admins only
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: organizationId } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const invites = await databaseService.getOrganizationInvites(organizationId, userId);
+    return formatApiResponse(invites.map(withUrl));
+  } catch (error) {
+    console.error('Error getting organization invites:', error);
+    return errorResponse(error, 'Failed to get organization invites');
+  }
+}
+
+/**
+ * POST /api/organizations/[id]/invites
+ * Body: { role, expiresInDays } (optional; member and 7 days by default)
+ * Returns the invite with its url
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: organizationId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json().catch(() => ({}));
+
+    const role = body.role ?? 'member';
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return formatApiResponse(null, `role must be one of: ${ORGANIZATION_ROLES.join(', ')}`, 400);
+    }
+
+    const expiresInDays = body.expiresInDays ?? 7;
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_INVITE_DAYS) {
+      return formatApiResponse(null, `expiresInDays must be a whole number from 1 to ${MAX_INVITE_DAYS}`, 400);
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const invite = await databaseService.createOrganizationInvite(organizationId, userId, { role, expiresInDays });
+    return formatApiResponse(withUrl(invite));
+  } catch (error) {
+    console.error('Error creating organization invite:', error);
+    return errorResponse(error, 'Failed to create organization invite');
+  }
+}
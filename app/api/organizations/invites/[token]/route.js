@@ -0,0 +1,135 @@
+/**
+ * Accept Organization Invite API Route
+ * Any signed-in user with an invite link can see which organization it is for
+ * and accept it to join
+ */
+
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+/**
+ * GET /api/organizations/invites/[token]
+ * Returns { organization_id, organization_name, role, expires_at }
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { token } = params;
+    await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const invite = await databaseService.getOrganizationInvite(token);
+    return formatApiResponse(invite);
+  } catch (error) {
+    console.error('Error getting organization invite:', error);
+    return errorResponse(error, 'Failed to get organization invite');
+  }
+}
+
+/**
+ * POST /api/organizations/invites/[token]
+ * Accepts the invite
+ * Returns the organization { id, name, role }
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { token } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const organization = await databaseService.acceptOrganizationInvite(token, userId);
+    return formatApiResponse(organization);
+  } catch (error) {
+    console.error('Error accepting organization invite:', error);
+    return errorResponse(error, 'Failed to accept organization invite');
+  }
+}
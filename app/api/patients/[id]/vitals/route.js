@@ -0,0 +1,125 @@
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+/**
+ * Patient Vitals API Route
+ * Trends a patient's vital signs across their notes
+ */
+
+const MAX_NOTES = 200;
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let vitalsServicePromise = null;
+function getVitalsService() {
+  if (!vitalsServicePromise) {
+    vitalsServicePromise = import('../../../../../backend/services/vitalsService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing vitals service:', err);
+        return null;
+      });
+  }
+  return vitalsServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * GET /api/patients/[id]/vitals?limit=50
+ * Returns { patientId, fields, readings, series } for the patient's most recent
+ * notes, oldest first. Vital signs are extracted from each note's current
+ * text, so edits made after generation are included.
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: patientId } = params;
+    const userId = await validateAuthToken(request);
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 50, MAX_NOTES);
+
+    const [databaseService, vitalsService] = await Promise.all([getDatabaseService(), getVitalsService()]);
+    if (!databaseService || !vitalsService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    // Fails with "Patient not found" for another user's patient
+    if (databaseService.getPatient) {
+      await databaseService.getPatient(patientId, userId);
+    } else {
+      await databaseService.getPatientById(patientId, userId);
+    }
+
+    const { notes } = await databaseService.getNotes(userId, {
+      patientId,
+      limit,
+      offset: 0,
+      sortBy: 'created_at',
+      sortOrder: 'DESC'
+    });
+
+    const fields = Object.fromEntries(
+      Object.entries(vitalsService.VITAL_FIELDS).map(([field, { label, unit, normal }]) => [field, { label, unit, normal }])
+    );
+
+    return formatApiResponse({ patientId, fields, ...vitalsService.buildVitalsTrend(notes) });
+  } catch (error) {
+    console.error('Error getting patient vitals:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, 'Patient not found', 404);
+    }
+
+    return formatApiResponse(null, `Failed to get patient vitals: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,83 @@
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+
+/**
+ * Recording Settings API Route
+ * Whether dictation audio is kept with notes, and for how many days
+ */
+
+// Dynamic import for CommonJS modules
+let recordingServicePromise = null;
+function getRecordingService() {
+  if (!recordingServicePromise) {
+    recordingServicePromise = import('../../../../backend/services/recordingService.js')
+      .then(module => {
+        // Handle both ESM default exports and CommonJS module.exports
+        return module.default || module;
+      })
+      .catch(err => {
+        console.error('Error importing recording service:', err);
+        return null;
+      });
+  }
+  return recordingServicePromise;
+}
+
+/**
+ * GET /api/recordings/settings
+ * Get the user's recording settings
+ */
+export async function GET(request) {
+  try {
+    const userId = await validateAuthToken(request);
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const settings = await recordingService.getSettings(userId);
+    return formatApiResponse(settings);
+  } catch (error) {
+    console.error('Error getting recording settings:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to get recording settings: ${error.message}`, 500);
+  }
+}
+
+/**
+ * PUT /api/recordings/settings
+ * Update the user's recording settings: { saveRecordings, retentionDays }
+ */
+export async function PUT(request) {
+  try {
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    const recordingService = await getRecordingService();
+    if (!recordingService) {
+      return formatApiResponse(null, 'Recording service unavailable', 500);
+    }
+
+    const settings = await recordingService.updateSettings(userId, {
+      saveRecordings: body.saveRecordings,
+      retentionDays: body.retentionDays
+    });
+    return formatApiResponse(settings);
+  } catch (error) {
+    console.error('Error updating recording settings:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('Invalid retention period')) {
+      return formatApiResponse(null, error.message, 400);
+    }
+
+    return formatApiResponse(null, `Failed to update recording settings: ${error.message}`, 500);
+  }
+}
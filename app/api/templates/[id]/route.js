@@ -0,0 +1,231 @@
+/**
+ * Individual Template API Route
+ * Reads, edits and deletes a template by ID. Edits that change the prompt,
+ * sections, name, description or specialty are saved as a new version;
+ * earlier versions stay as they were for the notes generated with them.
+ * Organization library templates are edited by organization admins.
+ */
+
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+import { isDatabaseHealthy } from '../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let templateServicePromise = null;
+function getTemplateService() {
+  if (!templateServicePromise) {
+    templateServicePromise = import('../../../../backend/services/templateService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing template service:', err);
+        return null;
+      });
+  }
+  return templateServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+/**
+ * GET /api/templates/[id]
+ * Returns the template with its versions, newest first
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: templateId } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    // Fails with "Template not found" for another user's template
+    const versions = await databaseService.getTemplateVersions(templateId, userId);
+    const template = await databaseService.getTemplateById(templateId);
+
+    return formatApiResponse({ ...template, versions });
+  } catch (error) {
+    console.error('Error getting template:', error);
+    return errorResponse(error, 'Failed to get template');
+  }
+}
+
+/**
+ * PUT /api/templates/[id]
+ * Edit a template: { name, description, specialty, promptTemplate, structure }.
+ * Sending structure with an empty promptTemplate rebuilds the prompt from the
+ * sections. Returns the template with its new version and version number
+ */
+export async function PUT(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: templateId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    const [databaseService, templateService] = await Promise.all([getDatabaseService(), getTemplateService()]);
+    if (!databaseService || !templateService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    // An empty prompt with new sections asks for the prompt to be rebuilt from them
+    if (body.structure && body.promptTemplate !== undefined && !body.promptTemplate) {
+      const specialty = body.specialty ?? (await databaseService.getTemplateById(templateId))?.specialty;
+      body.promptTemplate = templateService.buildPromptFromStructure(body.structure, { specialty });
+    }
+
+    const templateCheck = templateService.validateTemplateContent({
+      promptTemplate: body.promptTemplate,
+      structure: body.structure
+    }, { partial: true });
+    if (!templateCheck.valid) {
+      return NextResponse.json({
+        data: { errors: templateCheck.errors },
+        error: `Invalid template: ${templateCheck.errors.join('; ')}`
+      }, { status: 400 });
+    }
+
+    const updates = {
+      name: body.name,
+      description: body.description,
+      specialty: body.specialty,
+      prompt_template: body.promptTemplate,
+      structure: body.structure
+    };
+
+    const template = await databaseService.updateTemplate(
+      templateId,
+      userId,
+      Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+    );
+
+    return formatApiResponse(template);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    return errorResponse(error, 'Failed to update template');
+  }
+}
+
+/**
+ * DELETE /api/templates/[id]
+ * Delete a template; notes generated with it keep their template version
+ */
+export async function DELETE(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: templateId } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const result = await databaseService.deleteTemplate(templateId, userId);
+    return formatApiResponse(result);
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return errorResponse(error, 'Failed to delete template');
+  }
+}
+
+/**
+ * OPTIONS /api/templates/[id] - Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Template Shares API Route
+ * Share links let another signed-in user see a template and add a copy to
+ * their own templates. A link shares the template version that was current
+ * when it was created.
+ */
+
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+// Longest a share link can stay valid
+const MAX_SHARE_DAYS = 365;
+
+/**
+ * Share with the path of its link
+ * @param {Object} share - template_shares row
+ * @returns {Object} Share with url
+ */
+function withUrl(share) {
+  return { ...share, url: `/templates/shared/${share.token}` };
+}
+
+/**
+ * GET /api/templates/[id]/shares
+ * Returns the active links the user created for the template
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: templateId } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const shares = await databaseService.getTemplateShares(templateId, userId);
+    return formatApiResponse(shares.map(withUrl));
+  } catch (error) {
+    console.error('Error getting template shares:', error);
+    return errorResponse(error, 'Failed to get template shares');
+  }
+}
+
+/**
+ * POST /api/templates/[id]/shares
+ * Body: { expiresInDays } (optional; links don't expire by default)
+ * Returns the share with its url
+ */
+export async function POST(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: templateId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json().catch(() => ({}));
+
+    const expiresInDays = body.expiresInDays ?? null;
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_DAYS)) {
+      return formatApiResponse(null, `expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}`, 400);
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const share = await databaseService.createTemplateShare(templateId, userId, { expiresInDays });
+    return formatApiResponse(withUrl(share));
+  } catch (error) {
+    console.error('Error sharing template:', error);
+    return errorResponse(error, 'Failed to share template');
+  }
+}
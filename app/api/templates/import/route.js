@@ -0,0 +1,184 @@
+/**
+ * Template Import API Route
+ * Adds a template from a portable file (an export, or the template behind a
+ * share link) to the user's templates or an organization's library. Files
+ * from older schema versions are upgraded, and the template is checked like
+ * any new template before it is saved.
+ */
+
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+import { isDatabaseHealthy } from '../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let templateTransferServicePromise = null;
+function getTemplateTransferService() {
+  if (!templateTransferServicePromise) {
+    templateTransferServicePromise = import('../../../../backend/services/templateTransferService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing template transfer service:', err);
+        return null;
+      });
+  }
+  return templateTransferServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+// How to resolve a clash with a template already in the library
+const CONFLICT_RESOLUTIONS = ['rename', 'replace'];
+
+/**
+ * POST /api/templates/import
+ * Body: { file, organizationId, onConflict }, where file is the parsed file or
+ * its text. When the library already has a template with the same name or
+ * content, responds 409 with { conflicts } unless onConflict says to save it
+ * under a new name ('rename') or as a new version of that template ('replace').
+ * Returns { template, action: 'created'|'replaced', schemaVersion, upgraded }
+ */
+export async function POST(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    if (body.onConflict && !CONFLICT_RESOLUTIONS.includes(body.onConflict)) {
+      return formatApiResponse(null, `onConflict must be one of ${CONFLICT_RESOLUTIONS.join(', ')}`, 400);
+    }
+
+    const [databaseService, templateTransferService] = await Promise.all([
+      getDatabaseService(),
+      getTemplateTransferService()
+    ]);
+    if (!databaseService || !templateTransferService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const parsed = templateTransferService.parseTemplateFile(body.file);
+    if (!parsed.valid) {
+      return NextResponse.json({
+        data: { errors: parsed.errors },
+        error: `Invalid template file: ${parsed.errors.join('; ')}`
+      }, { status: 400 });
+    }
+
+    const organizationId = body.organizationId || null;
+    const library = await databaseService.getLibraryTemplates(userId, organizationId);
+    const conflicts = templateTransferService.findImportConflicts(parsed.template, library);
+
+    if (conflicts.length > 0 && !body.onConflict) {
+      const [conflict] = conflicts;
+      return NextResponse.json({
+        data: { conflicts, template: parsed.template },
+        error: conflict.type === 'duplicate'
+          ? `"${conflict.name}" already has the same sections and prompt`
+          : `A template named "${conflict.name}" already exists`
+      }, { status: 409 });
+    }
+
+    const { template: imported } = parsed;
+    let template;
+    let action = 'created';
+
+    if (conflicts.length > 0 && body.onConflict === 'replace') {
+      template = await databaseService.updateTemplate(conflicts[0].templateId, userId, {
+        name: imported.name,
+        description: imported.description,
+        specialty: imported.specialty,
+        prompt_template: imported.promptTemplate,
+        structure: imported.structure
+      });
+      action = 'replaced';
+    } else {
+      template = await databaseService.createTemplate({
+        userId,
+        organizationId,
+        name: templateTransferService.uniqueTemplateName(imported.name, library),
+        description: imported.description,
+        specialty: imported.specialty,
+        promptTemplate: imported.promptTemplate,
+        structure: imported.structure
+      });
+    }
+
+    return formatApiResponse({
+      template,
+      action,
+      schemaVersion: parsed.schemaVersion,
+      upgraded: parsed.upgraded
+    });
+  } catch (error) {
+    console.error('Error importing template:', error);
+    return errorResponse(error, 'Failed to import template');
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Template Preview API Route
+ * Checks a template that is being edited and renders its prompt against a
+ * sample patient, so the editor can show problems and the result as the
+ * user types. Nothing is saved.
+ */
+
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let servicesPromise = null;
+function getServices() {
+  if (!servicesPromise) {
+    servicesPromise = Promise.all([
+      import('../../../../backend/services/templateService.js'),
+      import('../../../../backend/services/templateVariableService.js'),
+      import('../../../../backend/services/promptGuardService.js')
+    ])
+      .then(importedModules => importedModules.map(importedModule => importedModule.default || importedModule))
+      .catch(err => {
+        console.error('Error importing template services:', err);
+        return null;
+      });
+  }
+  return servicesPromise;
+}
+
+/**
+ * POST /api/templates/preview
+ * Body: { promptTemplate, structure, specialty }; without a prompt, the one
+ * built from the sections is previewed
+ * Returns { valid, errors, prompt, rendered, variables }
+ */
+export async function POST(request) {
+  try {
+    await validateAuthToken(request);
+    const body = await request.json();
+
+    const services = await getServices();
+    if (!services) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+    const [templateService, templateVariableService, promptGuardService] = services;
+
+    const promptTemplate = body.promptTemplate
+      || (body.structure ? templateService.buildPromptFromStructure(body.structure, { specialty: body.specialty }) : '');
+    const templateCheck = templateService.validateTemplateContent({
+      promptTemplate,
+      structure: body.structure
+    });
+
+    const { SAMPLE_CONTEXT, SAMPLE_TRANSCRIPT } = templateVariableService;
+    const values = templateVariableService.buildTemplateValues({
+      ...SAMPLE_CONTEXT,
+      clinician: { specialty: body.specialty || SAMPLE_CONTEXT.clinician.specialty }
+    });
+
+    return formatApiResponse({
+      valid: templateCheck.valid,
+      errors: templateCheck.errors,
+      prompt: promptTemplate,
+      rendered: promptTemplate ? promptGuardService.renderTemplate(promptTemplate, SAMPLE_TRANSCRIPT, values) : '',
+      variables: templateVariableService.TEMPLATE_VARIABLES
+    });
+  } catch (error) {
+    console.error('Error previewing template:', error);
+
+    if (error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, error.message || 'Failed to preview template', 500);
+  }
+}
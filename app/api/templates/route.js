@@ -20,6 +20,11 @@ const getDatabaseService = async () => {
   return importedModule.default || importedModule;
 };
 
+const getTemplateService = async () => {
+  const importedModule = await import('../../../backend/services/templateService.js');
+  return importedModule.default || importedModule;
+};
+
 /**
  * Helper function to ensure database connection is available
  * @returns {Promise<boolean>} Whether the database is connected
@@ -170,24 +175,43 @@ export async function POST(request) {
     // Parse request body
     const body = await request.json();
     
-    // Validate required fields
-    if (!body.name || !body.specialty || !body.promptTemplate) {
+    // Validate required fields; a template built from sections alone gets a
+    // prompt generated from them
+    if (!body.name || !body.specialty || (!body.promptTemplate && !body.structure)) {
       return NextResponse.json({ 
         data: null, 
-        error: 'Missing required fields: name, specialty, promptTemplate' 
+        error: 'Missing required fields: name, specialty, promptTemplate or structure' 
+      }, { status: 400 });
+    }
+    
+    // Reject templates that misuse the transcript placeholder, try to override
+    // instructions or have unusable sections
+    const templateService = await getTemplateService();
+    const templateCheck = templateService.validateTemplateContent({
+      promptTemplate: body.promptTemplate,
+      structure: body.structure
+    }, { partial: !body.promptTemplate });
+    if (!templateCheck.valid) {
+      return NextResponse.json({
+        data: { errors: templateCheck.errors },
+        error: `Invalid template: ${templateCheck.errors.join('; ')}`
       }, { status: 400 });
     }
     
     // Get database service
     const gcpDatabaseService = await getDatabaseService();
     
-    // Create template
+    // Create template as version 1
     const template = await gcpDatabaseService.createTemplate({
       userId,
       name: body.name,
       description: body.description,
       specialty: body.specialty,
       promptTemplate: body.promptTemplate
+        || templateService.buildPromptFromStructure(body.structure, { specialty: body.specialty }),
+      structure: body.structure,
+      // Organization admins can add templates to the organization's library
+      organizationId: body.organizationId || null
     });
     
     // Return the created template
@@ -200,6 +224,10 @@ export async function POST(request) {
       return formatApiResponse(null, error.message, 401);
     }
     
+    if (error.message.includes('Forbidden')) {
+      return formatApiResponse(null, error.message, 403);
+    }
+    
     return formatApiResponse(null, error.message || 'Failed to create template', 500);
   }
 }
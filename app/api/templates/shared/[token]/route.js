@@ -0,0 +1,124 @@
+/**
+ * Shared Template API Route
+ * Returns the template behind a share link as a portable file, for any
+ * signed-in user with the link; POST /api/templates/import adds it to their
+ * templates
+ */
+
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+import { isDatabaseHealthy } from '../../../database/connectionManager';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+let templateTransferServicePromise = null;
+function getTemplateTransferService() {
+  if (!templateTransferServicePromise) {
+    templateTransferServicePromise = import('../../../../../backend/services/templateTransferService.js')
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing template transfer service:', err);
+        return null;
+      });
+  }
+  return templateTransferServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Cannot') || message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+/**
+ * GET /api/templates/shared/[token]
+ * Returns { file, expiresAt }
+ */
+export async function GET(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { token } = params;
+    await validateAuthToken(request);
+
+    const [databaseService, templateTransferService] = await Promise.all([
+      getDatabaseService(),
+      getTemplateTransferService()
+    ]);
+    if (!databaseService || !templateTransferService) {
+      return formatApiResponse(null, 'Service unavailable', 500);
+    }
+
+    const version = await databaseService.getSharedTemplate(token);
+
+    return formatApiResponse({
+      file: templateTransferService.exportTemplate(version),
+      expiresAt: version.share_expires_at
+    });
+  } catch (error) {
+    console.error('Error getting shared template:', error);
+    return errorResponse(error, 'Failed to get shared template');
+  }
+}
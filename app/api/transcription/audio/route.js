@@ -25,6 +25,19 @@ function getGcpService() {
   return gcpServicePromise;
 }
 
+let audioFormatServicePromise = null;
+function getAudioFormatService() {
+  if (!audioFormatServicePromise) {
+    audioFormatServicePromise = import('../../../../backend/services/audioFormatService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing audio format service:', err);
+        return null;
+      });
+  }
+  return audioFormatServicePromise;
+}
+
 /**
  * POST /api/transcription/audio
  * Transcribe audio using Google Speech-to-Text
@@ -69,6 +82,25 @@ export async function POST(request) {
     const audioData = body.audio;
     const options = body.options || {};
     
+    // Detect the real format and transcode if the recognizer can't read it;
+    // unsupported formats get a 415 instead of an empty transcript
+    let audio = audioData;
+    let audioOptions = options;
+    const audioFormatService = await getAudioFormatService();
+    if (audioFormatService) {
+      try {
+        ({ audio, options: audioOptions } = await audioFormatService.normalize(audioData, options));
+      } catch (formatError) {
+        if (formatError.message.includes('Unsupported audio format')) {
+          return NextResponse.json(
+            { data: null, error: formatError.message },
+            { status: 415 }
+          );
+        }
+        throw formatError;
+      }
+    }
+    
     try {
       // Try to use the GCP service directly
       const gcpService = await getGcpService();
@@ -78,7 +110,7 @@ export async function POST(request) {
         
         // Check if we have the transcribeAudio method
         if (typeof gcpService.transcribeAudio === 'function') {
-          const transcription = await gcpService.transcribeAudio(audioData, options);
+          const transcription = await gcpService.transcribeAudio(audio, { ...audioOptions, userId });
           return NextResponse.json({ data: transcription, error: null });
         } else {
           console.error('GCP service loaded but transcribeAudio method not found');
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
+import { validateAuthToken } from '../../auth/authUtils';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
@@ -19,6 +20,32 @@ function getGcpService() {
   return gcpServicePromise;
 }
 
+let jobServicePromise = null;
+function getJobService() {
+  if (!jobServicePromise) {
+    jobServicePromise = import('../../../../backend/services/transcriptionJobService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing transcription job service:', err);
+        return null;
+      });
+  }
+  return jobServicePromise;
+}
+
+let audioFormatServicePromise = null;
+function getAudioFormatService() {
+  if (!audioFormatServicePromise) {
+    audioFormatServicePromise = import('../../../../backend/services/audioFormatService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing audio format service:', err);
+        return null;
+      });
+  }
+  return audioFormatServicePromise;
+}
+
 /**
  * POST /api/transcription/complete
  * Transcribe audio and generate SOAP note in one request
@@ -35,105 +62,104 @@ export async function POST(request) {
       );
     }
     
-    // Verify authentication (optional in dev)
-    const authHeader = request.headers.get('authorization');
-    let userId = 'dev-user';
-    
-    if (process.env.NODE_ENV === 'production') {
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return NextResponse.json(
-          { data: null, error: 'Unauthorized' },
-          { status: 401 }
-        );
-      }
-      
-      const token = authHeader.replace('Bearer ', '');
-      const { data: { user }, error } = await supabase.auth.getUser(token);
-      
-      if (error || !user) {
-        return NextResponse.json(
-          { data: null, error: 'Invalid token' },
-          { status: 401 }
-        );
-      }
-      
-      userId = user.id;
+    // Verify authentication
+    let userId;
+    try {
+      userId = await validateAuthToken(request);
+    } catch (authError) {
+      return NextResponse.json(
+        { data: null, error: authError.message },
+        { status: 401 }
+      );
     }
     
     // Get options from request
     const options = body.options || {};
     const audioData = body.audio;
     
-    try {
-      // Try to use the GCP service directly
-      const gcpService = await getGcpService();
-      
-      if (gcpService) {
-        console.log('Using GCP service for complete processing');
-        
-        // First transcribe the audio
-        const transcriptionResult = await gcpService.transcribeAudio(audioData, options);
-        
-        // Then generate SOAP note from transcription
-        const soapNote = await gcpService.generateSoapNote(transcriptionResult.transcript, options);
-        
-        return NextResponse.json({
-          data: {
-            transcription: transcriptionResult,
-            soapNote: soapNote
-          },
-          error: null
-        });
-      } else {
-        // Fall back to mock if GCP service is not available
-        console.log('GCP service not available, using mock response');
-        
-        // Mock transcription and SOAP note
-        const mockResult = {
-          transcription: {
-            transcript: "This is a mock transcription of the audio content.",
-            confidence: 0.95
-          },
-          soapNote: {
-            subjective: "Patient reports symptoms of...",
-            objective: "Mock objective findings based on transcript analysis.",
-            assessment: "Mock assessment based on transcript.",
-            plan: "Mock treatment plan based on transcript.",
-            rawTranscription: "This is a mock transcription of the audio content.",
-            entities: [],
-            generatedBy: 'mock-generator',
-            timestamp: new Date().toISOString()
-          }
-        };
-        
-        return NextResponse.json({ data: mockResult, error: null });
+    // Detect the real format and transcode if the recognizer can't read it;
+    // unsupported formats get a 415 instead of an empty transcript
+    let audio = audioData;
+    let audioOptions = options;
+    const audioFormatService = await getAudioFormatService();
+    if (audioFormatService) {
+      try {
+        ({ audio, options: audioOptions } = await audioFormatService.normalize(audioData, options));
+      } catch (formatError) {
+        if (formatError.message.includes('Unsupported audio format')) {
+          return NextResponse.json(
+            { data: null, error: formatError.message },
+            { status: 415 }
+          );
+        }
+        throw formatError;
       }
-    } catch (serviceError) {
-      console.error('Error using GCP service:', serviceError);
-      
-      // Fall back to mock on error
-      console.log('Error with GCP service, using mock response');
+    }
+    
+    // Recordings beyond the synchronous limit are handed off to a background job;
+    // the client polls GET /api/transcription/jobs/[id] for progress and the SOAP note
+    const jobService = await getJobService();
+    if (jobService) {
+      const audioBuffer = Buffer.isBuffer(audio)
+        ? audio
+        : Buffer.from(audio.replace(/^data:audio\/[\w.+-]+;base64,/, ''), 'base64');
       
-      // Mock transcription and SOAP note
-      const mockResult = {
-        transcription: {
-          transcript: "This is a mock transcription of the audio content.",
-          confidence: 0.95
-        },
-        soapNote: {
-          subjective: "Patient reports symptoms of...",
-          objective: "Mock objective findings based on transcript analysis.",
-          assessment: "Mock assessment based on transcript.",
-          plan: "Mock treatment plan based on transcript.",
-          rawTranscription: "This is a mock transcription of the audio content.",
-          entities: [],
-          generatedBy: 'mock-generator',
-          timestamp: new Date().toISOString()
+      // Long compressed recordings are decoded so they can be measured and split
+      try {
+        ({ audio, options: audioOptions } = await jobService.prepareAudio(audioBuffer, audioOptions));
+      } catch (formatError) {
+        if (formatError.message.includes('Unsupported audio format')) {
+          return NextResponse.json(
+            { data: null, error: formatError.message },
+            { status: 415 }
+          );
         }
-      };
+        throw formatError;
+      }
       
-      return NextResponse.json({ data: mockResult, error: null });
+      if (jobService.exceedsSynchronousLimit(audio, audioOptions)) {
+        const job = await jobService.createJob(userId, audio, {
+          ...audioOptions,
+          generateSoap: true,
+          soapOptions: options,
+        });
+        
+        return NextResponse.json(
+          { data: { jobId: job.id, job }, error: null },
+          { status: 202 }
+        );
+      }
     }
+    
+    // The SOAP note comes from the configured LLM provider (LLM_PROVIDER)
+    const gcpService = await getGcpService();
+    
+    if (!gcpService) {
+      return NextResponse.json(
+        { data: null, error: 'Transcription service is unavailable' },
+        { status: 503 }
+      );
+    }
+    
+    console.log('Using GCP service for complete processing');
+    
+    // First transcribe the audio
+    const transcriptionResult = await gcpService.transcribeAudio(audio, { ...audioOptions, userId });
+    
+    // Then generate SOAP note from transcription
+    const soapNote = await gcpService.generateSoapNote(transcriptionResult.transcript, {
+      ...options,
+      userId,
+      segments: transcriptionResult.segments
+    });
+    
+    return NextResponse.json({
+      data: {
+        transcription: transcriptionResult,
+        soapNote: soapNote
+      },
+      error: null
+    });
   } catch (error) {
     console.error('Error processing audio and generating SOAP note:', error);
     return NextResponse.json(
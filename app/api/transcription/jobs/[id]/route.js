@@ -0,0 +1,49 @@
+import { validateAuthToken, formatApiResponse } from '../../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let jobServicePromise = null;
+function getJobService() {
+  if (!jobServicePromise) {
+    jobServicePromise = import('../../../../../backend/services/transcriptionJobService.js')
+      .then(module => {
+        // Handle both ESM default exports and CommonJS module.exports
+        return module.default || module;
+      })
+      .catch(err => {
+        console.error('Error importing transcription job service:', err);
+        return null;
+      });
+  }
+  return jobServicePromise;
+}
+
+/**
+ * GET /api/transcription/jobs/[id]
+ * Get the status, progress and partial transcript of a transcription job
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id: jobId } = params;
+    const userId = await validateAuthToken(request);
+
+    const jobService = await getJobService();
+    if (!jobService) {
+      return formatApiResponse(null, 'Transcription job service unavailable', 500);
+    }
+
+    const job = await jobService.getJob(jobId, userId);
+    return formatApiResponse(job);
+  } catch (error) {
+    console.error('Error getting transcription job:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('not found')) {
+      return formatApiResponse(null, error.message, 404);
+    }
+
+    return formatApiResponse(null, `Failed to get transcription job: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,104 @@
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let jobServicePromise = null;
+function getJobService() {
+  if (!jobServicePromise) {
+    jobServicePromise = import('../../../../backend/services/transcriptionJobService.js')
+      .then(module => {
+        // Handle both ESM default exports and CommonJS module.exports
+        return module.default || module;
+      })
+      .catch(err => {
+        console.error('Error importing transcription job service:', err);
+        return null;
+      });
+  }
+  return jobServicePromise;
+}
+
+let audioFormatServicePromise = null;
+function getAudioFormatService() {
+  if (!audioFormatServicePromise) {
+    audioFormatServicePromise = import('../../../../backend/services/audioFormatService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing audio format service:', err);
+        return null;
+      });
+  }
+  return audioFormatServicePromise;
+}
+
+/**
+ * Read audio and options from either a JSON body (base64 audio)
+ * or a multipart form upload (audio file + JSON options field)
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<Object>} { audioBuffer, options }
+ */
+async function readAudioRequest(request) {
+  const contentType = request.headers.get('content-type') || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const file = formData.get('audio');
+    const options = formData.get('options');
+
+    return {
+      audioBuffer: file ? Buffer.from(await file.arrayBuffer()) : null,
+      options: options ? JSON.parse(options) : {},
+    };
+  }
+
+  const body = await request.json();
+  const audioData = typeof body.audio === 'string'
+    ? body.audio.replace(/^data:audio\/[\w.+-]+;base64,/, '')
+    : null;
+
+  return {
+    audioBuffer: audioData ? Buffer.from(audioData, 'base64') : null,
+    options: body.options || {},
+  };
+}
+
+/**
+ * POST /api/transcription/jobs
+ * Start an asynchronous transcription job for a long recording
+ * The job is only stored here; a transcription worker runs it (see transcriptionJobService)
+ */
+export async function POST(request) {
+  try {
+    const userId = await validateAuthToken(request);
+    const { audioBuffer, options } = await readAudioRequest(request);
+
+    if (!audioBuffer || audioBuffer.length === 0) {
+      return formatApiResponse(null, 'Audio data is required', 400);
+    }
+
+    const jobService = await getJobService();
+    if (!jobService) {
+      return formatApiResponse(null, 'Transcription job service unavailable', 500);
+    }
+
+    // Detect the real format and transcode if the recognizer can't read it
+    const audioFormatService = await getAudioFormatService();
+    const { audio, options: audioOptions } = audioFormatService
+      ? await audioFormatService.normalize(audioBuffer, options)
+      : { audio: audioBuffer, options };
+
+    const job = await jobService.createJob(userId, audio, audioOptions);
+    return formatApiResponse(job, null, 202);
+  } catch (error) {
+    console.error('Error creating transcription job:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('Unsupported audio format')) {
+      return formatApiResponse(null, error.message, 415);
+    }
+
+    return formatApiResponse(null, `Failed to create transcription job: ${error.message}`, 500);
+  }
+}
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken } from '../../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let gcpServicePromise = null;
+function getGcpService() {
+  if (!gcpServicePromise) {
+    gcpServicePromise = import('../../../../../backend/services/gcpService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing GCP service:', err);
+        return null;
+      });
+  }
+  return gcpServicePromise;
+}
+
+/**
+ * POST /api/transcription/soap/section
+ * Regenerate one section of a generated (unsaved) SOAP note from its transcript
+ * Body: { transcript, section, note, instruction?, options?: { outputLanguage, segments } }
+ * note holds the current sections, which are passed to the model as context
+ * and left unchanged; with a template's own sections (note.template.sections)
+ * any of its text sections can be regenerated. Returns { section, text, attributions, verification, medicationOrders, vitalSigns, generatedBy, model }.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { data: null, error: 'Invalid JSON body' },
+      { status: 400 }
+    );
+  }
+
+  if (!body.transcript) {
+    return NextResponse.json(
+      { data: null, error: 'Transcript is required' },
+      { status: 400 }
+    );
+  }
+
+  if (typeof body.section !== 'string' || !body.section) {
+    return NextResponse.json(
+      { data: null, error: 'Section is required' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await validateAuthToken(request);
+  } catch (authError) {
+    return NextResponse.json(
+      { data: null, error: authError.message },
+      { status: 401 }
+    );
+  }
+
+  const gcpService = await getGcpService();
+  if (!gcpService || typeof gcpService.regenerateSection !== 'function') {
+    return NextResponse.json(
+      { data: null, error: 'Note generation service is unavailable' },
+      { status: 503 }
+    );
+  }
+
+  try {
+    const options = body.options || {};
+    const result = await gcpService.regenerateSection(body.section, body.transcript, {
+      note: body.note || {},
+      instruction: typeof body.instruction === 'string' ? body.instruction.slice(0, 500) : '',
+      outputLanguage: options.outputLanguage,
+      segments: options.segments,
+      patientInfo: options.patientInfo
+    });
+    return NextResponse.json({ data: result, error: null });
+  } catch (error) {
+    console.error('Error regenerating SOAP section:', error);
+    
+    // Not a text section of the note
+    if (error.message.startsWith('Invalid section')) {
+      return NextResponse.json({ data: null, error: error.message }, { status: 400 });
+    }
+    
+    return NextResponse.json(
+      { data: null, error: `Failed to regenerate section: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server';
+import { validateAuthToken } from '../../../auth/authUtils';
+
+// Dynamic import for CommonJS modules
+let gcpServicePromise = null;
+function getGcpService() {
+  if (!gcpServicePromise) {
+    gcpServicePromise = import('../../../../../backend/services/gcpService.js')
+      .then(module => module.default || module)
+      .catch(err => {
+        console.error('Error importing GCP service:', err);
+        return null;
+      });
+  }
+  return gcpServicePromise;
+}
+
+/**
+ * POST /api/transcription/soap/stream
+ * Generate a SOAP note from a transcript as server-sent events:
+ *   event: section   data: { section, text }  - a SOAP section is complete
+ *   event: complete  data: SOAP note          - same shape as /api/transcription/soap
+ *   event: error     data: { error }
+ * Closing the connection cancels generation.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { data: null, error: 'Invalid JSON body' },
+      { status: 400 }
+    );
+  }
+
+  if (!body.transcript) {
+    return NextResponse.json(
+      { data: null, error: 'Transcript is required' },
+      { status: 400 }
+    );
+  }
+
+  let userId;
+  try {
+    userId = await validateAuthToken(request);
+  } catch (authError) {
+    return NextResponse.json(
+      { data: null, error: authError.message },
+      { status: 401 }
+    );
+  }
+
+  const gcpService = await getGcpService();
+  if (!gcpService) {
+    return NextResponse.json(
+      { data: null, error: 'Note generation service is unavailable' },
+      { status: 503 }
+    );
+  }
+
+  // Aborted when the client disconnects or cancels the stream
+  const generation = new AbortController();
+  request.signal?.addEventListener('abort', () => generation.abort());
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!generation.signal.aborted) {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        }
+      };
+
+      try {
+        const soapNote = await gcpService.generateSoapNote(body.transcript, { ...(body.options || {}), userId }, {
+          signal: generation.signal,
+          onSection: (section, text) => send('section', { section, text })
+        });
+        send('complete', soapNote);
+      } catch (error) {
+        if (!generation.signal.aborted) {
+          console.error('Error streaming SOAP note:', error);
+          send('error', { error: `Failed to generate SOAP note: ${error.message}` });
+        }
+      }
+
+      if (!generation.signal.aborted) {
+        controller.close();
+      }
+    },
+    cancel() {
+      generation.abort();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Individual Vocabulary Term API Route
+ * Updates and deletes a vocabulary term by ID. Personal terms can be changed
+ * by their owner; organization terms only by organization admins
+ */
+
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../../auth/authUtils';
+import { isDatabaseHealthy } from '../../database/connectionManager';
+import { normalizeVocabularyTerm } from '../../../utils/vocabulary';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../../backend/services/serverlessDatabaseService.js'
+      : '../../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database error to a response
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for unexpected errors
+ * @returns {Response} Error response
+ */
+function errorResponse(error, prefix) {
+  const message = error.message || '';
+
+  if (message.includes('Unauthorized')) {
+    return formatApiResponse(null, message, 401);
+  }
+
+  if (message.includes('Forbidden')) {
+    return formatApiResponse(null, message, 403);
+  }
+
+  if (message.includes('not found')) {
+    return formatApiResponse(null, message, 404);
+  }
+
+  return formatApiResponse(null, `${prefix}: ${message}`, 500);
+}
+
+/**
+ * PUT /api/vocabulary/[id]
+ * Update a term's phrase, misrecognitions, category or boost
+ */
+export async function PUT(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: termId } = params;
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    const { term, error } = normalizeVocabularyTerm(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ data: null, error }, { status: 400 });
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const updated = await databaseService.updateVocabularyTerm(termId, userId, term);
+    return formatApiResponse(updated);
+  } catch (error) {
+    console.error('Error updating vocabulary term:', error);
+    return errorResponse(error, 'Failed to update vocabulary term');
+  }
+}
+
+/**
+ * DELETE /api/vocabulary/[id]
+ * Delete a term
+ */
+export async function DELETE(request, { params }) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const { id: termId } = params;
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    await databaseService.deleteVocabularyTerm(termId, userId);
+    return formatApiResponse({ id: termId, deleted: true });
+  } catch (error) {
+    console.error('Error deleting vocabulary term:', error);
+    return errorResponse(error, 'Failed to delete vocabulary term');
+  }
+}
+
+/**
+ * OPTIONS /api/vocabulary/[id] - Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
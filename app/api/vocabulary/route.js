@@ -0,0 +1,154 @@
+/**
+ * Vocabulary API Route
+ * Lists and creates custom vocabulary terms used as speech recognition
+ * phrase hints and transcript corrections
+ * Uses direct SSL connection in production for better reliability
+ */
+
+import { NextResponse } from 'next/server';
+import { validateAuthToken, formatApiResponse } from '../auth/authUtils';
+import { isDatabaseHealthy } from '../database/connectionManager';
+import { normalizeVocabularyTerm } from '../../utils/vocabulary';
+
+// Dynamic import for CommonJS modules
+let databaseServicePromise = null;
+function getDatabaseService() {
+  if (!databaseServicePromise) {
+    // In production, use the serverless database service
+    // In development, use the GCP database service with proxy
+    const servicePath = process.env.NODE_ENV === 'production'
+      ? '../../../backend/services/serverlessDatabaseService.js'
+      : '../../../backend/services/gcpDatabaseService.js';
+
+    databaseServicePromise = import(servicePath)
+      .then(importedModule => importedModule.default || importedModule)
+      .catch(err => {
+        console.error('Error importing database service:', err);
+        return null;
+      });
+  }
+  return databaseServicePromise;
+}
+
+/**
+ * Helper function to ensure database connection is available
+ * @returns {Promise<boolean>} Whether the database is connected
+ */
+async function ensureDatabaseConnection() {
+  try {
+    // In production, we use direct SSL connection, so just check if it's healthy
+    if (process.env.NODE_ENV === 'production') {
+      return await isDatabaseHealthy();
+    } else {
+      // For development, import and use the proxy manager
+      const { isProxyHealthy } = await import('../proxy/proxyManager');
+      return await isProxyHealthy();
+    }
+  } catch (error) {
+    console.error('Error ensuring database connection:', error);
+    return false;
+  }
+}
+
+/**
+ * GET /api/vocabulary
+ * Get the user's terms, their organizations' shared terms, and the organizations
+ * they belong to (with their role, so the UI knows who can edit shared terms)
+ */
+export async function GET(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const [terms, organizations] = await Promise.all([
+      databaseService.getVocabularyTerms(userId),
+      databaseService.getUserOrganizations(userId)
+    ]);
+
+    return formatApiResponse({ terms, organizations });
+  } catch (error) {
+    console.error('Error fetching vocabulary:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    return formatApiResponse(null, `Failed to fetch vocabulary: ${error.message}`, 500);
+  }
+}
+
+/**
+ * POST /api/vocabulary
+ * Create a term; pass organizationId to share it with an organization (admins only)
+ */
+export async function POST(request) {
+  const connected = await ensureDatabaseConnection();
+  if (!connected) {
+    return formatApiResponse(
+      null,
+      'Database connection not available. Please try again in a moment.',
+      503
+    );
+  }
+
+  try {
+    const userId = await validateAuthToken(request);
+    const body = await request.json();
+
+    const { term, error } = normalizeVocabularyTerm(body);
+    if (error) {
+      return NextResponse.json({ data: null, error }, { status: 400 });
+    }
+
+    const databaseService = await getDatabaseService();
+    if (!databaseService) {
+      return formatApiResponse(null, 'Database service unavailable', 500);
+    }
+
+    const created = await databaseService.createVocabularyTerm(userId, {
+      ...term,
+      organizationId: body.organizationId || null
+    });
+
+    return formatApiResponse(created, null, 201);
+  } catch (error) {
+    console.error('Error creating vocabulary term:', error);
+
+    if (error.message && error.message.includes('Unauthorized')) {
+      return formatApiResponse(null, error.message, 401);
+    }
+
+    if (error.message && error.message.includes('Forbidden')) {
+      return formatApiResponse(null, error.message, 403);
+    }
+
+    return formatApiResponse(null, `Failed to create vocabulary term: ${error.message}`, 500);
+  }
+}
+
+/**
+ * OPTIONS /api/vocabulary - Handle CORS preflight requests
+ */
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,65 @@
+"use client";
+
+const SPEAKER_LABELS = {
+  clinician: 'Clinician',
+  patient: 'Patient',
+  other: 'Other speaker'
+};
+
+// Format seconds from the start of the recording as MM:SS
+const formatTimestamp = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${remainder.toString().padStart(2, '0')}`;
+};
+
+/**
+ * ConversationTranscript component
+ * Renders speaker-labelled transcript segments as a conversation,
+ * merging consecutive segments from the same speaker into one turn.
+ * With onSegmentClick, turns become buttons that report their start time,
+ * and the turn containing activeTime is highlighted.
+ */
+export default function ConversationTranscript({ segments = [], interimText = '', onSegmentClick, activeTime = null }) {
+  const turns = segments.reduce((merged, segment) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.speaker === segment.speaker) {
+      previous.text = `${previous.text} ${segment.text}`;
+      previous.endTime = segment.endTime;
+    } else {
+      merged.push({ ...segment });
+    }
+    return merged;
+  }, []);
+
+  return (
+    <div className="space-y-2">
+      {turns.map((turn) => {
+        const isClinician = turn.speaker === 'clinician';
+        const isActive = activeTime !== null && activeTime >= turn.startTime && activeTime < turn.endTime;
+        const Bubble = onSegmentClick ? 'button' : 'div';
+        return (
+          <div key={turn.id} className={`flex ${isClinician ? 'justify-end' : 'justify-start'}`}>
+            <Bubble
+              {...(onSegmentClick && { type: 'button', onClick: () => onSegmentClick(turn) })}
+              className={`max-w-[85%] px-3 py-2 rounded-lg text-sm text-left ${
+                isClinician ? 'bg-royal/10 text-gray-800' : 'bg-white border border-gray-200 text-gray-800'
+              } ${onSegmentClick ? 'hover:ring-1 hover:ring-royal/40' : ''} ${isActive ? 'ring-2 ring-royal' : ''}`}
+            >
+              <div className="flex items-center justify-between gap-3 mb-0.5">
+                <span className={`text-xs font-medium ${isClinician ? 'text-royal' : 'text-gray-600'}`}>
+                  {SPEAKER_LABELS[turn.speaker] || SPEAKER_LABELS.other}
+                </span>
+                <span className="text-xs text-gray-400">{formatTimestamp(turn.startTime)}</span>
+              </div>
+              <p className="whitespace-pre-wrap">{turn.text}</p>
+            </Bubble>
+          </div>
+        );
+      })}
+      {interimText && (
+        <p className="text-sm text-gray-500 italic">{interimText}</p>
+      )}
+    </div>
+  );
+}
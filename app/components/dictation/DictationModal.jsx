@@ -1,8 +1,51 @@
 "use client";
 
 import { useState, useEffect, useRef } from "react";
-import { X, Mic, Pause, Play, Square, Save, Check, ChevronDown, User, FileText, Settings } from "lucide-react";
-import { saveNote as saveNoteToBackend, getTemplates } from "../../services/transcriptionService";
+import { X, Mic, Pause, Play, Square, Save, Check, ChevronDown, User, FileText, Settings, ArrowLeftRight, History, PenLine } from "lucide-react";
+import ConversationTranscript from "./ConversationTranscript";
+import SoapNotePreview from "../notes/SoapNotePreview";
+import {
+  saveNote as saveNoteToBackend,
+  streamSoapNote,
+  getTemplates,
+  getVocabulary,
+  startStreamingTranscription,
+  getDictationDraft,
+  saveDictationDraft,
+  deleteDictationDraft,
+  getRecordingSettings,
+  uploadNoteRecording,
+  refineNoteSection,
+  regenerateSoapSection
+} from "../../services/transcriptionService";
+import { getUserSettings } from "../../actions/settings";
+import { DICTATION_LANGUAGES, NOTE_LANGUAGES, DEFAULT_LANGUAGE_SETTINGS, getAlternativeLanguages } from "../../utils/languages";
+import { buildCorrectionRules, applyVocabularyCorrections } from "../../utils/vocabulary";
+import { parseVoiceCommands, applyTranscriptToken, joinTranscriptPieces } from "../../utils/voiceCommands";
+import { DEFAULT_SECTIONS, isTextSection } from "../../utils/noteSections";
+import {
+  createDraftId,
+  isDraftEmpty,
+  fromServerDraft,
+  pickLatestDraft,
+  loadLocalDraft,
+  saveLocalDraft,
+  clearLocalDraft,
+  appendDraftAudio,
+  getDraftAudio
+} from "../../utils/dictationDrafts";
+
+// How often an in-progress session is copied to the server for resuming on another device
+const DRAFT_SYNC_INTERVAL_MS = 30 * 1000;
+
+// Keep a local copy of the raw audio with drafts (it never leaves the browser)
+const SAVE_DRAFT_AUDIO = process.env.NEXT_PUBLIC_SAVE_DRAFT_AUDIO === 'true';
+
+// Chunk length for draft audio, i.e. how much audio a crash can lose
+const DRAFT_AUDIO_TIMESLICE_MS = 5000;
+
+// Offered for the {{visit.type}} template variable
+const VISIT_TYPES = ['New patient', 'Follow-up', 'Annual exam', 'Urgent visit', 'Telehealth'];
 
 // Custom hook for audio visualization
 function useAudioVisualization(isRecording, isPaused) {
@@ -216,16 +259,27 @@ function useAudioVisualization(isRecording, isPaused) {
   return canvasRef;
 }
 
+// How dictation into an existing section is combined with its current text
+const MERGE_MODES = [
+  { value: 'append', label: 'Append', description: 'Add to the section, keeping what is there' },
+  { value: 'replace', label: 'Replace', description: 'Rewrite the section from this dictation' },
+];
+
 /**
  * Dictation Modal Component
- * Provides a modal interface for voice dictation with border beam effect
+ * Provides a modal interface for voice dictation with border beam effect.
+ * With targetNote ({ id, title, content }), the dictation is merged into one
+ * SOAP section of that note instead of creating a new note; onSectionSaved
+ * receives the result. Drafts and recordings are only kept for new notes.
  */
-export default function DictationModal({ isOpen, onClose }) {
+export default function DictationModal({ isOpen, onClose, targetNote = null, initialSection = 'subjective', onSectionSaved }) {
   // Recording states
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
   const [transcript, setTranscript] = useState("");
+  const [transcriptSegments, setTranscriptSegments] = useState([]); // Speaker-labelled segments from server transcription
+  const [interimText, setInterimText] = useState(""); // Not-yet-final server text shown under the conversation
   
   // UI states
   const [showTemplateSelector, setShowTemplateSelector] = useState(false);
@@ -235,10 +289,20 @@ export default function DictationModal({ isOpen, onClose }) {
   const [showTranscriptPreview, setShowTranscriptPreview] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [isLoadingTemplates, setIsLoadingTemplates] = useState(false);
+  const [useServerTranscription, setUseServerTranscription] = useState(false);
+  const [languageSettings, setLanguageSettings] = useState(DEFAULT_LANGUAGE_SETTINGS); // Per-session copy of the user's language preferences
+  const [detectedLanguage, setDetectedLanguage] = useState(null); // Language reported by server transcription
+  const [generateAfterStop, setGenerateAfterStop] = useState(false); // Set by the "stop and generate" voice command
+  const [interruptedDraft, setInterruptedDraft] = useState(null); // Unfinished session offered for resuming
+  const [targetSection, setTargetSection] = useState(initialSection); // Section of targetNote being dictated into
+  const [mergeMode, setMergeMode] = useState('append'); // How the dictation is combined with targetSection
+  const [soapPreview, setSoapPreview] = useState(null); // Note being generated or awaiting save, shown instead of the transcript
+  const [isGenerating, setIsGenerating] = useState(false);
   
   // Data states
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [selectedPatient, setSelectedPatient] = useState(null);
+  const [visitType, setVisitType] = useState(''); // Fills the {{visit.type}} template variable
   const [noteTitle, setNoteTitle] = useState("");
   const [templates, setTemplates] = useState([]);
   
@@ -253,6 +317,24 @@ export default function DictationModal({ isOpen, onClose }) {
   const recognitionRef = useRef(null);
   const modalRef = useRef(null);
   const transcriptRef = useRef(""); // Ref to track transcript without dependency issues
+  const serverStreamRef = useRef(null); // Server-side transcription stream controller
+  const serverStreamActiveRef = useRef(false); // Whether the server stream should stay open
+  const serverFinalTranscriptRef = useRef(""); // Finalized text received from the server stream
+  const serverSegmentsRef = useRef([]); // Finalized speaker segments received from the server stream
+  const correctionRulesRef = useRef([]); // Custom vocabulary corrections for Web Speech transcripts
+  const transcriptPiecesRef = useRef([]); // Committed Web Speech transcript, editable by voice commands
+  const processedResultCountRef = useRef(0); // Final Web Speech results already handled in this session
+  const voiceCommandsRef = useRef(null); // The user's command grammar, or null when commands are off
+  const voiceCommandHandlerRef = useRef(() => {}); // Runs pause/stop commands with the current render's handlers
+  const draftIdRef = useRef(null); // Id of the session being persisted as a draft
+  const lastDraftSyncRef = useRef(0); // When the draft was last copied to the server
+  const audioRecorderRef = useRef(null); // MediaRecorder capturing the session's raw audio
+  const audioRecorderStoppedRef = useRef(Promise.resolve()); // Settles once the last audio chunk has arrived
+  const draftAudioClipRef = useRef(0); // Number of the next draft audio clip
+  const saveRecordingsRef = useRef(false); // Whether the user keeps recordings with their notes
+  const recordingChunksRef = useRef([]); // Audio of the current recorder run, uploaded with the note
+  const recordingOffsetRef = useRef(0); // Dictation time at which the current recorder run started
+  const generationAbortRef = useRef(null); // Cancels the SOAP note being streamed
   
   // Sample patients
   const patients = [
@@ -265,6 +347,87 @@ export default function DictationModal({ isOpen, onClose }) {
   // State for template loading errors
   const [templateError, setTemplateError] = useState(null);
 
+  // Load the user's language preferences as the defaults for this session
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getUserSettings()
+      .then(({ settings }) => {
+        setLanguageSettings(settings);
+        voiceCommandsRef.current = settings.voiceCommandsEnabled ? settings.voiceCommands : null;
+      })
+      .catch(error => console.error('Error loading language settings:', error));
+  }, [isOpen]);
+  
+  // Load the user's custom vocabulary; the server applies it as phrase hints itself,
+  // but Web Speech can't be biased, so its transcripts are corrected afterwards
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getVocabulary()
+      .then(({ terms }) => {
+        correctionRulesRef.current = buildCorrectionRules(terms);
+      })
+      .catch(error => console.error('Error loading custom vocabulary:', error));
+  }, [isOpen]);
+  
+  // Start on the section the modal was opened from
+  useEffect(() => {
+    if (isOpen) {
+      setTargetSection(initialSection);
+    }
+  }, [isOpen, initialSection]);
+  
+  // Recordings are kept with new notes unless the user turned that off
+  useEffect(() => {
+    if (!isOpen || targetNote) return;
+    
+    getRecordingSettings()
+      .then((settings) => {
+        saveRecordingsRef.current = settings.saveRecordings;
+      })
+      .catch(error => console.error('Error loading recording settings:', error));
+  }, [isOpen]);
+  
+  // Look for a session interrupted by a reload or crash, here or on another device
+  useEffect(() => {
+    if (!isOpen || targetNote) return;
+    
+    let cancelled = false;
+    Promise.all([
+      loadLocalDraft().catch((error) => {
+        console.error('Error loading local dictation draft:', error);
+        return null;
+      }),
+      getDictationDraft().then(fromServerDraft).catch(() => null)
+    ]).then(async ([localDraft, serverDraft]) => {
+      const draft = pickLatestDraft(localDraft, serverDraft);
+      
+      // A session still open in this modal isn't interrupted
+      if (cancelled || isDraftEmpty(draft) || draft.id === draftIdRef.current) return;
+      
+      const audioClips = draft.id === localDraft?.id
+        ? (await getDraftAudio(draft.id).catch(() => [])).length
+        : 0;
+      setInterruptedDraft({ ...draft, audioClips, fromAnotherDevice: draft.id !== localDraft?.id });
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+  
+  // Stop generating if the modal goes away mid-stream
+  useEffect(() => {
+    return () => {
+      generationAbortRef.current?.abort();
+    };
+  }, []);
+  
+  const updateLanguageSetting = (field, value) => {
+    setLanguageSettings(prev => ({ ...prev, [field]: value }));
+  };
+  
   // Fetch templates from database when component mounts
   useEffect(() => {
     async function fetchTemplates() {
@@ -358,8 +521,10 @@ export default function DictationModal({ isOpen, onClose }) {
     // Check if browser supports speech recognition
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     
-    if (!SpeechRecognition) {
-      console.error("Speech recognition not supported in this browser");
+    // Fall back to server-side streaming when Web Speech is missing or disabled
+    if (!SpeechRecognition || process.env.NEXT_PUBLIC_DISABLE_WEB_SPEECH === 'true') {
+      console.log("Web Speech unavailable, using server transcription");
+      setUseServerTranscription(true);
       return;
     }
     
@@ -370,33 +535,61 @@ export default function DictationModal({ isOpen, onClose }) {
     recognition.lang = 'en-US';
     recognitionRef.current = recognition;
     
+    // Each stop/start begins a new result list
+    recognitionRef.current.onstart = () => {
+      processedResultCountRef.current = 0;
+    };
+    
+    // Commit a final result, carrying out any voice commands in it
+    const handleFinalResult = (text) => {
+      const corrected = applyVocabularyCorrections(text, correctionRulesRef.current);
+      const tokens = voiceCommandsRef.current
+        ? parseVoiceCommands(corrected, voiceCommandsRef.current)
+        : [{ type: 'text', value: corrected.trim() }];
+      
+      for (const token of tokens) {
+        if (token.type === 'command' && (token.action === 'pause' || token.action === 'stopAndGenerate')) {
+          console.log("Voice command:", token.action);
+          voiceCommandHandlerRef.current(token.action);
+          // Anything said after pausing or stopping is dropped
+          break;
+        }
+        if (token.type === 'text' && !token.value) continue;
+        transcriptPiecesRef.current = applyTranscriptToken(transcriptPiecesRef.current, token);
+      }
+    };
+    
     // Handle transcription results
     recognitionRef.current.onresult = (event) => {
-      // Clear previous interim results to prevent duplication
       let interimTranscript = '';
-      let finalTranscript = '';
       
-      // Get all final results from the current session
-      for (let i = 0; i < event.results.length; ++i) {
+      // Final results are handled once each; interim results are only displayed
+      for (let i = event.resultIndex; i < event.results.length; ++i) {
         if (event.results[i].isFinal) {
-          finalTranscript += event.results[i][0].transcript + ' ';
-        } else if (i >= event.resultIndex) {
-          // Only add interim results from the current result set
+          if (i >= processedResultCountRef.current) {
+            handleFinalResult(event.results[i][0].transcript);
+            processedResultCountRef.current = i + 1;
+          }
+        } else {
           interimTranscript += event.results[i][0].transcript + ' ';
         }
       }
       
-      // Store the final transcript in our ref
-      transcriptRef.current = finalTranscript.trim();
+      // Replace known misrecognitions of custom vocabulary
+      interimTranscript = applyVocabularyCorrections(interimTranscript, correctionRulesRef.current);
+      
+      // Store the committed transcript in our ref
+      const finalTranscript = joinTranscriptPieces(transcriptPiecesRef.current);
+      transcriptRef.current = finalTranscript;
       
       // Combine final and interim for display
-      const newTranscript = (finalTranscript + interimTranscript).trim();
+      const newTranscript = `${finalTranscript} ${interimTranscript}`.trim();
       
       // Update the state to trigger re-render with latest transcript
       setTranscript(newTranscript);
       
       // Log for debugging
-      console.log("Transcript updated - Final:", finalTranscript.trim());
+      console.log("Transcript updated - Final:", finalTranscript);
       console.log("Transcript updated - Interim:", interimTranscript.trim());
     };
     
@@ -407,6 +600,12 @@ export default function DictationModal({ isOpen, onClose }) {
       if (event.error === 'not-allowed') {
         alert("Microphone access is required for dictation. Please allow microphone access and try again.");
         setIsRecording(false);
+      } else if (event.error === 'service-not-allowed') {
+        // The browser or a permissions policy blocks the speech service itself,
+        // so keep recording through the server stream instead
+        console.log("Web Speech disabled by policy, switching to server transcription");
+        setUseServerTranscription(true);
+        startServerStream();
       }
     };
     
@@ -452,12 +651,241 @@ export default function DictationModal({ isOpen, onClose }) {
       if (timerRef.current) {
         clearInterval(timerRef.current);
       }
+      
+      serverStreamActiveRef.current = false;
+      if (serverStreamRef.current) {
+        serverStreamRef.current.stop();
+      }
     };
   }, []); // Empty dependency array - only run once on mount
 
+  // Snapshot of the in-progress session for draft storage
+  const buildDraft = () => ({
+    id: draftIdRef.current,
+    transcript: useServerTranscription
+      ? serverFinalTranscriptRef.current
+      : joinTranscriptPieces(transcriptPiecesRef.current),
+    transcriptPieces: useServerTranscription ? null : transcriptPiecesRef.current,
+    transcriptSegments: serverSegmentsRef.current,
+    recordingTime,
+    templateId: selectedTemplate,
+    patient: selectedPatient
+  });
+  
+  // Persist the session until it is saved or discarded; the server copy is
+  // throttled but always refreshed on pause so another device can pick it up
+  useEffect(() => {
+    if ((!isRecording && !recordingFinished) || !draftIdRef.current) return;
+    
+    const draft = buildDraft();
+    saveLocalDraft(draft).catch(error => console.error('Error saving local dictation draft:', error));
+    
+    if (isPaused || Date.now() - lastDraftSyncRef.current >= DRAFT_SYNC_INTERVAL_MS) {
+      lastDraftSyncRef.current = Date.now();
+      saveDictationDraft(draft).catch(() => {});
+    }
+  }, [isRecording, isPaused, recordingFinished, transcript, recordingTime, selectedTemplate, selectedPatient]);
+  
+  // Forget the current session's draft once it is saved or thrown away
+  const discardDraft = () => {
+    const draftId = draftIdRef.current;
+    draftIdRef.current = null;
+    lastDraftSyncRef.current = 0;
+    
+    // Without a session of our own, any stored draft belongs to an interrupted one
+    if (!draftId) return;
+    
+    clearLocalDraft().catch(error => console.error('Error clearing local dictation draft:', error));
+    deleteDictationDraft(draftId).catch(() => {});
+  };
+  
+  // Record the raw audio in parallel with recognition, to upload with the note
+  // and, when enabled, to keep a local copy alongside the draft
+  const startAudioCapture = async () => {
+    if ((!SAVE_DRAFT_AUDIO && !saveRecordingsRef.current) ||
+        audioRecorderRef.current || typeof MediaRecorder === 'undefined') return;
+    
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const draftId = draftIdRef.current;
+      const clip = draftAudioClipRef.current++;
+      
+      // Runs from separate recorders can't be joined, so only the latest one is uploaded
+      recordingChunksRef.current = [];
+      recordingOffsetRef.current = recordingTime;
+      
+      recorder.ondataavailable = (event) => {
+        if (event.data.size === 0) return;
+        
+        if (saveRecordingsRef.current) {
+          recordingChunksRef.current.push(event.data);
+        }
+        if (SAVE_DRAFT_AUDIO) {
+          appendDraftAudio(draftId, clip, event.data)
+            .catch(error => console.error('Error saving draft audio:', error));
+        }
+      };
+      audioRecorderStoppedRef.current = new Promise((resolve) => {
+        recorder.onstop = () => {
+          stream.getTracks().forEach(track => track.stop());
+          resolve();
+        };
+      });
+      recorder.start(DRAFT_AUDIO_TIMESLICE_MS);
+      audioRecorderRef.current = recorder;
+    } catch (error) {
+      console.error('Error recording audio:', error);
+    }
+  };
+  
+  const stopAudioCapture = () => {
+    if (audioRecorderRef.current) {
+      audioRecorderRef.current.stop();
+      audioRecorderRef.current = null;
+    }
+  };
+  
+  // Upload the captured audio with a saved note; the note is kept even if this fails
+  const uploadRecording = async (noteId) => {
+    await audioRecorderStoppedRef.current;
+    
+    const chunks = recordingChunksRef.current;
+    if (!saveRecordingsRef.current || !noteId || chunks.length === 0) return;
+    
+    try {
+      await uploadNoteRecording(noteId, new Blob(chunks, { type: chunks[0].type }), {
+        durationSeconds: recordingTime - recordingOffsetRef.current,
+        offsetSeconds: recordingOffsetRef.current
+      });
+      recordingChunksRef.current = [];
+    } catch (error) {
+      console.error('Error uploading recording:', error);
+    }
+  };
+  
+  // Restore an interrupted session; it comes back paused so the user can resume or stop it
+  const resumeDraft = () => {
+    const draft = interruptedDraft;
+    setInterruptedDraft(null);
+    
+    draftIdRef.current = draft.id;
+    draftAudioClipRef.current = draft.audioClips;
+    transcriptPiecesRef.current = draft.transcriptPieces ||
+      (draft.transcript ? [{ type: 'text', value: draft.transcript }] : []);
+    serverFinalTranscriptRef.current = draft.transcript;
+    serverSegmentsRef.current = draft.transcriptSegments || [];
+    transcriptRef.current = draft.transcript;
+    
+    setTranscript(draft.transcript);
+    setTranscriptSegments(serverSegmentsRef.current);
+    setRecordingTime(draft.recordingTime);
+    if (draft.templateId) setSelectedTemplate(draft.templateId);
+    setSelectedPatient(draft.patient);
+    setIsRecording(true);
+    setIsPaused(true);
+  };
+  
+  const discardInterruptedDraft = () => {
+    const draft = interruptedDraft;
+    setInterruptedDraft(null);
+    
+    clearLocalDraft().catch(error => console.error('Error clearing local dictation draft:', error));
+    deleteDictationDraft(draft.id).catch(() => {});
+  };
+  
+  // Save each clip of an interrupted session's audio as a file
+  const downloadDraftAudio = async (draft) => {
+    const clips = await getDraftAudio(draft.id);
+    clips.forEach((clip, index) => {
+      const extension = clip.type.includes('ogg') ? 'ogg' : clip.type.includes('mp4') ? 'm4a' : 'webm';
+      const url = URL.createObjectURL(clip);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `dictation-${draft.id.slice(0, 8)}-${index + 1}.${extension}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+  };
+  
+  // Open a server-side transcription stream, reconnecting if the server ends it
+  // while we are still recording (streams are capped at a few minutes)
+  const startServerStream = async () => {
+    serverStreamActiveRef.current = true;
+    
+    // Segment times restart with each stream, so continue from the last segment
+    const previousSegments = serverSegmentsRef.current;
+    const timeOffset = previousSegments.length > 0 ? previousSegments[previousSegments.length - 1].endTime : 0;
+    
+    try {
+      serverStreamRef.current = await startStreamingTranscription({
+        languageCode: languageSettings.dictationLanguage,
+        alternativeLanguageCodes: languageSettings.autoDetectLanguage
+          ? getAlternativeLanguages(languageSettings.dictationLanguage)
+          : [],
+        onResult: (result) => {
+          if (result.isFinal && result.languageCode) {
+            setDetectedLanguage(result.languageCode);
+          }
+          
+          if (result.isFinal) {
+            serverFinalTranscriptRef.current = `${serverFinalTranscriptRef.current} ${result.transcript}`.trim();
+            transcriptRef.current = serverFinalTranscriptRef.current;
+            setTranscript(serverFinalTranscriptRef.current);
+            setInterimText("");
+            
+            if (result.segments && result.segments.length > 0) {
+              serverSegmentsRef.current = serverSegmentsRef.current.concat(
+                result.segments.map((segment, index) => ({
+                  ...segment,
+                  id: serverSegmentsRef.current.length + index,
+                  startTime: segment.startTime + timeOffset,
+                  endTime: segment.endTime + timeOffset
+                }))
+              );
+              setTranscriptSegments(serverSegmentsRef.current);
+            }
+          } else {
+            setTranscript(`${serverFinalTranscriptRef.current} ${result.transcript}`.trim());
+            setInterimText(result.transcript);
+          }
+        },
+        onError: (error) => {
+          console.error("Server transcription error:", error);
+        },
+        onEnd: () => {
+          serverStreamRef.current = null;
+          if (serverStreamActiveRef.current) {
+            console.log("Server transcription stream ended unexpectedly. Reconnecting...");
+            startServerStream();
+          }
+        }
+      });
+      console.log("Server transcription started");
+    } catch (error) {
+      console.error("Error starting server transcription:", error);
+      serverStreamActiveRef.current = false;
+      alert(`Server transcription is unavailable: ${error.message}`);
+      
+      if (timerRef.current) {
+        clearInterval(timerRef.current);
+        timerRef.current = null;
+      }
+      setIsRecording(false);
+    }
+  };
+  
+  // Close the server-side transcription stream
+  const stopServerStream = () => {
+    serverStreamActiveRef.current = false;
+    if (serverStreamRef.current) {
+      serverStreamRef.current.stop();
+    }
+  };
+
   // Start recording function with error handling and retry mechanism
   const startRecording = () => {
-    if (!recognitionRef.current) {
+    if (!recognitionRef.current && !useServerTranscription) {
       alert("Speech recognition is not supported in your browser. Please try Chrome, Edge, or Safari.");
       return;
     }
@@ -465,6 +893,14 @@ export default function DictationModal({ isOpen, onClose }) {
     setIsRecording(true);
     setIsPaused(false);
     
+    // A new session replaces any interrupted one
+    if (!draftIdRef.current && !targetNote) {
+      draftIdRef.current = createDraftId();
+      draftAudioClipRef.current = 0;
+    }
+    setInterruptedDraft(null);
+    startAudioCapture();
+    
     // Start the timer
     if (timerRef.current) {
       clearInterval(timerRef.current); // Clear any existing timer
@@ -474,6 +910,14 @@ export default function DictationModal({ isOpen, onClose }) {
       setRecordingTime(prev => prev + 1);
     }, 1000);
     
+    if (useServerTranscription) {
+      startServerStream();
+      return;
+    }
+    
+    // Browser recognition can't detect languages, so it always uses the selected one
+    recognitionRef.current.lang = languageSettings.dictationLanguage;
+    
     // Start speech recognition with error handling
     try {
       recognitionRef.current.start();
@@ -511,6 +955,15 @@ export default function DictationModal({ isOpen, onClose }) {
       timerRef.current = null;
     }
     
+    if (audioRecorderRef.current?.state === 'recording') {
+      audioRecorderRef.current.pause();
+    }
+    
+    if (useServerTranscription) {
+      stopServerStream();
+      return;
+    }
+    
     // Pause speech recognition with error handling
     if (recognitionRef.current) {
       try {
@@ -527,6 +980,13 @@ export default function DictationModal({ isOpen, onClose }) {
   const resumeRecording = () => {
     setIsPaused(false);
     
+    // Resumed drafts have no recorder yet
+    if (audioRecorderRef.current?.state === 'paused') {
+      audioRecorderRef.current.resume();
+    } else {
+      startAudioCapture();
+    }
+    
     // Resume the timer
     if (timerRef.current) {
       clearInterval(timerRef.current); // Clear any existing timer
@@ -536,6 +996,11 @@ export default function DictationModal({ isOpen, onClose }) {
       setRecordingTime(prev => prev + 1);
     }, 1000);
     
+    if (useServerTranscription) {
+      startServerStream();
+      return;
+    }
+    
     // Resume speech recognition with error handling
     if (recognitionRef.current) {
       try {
@@ -566,8 +1031,12 @@ export default function DictationModal({ isOpen, onClose }) {
       timerRef.current = null;
     }
     
+    stopAudioCapture();
+    
     // Stop speech recognition with error handling
-    if (recognitionRef.current) {
+    if (useServerTranscription) {
+      stopServerStream();
+    } else if (recognitionRef.current) {
       try {
         // Ensure we get any final results before stopping
         recognitionRef.current.stop();
@@ -582,7 +1051,12 @@ export default function DictationModal({ isOpen, onClose }) {
     console.log("Final transcript:", transcript);
     
     // Clean up the transcript (remove extra spaces, fix capitalization, etc.)
-    const cleanedTranscript = transcript.trim();
+    // Web Speech text is rebuilt from its committed pieces, so pending interim text and
+    // spoken commands are dropped, and gets vocabulary corrections again in case they
+    // loaded mid-recording
+    const cleanedTranscript = useServerTranscription
+      ? transcript.trim()
+      : applyVocabularyCorrections(joinTranscriptPieces(transcriptPiecesRef.current), correctionRulesRef.current).trim();
     
     // Only update if there are changes to avoid unnecessary re-renders
     if (cleanedTranscript !== transcript) {
@@ -602,8 +1076,88 @@ export default function DictationModal({ isOpen, onClose }) {
     setNoteTitle(`${patientName ? patientName + " - " : ""}${templateName} ${currentDate} ${timeStr}`);
   };
   
-  // Save note function
-  const saveNote = async () => {
+  // Spoken "pause dictation" and "stop and generate" commands
+  voiceCommandHandlerRef.current = (action) => {
+    if (action === 'pause') {
+      pauseRecording();
+    } else if (action === 'stopAndGenerate') {
+      setGenerateAfterStop(true);
+      stopRecording();
+    }
+  };
+  
+  // Swap the clinician and patient labels when diarization guessed them the wrong way round
+  const swapSpeakers = () => {
+    const swapped = serverSegmentsRef.current.map(segment => ({
+      ...segment,
+      speaker: segment.speaker === 'clinician' ? 'patient' : segment.speaker === 'patient' ? 'clinician' : segment.speaker
+    }));
+    serverSegmentsRef.current = swapped;
+    setTranscriptSegments(swapped);
+  };
+  
+  // Generate the note, showing each section as soon as it is written; it is
+  // saved from the preview once reviewed
+  const generateNote = async () => {
+    const generation = new AbortController();
+    generationAbortRef.current = generation;
+    setIsGenerating(true);
+    setSoapPreview({});
+    
+    let soapData;
+    try {
+      soapData = await streamSoapNote(transcript, {
+        template: selectedTemplate,
+        patientInfo: selectedPatient,
+        visitType: visitType || undefined,
+        segments: transcriptSegments.length > 0 ? transcriptSegments : undefined,
+        outputLanguage: languageSettings.noteLanguage
+      }, {
+        signal: generation.signal,
+        onSection: (section, text) => setSoapPreview(current => ({ ...current, [section]: text }))
+      });
+    } catch (error) {
+      // Cancelling already went back to the transcript
+      if (error.name !== 'AbortError') {
+        console.error("Error generating note:", error);
+        alert(`There was an error generating your note: ${error.message}. Please try again.`);
+        setSoapPreview(null);
+      }
+      return;
+    } finally {
+      generationAbortRef.current = null;
+      setIsGenerating(false);
+    }
+    
+    setSoapPreview(soapData);
+  };
+  
+  // Rewrite one section of the generated note; the other sections stay as they are
+  const regenerateSection = async (section, instruction) => {
+    const result = await regenerateSoapSection(soapPreview.rawTranscription || transcript, section, soapPreview, instruction, {
+      patientInfo: selectedPatient,
+      segments: transcriptSegments.length > 0 ? transcriptSegments : undefined,
+      outputLanguage: languageSettings.noteLanguage
+    });
+    
+    setSoapPreview(current => ({
+      ...current,
+      [section]: result.text,
+      attributions: { ...current.attributions, [section]: result.attributions },
+      verification: result.verification,
+      medicationOrders: result.medicationOrders,
+      vitalSigns: result.vitalSigns
+    }));
+  };
+  
+  // Stop generating and go back to the transcript
+  const cancelGeneration = () => {
+    generationAbortRef.current?.abort();
+    setSoapPreview(null);
+  };
+  
+  // Save a generated note; on failure the preview stays so saving can be retried
+  const persistNote = async (soapData) => {
     try {
       // Show loading state
       setIsSaving(true);
@@ -616,11 +1170,16 @@ export default function DictationModal({ isOpen, onClose }) {
         template: selectedTemplate,
         templateName: selectedTemplateObj?.name || 'Default Template',
         transcript,
+        transcriptSegments: transcriptSegments.length > 0 ? transcriptSegments : undefined,
+        noteLanguage: languageSettings.noteLanguage,
         recordingTime,
+        soapData,
         timestamp: new Date().toISOString()
       });
       
       console.log('Note saved successfully:', savedNote);
+      await uploadRecording(savedNote?.id);
+      discardDraft();
       
       // Close the modal
       onClose();
@@ -632,6 +1191,43 @@ export default function DictationModal({ isOpen, onClose }) {
     }  
   };
   
+  // Merge the dictation into the chosen section of the note being edited
+  const saveIntoSection = async () => {
+    try {
+      setIsSaving(true);
+      
+      const result = await refineNoteSection(targetNote.id, {
+        section: targetSection,
+        mode: mergeMode,
+        transcript,
+        noteLanguage: languageSettings.noteLanguage
+      });
+      
+      console.log('Note section updated:', result.section);
+      if (onSectionSaved) {
+        onSectionSaved(result);
+      }
+      onClose();
+    } catch (error) {
+      console.error("Error updating note section:", error);
+      alert(`There was an error updating your note: ${error.message}. Please try again.`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  // Save and generate the note once "stop and generate" has finished stopping
+  useEffect(() => {
+    if (recordingFinished && generateAfterStop) {
+      setGenerateAfterStop(false);
+      if (targetNote) {
+        saveIntoSection();
+      } else {
+        generateNote();
+      }
+    }
+  }, [recordingFinished, generateAfterStop]);
+  
   // Format recording time as MM:SS
   const formatTime = (timeInSeconds) => {
     const minutes = Math.floor(timeInSeconds / 60);
@@ -639,6 +1235,66 @@ export default function DictationModal({ isOpen, onClose }) {
     return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   };
 
+  // Section and merge mode pickers for dictating into targetNote
+  const renderSectionTarget = () => {
+    const currentText = targetNote.content?.[targetSection];
+    
+    return (
+      <div className="space-y-3">
+        <div>
+          <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+            <PenLine size={16} className="mr-1 text-royal" />
+            Section
+          </label>
+          <div className="grid grid-cols-4 gap-1">
+            {(targetNote.sections || DEFAULT_SECTIONS).filter(isTextSection).map(section => (
+              <button
+                key={section.key}
+                type="button"
+                onClick={() => setTargetSection(section.key)}
+                className={`px-2 py-1.5 text-sm rounded-md border transition-colors ${
+                  targetSection === section.key
+                    ? 'bg-royal text-white border-royal'
+                    : 'border-gray-200 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {section.name}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Dictation</label>
+          <div className="grid grid-cols-2 gap-2">
+            {MERGE_MODES.map(mode => (
+              <button
+                key={mode.value}
+                type="button"
+                onClick={() => setMergeMode(mode.value)}
+                className={`p-2 text-left rounded-lg border transition-colors ${
+                  mergeMode === mode.value ? 'border-royal bg-royal/5' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <span className="block text-sm font-medium text-gray-800">{mode.label}</span>
+                <span className="block text-xs text-gray-500">{mode.description}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        {currentText && (
+          <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg max-h-28 overflow-y-auto">
+            <h3 className="text-xs font-medium text-gray-700 mb-1">Current text</h3>
+            <p className={`whitespace-pre-wrap text-sm ${mergeMode === 'replace' ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+              {currentText}
+            </p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -654,7 +1310,9 @@ export default function DictationModal({ isOpen, onClose }) {
         <div className="relative z-10 p-5 overflow-y-auto">
           {/* Header */}
           <div className="flex justify-between items-center mb-4">
-            <h2 className="text-xl font-semibold text-gray-800">Voice Dictation</h2>
+            <h2 className="text-xl font-semibold text-gray-800 truncate">
+              {targetNote ? `Dictate into ${targetNote.title}` : 'Voice Dictation'}
+            </h2>
             <button 
               type="button" 
               className="p-1 rounded-full hover:bg-gray-100"
@@ -667,28 +1325,78 @@ export default function DictationModal({ isOpen, onClose }) {
           {/* Pre-recording options */}
           {!isRecording && !recordingFinished && (
             <div className="mb-6 space-y-4">
-              {/* Template selector */}
-              <div className="mb-4">
-                <div className="flex items-center justify-between">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
-                  <button 
-                    type="button"
-                    onClick={() => setShowTemplateSelector(!showTemplateSelector)}
-                    className="text-xs text-blue-600 hover:text-blue-800"
-                  >
-                    {showTemplateSelector ? 'Hide' : 'Change'}
-                  </button>
+              {/* Interrupted session */}
+              {interruptedDraft && (
+                <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start">
+                    <History size={18} className="mr-2 mt-0.5 text-amber-700 flex-shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-amber-900">
+                        Unfinished dictation{interruptedDraft.fromAnotherDevice ? ' from another device' : ''}
+                      </p>
+                      <p className="text-xs text-amber-800">
+                        {formatTime(interruptedDraft.recordingTime)} recorded
+                        {interruptedDraft.updatedAt && ` · last saved ${new Date(interruptedDraft.updatedAt).toLocaleString()}`}
+                      </p>
+                      {interruptedDraft.transcript && (
+                        <p className="text-xs text-gray-600 mt-1 truncate">{interruptedDraft.transcript}</p>
+                      )}
+                      <div className="flex items-center space-x-2 mt-2">
+                        <button
+                          type="button"
+                          onClick={resumeDraft}
+                          className="px-3 py-1.5 text-sm bg-royal text-white rounded-md hover:bg-royal-700 transition-colors"
+                        >
+                          Resume
+                        </button>
+                        <button
+                          type="button"
+                          onClick={discardInterruptedDraft}
+                          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-100 transition-colors text-gray-700"
+                        >
+                          Discard
+                        </button>
+                        {interruptedDraft.audioClips > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => downloadDraftAudio(interruptedDraft)}
+                            className="text-xs text-royal hover:text-royal-700"
+                          >
+                            Download audio
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
                 </div>
+              )}
+              
+              {/* Section target, when dictating into an existing note */}
+              {targetNote && renderSectionTarget()}
+              
+              {/* Template selector */}
+              {!targetNote && (
+                <div className="mb-4">
+                  <div className="flex items-center justify-between">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+                    <button 
+                      type="button"
+                      onClick={() => setShowTemplateSelector(!showTemplateSelector)}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      {showTemplateSelector ? 'Hide' : 'Change'}
+                    </button>
+                  </div>
                 
-                {templateError && (
-                  <div className="mb-2 p-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md">
-                    <div className="flex items-center">
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                      </svg>
-                      {templateError}
+                  {templateError && (
+                    <div className="mb-2 p-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md">
+                      <div className="flex items-center">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                        </svg>
+                        {templateError}
+                      </div>
                     </div>
-                  </div>
                 )}
                 
                 {isLoadingTemplates ? (
@@ -726,35 +1434,55 @@ export default function DictationModal({ isOpen, onClose }) {
                   </div>
                 )}
               </div>
+              )}
+              
+              {/* Visit type */}
+              {!targetNote && (
+                <div className="mb-4">
+                  <label htmlFor="visit-type" className="block text-sm font-medium text-gray-700 mb-1">Visit type</label>
+                  <select
+                    id="visit-type"
+                    value={visitType}
+                    onChange={(e) => setVisitType(e.target.value)}
+                    className="w-full p-2 border rounded-md text-sm"
+                  >
+                    <option value="">Not specified</option>
+                    {VISIT_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               
               {/* Patient Selector */}
-              <div>
-                <div 
-                  className="flex items-center justify-between p-3 bg-gray-100 rounded-lg cursor-pointer"
-                  onClick={() => setShowPatientSelector(!showPatientSelector)}
-                >
-                  <div className="flex items-center">
-                    <User size={18} className="mr-2 text-royal" />
-                    <span>
-                      {selectedPatient ? `Patient: ${selectedPatient.name}` : "Select Patient (Optional)"}
-                    </span>
+              {!targetNote && (
+                <div>
+                  <div 
+                    className="flex items-center justify-between p-3 bg-gray-100 rounded-lg cursor-pointer"
+                    onClick={() => setShowPatientSelector(!showPatientSelector)}
+                  >
+                    <div className="flex items-center">
+                      <User size={18} className="mr-2 text-royal" />
+                      <span>
+                        {selectedPatient ? `Patient: ${selectedPatient.name}` : "Select Patient (Optional)"}
+                      </span>
+                    </div>
+                    <ChevronDown size={18} className={`transition-transform ${showPatientSelector ? 'rotate-180' : ''}`} />
                   </div>
-                  <ChevronDown size={18} className={`transition-transform ${showPatientSelector ? 'rotate-180' : ''}`} />
-                </div>
                 
-                {showPatientSelector && (
-                  <div className="mt-2 border border-gray-200 rounded-lg overflow-hidden">
-                    {/* Option to clear selection */}
-                    {selectedPatient && (
-                      <div 
-                        className="p-3 cursor-pointer hover:bg-gray-100 border-b border-gray-200"
-                        onClick={() => {
-                          setSelectedPatient(null);
-                          setShowPatientSelector(false);
-                        }}
-                      >
-                        <span className="text-gray-500">No patient (clear selection)</span>
-                      </div>
+                  {showPatientSelector && (
+                    <div className="mt-2 border border-gray-200 rounded-lg overflow-hidden">
+                      {/* Option to clear selection */}
+                      {selectedPatient && (
+                        <div 
+                          className="p-3 cursor-pointer hover:bg-gray-100 border-b border-gray-200"
+                          onClick={() => {
+                            setSelectedPatient(null);
+                            setShowPatientSelector(false);
+                          }}
+                        >
+                          <span className="text-gray-500">No patient (clear selection)</span>
+                        </div>
                     )}
                     
                     {patients.map(patient => (
@@ -776,6 +1504,7 @@ export default function DictationModal({ isOpen, onClose }) {
                   </div>
                 )}
               </div>
+              )}
               
               {/* Settings */}
               <div>
@@ -793,14 +1522,40 @@ export default function DictationModal({ isOpen, onClose }) {
                 {showSettings && (
                   <div className="mt-2 p-3 border border-gray-200 rounded-lg">
                     <div className="flex items-center justify-between mb-2">
-                      <span className="text-sm">Language</span>
-                      <select className="bg-gray-100 border border-gray-200 rounded px-2 py-1 text-sm">
-                        <option value="en-US">English (US)</option>
-                        <option value="en-GB">English (UK)</option>
-                        <option value="es-ES">Spanish</option>
-                        <option value="fr-FR">French</option>
+                      <span className="text-sm">Dictation language</span>
+                      <select
+                        value={languageSettings.dictationLanguage}
+                        onChange={(e) => updateLanguageSetting('dictationLanguage', e.target.value)}
+                        className="bg-gray-100 border border-gray-200 rounded px-2 py-1 text-sm"
+                      >
+                        {DICTATION_LANGUAGES.map(language => (
+                          <option key={language.code} value={language.code}>{language.label}</option>
+                        ))}
                       </select>
                     </div>
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm">Note language</span>
+                      <select
+                        value={languageSettings.noteLanguage}
+                        onChange={(e) => updateLanguageSetting('noteLanguage', e.target.value)}
+                        className="bg-gray-100 border border-gray-200 rounded px-2 py-1 text-sm"
+                      >
+                        {NOTE_LANGUAGES.map(language => (
+                          <option key={language.code} value={language.code}>{language.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {useServerTranscription && (
+                      <div className="flex items-center justify-between mb-2">
+                        <span className="text-sm">Detect other languages</span>
+                        <input
+                          type="checkbox"
+                          checked={languageSettings.autoDetectLanguage}
+                          onChange={(e) => updateLanguageSetting('autoDetectLanguage', e.target.checked)}
+                          className="accent-royal"
+                        />
+                      </div>
+                    )}
                     <div className="flex items-center justify-between">
                       <span className="text-sm">Auto-pause after silence</span>
                       <select className="bg-gray-100 border border-gray-200 rounded px-2 py-1 text-sm">
@@ -826,6 +1581,11 @@ export default function DictationModal({ isOpen, onClose }) {
                 {isRecording 
                   ? (isPaused ? "Paused" : "Recording...") 
                   : "Recording complete"}
+                {isRecording && useServerTranscription && (
+                  <span className="ml-1 text-xs text-gray-400">
+                    (server transcription{detectedLanguage ? `, ${detectedLanguage}` : ''})
+                  </span>
+                )}
               </div>
             </div>
           )}
@@ -882,84 +1642,129 @@ export default function DictationModal({ isOpen, onClose }) {
           {isRecording && transcript && showTranscriptPreview && (
             <div className="mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50 max-h-28 overflow-y-auto">
               <h3 className="text-xs font-medium text-gray-700 mb-1">Live Transcription</h3>
-              <p className="text-sm">{transcript || "Listening..."}</p>
+              {transcriptSegments.length > 0 ? (
+                <ConversationTranscript segments={transcriptSegments} interimText={interimText} />
+              ) : (
+                <p className="whitespace-pre-wrap text-sm">{transcript || "Listening..."}</p>
+              )}
             </div>
           )}
           
+          {/* Generated note, filled in section by section */}
+          {recordingFinished && soapPreview && (
+            <SoapNotePreview
+              soapData={soapPreview}
+              noteTitle={noteTitle}
+              onTitleChange={setNoteTitle}
+              onSave={() => persistNote(soapPreview)}
+              onCancel={() => setSoapPreview(null)}
+              recordingTime={recordingTime}
+              isSaving={isSaving}
+              isGenerating={isGenerating}
+              onCancelGeneration={cancelGeneration}
+              onRegenerateSection={regenerateSection}
+              transcript={soapPreview.rawTranscription || transcript}
+              sections={selectedTemplateObj?.structure?.sections}
+            />
+          )}
+          
           {/* Save Options (after recording) */}
-          {recordingFinished && (
+          {recordingFinished && !soapPreview && (
             <div className="mb-4 space-y-3">
-              <div className="md:grid md:grid-cols-2 md:gap-3 space-y-3 md:space-y-0">
-                {/* Note Type Display */}
-                <div>
-                  <div className="flex items-center justify-between mb-1">
-                    <label className="block text-sm font-medium text-gray-700">Template</label>
-                  </div>
-                  <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg flex items-center">
-                    <FileText size={16} className="mr-2 text-royal flex-shrink-0" />
-                    <div className="overflow-hidden">
-                      <span className="text-gray-800 text-sm truncate block">
-                        {selectedTemplateObj?.name || templates.find(t => t.id === selectedTemplate)?.name || 'Default Template'}
-                      </span>
-                      {selectedTemplateObj?.specialty && (
-                        <span className="text-xs text-royal">
-                          {selectedTemplateObj.specialty}
-                        </span>
-                      )}
+              {targetNote ? renderSectionTarget() : (
+                <>
+                  <div className="md:grid md:grid-cols-2 md:gap-3 space-y-3 md:space-y-0">
+                    {/* Note Type Display */}
+                    <div>
+                      <div className="flex items-center justify-between mb-1">
+                        <label className="block text-sm font-medium text-gray-700">Template</label>
+                      </div>
+                      <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg flex items-center">
+                        <FileText size={16} className="mr-2 text-royal flex-shrink-0" />
+                        <div className="overflow-hidden">
+                          <span className="text-gray-800 text-sm truncate block">
+                            {selectedTemplateObj?.name || templates.find(t => t.id === selectedTemplate)?.name || 'Default Template'}
+                          </span>
+                          {selectedTemplateObj?.specialty && (
+                            <span className="text-xs text-royal">
+                              {selectedTemplateObj.specialty}
+                            </span>
+                          )}
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
                 
-                {/* Patient Display */}
-                <div>
-                  <div className="flex items-center justify-between mb-1">
-                    <label className="block text-sm font-medium text-gray-700">Patient</label>
-                  </div>
-                  <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg flex items-center">
-                    <User size={16} className="mr-2 text-royal flex-shrink-0" />
-                    {selectedPatient ? (
-                      <div className="overflow-hidden">
-                        <span className="text-gray-800 text-sm truncate block">{selectedPatient.name}</span>
-                        {selectedPatient.dob && (
-                          <span className="text-xs text-gray-500">
-                            DOB: {new Date(selectedPatient.dob).toLocaleDateString()}
-                          </span>
+                    {/* Patient Display */}
+                    <div>
+                      <div className="flex items-center justify-between mb-1">
+                        <label className="block text-sm font-medium text-gray-700">Patient</label>
+                      </div>
+                      <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg flex items-center">
+                        <User size={16} className="mr-2 text-royal flex-shrink-0" />
+                        {selectedPatient ? (
+                          <div className="overflow-hidden">
+                            <span className="text-gray-800 text-sm truncate block">{selectedPatient.name}</span>
+                            {selectedPatient.dob && (
+                              <span className="text-xs text-gray-500">
+                                DOB: {new Date(selectedPatient.dob).toLocaleDateString()}
+                              </span>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="text-gray-500 text-sm">No patient selected</span>
                         )}
                       </div>
-                    ) : (
-                      <span className="text-gray-500 text-sm">No patient selected</span>
-                    )}
+                    </div>
                   </div>
-                </div>
-              </div>
               
-              {/* Note Title */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Note Title</label>
-                <input
-                  type="text"
-                  value={noteTitle}
-                  onChange={(e) => setNoteTitle(e.target.value)}
-                  placeholder="Enter a title for your note"
-                  className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
-                />
-              </div>
+                  {/* Note Title */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Note Title</label>
+                    <input
+                      type="text"
+                      value={noteTitle}
+                      onChange={(e) => setNoteTitle(e.target.value)}
+                      placeholder="Enter a title for your note"
+                      className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+                    />
+                  </div>
+                </>
+              )}
               
               {/* Transcript */}
               <div>
                 <div className="flex items-center justify-between mb-1">
                   <label className="block text-sm font-medium text-gray-700">Transcript</label>
-                  <span className="text-xs text-gray-500">{formatTime(recordingTime)} recorded</span>
+                  <div className="flex items-center space-x-3">
+                    {transcriptSegments.length > 0 && (
+                      <button
+                        type="button"
+                        onClick={swapSpeakers}
+                        className="flex items-center text-xs text-royal hover:text-royal-700"
+                      >
+                        <ArrowLeftRight size={12} className="mr-1" />
+                        Swap speakers
+                      </button>
+                    )}
+                    <span className="text-xs text-gray-500">{formatTime(recordingTime)} recorded</span>
+                  </div>
                 </div>
-                <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg max-h-32 overflow-y-auto">
-                  <p className="whitespace-pre-wrap text-sm">{transcript || "No transcription available."}</p>
+                <div className="p-2 bg-gray-50 border border-gray-200 rounded-lg max-h-48 overflow-y-auto">
+                  {transcriptSegments.length > 0 ? (
+                    <ConversationTranscript segments={transcriptSegments} />
+                  ) : (
+                    <p className="whitespace-pre-wrap text-sm">{transcript || "No transcription available."}</p>
+                  )}
                 </div>
               </div>
               
               {/* Action Buttons */}
               <div className="flex items-center justify-between pt-2">
                 <button
-                  onClick={onClose}
+                  onClick={() => {
+                    discardDraft();
+                    onClose();
+                  }}
                   className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
                 >
                   Cancel
@@ -970,6 +1775,14 @@ export default function DictationModal({ isOpen, onClose }) {
                     onClick={() => {
                       setRecordingFinished(false);
                       setTranscript("");
+                      transcriptPiecesRef.current = [];
+                      recordingChunksRef.current = [];
+                      discardDraft();
+                      serverFinalTranscriptRef.current = "";
+                      serverSegmentsRef.current = [];
+                      setTranscriptSegments([]);
+                      setDetectedLanguage(null);
+                      setInterimText("");
                       setRecordingTime(0);
                     }}
                     className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
@@ -978,8 +1791,8 @@ export default function DictationModal({ isOpen, onClose }) {
                   </button>
                   
                   <button
-                    onClick={saveNote}
-                    disabled={isSaving}
+                    onClick={targetNote ? saveIntoSection : generateNote}
+                    disabled={isSaving || (targetNote && !transcript.trim())}
                     className="px-4 py-2 bg-royal hover:bg-royal-700 rounded-lg transition-colors flex items-center text-white disabled:opacity-70 disabled:cursor-not-allowed"
                   >
                     {isSaving ? (
@@ -989,8 +1802,8 @@ export default function DictationModal({ isOpen, onClose }) {
                       </>
                     ) : (
                       <>
-                        <Save size={16} className="mr-1" />
-                        Save
+                        {targetNote ? <Save size={16} className="mr-1" /> : <FileText size={16} className="mr-1" />}
+                        {targetNote ? 'Update section' : 'Generate note'}
                       </>
                     )}
                   </button>
@@ -133,6 +133,21 @@ export default function MobileNav({ user }) {
                     All Notes
                   </Link>
                   
+                  <Link 
+                    href="/templates" 
+                    onClick={toggleMenu}
+                    className={`flex items-center px-4 py-3 rounded-md ${
+                      isActive("/templates") 
+                        ? "bg-blue-50 text-blue-700" 
+                        : "text-gray-700 hover:bg-gray-100"
+                    }`}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5a1 1 0 011-1h14a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1V5zM4 15a1 1 0 011-1h6a1 1 0 011 1v4a1 1 0 01-1 1H5a1 1 0 01-1-1v-4zM16 15a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 01-1 1h-2a1 1 0 01-1-1v-4z" />
+                    </svg>
+                    Templates
+                  </Link>
+                  
                   <Link 
                     href="/settings" 
                     onClick={toggleMenu}
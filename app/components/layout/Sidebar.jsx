@@ -4,7 +4,7 @@ import Link from "next/link";
 import { useState } from "react";
 import { usePathname } from "next/navigation";
 import { signOutAction } from "../../actions";
-import { LayoutDashboard, Mic, FileText, Settings, CreditCard, LogOut, Stethoscope } from "lucide-react";
+import { LayoutDashboard, Mic, FileText, LayoutTemplate, Settings, CreditCard, LogOut, Stethoscope } from "lucide-react";
 import DictationModal from "../dictation/DictationModal";
 
 /**
@@ -74,6 +74,18 @@ export default function Sidebar({ user }) {
             All Notes
           </Link>
           
+          <Link 
+            href="/templates" 
+            className={`flex items-center px-3 py-2.5 rounded-lg ${
+              isActive("/templates") 
+                ? "bg-royal text-white" 
+                : "text-white/80 hover:bg-shadow-200 transition-colors"
+            }`}
+          >
+            <LayoutTemplate className="h-5 w-5 mr-3" />
+            Templates
+          </Link>
+          
           <Link 
             href="/settings" 
             className={`flex items-center px-3 py-2.5 rounded-lg ${
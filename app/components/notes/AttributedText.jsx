@@ -0,0 +1,48 @@
+"use client";
+
+import { getSectionAttributions } from '../../utils/attributions';
+
+/**
+ * AttributedText component
+ * Shows a SOAP section sentence by sentence. Hovering a sentence reports its
+ * supporting transcript spans through onHighlight (null when the pointer
+ * leaves); sentences with no support are marked for review.
+ * Falls back to plain text when the section has no usable attributions.
+ */
+export default function AttributedText({ text = '', attributions, onHighlight }) {
+  const sentences = getSectionAttributions(text, attributions);
+
+  if (!sentences) {
+    return <p className="whitespace-pre-wrap">{text}</p>;
+  }
+
+  const parts = [];
+  let cursor = 0;
+
+  sentences.forEach((sentence, index) => {
+    if (sentence.start > cursor) {
+      parts.push(<span key={`gap-${index}`}>{text.slice(cursor, sentence.start)}</span>);
+    }
+
+    parts.push(
+      <span
+        key={index}
+        onMouseEnter={() => onHighlight?.(sentence.spans)}
+        onMouseLeave={() => onHighlight?.(null)}
+        title={sentence.supported ? undefined : 'Nothing in the transcript supports this sentence. Check it before signing.'}
+        className={sentence.supported
+          ? 'rounded cursor-help hover:bg-royal/10'
+          : 'rounded cursor-help bg-amber-50 underline decoration-wavy decoration-amber-500 hover:bg-amber-100'}
+      >
+        {sentence.text}
+      </span>
+    );
+    cursor = sentence.end;
+  });
+
+  if (cursor < text.length) {
+    parts.push(<span key="end">{text.slice(cursor)}</span>);
+  }
+
+  return <p className="whitespace-pre-wrap">{parts}</p>;
+}
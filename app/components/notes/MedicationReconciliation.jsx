@@ -0,0 +1,172 @@
+"use client";
+
+import { useState } from 'react';
+import { Pill, Check } from 'lucide-react';
+import { getMedicationReconciliation, confirmMedicationReconciliation } from '../../services/transcriptionService';
+
+const CHANGE_STYLES = {
+  add: { label: 'Add', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Update', className: 'bg-yellow-100 text-yellow-800' },
+  remove: { label: 'Remove', className: 'bg-red-100 text-red-800' },
+  keep: { label: 'No change', className: 'bg-gray-100 text-gray-600' }
+};
+
+/**
+ * MedicationReconciliation component
+ * Compares the medication orders in a note with the patient's medication
+ * list. Proposed changes are checked by default; the patient's record is
+ * only updated when the clinician confirms the checked ones.
+ */
+export default function MedicationReconciliation({ noteId }) {
+  const [reconciliation, setReconciliation] = useState(null); // { items, hasPatient, ... } once loaded
+  const [selected, setSelected] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [savedMedications, setSavedMedications] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadReconciliation = async () => {
+    setIsLoading(true);
+    setError(null);
+    setSavedMedications(null);
+    try {
+      const result = await getMedicationReconciliation(noteId);
+      setReconciliation(result);
+      setSelected(new Set(result.items.map((item, index) => (item.change === 'keep' ? null : index)).filter(index => index !== null)));
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleItem = (index) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const confirmChanges = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const accepted = reconciliation.items.filter((item, index) => selected.has(index));
+      const result = await confirmMedicationReconciliation(noteId, accepted);
+      setSavedMedications(result.patientMedications);
+      setReconciliation(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const items = reconciliation?.items || [];
+  const hasChanges = items.some(item => item.change !== 'keep');
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-royal">Medications</h2>
+        <button
+          type="button"
+          onClick={loadReconciliation}
+          disabled={isLoading}
+          className="flex items-center text-sm text-gray-500 hover:text-royal transition-colors disabled:opacity-50"
+        >
+          <Pill size={16} className="mr-1" />
+          {isLoading ? 'Comparing...' : 'Reconcile with patient record'}
+        </button>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        {!reconciliation && !savedMedications && (
+          <p className="text-sm text-gray-400">
+            Compare the medications in this note with the patient&apos;s medication list.
+          </p>
+        )}
+
+        {savedMedications && (
+          <div className="text-sm">
+            <p className="flex items-center text-green-700 mb-1">
+              <Check size={14} className="mr-1" />
+              Patient record updated
+            </p>
+            {savedMedications.length === 0 ? (
+              <p className="text-gray-500">No medications on record.</p>
+            ) : (
+              <ul className="list-disc list-inside text-gray-700">
+                {savedMedications.map(entry => <li key={entry}>{entry}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {reconciliation && !reconciliation.hasPatient && (
+          <p className="text-sm text-gray-500">This note has no patient, so there is no record to reconcile.</p>
+        )}
+
+        {reconciliation && reconciliation.hasPatient && (
+          <>
+            {items.length === 0 ? (
+              <p className="text-sm text-gray-500">No medications in the note or on the patient&apos;s record.</p>
+            ) : (
+              <ul className="space-y-2">
+                {items.map((item, index) => {
+                  const style = CHANGE_STYLES[item.change];
+                  return (
+                    <li key={`${item.drug}-${index}`} className="flex items-start text-sm">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(index)}
+                        onChange={() => toggleItem(index)}
+                        disabled={item.change === 'keep' || isSaving}
+                        className="mt-1 mr-2"
+                        aria-label={`${style.label} ${item.drug}`}
+                      />
+                      <div className="flex-1">
+                        <span className={`inline-block px-1.5 py-0.5 mr-2 rounded text-xs font-medium ${style.className}`}>
+                          {style.label}
+                        </span>
+                        {item.change === 'update' ? (
+                          <>
+                            <span className="line-through text-gray-400 mr-1">{item.current}</span>
+                            <span>{item.proposed}</span>
+                          </>
+                        ) : (
+                          <span>{item.proposed || item.current || item.drug}</span>
+                        )}
+                        <p className="text-xs text-gray-500">{item.reason}</p>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {hasChanges && (
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={confirmChanges}
+                  disabled={isSaving || selected.size === 0}
+                  className="px-3 py-1.5 text-sm bg-royal text-white rounded-lg hover:bg-royal-700 transition-colors disabled:opacity-50"
+                >
+                  {isSaving ? 'Updating...' : 'Update patient record'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
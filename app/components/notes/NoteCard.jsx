@@ -1,8 +1,17 @@
 "use client";
 
 import { useState } from 'react';
-import { Calendar, Clock, User, Tag, FileText, MoreVertical, Edit, Download, Trash, Share2 } from 'lucide-react';
+import { Calendar, Clock, User, Tag, FileText, MoreVertical, Edit, Download, Trash, Share2, Mic, AlertTriangle } from 'lucide-react';
 import NoteEditor from './NoteEditor';
+import SectionValue from './SectionValue';
+import SourceTranscript from './SourceTranscript';
+import VerificationFindings from './VerificationFindings';
+import VitalSigns from './VitalSigns';
+import NoteCodes from './NoteCodes';
+import MedicationReconciliation from './MedicationReconciliation';
+import DictationModal from '../dictation/DictationModal';
+import { countUnsupportedSentences } from '../../utils/attributions';
+import { DEFAULT_SECTIONS, isTextSection } from '../../utils/noteSections';
 
 /**
  * NoteCard component
@@ -12,6 +21,8 @@ export default function NoteCard({ note }) {
   const [menuOpen, setMenuOpen] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [currentNote, setCurrentNote] = useState(note);
+  const [dictationSection, setDictationSection] = useState(null); // Text section being dictated into
+  const [highlight, setHighlight] = useState(null); // Transcript spans of the hovered sentence
   
   if (!currentNote) return null;
   
@@ -42,6 +53,37 @@ export default function NoteCard({ note }) {
     setIsEditing(false);
   };
   
+  // Show a section rewritten by dictation; the server has already saved it
+  // (and dropped the section's attributions, which no longer apply)
+  const handleSectionSaved = ({ section, text }) => {
+    setCurrentNote(prev => ({
+      ...prev,
+      content: { ...prev.content, [section]: text },
+      attributions: prev.attributions ? { ...prev.attributions, [section]: null } : prev.attributions
+    }));
+  };
+  
+  const hasSourceTranscript = Boolean(currentNote.transcript && currentNote.attributions);
+  const unsupportedCount = countUnsupportedSentences(currentNote.content, currentNote.attributions);
+  
+  // Section heading; text sections have a button to dictate into them
+  const renderSectionHeading = (section) => (
+    <div className="flex items-center justify-between mb-2">
+      <h2 className="text-lg font-semibold text-royal">{section.name}</h2>
+      {isTextSection(section) && (
+        <button
+          type="button"
+          onClick={() => setDictationSection(section.key)}
+          className="flex items-center text-sm text-gray-500 hover:text-royal transition-colors"
+          aria-label={`Dictate into ${section.name}`}
+        >
+          <Mic size={16} className="mr-1" />
+          Dictate
+        </button>
+      )}
+    </div>
+  );
+  
   // Render the note card
   const renderNoteCard = () => (
     <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
@@ -146,34 +188,52 @@ export default function NoteCard({ note }) {
       <div className="p-6">
         {/* If SOAP note, display structured content */}
         {currentNote.type === 'SOAP Note' && currentNote.content && (
-          <div className="space-y-6">
-            <div>
-              <h2 className="text-lg font-semibold mb-2 text-royal">Subjective</h2>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <p className="whitespace-pre-wrap">{currentNote.content.subjective}</p>
-              </div>
-            </div>
-            
-            <div>
-              <h2 className="text-lg font-semibold mb-2 text-royal">Objective</h2>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <p className="whitespace-pre-wrap">{currentNote.content.objective}</p>
-              </div>
-            </div>
-            
-            <div>
-              <h2 className="text-lg font-semibold mb-2 text-royal">Assessment</h2>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <p className="whitespace-pre-wrap">{currentNote.content.assessment}</p>
-              </div>
+          <div className={hasSourceTranscript ? 'lg:grid lg:grid-cols-3 lg:gap-6' : ''}>
+            <div className="space-y-6 lg:col-span-2">
+              {unsupportedCount > 0 && (
+                <div className="flex items-start p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                  <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+                  {unsupportedCount === 1 ? '1 sentence is' : `${unsupportedCount} sentences are`} not supported by the transcript and may be inaccurate. Check the underlined text before signing.
+                </div>
+              )}
+              
+              <VerificationFindings verification={currentNote.verification} />
+              
+              {(currentNote.sections || DEFAULT_SECTIONS).map(section => (
+                <div key={section.key}>
+                  {renderSectionHeading(section)}
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <SectionValue
+                      section={section}
+                      value={currentNote.content[section.key]}
+                      attributions={currentNote.attributions?.[section.key]}
+                      onHighlight={setHighlight}
+                    />
+                  </div>
+                </div>
+              ))}
+              
+              <VitalSigns vitalSigns={currentNote.vitalSigns} patientId={currentNote.patientId} />
+              
+              <NoteCodes
+                noteId={currentNote.id}
+                codes={currentNote.codes}
+                onChange={(codes) => setCurrentNote(prev => ({ ...prev, codes }))}
+              />
+
+              <MedicationReconciliation noteId={currentNote.id} />
             </div>
             
-            <div>
-              <h2 className="text-lg font-semibold mb-2 text-royal">Plan</h2>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <p className="whitespace-pre-wrap">{currentNote.content.plan}</p>
-              </div>
-            </div>
+            {/* Transcript, highlighting the source of the hovered sentence */}
+            {hasSourceTranscript && (
+              <aside className="mt-6 lg:mt-0 lg:sticky lg:top-6 self-start">
+                <h2 className="text-lg font-semibold text-royal mb-2">Transcript</h2>
+                <div className="bg-white border border-gray-200 p-4 rounded-lg max-h-[70vh] overflow-y-auto">
+                  <SourceTranscript transcript={currentNote.transcript} highlight={highlight} />
+                </div>
+                <p className="text-xs text-gray-500 mt-2">Hover over a sentence of the note to see where it came from.</p>
+              </aside>
+            )}
           </div>
         )}
         
@@ -218,6 +278,17 @@ export default function NoteCard({ note }) {
           onSave={handleSaveEdit} 
         />
       )}
+      
+      {/* Dictate into a section */}
+      {dictationSection && (
+        <DictationModal
+          isOpen
+          onClose={() => setDictationSection(null)}
+          targetNote={currentNote}
+          initialSection={dictationSection}
+          onSectionSaved={handleSectionSaved}
+        />
+      )}
     </>
   );
 }
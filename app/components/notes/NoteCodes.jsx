@@ -0,0 +1,223 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Plus, X, Sparkles, Search } from 'lucide-react';
+import { searchCodes, suggestNoteCodes, updateNoteCodes } from '../../services/transcriptionService';
+
+const CODE_GROUPS = [
+  { system: 'ICD-10-CM', label: 'Diagnoses (ICD-10-CM)' },
+  { system: 'CPT', label: 'Procedures (CPT)' }
+];
+
+/**
+ * NoteCodes component
+ * Shows the ICD-10-CM and CPT codes accepted on a note. Codes can be
+ * suggested from the Assessment and Plan, or found by searching the code
+ * catalog; every change is saved right away and reported through onChange.
+ */
+export default function NoteCodes({ noteId, codes = [], onChange }) {
+  const [suggestions, setSuggestions] = useState(null); // { suggestions, rejected } once requested
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+  const [system, setSystem] = useState('ICD-10-CM');
+  const [results, setResults] = useState([]);
+
+  // Search the catalog as the user types
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await searchCodes(query.trim(), { system, limit: 8 });
+        if (!cancelled) setResults(found);
+      } catch (searchError) {
+        if (!cancelled) setResults([]);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, system]);
+
+  const isAccepted = (candidate) => codes.some(code => code.system === candidate.system && code.code === candidate.code);
+
+  const saveCodes = async (nextCodes) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updatedNote = await updateNoteCodes(noteId, nextCodes);
+      onChange?.(updatedNote.codes || nextCodes);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const acceptCode = (candidate, source) => saveCodes([
+    ...codes,
+    { system: candidate.system, code: candidate.code, confidence: source === 'manual' ? null : candidate.confidence, source }
+  ]);
+
+  const removeCode = (removed) => saveCodes(codes.filter(code => !(code.system === removed.system && code.code === removed.code)));
+
+  const requestSuggestions = async () => {
+    setIsSuggesting(true);
+    setError(null);
+    try {
+      setSuggestions(await suggestNoteCodes(noteId));
+    } catch (suggestError) {
+      setError(suggestError.message);
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  const openSuggestions = (suggestions?.suggestions || []).filter(suggestion => !isAccepted(suggestion));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-royal">Codes</h2>
+        <button
+          type="button"
+          onClick={requestSuggestions}
+          disabled={isSuggesting}
+          className="flex items-center text-sm text-gray-500 hover:text-royal transition-colors disabled:opacity-50"
+        >
+          <Sparkles size={16} className="mr-1" />
+          {isSuggesting ? 'Suggesting...' : 'Suggest codes'}
+        </button>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+        {/* Accepted codes */}
+        {CODE_GROUPS.map(({ system: groupSystem, label }) => {
+          const group = codes.filter(code => code.system === groupSystem);
+          return (
+            <div key={groupSystem}>
+              <h3 className="text-sm font-medium text-gray-700 mb-1">{label}</h3>
+              {group.length === 0 ? (
+                <p className="text-sm text-gray-400">None yet</p>
+              ) : (
+                <ul className="space-y-1">
+                  {group.map(code => (
+                    <li key={code.code} className="flex items-start justify-between text-sm">
+                      <span>
+                        <span className="font-mono font-medium mr-2">{code.code}</span>
+                        {code.description}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeCode(code)}
+                        disabled={isSaving}
+                        className="ml-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                        aria-label={`Remove ${code.code}`}
+                      >
+                        <X size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+
+        {/* Suggestions */}
+        {suggestions && (
+          <div className="border-t border-gray-200 pt-3">
+            <h3 className="text-sm font-medium text-gray-700 mb-1">Suggested</h3>
+            {openSuggestions.length === 0 ? (
+              <p className="text-sm text-gray-400">No further codes to suggest.</p>
+            ) : (
+              <ul className="space-y-2">
+                {openSuggestions.map(suggestion => (
+                  <li key={`${suggestion.system}-${suggestion.code}`} className="flex items-start justify-between text-sm">
+                    <div>
+                      <span className="font-mono font-medium mr-2">{suggestion.code}</span>
+                      {suggestion.description}
+                      <span className="ml-2 text-xs text-gray-500">{Math.round(suggestion.confidence * 100)}% confidence</span>
+                      {suggestion.rationale && (
+                        <p className="text-xs text-gray-500 italic">{suggestion.rationale}</p>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => acceptCode(suggestion, 'suggested')}
+                      disabled={isSaving}
+                      className="ml-2 flex items-center text-xs text-royal hover:text-royal-700 disabled:opacity-50 flex-shrink-0"
+                    >
+                      <Plus size={14} className="mr-0.5" />
+                      Accept
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {suggestions.rejected?.length > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                {suggestions.rejected.length === 1 ? '1 proposed code was' : `${suggestions.rejected.length} proposed codes were`} not in the code catalog and left out.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Catalog search */}
+        <div className="border-t border-gray-200 pt-3">
+          <div className="flex items-center space-x-2">
+            <select
+              value={system}
+              onChange={(e) => setSystem(e.target.value)}
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal"
+            >
+              {CODE_GROUPS.map(group => (
+                <option key={group.system} value={group.system}>{group.system}</option>
+              ))}
+            </select>
+            <div className="relative flex-1">
+              <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search by code or description"
+                className="w-full pl-7 pr-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+              />
+            </div>
+          </div>
+          {results.length > 0 && (
+            <ul className="mt-2 bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+              {results.map(result => (
+                <li key={`${result.system}-${result.code}`}>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      acceptCode(result, 'manual');
+                      setQuery('');
+                    }}
+                    disabled={isSaving || isAccepted(result)}
+                    className="w-full text-left px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <span className="font-mono font-medium mr-2">{result.code}</span>
+                    {result.description}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,8 @@
 import { useState, useEffect } from 'react';
 import { X, Save, ChevronDown, FileText, User, Tag, Plus } from 'lucide-react';
 import { useRouter } from 'next/navigation';
+import SectionInput from './SectionInput';
+import { DEFAULT_SECTIONS, isTextSection, emptySectionValue, formatSectionValue } from '../../utils/noteSections';
 
 /**
  * NoteEditor component
@@ -13,6 +15,7 @@ export default function NoteEditor({ note, onClose, onSave }) {
   const [editedNote, setEditedNote] = useState(note);
   const [isSOAPNote, setIsSOAPNote] = useState(note?.type === 'SOAP Note');
   const [newTag, setNewTag] = useState('');
+  const sections = note?.sections || DEFAULT_SECTIONS;
   
   // Initialize form when note changes
   useEffect(() => {
@@ -31,14 +34,13 @@ export default function NoteEditor({ note, onClose, onSave }) {
     }));
   };
   
-  // Handle SOAP content changes
-  const handleSOAPChange = (e) => {
-    const { name, value } = e.target;
+  // Handle section content changes
+  const handleSectionChange = (key, value) => {
     setEditedNote(prev => ({
       ...prev,
       content: {
         ...prev.content,
-        [name]: value
+        [key]: value
       }
     }));
   };
@@ -60,16 +62,18 @@ export default function NoteEditor({ note, onClose, onSave }) {
     // Convert content format if type changes between SOAP and non-SOAP
     let newContent;
     if (isNewSOAP && typeof editedNote.content === 'string') {
-      // Convert string content to SOAP format
-      newContent = {
-        subjective: editedNote.content,
-        objective: '',
-        assessment: '',
-        plan: ''
-      };
+      // Convert string content to the note's sections, starting in the first text section
+      const firstText = sections.find(isTextSection);
+      newContent = Object.fromEntries(sections.map(section => [
+        section.key,
+        section === firstText ? editedNote.content : emptySectionValue(section)
+      ]));
     } else if (!isNewSOAP && typeof editedNote.content === 'object') {
-      // Convert SOAP format to string
-      newContent = Object.values(editedNote.content).filter(Boolean).join('\n\n');
+      // Convert the sections to a string
+      newContent = sections
+        .map(section => formatSectionValue(section, editedNote.content[section.key]))
+        .filter(Boolean)
+        .join('\n\n');
     } else {
       newContent = editedNote.content;
     }
@@ -236,53 +240,17 @@ export default function NoteEditor({ note, onClose, onSave }) {
               <div className="space-y-4">
                 <h3 className="text-lg font-medium">SOAP Note Content</h3>
                 
-                {/* Subjective */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Subjective</label>
-                  <textarea
-                    name="subjective"
-                    value={editedNote.content?.subjective || ''}
-                    onChange={handleSOAPChange}
-                    rows={4}
-                    className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
-                  ></textarea>
-                </div>
-                
-                {/* Objective */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Objective</label>
-                  <textarea
-                    name="objective"
-                    value={editedNote.content?.objective || ''}
-                    onChange={handleSOAPChange}
-                    rows={4}
-                    className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
-                  ></textarea>
-                </div>
-                
-                {/* Assessment */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Assessment</label>
-                  <textarea
-                    name="assessment"
-                    value={editedNote.content?.assessment || ''}
-                    onChange={handleSOAPChange}
-                    rows={4}
-                    className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
-                  ></textarea>
-                </div>
-                
-                {/* Plan */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Plan</label>
-                  <textarea
-                    name="plan"
-                    value={editedNote.content?.plan || ''}
-                    onChange={handleSOAPChange}
-                    rows={4}
-                    className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
-                  ></textarea>
-                </div>
+                {sections.map(section => (
+                  <div key={section.key}>
+                    <label htmlFor={`section-${section.key}`} className="block text-sm font-medium text-gray-700 mb-1">{section.name}</label>
+                    <SectionInput
+                      id={`section-${section.key}`}
+                      section={section}
+                      value={editedNote.content?.[section.key]}
+                      onChange={(value) => handleSectionChange(section.key, value)}
+                    />
+                  </div>
+                ))}
               </div>
             ) : (
               <div>
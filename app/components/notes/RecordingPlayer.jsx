@@ -0,0 +1,139 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import { Headphones, Trash2 } from 'lucide-react';
+import ConversationTranscript from '../dictation/ConversationTranscript';
+import { getNoteRecording, getNoteRecordingAudio, deleteNoteRecording } from '../../services/transcriptionService';
+
+// Format seconds as MM:SS
+const formatDuration = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, '0')}:${remainder.toString().padStart(2, '0')}`;
+};
+
+/**
+ * RecordingPlayer component
+ * Plays back the dictation recording of a note. Clicking a transcript segment
+ * seeks to it; segment times count from the start of the dictation, so the
+ * recording's offset (audio captured after resuming a session) is subtracted.
+ * Renders nothing when the note has no recording.
+ */
+export default function RecordingPlayer({ noteId, segments = [] }) {
+  const audioRef = useRef(null);
+  const [recording, setRecording] = useState(null);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+
+    getNoteRecording(noteId)
+      .then(async (metadata) => {
+        if (cancelled || !metadata) return;
+        setRecording(metadata);
+
+        const audio = await getNoteRecordingAudio(noteId);
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(audio);
+        setAudioUrl(objectUrl);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [noteId]);
+
+  if (!recording) return null;
+
+  const offset = recording.offset_seconds || 0;
+
+  // Segments recorded before the audio started can't be played
+  const playableSegments = segments.filter(segment => segment.endTime > offset);
+
+  const seekTo = (segment) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    audio.currentTime = Math.max(0, segment.startTime - offset);
+    audio.play().catch(() => {});
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete the recording of this note? The note and its transcript are kept.')) return;
+    setIsDeleting(true);
+    setError(null);
+
+    try {
+      await deleteNoteRecording(noteId);
+      setRecording(null);
+    } catch (deleteError) {
+      setError(deleteError.message);
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-xl border border-gray-200 shadow-sm p-5 mt-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Headphones size={18} className="mr-2 text-royal" />
+          <h2 className="text-lg font-semibold">Recording</h2>
+          {recording.duration_seconds && (
+            <span className="ml-2 text-sm text-gray-500">{formatDuration(recording.duration_seconds)}</span>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={handleDelete}
+          disabled={isDeleting}
+          className="flex items-center text-sm text-gray-500 hover:text-red-500 disabled:opacity-70"
+        >
+          <Trash2 size={14} className="mr-1" />
+          Delete recording
+        </button>
+      </div>
+
+      {audioUrl ? (
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          controls
+          className="w-full"
+          onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime + offset)}
+        />
+      ) : (
+        !error && <p className="text-sm text-gray-500">Loading recording...</p>
+      )}
+
+      {recording.expires_at && (
+        <p className="text-xs text-gray-500">
+          Deleted automatically on {new Date(recording.expires_at).toLocaleDateString()}.
+        </p>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      {audioUrl && playableSegments.length > 0 && (
+        <div>
+          <p className="text-xs text-gray-500 mb-2">Click a part of the conversation to play it.</p>
+          <div className="max-h-80 overflow-y-auto">
+            <ConversationTranscript
+              segments={playableSegments}
+              onSegmentClick={seekTo}
+              activeTime={currentTime}
+            />
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,132 @@
+"use client";
+
+import { X, Plus } from 'lucide-react';
+
+const INPUT_CLASSES = 'block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal';
+
+/**
+ * SectionInput component
+ * Edits the value of one note section according to its type and reports
+ * the new value through onChange(value)
+ */
+export default function SectionInput({ section, value, onChange, id }) {
+  const type = section.type || 'text';
+
+  if (type === 'bullets') {
+    const items = Array.isArray(value) ? value : [];
+    const setItem = (index, text) => onChange(items.map((item, itemIndex) => (itemIndex === index ? text : item)));
+
+    return (
+      <div className="space-y-2">
+        {items.map((item, index) => (
+          <div key={index} className="flex items-center">
+            <input
+              type="text"
+              value={item}
+              onChange={(e) => setItem(index, e.target.value)}
+              className={INPUT_CLASSES}
+              aria-label={`${section.name} item ${index + 1}`}
+            />
+            <button
+              type="button"
+              onClick={() => onChange(items.filter((_, itemIndex) => itemIndex !== index))}
+              className="ml-2 p-1 text-gray-400 hover:text-gray-700"
+              aria-label={`Remove ${section.name} item ${index + 1}`}
+            >
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange([...items, ''])}
+          className="flex items-center text-sm text-royal hover:text-royal-700"
+        >
+          <Plus size={14} className="mr-1" />
+          Add item
+        </button>
+      </div>
+    );
+  }
+
+  if (type === 'checklist') {
+    const checked = Array.isArray(value) ? value : [];
+    const options = section.options || [];
+    // Items a generated note listed that aren't options can only be unchecked
+    const offList = checked.filter(item => !options.includes(item));
+    const toggle = (option) => onChange(checked.includes(option)
+      ? checked.filter(item => item !== option)
+      // Keep the template's order
+      : [...options.filter(item => item === option || checked.includes(item)), ...offList]);
+
+    return (
+      <div className="space-y-1">
+        {[...options, ...offList].map(option => (
+          <label key={option} className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={checked.includes(option)}
+              onChange={() => toggle(option)}
+              className="mr-2 rounded border-gray-300 text-royal focus:ring-royal"
+            />
+            {option}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (type === 'number') {
+    return (
+      <div className="flex items-center">
+        <input
+          id={id}
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+          className={INPUT_CLASSES}
+        />
+        {section.unit && <span className="ml-2 text-sm text-gray-500">{section.unit}</span>}
+      </div>
+    );
+  }
+
+  if (type === 'dropdown') {
+    return (
+      <select
+        id={id}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className={INPUT_CLASSES}
+      >
+        <option value="">Not stated</option>
+        {(section.options || []).map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (type === 'date') {
+    return (
+      <input
+        id={id}
+        type="date"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className={INPUT_CLASSES}
+      />
+    );
+  }
+
+  return (
+    <textarea
+      id={id}
+      value={typeof value === 'string' ? value : ''}
+      onChange={(e) => onChange(e.target.value)}
+      rows={4}
+      className={INPUT_CLASSES}
+    ></textarea>
+  );
+}
@@ -0,0 +1,67 @@
+"use client";
+
+import { Check } from 'lucide-react';
+import AttributedText from './AttributedText';
+import { formatSectionValue, isEmptySectionValue } from '../../utils/noteSections';
+
+/**
+ * SectionValue component
+ * Shows the value of one note section according to its type. Text sections
+ * are shown with their source attributions (see AttributedText); checklists
+ * list every option with the ones that apply checked, followed by any item
+ * the generated note listed that isn't an option.
+ */
+export default function SectionValue({ section, value, attributions, onHighlight }) {
+  const type = section.type || 'text';
+
+  if (type === 'text') {
+    return (
+      <AttributedText
+        text={typeof value === 'string' ? value : ''}
+        attributions={attributions}
+        onHighlight={onHighlight}
+      />
+    );
+  }
+
+  if (type === 'checklist') {
+    const checked = Array.isArray(value) ? value : [];
+    const options = section.options || [];
+    const offList = checked.filter(item => !options.includes(item));
+    return (
+      <ul className="space-y-1">
+        {options.map(option => (
+          <li key={option} className={`flex items-center ${checked.includes(option) ? 'text-gray-900' : 'text-gray-400'}`}>
+            <span className={`mr-2 flex h-4 w-4 items-center justify-center rounded border ${checked.includes(option) ? 'border-royal bg-royal text-white' : 'border-gray-300'}`}>
+              {checked.includes(option) && <Check size={12} />}
+            </span>
+            {option}
+          </li>
+        ))}
+        {offList.map(item => (
+          <li key={item} className="flex items-center text-gray-900">
+            <span className="mr-2 flex h-4 w-4 items-center justify-center rounded border border-amber-500 bg-amber-500 text-white">
+              <Check size={12} />
+            </span>
+            {item}
+            <span className="ml-2 text-xs text-amber-700">Not one of the template's options</span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  if (isEmptySectionValue(value)) {
+    return <p className="text-gray-400">Not stated</p>;
+  }
+
+  if (type === 'bullets') {
+    return (
+      <ul className="list-disc list-inside space-y-1">
+        {value.map((item, index) => <li key={index}>{item}</li>)}
+      </ul>
+    );
+  }
+
+  return <p>{formatSectionValue(section, value)}</p>;
+}
@@ -1,11 +1,25 @@
 "use client";
 
 import { useState } from 'react';
-import { Save, X } from 'lucide-react';
+import { Save, X, AlertTriangle, RefreshCw } from 'lucide-react';
+import SectionValue from './SectionValue';
+import SourceTranscript from './SourceTranscript';
+import VerificationFindings from './VerificationFindings';
+import VitalSigns from './VitalSigns';
+import { countUnsupportedSentences } from '../../utils/attributions';
+import { getNoteSections, isTextSection } from '../../utils/noteSections';
 
 /**
  * SoapNotePreview component
- * Displays a preview of a generated SOAP note with options to edit and save
+ * Displays a preview of a generated SOAP note with options to edit and save.
+ * While isGenerating, soapData holds the sections written so far; the rest
+ * show a placeholder and generation can be cancelled. Hovering a sentence of
+ * the finished note highlights the transcript text supporting it, and the
+ * findings of the note's verification against the transcript are listed.
+ * With onRegenerateSection(section, instruction), each text section can be
+ * rewritten on its own, optionally following an instruction.
+ * The note is laid out by its template's sections; while generating, before
+ * the note says which they are, the sections prop is used.
  */
 export default function SoapNotePreview({ 
   soapData, 
@@ -15,8 +29,36 @@ export default function SoapNotePreview({
   onCancel, 
   onEdit,
   recordingTime,
-  isSaving
+  isSaving,
+  isGenerating = false,
+  onCancelGeneration,
+  onRegenerateSection,
+  transcript = '',
+  sections
 }) {
+  const [highlight, setHighlight] = useState(null); // Transcript spans of the hovered sentence
+  const [instructionSection, setInstructionSection] = useState(null); // Section whose instruction form is open
+  const [instruction, setInstruction] = useState('');
+  const [regeneratingSection, setRegeneratingSection] = useState(null);
+  const [regenerateError, setRegenerateError] = useState(null); // { section, message }
+  
+  const regenerate = async (section) => {
+    setRegeneratingSection(section);
+    setRegenerateError(null);
+    try {
+      await onRegenerateSection(section, instruction.trim());
+      setInstructionSection(null);
+      setInstruction('');
+    } catch (error) {
+      setRegenerateError({ section, message: error.message });
+    } finally {
+      setRegeneratingSection(null);
+    }
+  };
+  
+  const noteSections = getNoteSections(soapData, sections);
+  const unsupportedCount = isGenerating ? 0 : countUnsupportedSentences(soapData, soapData.attributions);
+
   // Format recording time as MM:SS
   const formatTime = (timeInSeconds) => {
     const minutes = Math.floor(timeInSeconds / 60);
@@ -27,7 +69,7 @@ export default function SoapNotePreview({
   return (
     <div className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm mt-6">
       <div className="flex items-center justify-between mb-4">
-        <h3 className="text-lg font-medium">Generated SOAP Note</h3>
+        <h3 className="text-lg font-medium">{isGenerating ? 'Generating SOAP Note...' : 'Generated SOAP Note'}</h3>
         <div className="text-sm text-gray-500">{formatTime(recordingTime)}</div>
       </div>
       
@@ -43,77 +85,174 @@ export default function SoapNotePreview({
         />
       </div>
       
-      {/* SOAP Content Preview */}
-      <div className="space-y-4">
-        {/* Subjective */}
-        <div>
-          <h4 className="text-md font-medium text-gray-700 mb-1">Subjective</h4>
-          <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
-            <p className="whitespace-pre-wrap">{soapData.subjective}</p>
-          </div>
+      {unsupportedCount > 0 && (
+        <div className="flex items-start p-3 mb-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          {unsupportedCount === 1 ? '1 sentence is' : `${unsupportedCount} sentences are`} not supported by the transcript and may be inaccurate. They are underlined below.
         </div>
-        
-        {/* Objective */}
-        <div>
-          <h4 className="text-md font-medium text-gray-700 mb-1">Objective</h4>
-          <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
-            <p className="whitespace-pre-wrap">{soapData.objective}</p>
+      )}
+      
+      {!isGenerating && soapData.promptGuard?.flagged && (
+        <div className="flex items-start p-3 mb-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          <div>
+            The transcript contains text that reads like instructions to the note generator. It was treated as dictation, not followed; check that the note documents the visit as expected.
+            <ul className="mt-1 text-xs list-disc list-inside">
+              {soapData.promptGuard.flags.map(flag => (
+                <li key={flag.rule}>{flag.description}: <span className="italic">{flag.excerpt}</span></li>
+              ))}
+            </ul>
           </div>
         </div>
+      )}
+      
+      {!isGenerating && <VerificationFindings verification={soapData.verification} />}
+      
+      {/* SOAP Content Preview */}
+      <div className="space-y-4">
+        {noteSections.map((section) => {
+          const { key } = section;
+          return (
+            <div key={key}>
+              <div className="flex items-center justify-between mb-1">
+                <h4 className="text-md font-medium text-gray-700">{section.name}</h4>
+                {onRegenerateSection && !isGenerating && isTextSection(section) && instructionSection !== key && (
+                  <button
+                    onClick={() => {
+                      setInstructionSection(key);
+                      setInstruction('');
+                      setRegenerateError(null);
+                    }}
+                    disabled={Boolean(regeneratingSection) || isSaving}
+                    className="flex items-center text-xs text-royal hover:text-royal-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <RefreshCw size={12} className="mr-1" />
+                    Regenerate
+                  </button>
+                )}
+              </div>
+              
+              {instructionSection === key && (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    regenerate(key);
+                  }}
+                  className="flex items-center space-x-2 mb-2"
+                >
+                  <input
+                    type="text"
+                    value={instruction}
+                    onChange={(e) => setInstruction(e.target.value)}
+                    placeholder='Optional instruction, e.g. "be more concise"'
+                    disabled={regeneratingSection === key}
+                    maxLength={500}
+                    autoFocus
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+                  />
+                  <button
+                    type="submit"
+                    disabled={regeneratingSection === key}
+                    className="px-3 py-1.5 bg-royal hover:bg-royal-700 rounded-lg text-white text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    {regeneratingSection === key ? 'Regenerating...' : 'Regenerate'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setInstructionSection(null)}
+                    disabled={regeneratingSection === key}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 text-sm"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+              
+              {regenerateError?.section === key && (
+                <p className="text-xs text-red-600 mb-1">Couldn&apos;t regenerate this section: {regenerateError.message}</p>
+              )}
+              
+              <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
+                {regeneratingSection === key ? (
+                  <p className="text-sm text-gray-400 animate-pulse">Rewriting...</p>
+                ) : soapData[key] || !isGenerating ? (
+                  <SectionValue
+                    section={section}
+                    value={soapData[key]}
+                    attributions={soapData.attributions?.[key]}
+                    onHighlight={setHighlight}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-400 animate-pulse">Writing...</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
         
-        {/* Assessment */}
-        <div>
-          <h4 className="text-md font-medium text-gray-700 mb-1">Assessment</h4>
-          <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
-            <p className="whitespace-pre-wrap">{soapData.assessment}</p>
-          </div>
-        </div>
+        {!isGenerating && <VitalSigns vitalSigns={soapData.vitalSigns} />}
         
-        {/* Plan */}
-        <div>
-          <h4 className="text-md font-medium text-gray-700 mb-1">Plan</h4>
-          <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
-            <p className="whitespace-pre-wrap">{soapData.plan}</p>
+        {/* Transcript, highlighting the source of the hovered sentence */}
+        {transcript && !isGenerating && (
+          <div>
+            <h4 className="text-md font-medium text-gray-700 mb-1">Transcript</h4>
+            <div className="p-3 bg-white rounded-lg border border-gray-200 max-h-40 overflow-y-auto">
+              <SourceTranscript transcript={transcript} highlight={highlight} />
+            </div>
           </div>
-        </div>
+        )}
       </div>
       
       {/* Action Buttons */}
-      <div className="flex items-center justify-between pt-4 mt-2">
-        <button
-          onClick={onCancel}
-          className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
-        >
-          Back to Transcript
-        </button>
-        
-        <div className="flex space-x-2">
+      {isGenerating ? (
+        <div className="flex items-center justify-end pt-4 mt-2">
           <button
-            onClick={onEdit}
-            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
+            onClick={onCancelGeneration}
+            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm flex items-center"
           >
-            Edit
+            <X size={16} className="mr-1" />
+            Cancel generation
           </button>
-          
+        </div>
+      ) : (
+        <div className="flex items-center justify-between pt-4 mt-2">
           <button
-            onClick={onSave}
-            disabled={isSaving}
-            className="px-4 py-2 bg-royal hover:bg-royal-700 rounded-lg transition-colors flex items-center text-white disabled:opacity-70 disabled:cursor-not-allowed"
+            onClick={onCancel}
+            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
           >
-            {isSaving ? (
-              <>
-                <span className="mr-2 h-4 w-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
-                Saving...
-              </>
-            ) : (
-              <>
-                <Save size={16} className="mr-1" />
-                Save
-              </>
-            )}
+            Back to Transcript
           </button>
+        
+          <div className="flex space-x-2">
+            {onEdit && (
+              <button
+                onClick={onEdit}
+                className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700 text-sm"
+              >
+                Edit
+              </button>
+            )}
+          
+            <button
+              onClick={onSave}
+              disabled={isSaving || Boolean(regeneratingSection)}
+              className="px-4 py-2 bg-royal hover:bg-royal-700 rounded-lg transition-colors flex items-center text-white disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {isSaving ? (
+                <>
+                  <span className="mr-2 h-4 w-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span>
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Save size={16} className="mr-1" />
+                  Save
+                </>
+              )}
+            </button>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,44 @@
+"use client";
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * SourceTranscript component
+ * Shows the transcript a note was generated from with the spans supporting
+ * the hovered sentence highlighted, scrolling the first one into view.
+ */
+export default function SourceTranscript({ transcript = '', highlight }) {
+  const firstMarkRef = useRef(null);
+
+  useEffect(() => {
+    firstMarkRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [highlight]);
+
+  if (!transcript) return null;
+
+  const spans = highlight || [];
+  const parts = [];
+  let cursor = 0;
+
+  spans.forEach((span, index) => {
+    if (span.start > cursor) {
+      parts.push(<span key={`text-${index}`}>{transcript.slice(cursor, span.start)}</span>);
+    }
+    parts.push(
+      <mark
+        key={`mark-${index}`}
+        ref={index === 0 ? firstMarkRef : undefined}
+        className="bg-yellow-200 rounded"
+      >
+        {transcript.slice(Math.max(span.start, cursor), span.end)}
+      </mark>
+    );
+    cursor = Math.max(cursor, span.end);
+  });
+
+  if (cursor < transcript.length) {
+    parts.push(<span key="end">{transcript.slice(cursor)}</span>);
+  }
+
+  return <p className="whitespace-pre-wrap text-sm text-gray-700">{parts}</p>;
+}
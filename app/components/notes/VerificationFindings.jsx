@@ -0,0 +1,72 @@
+"use client";
+
+import { ShieldAlert, ShieldCheck } from 'lucide-react';
+
+const FINDING_GROUPS = [
+  { type: 'contradiction', label: 'Contradicts the transcript' },
+  { type: 'invented_value', label: 'Not in the transcript' },
+  { type: 'omission', label: 'Missing from the note' }
+];
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-amber-100 text-amber-700',
+  low: 'bg-gray-100 text-gray-600'
+};
+
+/**
+ * VerificationFindings component
+ * Lists what the automated check of a generated note against its transcript
+ * found (see backend/services/noteVerificationService.js), grouped by type.
+ */
+export default function VerificationFindings({ verification }) {
+  if (!verification || !Array.isArray(verification.findings)) return null;
+
+  const { findings } = verification;
+
+  if (findings.length === 0) {
+    return (
+      <div className="flex items-center p-3 mb-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+        <ShieldCheck size={16} className="mr-2 flex-shrink-0" />
+        No contradictions, invented values or omissions found in the vitals, doses, laterality and negations checked.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-3 mb-4 bg-red-50 border border-red-200 rounded-lg text-sm">
+      <div className="flex items-center font-medium text-red-800 mb-2">
+        <ShieldAlert size={16} className="mr-2 flex-shrink-0" />
+        {findings.length === 1 ? '1 possible problem' : `${findings.length} possible problems`} found checking the note against the transcript
+      </div>
+
+      <div className="space-y-3 max-h-48 overflow-y-auto">
+        {FINDING_GROUPS.map(({ type, label }) => {
+          const group = findings.filter(finding => finding.type === type);
+          if (group.length === 0) return null;
+
+          return (
+            <div key={type}>
+              <h5 className="text-xs font-semibold uppercase tracking-wide text-gray-600 mb-1">{label}</h5>
+              <ul className="space-y-1">
+                {group.map((finding, index) => (
+                  <li key={index} className="flex items-start text-gray-800">
+                    <span className={`mr-2 px-1.5 py-0.5 rounded text-xs font-medium flex-shrink-0 ${SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.low}`}>
+                      {finding.severity}
+                    </span>
+                    <span>
+                      {finding.message}
+                      {finding.section && (
+                        <span className="text-gray-500"> ({finding.section.charAt(0).toUpperCase() + finding.section.slice(1)})</span>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
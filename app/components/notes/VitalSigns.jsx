@@ -0,0 +1,151 @@
+"use client";
+
+import { useState } from 'react';
+import { Activity, TrendingUp } from 'lucide-react';
+import { getPatientVitals } from '../../services/transcriptionService';
+
+// Display order, with how each value is shown; temperatures and weights also
+// get the US unit next to the stored metric one
+const VITAL_DISPLAY = [
+  { field: 'bloodPressure', label: 'BP', format: (vitals) => vitals.systolic !== null && vitals.diastolic !== null ? `${vitals.systolic}/${vitals.diastolic} mmHg` : null },
+  { field: 'heartRate', label: 'HR', format: (vitals) => vitals.heartRate !== null ? `${vitals.heartRate} bpm` : null },
+  { field: 'respiratoryRate', label: 'RR', format: (vitals) => vitals.respiratoryRate !== null ? `${vitals.respiratoryRate} /min` : null },
+  { field: 'temperatureC', label: 'Temp', format: (vitals) => vitals.temperatureC !== null ? `${vitals.temperatureC} °C (${(vitals.temperatureC * 9 / 5 + 32).toFixed(1)} °F)` : null },
+  { field: 'oxygenSaturation', label: 'SpO2', format: (vitals) => vitals.oxygenSaturation !== null ? `${vitals.oxygenSaturation}%` : null },
+  { field: 'weightKg', label: 'Weight', format: (vitals) => vitals.weightKg !== null ? `${vitals.weightKg} kg (${(vitals.weightKg / 0.45359237).toFixed(1)} lb)` : null },
+  { field: 'heightCm', label: 'Height', format: (vitals) => vitals.heightCm !== null ? `${vitals.heightCm} cm` : null },
+  { field: 'bmi', label: 'BMI', format: (vitals) => vitals.bmi !== null ? `${vitals.bmi}` : null },
+  { field: 'painScore', label: 'Pain', format: (vitals) => vitals.painScore !== null ? `${vitals.painScore}/10` : null }
+];
+
+const STATUS_STYLES = {
+  low: 'text-blue-700',
+  high: 'text-red-700',
+  implausible: 'text-amber-700'
+};
+
+/**
+ * Flag shown for a displayed vital; blood pressure takes the worse of its two values
+ * @param {Array} flags - Flags from the note's vital signs
+ * @param {string} field - Displayed field
+ * @returns {Object|undefined} Flag
+ */
+function flagFor(flags, field) {
+  const fields = field === 'bloodPressure' ? ['systolic', 'diastolic'] : [field];
+  const matching = flags.filter(flag => fields.includes(flag.field) && flag.status !== 'implausible');
+  return matching.find(flag => flag.severity === 'critical') || matching[0];
+}
+
+/**
+ * VitalSigns component
+ * Shows a note's structured vital signs with out-of-range values flagged
+ * (see backend/services/vitalsService.js) and, for notes with a patient,
+ * how each vital has trended across the patient's notes.
+ */
+export default function VitalSigns({ vitalSigns, patientId }) {
+  const [trend, setTrend] = useState(null);
+  const [isLoadingTrend, setIsLoadingTrend] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!vitalSigns) return null;
+
+  const flags = vitalSigns.flags || [];
+  const shown = VITAL_DISPLAY
+    .map(display => ({ ...display, value: display.format(vitalSigns), flag: flagFor(flags, display.field) }))
+    .filter(display => display.value !== null);
+  const implausible = flags.filter(flag => flag.status === 'implausible');
+
+  if (shown.length === 0 && implausible.length === 0) return null;
+
+  const loadTrend = async () => {
+    setIsLoadingTrend(true);
+    setError(null);
+    try {
+      setTrend(await getPatientVitals(patientId));
+    } catch (trendError) {
+      setError(trendError.message);
+    } finally {
+      setIsLoadingTrend(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="flex items-center text-lg font-semibold text-royal">
+          <Activity size={18} className="mr-1.5" />
+          Vital Signs
+        </h2>
+        {patientId && (
+          <button
+            type="button"
+            onClick={loadTrend}
+            disabled={isLoadingTrend}
+            className="flex items-center text-sm text-gray-500 hover:text-royal transition-colors disabled:opacity-50"
+          >
+            <TrendingUp size={16} className="mr-1" />
+            {isLoadingTrend ? 'Loading...' : 'Show trend'}
+          </button>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+        <dl className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-2 text-sm">
+          {shown.map(({ field, label, value, flag }) => (
+            <div key={field}>
+              <dt className="text-xs text-gray-500">{label}</dt>
+              <dd className={flag ? `font-medium ${STATUS_STYLES[flag.status]}` : 'text-gray-800'} title={flag?.message}>
+                {value}
+                {flag && (
+                  <span className="ml-1 text-xs uppercase">
+                    {flag.severity === 'critical' ? `${flag.status} !` : flag.status}
+                  </span>
+                )}
+              </dd>
+            </div>
+          ))}
+        </dl>
+
+        {implausible.length > 0 && (
+          <ul className="text-xs text-amber-700 space-y-0.5">
+            {implausible.map(flag => <li key={flag.field}>{flag.message}</li>)}
+          </ul>
+        )}
+
+        {trend && (
+          <div className="border-t border-gray-200 pt-3">
+            {Object.keys(trend.series).length === 0 ? (
+              <p className="text-sm text-gray-400">No vital signs recorded in this patient&apos;s notes.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <tbody>
+                  {Object.entries(trend.series).map(([field, points]) => (
+                    <tr key={field} className="align-top">
+                      <th scope="row" className="pr-3 py-1 text-left text-xs font-medium text-gray-500 whitespace-nowrap">
+                        {trend.fields[field]?.label} ({trend.fields[field]?.unit})
+                      </th>
+                      <td className="py-1">
+                        {points.map((point, index) => (
+                          <span
+                            key={point.noteId}
+                            title={new Date(point.recordedAt).toLocaleDateString('en-US')}
+                            className={point.status === 'normal' ? 'text-gray-800' : `font-medium ${STATUS_STYLES[point.status] || ''}`}
+                          >
+                            {index > 0 && <span className="text-gray-400"> → </span>}
+                            {point.value}
+                          </span>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+"use client";
+
+import { useState } from 'react';
+import { Languages, Check } from 'lucide-react';
+import { updateUserSettings } from '../../actions/settings';
+import { DICTATION_LANGUAGES, NOTE_LANGUAGES } from '../../utils/languages';
+
+/**
+ * LanguageSettings component
+ * Edits the default dictation language, the language notes are written in,
+ * and whether server transcription should detect other spoken languages
+ */
+export default function LanguageSettings({ initialSettings }) {
+  const [settings, setSettings] = useState(initialSettings);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateField = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    const { dictationLanguage, noteLanguage, autoDetectLanguage } = settings;
+    const result = await updateUserSettings({ dictationLanguage, noteLanguage, autoDetectLanguage });
+
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setSettings(result.settings);
+      setSaved(true);
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-xl p-5 space-y-4">
+      <div className="flex items-center mb-2">
+        <Languages size={18} className="mr-2 text-royal" />
+        <h2 className="text-lg font-semibold">Language</h2>
+      </div>
+
+      <div>
+        <label htmlFor="dictationLanguage" className="block text-sm font-medium text-gray-700 mb-1">
+          Dictation language
+        </label>
+        <select
+          id="dictationLanguage"
+          value={settings.dictationLanguage}
+          onChange={(e) => updateField('dictationLanguage', e.target.value)}
+          className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+        >
+          {DICTATION_LANGUAGES.map(language => (
+            <option key={language.code} value={language.code}>{language.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Used by default for new dictations. You can change it per session.</p>
+      </div>
+
+      <div>
+        <label htmlFor="noteLanguage" className="block text-sm font-medium text-gray-700 mb-1">
+          Note language
+        </label>
+        <select
+          id="noteLanguage"
+          value={settings.noteLanguage}
+          onChange={(e) => updateField('noteLanguage', e.target.value)}
+          className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+        >
+          {NOTE_LANGUAGES.map(language => (
+            <option key={language.code} value={language.code}>{language.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">SOAP notes are written in this language, even when the visit was in another.</p>
+      </div>
+
+      <label className="flex items-start">
+        <input
+          type="checkbox"
+          checked={settings.autoDetectLanguage}
+          onChange={(e) => updateField('autoDetectLanguage', e.target.checked)}
+          className="mt-1 mr-2 accent-royal"
+        />
+        <span>
+          <span className="block text-sm font-medium text-gray-700">Detect spoken language automatically</span>
+          <span className="block text-xs text-gray-500">
+            Server transcription also listens for the other supported languages. Browser dictation always uses the selected language.
+          </span>
+        </span>
+      </label>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-2">
+        {saved && (
+          <span className="flex items-center text-sm text-green-600">
+            <Check size={16} className="mr-1" />
+            Saved
+          </span>
+        )}
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {isSaving ? 'Saving...' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,90 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Building2, Check } from 'lucide-react';
+import { getOrganizationInvite, acceptOrganizationInvite } from '../../services/transcriptionService';
+
+/**
+ * OrganizationInvite component
+ * Shows the organization behind an invite link and the role it gives, and
+ * joins the organization
+ */
+export default function OrganizationInvite({ token }) {
+  const [invite, setInvite] = useState(null); // { organization_id, organization_name, role, expires_at }
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [joined, setJoined] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getOrganizationInvite(token)
+      .then(setInvite)
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    setError(null);
+
+    try {
+      setJoined(await acceptOrganizationInvite(token));
+    } catch (acceptError) {
+      setError(acceptError.message);
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading invite...</p>;
+  }
+
+  if (!invite) {
+    return (
+      <section className="bg-white border border-gray-200 rounded-xl p-5">
+        <p className="text-red-500 text-sm">{error || 'This invite could not be loaded.'}</p>
+        <Link href="/settings" className="inline-block mt-3 text-sm text-royal hover:text-royal-700">Go to settings</Link>
+      </section>
+    );
+  }
+
+  return (
+    <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4">
+      <div>
+        <div className="flex items-center gap-2 mb-1">
+          <Building2 size={18} className="text-royal" />
+          <h2 className="text-lg font-semibold">{invite.organization_name}</h2>
+        </div>
+        <p className="text-sm text-gray-600">
+          {invite.role === 'admin'
+            ? 'You will join as an admin and can edit the organization’s members, vocabulary and templates.'
+            : 'You will join as a member and can use the organization’s vocabulary and templates.'}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">This invite expires on {new Date(invite.expires_at).toLocaleDateString()}.</p>
+      </div>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      {joined ? (
+        <p className="flex items-center text-sm text-green-700">
+          <Check size={16} className="mr-1" />
+          You joined {joined.name}.
+          <Link href="/settings" className="ml-2 text-royal hover:text-royal-700">Open settings</Link>
+        </p>
+      ) : (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleAccept}
+            disabled={isAccepting}
+            className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isAccepting ? 'Joining...' : 'Join organization'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,265 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { Building2, Plus } from 'lucide-react';
+import {
+  getOrganizations,
+  createOrganization,
+  getOrganizationMembers,
+  updateOrganizationMemberRole,
+  getOrganizationInvites,
+  createOrganizationInvite,
+  revokeOrganizationInvite
+} from '../../services/transcriptionService';
+
+const inputClassName = 'block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal';
+
+const ROLE_LABELS = { admin: 'Admin', member: 'Member' };
+
+/**
+ * OrganizationSettings component
+ * Lists the organizations (clinics, practices) the user belongs to and
+ * creates new ones. Admins change members' roles and invite colleagues with
+ * links: users live in Supabase, so a link is accepted by whoever signs in
+ * with it, once, before it expires.
+ */
+export default function OrganizationSettings() {
+  const [organizations, setOrganizations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [managing, setManaging] = useState(null); // { organizationId, members, invites } for the open panel
+  const [inviteRole, setInviteRole] = useState('member');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getOrganizations()
+      .then(setOrganizations)
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsCreating(true);
+    setError(null);
+
+    try {
+      const organization = await createOrganization(newName.trim());
+      setOrganizations(prev => [...prev, organization].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewName('');
+      setNotice(`Created ${organization.name}. You are its admin; invite colleagues from Manage.`);
+    } catch (createError) {
+      setError(createError.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleManage = async (organization) => {
+    if (managing?.organizationId === organization.id) {
+      setManaging(null);
+      return;
+    }
+
+    setManaging({ organizationId: organization.id, members: null, invites: null });
+    setError(null);
+
+    try {
+      const [members, invites] = await Promise.all([
+        getOrganizationMembers(organization.id),
+        organization.role === 'admin' ? getOrganizationInvites(organization.id) : []
+      ]);
+      setManaging(prev => (prev?.organizationId === organization.id ? { ...prev, members, invites } : prev));
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  const handleRoleChange = async (organization, member, role) => {
+    setError(null);
+
+    try {
+      const updated = await updateOrganizationMemberRole(organization.id, member.user_id, role);
+      setManaging(prev => ({
+        ...prev,
+        members: prev.members.map(existing => (existing.user_id === updated.user_id ? updated : existing))
+      }));
+    } catch (roleError) {
+      setError(roleError.message);
+    }
+  };
+
+  const handleCreateInvite = async (organization) => {
+    setError(null);
+
+    try {
+      const invite = await createOrganizationInvite(organization.id, { role: inviteRole });
+      setManaging(prev => ({ ...prev, invites: [invite, ...(prev?.invites || [])] }));
+      const link = `${window.location.origin}${invite.url}`;
+      await navigator.clipboard?.writeText(link).catch(() => {});
+      setNotice(`Invite link created and copied. It can be accepted once, until ${new Date(invite.expires_at).toLocaleDateString()}.`);
+    } catch (inviteError) {
+      setError(inviteError.message);
+    }
+  };
+
+  const handleRevokeInvite = async (organization, invite) => {
+    setError(null);
+
+    try {
+      await revokeOrganizationInvite(organization.id, invite.id);
+      setManaging(prev => ({ ...prev, invites: prev.invites.filter(existing => existing.id !== invite.id) }));
+    } catch (revokeError) {
+      setError(revokeError.message);
+    }
+  };
+
+  return (
+    <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4 mt-6">
+      <div className="flex items-center mb-2">
+        <Building2 size={18} className="mr-2 text-royal" />
+        <h2 className="text-lg font-semibold">Organizations</h2>
+      </div>
+      <p className="text-sm text-gray-500">
+        Members of an organization share its vocabulary and template library; admins edit them.
+      </p>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading organizations...</p>
+      ) : organizations.length === 0 ? (
+        <p className="text-sm text-gray-500">You don&apos;t belong to an organization yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {organizations.map(organization => (
+            <li key={organization.id} className="py-3">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-800">{organization.name}</span>
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{ROLE_LABELS[organization.role]}</span>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleManage(organization)}
+                  className="text-sm text-royal hover:text-royal-700"
+                >
+                  {managing?.organizationId === organization.id ? 'Close' : organization.role === 'admin' ? 'Manage' : 'Members'}
+                </button>
+              </div>
+
+              {managing?.organizationId === organization.id && (
+                <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm space-y-3">
+                  <div>
+                    <h3 className="text-xs font-medium text-gray-700 mb-1">Members</h3>
+                    {managing.members === null ? (
+                      <p className="text-xs text-gray-500">Loading members...</p>
+                    ) : (
+                      <ul className="space-y-1">
+                        {managing.members.map(member => (
+                          <li key={member.user_id} className="flex items-center justify-between gap-2">
+                            <span className="font-mono text-xs text-gray-600 truncate">{member.user_id}</span>
+                            {organization.role === 'admin' ? (
+                              <select
+                                value={member.role}
+                                onChange={(e) => handleRoleChange(organization, member, e.target.value)}
+                                className="px-2 py-1 text-xs border border-gray-200 rounded bg-white"
+                                aria-label={`Role of ${member.user_id}`}
+                              >
+                                {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className="text-xs text-gray-500">{ROLE_LABELS[member.role]}</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  {organization.role === 'admin' && (
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between gap-2">
+                        <h3 className="text-xs font-medium text-gray-700">Invite links</h3>
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={inviteRole}
+                            onChange={(e) => setInviteRole(e.target.value)}
+                            className="px-2 py-1 text-xs border border-gray-200 rounded bg-white"
+                            aria-label="Role for invited colleagues"
+                          >
+                            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <button
+                            type="button"
+                            onClick={() => handleCreateInvite(organization)}
+                            className="flex-shrink-0 px-3 py-1.5 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors"
+                          >
+                            Create link
+                          </button>
+                        </div>
+                      </div>
+                      {managing.invites === null ? (
+                        <p className="text-xs text-gray-500">Loading links...</p>
+                      ) : managing.invites.map(invite => (
+                        <div key={invite.id} className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            readOnly
+                            value={`${window.location.origin}${invite.url}`}
+                            onFocus={(e) => e.target.select()}
+                            className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-200 rounded bg-white"
+                            aria-label="Invite link"
+                          />
+                          <span className="text-xs text-gray-400">{ROLE_LABELS[invite.role]}</span>
+                          <button
+                            type="button"
+                            onClick={() => handleRevokeInvite(organization, invite)}
+                            className="text-xs text-red-500 hover:text-red-700"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex items-end gap-2 pt-2">
+        <div className="flex-1">
+          <label htmlFor="new-organization-name" className="block text-sm font-medium text-gray-700 mb-1">New organization</label>
+          <input
+            id="new-organization-name"
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g. Riverside Family Practice"
+            maxLength={200}
+            className={inputClassName}
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isCreating || !newName.trim()}
+          className="flex items-center px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          <Plus size={16} className="mr-1" />
+          {isCreating ? 'Creating...' : 'Create'}
+        </button>
+      </form>
+
+      {notice && <p className="text-green-700 text-sm">{notice}</p>}
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,147 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { Headphones, Check } from 'lucide-react';
+import { getRecordingSettings, updateRecordingSettings } from '../../services/transcriptionService';
+
+/**
+ * RecordingSettings component
+ * Chooses whether dictation audio is kept with notes and how long it is
+ * kept. Settings live in Cloud SQL next to the recordings they govern.
+ */
+export default function RecordingSettings() {
+  const [saveRecordings, setSaveRecordings] = useState(true);
+  const [keepForever, setKeepForever] = useState(true);
+  const [retentionDays, setRetentionDays] = useState('90');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applySettings = (settings) => {
+    setSaveRecordings(settings.saveRecordings);
+    setKeepForever(settings.retentionDays === null);
+    if (settings.retentionDays !== null) {
+      setRetentionDays(String(settings.retentionDays));
+    }
+  };
+
+  useEffect(() => {
+    getRecordingSettings()
+      .then(applySettings)
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const settings = await updateRecordingSettings({
+        saveRecordings,
+        retentionDays: keepForever ? null : Number(retentionDays)
+      });
+      applySettings(settings);
+      setSaved(true);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const markChanged = (update) => (e) => {
+    update(e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+    setSaved(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-xl p-5 space-y-4 mt-6">
+      <div className="flex items-center mb-2">
+        <Headphones size={18} className="mr-2 text-royal" />
+        <h2 className="text-lg font-semibold">Recordings</h2>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading recording settings...</p>
+      ) : (
+        <>
+          <label className="flex items-start">
+            <input
+              type="checkbox"
+              checked={saveRecordings}
+              onChange={markChanged(setSaveRecordings)}
+              className="mt-1 mr-2 accent-royal"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700">Keep dictation audio with my notes</span>
+              <span className="block text-xs text-gray-500">
+                Recordings are encrypted and can be played back from the note. Existing recordings are kept if you turn this off.
+              </span>
+            </span>
+          </label>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Keep recordings</span>
+            <label className="flex items-center text-sm text-gray-700 mb-2">
+              <input
+                type="radio"
+                checked={keepForever}
+                onChange={() => {
+                  setKeepForever(true);
+                  setSaved(false);
+                }}
+                className="mr-2 accent-royal"
+              />
+              Until I delete the note or recording
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={!keepForever}
+                onChange={() => {
+                  setKeepForever(false);
+                  setSaved(false);
+                }}
+                className="mr-2 accent-royal"
+              />
+              For
+              <input
+                type="number"
+                min="1"
+                max="3650"
+                step="1"
+                value={retentionDays}
+                onChange={markChanged(setRetentionDays)}
+                disabled={keepForever}
+                className="mx-2 w-20 px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal disabled:bg-gray-50"
+              />
+              days, then delete them
+            </label>
+            <p className="text-xs text-gray-500 mt-1">Changing this also applies to recordings you already have.</p>
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-2">
+        {saved && (
+          <span className="flex items-center text-sm text-green-600">
+            <Check size={16} className="mr-1" />
+            Saved
+          </span>
+        )}
+        <button
+          type="submit"
+          disabled={isSaving || isLoading}
+          className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {isSaving ? 'Saving...' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,302 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { BookOpen, Pencil, Trash2, Plus, X } from 'lucide-react';
+import {
+  getVocabulary,
+  createVocabularyTerm,
+  updateVocabularyTerm,
+  deleteVocabularyTerm
+} from '../../services/transcriptionService';
+import { VOCABULARY_CATEGORIES } from '../../utils/vocabulary';
+
+const EMPTY_TERM = { phrase: '', misrecognitions: '', category: 'medication', boost: '', organizationId: '' };
+
+const inputClassName = 'block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal';
+
+// Convert a saved term to form values
+const toFormValues = (term) => ({
+  phrase: term.phrase,
+  misrecognitions: (term.misrecognitions || []).join(', '),
+  category: term.category,
+  boost: term.boost ?? '',
+  organizationId: term.organization_id || ''
+});
+
+/**
+ * Fields shared by the add and edit forms
+ */
+function TermFields({ values, onChange, organizations = [] }) {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Correct spelling</label>
+        <input
+          type="text"
+          value={values.phrase}
+          onChange={(e) => onChange('phrase', e.target.value)}
+          placeholder="e.g. metoprolol"
+          className={inputClassName}
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Often heard as</label>
+        <input
+          type="text"
+          value={values.misrecognitions}
+          onChange={(e) => onChange('misrecognitions', e.target.value)}
+          placeholder="e.g. metro pro lol, meta prolol"
+          className={inputClassName}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+        <select
+          value={values.category}
+          onChange={(e) => onChange('category', e.target.value)}
+          className={inputClassName}
+        >
+          {VOCABULARY_CATEGORIES.map(category => (
+            <option key={category.value} value={category.value}>{category.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Boost (optional)</label>
+        <input
+          type="number"
+          min="0"
+          max="20"
+          step="1"
+          value={values.boost}
+          onChange={(e) => onChange('boost', e.target.value)}
+          placeholder="10"
+          className={inputClassName}
+        />
+      </div>
+      {organizations.length > 0 && (
+        <div className="sm:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Available to</label>
+          <select
+            value={values.organizationId}
+            onChange={(e) => onChange('organizationId', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Only me</option>
+            {organizations.map(organization => (
+              <option key={organization.id} value={organization.id}>Everyone in {organization.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * VocabularySettings component
+ * Manages the custom vocabulary used to improve transcription of drug names,
+ * abbreviations and provider names. Organization admins can also manage
+ * terms shared with everyone in their organization.
+ */
+export default function VocabularySettings() {
+  const [terms, setTerms] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [newTerm, setNewTerm] = useState(EMPTY_TERM);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(EMPTY_TERM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const adminOrganizations = organizations.filter(organization => organization.role === 'admin');
+
+  useEffect(() => {
+    getVocabulary()
+      .then((vocabulary) => {
+        setTerms(vocabulary.terms);
+        setOrganizations(vocabulary.organizations);
+      })
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // Shared terms are read-only for members who aren't organization admins
+  const canEdit = (term) => !term.organization_id ||
+    adminOrganizations.some(organization => organization.id === term.organization_id);
+
+  const withOrganizationName = (term) => ({
+    ...term,
+    scope: term.organization_id ? 'organization' : 'user',
+    organization_name: organizations.find(organization => organization.id === term.organization_id)?.name
+  });
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const created = await createVocabularyTerm({
+        ...newTerm,
+        organizationId: newTerm.organizationId || null
+      });
+      setTerms(prev => [...prev, withOrganizationName(created)]);
+      setNewTerm(prev => ({ ...EMPTY_TERM, category: prev.category, organizationId: prev.organizationId }));
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (term) => {
+    setEditingId(term.id);
+    setEditValues(toFormValues(term));
+    setError(null);
+  };
+
+  const handleUpdate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const { phrase, misrecognitions, category, boost } = editValues;
+      const updated = await updateVocabularyTerm(editingId, { phrase, misrecognitions, category, boost });
+      setTerms(prev => prev.map(term => term.id === editingId ? withOrganizationName(updated) : term));
+      setEditingId(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (term) => {
+    if (!confirm(`Remove "${term.phrase}" from the vocabulary?`)) return;
+    setError(null);
+
+    try {
+      await deleteVocabularyTerm(term.id);
+      setTerms(prev => prev.filter(existing => existing.id !== term.id));
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  return (
+    <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4 mt-6">
+      <div>
+        <div className="flex items-center mb-1">
+          <BookOpen size={18} className="mr-2 text-royal" />
+          <h2 className="text-lg font-semibold">Custom vocabulary</h2>
+        </div>
+        <p className="text-xs text-gray-500">
+          Drug names, abbreviations and provider names that transcription should recognize. Server transcription
+          listens for these phrases; browser dictation replaces the &quot;often heard as&quot; spellings before notes are generated.
+        </p>
+      </div>
+
+      <form onSubmit={handleCreate} className="space-y-3 border-b border-gray-100 pb-4">
+        <TermFields
+          values={newTerm}
+          onChange={(field, value) => setNewTerm(prev => ({ ...prev, [field]: value }))}
+          organizations={adminOrganizations}
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving || !newTerm.phrase.trim()}
+            className="flex items-center px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            <Plus size={16} className="mr-1" />
+            Add term
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading vocabulary...</p>
+      ) : terms.length === 0 ? (
+        <p className="text-sm text-gray-500">No custom terms yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {terms.map(term => (
+            <li key={term.id} className="py-3">
+              {editingId === term.id ? (
+                <form onSubmit={handleUpdate} className="space-y-3">
+                  <TermFields
+                    values={editValues}
+                    onChange={(field, value) => setEditValues(prev => ({ ...prev, [field]: value }))}
+                  />
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      className="flex items-center px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                    >
+                      <X size={14} className="mr-1" />
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={isSaving || !editValues.phrase.trim()}
+                      className="px-3 py-1.5 text-sm bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                    >
+                      {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="font-medium text-gray-800">{term.phrase}</span>
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                        {VOCABULARY_CATEGORIES.find(category => category.value === term.category)?.label || term.category}
+                      </span>
+                      {term.organization_id && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-royal/10 text-royal">
+                          {term.organization_name || 'Organization'}
+                        </span>
+                      )}
+                    </div>
+                    {term.misrecognitions?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1 truncate">
+                        Heard as: {term.misrecognitions.join(', ')}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit(term) && (
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      <button
+                        type="button"
+                        onClick={() => startEditing(term)}
+                        className="p-1.5 text-gray-400 hover:text-royal rounded-md"
+                        aria-label={`Edit ${term.phrase}`}
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(term)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 rounded-md"
+                        aria-label={`Delete ${term.phrase}`}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,135 @@
+"use client";
+
+import { useState } from 'react';
+import { MessageSquare, Check, RotateCcw } from 'lucide-react';
+import { updateUserSettings } from '../../actions/settings';
+import { VOICE_COMMANDS, DEFAULT_VOICE_COMMAND_SETTINGS } from '../../utils/voiceCommands';
+
+// Phrases are edited as comma-separated text
+const toPhraseText = (voiceCommands) => Object.fromEntries(
+  VOICE_COMMANDS.map(({ action }) => [action, (voiceCommands[action] || []).join(', ')])
+);
+
+/**
+ * VoiceCommandSettings component
+ * Turns spoken dictation commands on or off and edits the phrases that
+ * trigger each command
+ */
+export default function VoiceCommandSettings({ initialSettings }) {
+  const [enabled, setEnabled] = useState(initialSettings.voiceCommandsEnabled);
+  const [phraseText, setPhraseText] = useState(toPhraseText(initialSettings.voiceCommands));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updatePhrases = (action, value) => {
+    setPhraseText(prev => ({ ...prev, [action]: value }));
+    setSaved(false);
+  };
+
+  const resetToDefaults = () => {
+    setPhraseText(toPhraseText(DEFAULT_VOICE_COMMAND_SETTINGS.voiceCommands));
+    setSaved(false);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    const voiceCommands = Object.fromEntries(
+      Object.entries(phraseText).map(([action, text]) => [action, text.split(',')])
+    );
+    const result = await updateUserSettings({ voiceCommandsEnabled: enabled, voiceCommands });
+
+    if (result.error) {
+      setError(result.error);
+    } else {
+      setEnabled(result.settings.voiceCommandsEnabled);
+      setPhraseText(toPhraseText(result.settings.voiceCommands));
+      setSaved(true);
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-xl p-5 space-y-4 mt-6">
+      <div className="flex items-center mb-2">
+        <MessageSquare size={18} className="mr-2 text-royal" />
+        <h2 className="text-lg font-semibold">Voice commands</h2>
+      </div>
+
+      <label className="flex items-start">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => {
+            setEnabled(e.target.checked);
+            setSaved(false);
+          }}
+          className="mt-1 mr-2 accent-royal"
+        />
+        <span>
+          <span className="block text-sm font-medium text-gray-700">Listen for voice commands while dictating</span>
+          <span className="block text-xs text-gray-500">
+            Commands are carried out instead of being written into the transcript. Browser dictation only.
+          </span>
+        </span>
+      </label>
+
+      {enabled && (
+        <div className="space-y-3">
+          {VOICE_COMMANDS.map(command => (
+            <div key={command.action}>
+              <label htmlFor={`voice-command-${command.action}`} className="block text-sm font-medium text-gray-700 mb-1">
+                {command.label}
+              </label>
+              <input
+                id={`voice-command-${command.action}`}
+                type="text"
+                value={phraseText[command.action]}
+                onChange={(e) => updatePhrases(command.action, e.target.value)}
+                placeholder="No phrases (command disabled)"
+                className="block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal"
+              />
+              {command.description && (
+                <p className="text-xs text-gray-500 mt-1">{command.description}</p>
+              )}
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">Separate alternative phrases with commas.</p>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      <div className="flex items-center justify-between pt-2">
+        {enabled ? (
+          <button
+            type="button"
+            onClick={resetToDefaults}
+            className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+          >
+            <RotateCcw size={14} className="mr-1" />
+            Reset phrases
+          </button>
+        ) : <span />}
+        <div className="flex items-center space-x-3">
+          {saved && (
+            <span className="flex items-center text-sm text-green-600">
+              <Check size={16} className="mr-1" />
+              Saved
+            </span>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Save changes'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,50 @@
+"use client";
+
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * ImportConflict component
+ * Shown when an imported template clashes with one already in the library:
+ * the user can import it under a new name, save it as a new version of the
+ * template with the same name (when they may edit it), or cancel
+ */
+export default function ImportConflict({ conflicts, message, canReplace = true, isImporting, onResolve, onCancel }) {
+  const nameConflict = conflicts.find(conflict => conflict.type === 'name');
+
+  return (
+    <div className="p-3 border border-amber-200 bg-amber-50 rounded-lg text-sm text-amber-900" role="alert">
+      <div className="flex items-start">
+        <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+        <p>{message}</p>
+      </div>
+      <div className="flex flex-wrap justify-end gap-2 mt-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isImporting}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white hover:bg-gray-100 text-gray-700 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        {nameConflict && canReplace && (
+          <button
+            type="button"
+            onClick={() => onResolve('replace')}
+            disabled={isImporting}
+            className="px-3 py-1.5 border border-royal text-royal rounded-lg bg-white hover:bg-royal/5 disabled:opacity-50"
+          >
+            Replace &ldquo;{nameConflict.name}&rdquo;
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => onResolve('rename')}
+          disabled={isImporting}
+          className="px-3 py-1.5 bg-royal text-white rounded-lg hover:bg-royal-700 disabled:opacity-50"
+        >
+          Import as a copy
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { LayoutTemplate, Check } from 'lucide-react';
+import { getSharedTemplate, importTemplate } from '../../services/transcriptionService';
+import { SECTION_TYPES } from '../../utils/noteSections';
+import ImportConflict from './ImportConflict';
+
+/**
+ * SharedTemplate component
+ * Shows the template behind a share link, with its sections and prompt, and
+ * adds a copy to the user's templates
+ */
+export default function SharedTemplate({ token }) {
+  const [shared, setShared] = useState(null); // { file, expiresAt }
+  const [isLoading, setIsLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [conflict, setConflict] = useState(null); // { conflicts, message }
+  const [imported, setImported] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getSharedTemplate(token)
+      .then(setShared)
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleImport = async (onConflict) => {
+    setIsImporting(true);
+    setError(null);
+
+    try {
+      const result = await importTemplate(shared.file, { onConflict });
+      setImported(result.template);
+      setConflict(null);
+    } catch (importError) {
+      if (importError.conflicts) {
+        setConflict({ conflicts: importError.conflicts, message: importError.message });
+      } else {
+        setError(importError.message);
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading shared template...</p>;
+  }
+
+  if (!shared) {
+    return (
+      <section className="bg-white border border-gray-200 rounded-xl p-5">
+        <p className="text-red-500 text-sm">{error || 'This template could not be loaded.'}</p>
+        <Link href="/templates" className="inline-block mt-3 text-sm text-royal hover:text-royal-700">Go to your templates</Link>
+      </section>
+    );
+  }
+
+  const { template } = shared.file;
+  const typeLabel = (type) => SECTION_TYPES.find(candidate => candidate.value === type)?.label || 'Free text';
+
+  return (
+    <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4">
+      <div>
+        <div className="flex items-center flex-wrap gap-2 mb-1">
+          <LayoutTemplate size={18} className="text-royal" />
+          <h2 className="text-lg font-semibold">{template.name}</h2>
+          {template.specialty && (
+            <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{template.specialty}</span>
+          )}
+          {template.version && <span className="text-xs text-gray-400">v{template.version}</span>}
+        </div>
+        {template.description && <p className="text-sm text-gray-600">{template.description}</p>}
+        {shared.expiresAt && (
+          <p className="text-xs text-gray-500 mt-1">This link expires on {new Date(shared.expiresAt).toLocaleDateString()}.</p>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Sections</h3>
+        <ol className="space-y-1 text-sm list-decimal list-inside">
+          {template.structure.sections.map(section => (
+            <li key={section.key}>
+              <span className="font-medium text-gray-800">{section.name}</span>
+              <span className="text-gray-500"> &middot; {typeLabel(section.type)}</span>
+              {section.options?.length > 0 && <span className="text-gray-500"> ({section.options.join(', ')})</span>}
+              {section.description && <p className="text-xs text-gray-500 ml-5">{section.description}</p>}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Generation prompt</h3>
+        <pre className="text-xs text-gray-700 whitespace-pre-wrap max-h-60 overflow-y-auto bg-gray-50 rounded-lg p-3">{template.promptTemplate}</pre>
+      </div>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      {imported ? (
+        <p className="flex items-center text-sm text-green-700">
+          <Check size={16} className="mr-1" />
+          Added to your templates as &ldquo;{imported.name}&rdquo;.
+          <Link href="/templates" className="ml-2 text-royal hover:text-royal-700">Open templates</Link>
+        </p>
+      ) : conflict ? (
+        <ImportConflict
+          conflicts={conflict.conflicts}
+          message={conflict.message}
+          isImporting={isImporting}
+          onResolve={handleImport}
+          onCancel={() => setConflict(null)}
+        />
+      ) : (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={() => handleImport()}
+            disabled={isImporting}
+            className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {isImporting ? 'Adding...' : 'Add to my templates'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,791 @@
+"use client";
+
+import { useEffect, useRef, useState } from 'react';
+import { LayoutTemplate, ArrowUp, ArrowDown, Copy, Pencil, Trash2, Plus, X, Download, Upload, Share2 } from 'lucide-react';
+import {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  getOrganizations,
+  exportTemplate,
+  importTemplate,
+  shareTemplate,
+  getTemplateShares,
+  revokeTemplateShare
+} from '../../services/transcriptionService';
+import SectionInput from '../notes/SectionInput';
+import ImportConflict from './ImportConflict';
+import { SECTION_TYPES, OPTION_TYPES, SECTION_PRESETS, emptySectionValue } from '../../utils/noteSections';
+
+// Wait for a pause in typing before checking the prompt
+const PREVIEW_DELAY_MS = 400;
+
+const inputClassName = 'block w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal focus:border-royal';
+
+// Local IDs keep React keys stable while sections are reordered
+let nextSectionId = 1;
+
+// Convert a template section to form values
+const toSectionValues = (section) => ({
+  id: nextSectionId++,
+  name: section.name || '',
+  description: section.description || '',
+  type: section.type || 'text',
+  unit: section.unit || '',
+  options: (section.options || []).join('\n')
+});
+
+// Convert form values back to a template section
+const toSection = ({ name, description, type, unit, options }) => ({
+  name: name.trim(),
+  description: description.trim(),
+  type,
+  ...(type === 'number' && unit.trim() ? { unit: unit.trim() } : {}),
+  ...(OPTION_TYPES.includes(type)
+    ? { options: options.split('\n').map(option => option.trim()).filter(Boolean) }
+    : {})
+});
+
+// Form values for a new template or an existing one
+const toFormValues = (template) => ({
+  id: template?.id || null,
+  organizationId: template?.organization_id || '',
+  name: template?.name || '',
+  specialty: template?.specialty || 'General',
+  description: template?.description || '',
+  promptTemplate: template?.prompt_template || '',
+  sections: (template?.structure?.sections || SECTION_PRESETS[0].sections).map(toSectionValues)
+});
+
+// Save a template file to the user's downloads
+const downloadFile = (fileName, file) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Fields for one section
+ */
+function SectionFields({ values, index, count, onChange, onMove, onRemove }) {
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-gray-400 w-5">{index + 1}.</span>
+        <input
+          type="text"
+          value={values.name}
+          onChange={(e) => onChange('name', e.target.value)}
+          placeholder="Section name"
+          maxLength={80}
+          className={inputClassName}
+          aria-label={`Section ${index + 1} name`}
+          required
+        />
+        <select
+          value={values.type}
+          onChange={(e) => onChange('type', e.target.value)}
+          className={`${inputClassName} max-w-[10rem]`}
+          aria-label={`Section ${index + 1} type`}
+        >
+          {SECTION_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <div className="flex items-center flex-shrink-0">
+          <button
+            type="button"
+            onClick={() => onMove(-1)}
+            disabled={index === 0}
+            className="p-1.5 text-gray-400 hover:text-royal rounded-md disabled:opacity-30"
+            aria-label={`Move ${values.name || 'section'} up`}
+          >
+            <ArrowUp size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={() => onMove(1)}
+            disabled={index === count - 1}
+            className="p-1.5 text-gray-400 hover:text-royal rounded-md disabled:opacity-30"
+            aria-label={`Move ${values.name || 'section'} down`}
+          >
+            <ArrowDown size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            disabled={count === 1}
+            className="p-1.5 text-gray-400 hover:text-red-500 rounded-md disabled:opacity-30"
+            aria-label={`Remove ${values.name || 'section'}`}
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      <input
+        type="text"
+        value={values.description}
+        onChange={(e) => onChange('description', e.target.value)}
+        placeholder="What belongs in this section (optional, guides the note generator)"
+        maxLength={500}
+        className={inputClassName}
+        aria-label={`Section ${index + 1} description`}
+      />
+
+      {values.type === 'number' && (
+        <input
+          type="text"
+          value={values.unit}
+          onChange={(e) => onChange('unit', e.target.value)}
+          placeholder="Unit (optional), e.g. /10 or kg"
+          maxLength={20}
+          className={`${inputClassName} max-w-xs`}
+          aria-label={`Section ${index + 1} unit`}
+        />
+      )}
+
+      {OPTION_TYPES.includes(values.type) && (
+        <textarea
+          value={values.options}
+          onChange={(e) => onChange('options', e.target.value)}
+          placeholder={values.type === 'dropdown' ? 'One option per line (at least two)' : 'One item per line'}
+          rows={3}
+          className={inputClassName}
+          aria-label={`Section ${index + 1} options`}
+        ></textarea>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TemplateBuilder component
+ * Lists the user's templates and the system templates, and builds templates
+ * from ordered sections of different types (free text, bullet list,
+ * checklist, number, dropdown, date). Notes generated from a template are
+ * laid out by its sections. Saving a change to an existing template creates
+ * a new version; notes keep the version they were generated with. System
+ * templates can't be edited, only copied; organization library templates are
+ * edited by the organization's admins. Templates can be exported as files,
+ * imported from them and shared with a link. The prompt is checked as it is
+ * typed and rendered against a sample patient, so the template variables
+ * (see backend/services/templateVariableService.js) can be tried out.
+ */
+export default function TemplateBuilder() {
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState(null); // Template being built, or null when listing
+  const [previewValues, setPreviewValues] = useState({});
+  const [promptPreview, setPromptPreview] = useState(null); // { valid, errors, rendered, variables }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [organizations, setOrganizations] = useState([]);
+  const [importLibrary, setImportLibrary] = useState(''); // Organization ID, or '' for the user's own templates
+  const [pendingImport, setPendingImport] = useState(null); // { file, conflicts, message } awaiting a decision
+  const [isImporting, setIsImporting] = useState(false);
+  const [sharing, setSharing] = useState(null); // { templateId, shares } for the open share panel
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    getTemplates({ isActive: true })
+      .then(setTemplates)
+      .catch((loadError) => setError(loadError.message))
+      .finally(() => setIsLoading(false));
+
+    // Organizations are optional; without them there are only personal templates
+    getOrganizations()
+      .then(setOrganizations)
+      .catch(() => setOrganizations([]));
+  }, []);
+
+  const adminOrganizations = organizations.filter(organization => organization.role === 'admin');
+
+  const canEdit = (template) => !template.is_system_template && (!template.organization_id
+    || adminOrganizations.some(organization => organization.id === template.organization_id));
+
+  const organizationName = (template) => template.organization_name
+    || organizations.find(organization => organization.id === template.organization_id)?.name
+    || 'Organization';
+
+  // What the prompt check depends on, as one value so typing elsewhere doesn't trigger it
+  const previewRequest = form
+    ? JSON.stringify({
+      promptTemplate: form.promptTemplate.trim(),
+      specialty: form.specialty.trim(),
+      structure: { sections: form.sections.map(toSection) }
+    })
+    : null;
+
+  useEffect(() => {
+    if (!previewRequest) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      previewTemplate(JSON.parse(previewRequest), { signal: controller.signal })
+        .then(setPromptPreview)
+        .catch((previewError) => {
+          if (previewError.name !== 'AbortError') setPromptPreview(null);
+        });
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [previewRequest]);
+
+  const openForm = (values) => {
+    setForm(values);
+    setPreviewValues({});
+    setPromptPreview(null);
+    setError(null);
+  };
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const setSectionField = (index, field, value) => setForm(prev => ({
+    ...prev,
+    sections: prev.sections.map((section, sectionIndex) => (
+      sectionIndex === index ? { ...section, [field]: value } : section
+    ))
+  }));
+
+  const moveSection = (index, offset) => setForm(prev => {
+    const sections = [...prev.sections];
+    [sections[index], sections[index + offset]] = [sections[index + offset], sections[index]];
+    return { ...prev, sections };
+  });
+
+  const removeSection = (index) => setForm(prev => ({
+    ...prev,
+    sections: prev.sections.filter((_, sectionIndex) => sectionIndex !== index)
+  }));
+
+  const addSection = () => setForm(prev => ({
+    ...prev,
+    sections: [...prev.sections, toSectionValues({ type: 'text' })]
+  }));
+
+  const applyPreset = (presetName) => {
+    const preset = SECTION_PRESETS.find(candidate => candidate.name === presetName);
+    if (preset) setField('sections', preset.sections.map(toSectionValues));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    const payload = {
+      name: form.name.trim(),
+      specialty: form.specialty.trim(),
+      description: form.description.trim(),
+      structure: { sections: form.sections.map(toSection) },
+      // An empty prompt is generated from the sections
+      promptTemplate: form.promptTemplate.trim()
+    };
+
+    try {
+      if (form.id) {
+        const updated = await updateTemplate(form.id, payload);
+        setTemplates(prev => prev.map(template => (template.id === updated.id ? updated : template)));
+      } else {
+        const created = await createTemplate({
+          ...payload,
+          promptTemplate: payload.promptTemplate || undefined,
+          organizationId: form.organizationId || undefined
+        });
+        setTemplates(prev => [...prev, created]);
+      }
+      setForm(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleExport = async (template) => {
+    setError(null);
+
+    try {
+      const { fileName, file } = await exportTemplate(template.id);
+      downloadFile(fileName, file);
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+  };
+
+  // Import a file, or retry a pending import with the user's choice for a conflict
+  const runImport = async (file, onConflict) => {
+    setIsImporting(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const result = await importTemplate(file, { organizationId: importLibrary || undefined, onConflict });
+      setTemplates(prev => [...prev.filter(template => template.id !== result.template.id), result.template]);
+      setPendingImport(null);
+      setNotice(`${result.action === 'replaced' ? 'Updated' : 'Imported'} "${result.template.name}"${result.upgraded ? ' (upgraded from an older file format)' : ''}.`);
+    } catch (importError) {
+      if (importError.conflicts) {
+        setPendingImport({ file, conflicts: importError.conflicts, message: importError.message });
+      } else {
+        setPendingImport(null);
+        setError(importError.message);
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleImportFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    runImport(await file.text());
+  };
+
+  const toggleSharing = async (template) => {
+    if (sharing?.templateId === template.id) {
+      setSharing(null);
+      return;
+    }
+    setError(null);
+    setSharing({ templateId: template.id, shares: null });
+
+    try {
+      const shares = await getTemplateShares(template.id);
+      setSharing(prev => (prev?.templateId === template.id ? { ...prev, shares } : prev));
+    } catch (shareError) {
+      setError(shareError.message);
+    }
+  };
+
+  const handleCreateShare = async (template) => {
+    setError(null);
+
+    try {
+      const share = await shareTemplate(template.id);
+      setSharing(prev => ({ templateId: template.id, shares: [share, ...(prev?.shares || [])] }));
+      const link = `${window.location.origin}${share.url}`;
+      await navigator.clipboard?.writeText(link).catch(() => {});
+      setNotice('Share link created and copied. Anyone signed in with the link can add a copy of this version.');
+    } catch (shareError) {
+      setError(shareError.message);
+    }
+  };
+
+  const handleRevokeShare = async (template, share) => {
+    setError(null);
+
+    try {
+      await revokeTemplateShare(template.id, share.id);
+      setSharing(prev => ({ ...prev, shares: prev.shares.filter(existing => existing.id !== share.id) }));
+    } catch (shareError) {
+      setError(shareError.message);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the template "${template.name}"? Notes already written with it are not affected.`)) return;
+    setError(null);
+
+    try {
+      await deleteTemplate(template.id);
+      setTemplates(prev => prev.filter(existing => existing.id !== template.id));
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  if (form) {
+    const previewSections = form.sections.map(toSection).filter(section => section.name);
+
+    return (
+      <form onSubmit={handleSave} className="lg:grid lg:grid-cols-5 lg:gap-6">
+        <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4 lg:col-span-3">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold">{form.id ? `Edit ${form.name || 'template'}` : 'New template'}</h2>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="p-1.5 text-gray-400 hover:text-gray-700 rounded-md"
+              aria-label="Close the template builder"
+            >
+              <X size={18} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder="e.g. Therapy session (DAP)"
+                className={inputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Specialty</label>
+              <input
+                type="text"
+                value={form.specialty}
+                onChange={(e) => setField('specialty', e.target.value)}
+                className={inputClassName}
+                required
+              />
+            </div>
+            {!form.id && adminOrganizations.length > 0 && (
+              <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Library</label>
+                <select
+                  value={form.organizationId}
+                  onChange={(e) => setField('organizationId', e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">My templates</option>
+                  {adminOrganizations.map(organization => (
+                    <option key={organization.id} value={organization.id}>{organization.name} (shared with the organization)</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setField('description', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-700">Sections</h3>
+              <select
+                value=""
+                onChange={(e) => applyPreset(e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal"
+                aria-label="Start from a preset"
+              >
+                <option value="">Start from a preset...</option>
+                {SECTION_PRESETS.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              {form.sections.map((section, index) => (
+                <SectionFields
+                  key={section.id}
+                  values={section}
+                  index={index}
+                  count={form.sections.length}
+                  onChange={(field, value) => setSectionField(index, field, value)}
+                  onMove={(offset) => moveSection(index, offset)}
+                  onRemove={() => removeSection(index)}
+                />
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={addSection}
+              disabled={form.sections.length >= 20}
+              className="flex items-center mt-2 text-sm text-royal hover:text-royal-700 disabled:opacity-50"
+            >
+              <Plus size={14} className="mr-1" />
+              Add section
+            </button>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Generation prompt (optional)</label>
+            <textarea
+              value={form.promptTemplate}
+              onChange={(e) => setField('promptTemplate', e.target.value)}
+              placeholder="Leave empty to generate the prompt from the sections. A custom prompt must include {{transcription}} once."
+              rows={4}
+              className={inputClassName}
+              aria-invalid={promptPreview ? !promptPreview.valid : undefined}
+            ></textarea>
+            {form.id && (
+              <p className="text-xs text-gray-500 mt-1">Clear the prompt to regenerate it from the sections.</p>
+            )}
+            {promptPreview && !promptPreview.valid && (
+              <ul className="mt-2 space-y-1 text-sm text-red-500" aria-live="polite">
+                {promptPreview.errors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+            {promptPreview?.variables && (
+              <details className="mt-2 text-xs text-gray-600">
+                <summary className="cursor-pointer text-royal">Variables you can use</summary>
+                <p className="mt-2">
+                  Write <code>{'{{#if patient.allergies}}...{{else}}...{{/if}}'}</code> to include text only when a value is known,
+                  and <code>{'\\{{'}</code> for literal braces.
+                </p>
+                <dl className="mt-2 grid grid-cols-[auto,1fr] gap-x-3 gap-y-1">
+                  {promptPreview.variables.map(variable => (
+                    <div key={variable.name} className="contents">
+                      <dt><code>{`{{${variable.name}}}`}</code></dt>
+                      <dd>{variable.description}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </details>
+            )}
+          </div>
+
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors text-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : form.id ? 'Save new version' : 'Create template'}
+            </button>
+          </div>
+        </section>
+
+        {/* How a note written with the template will be laid out */}
+        <aside className="mt-6 lg:mt-0 lg:col-span-2 self-start lg:sticky lg:top-6">
+          <div className="bg-white border border-gray-200 rounded-xl p-5 space-y-4">
+            <div>
+              <h2 className="text-lg font-semibold">Preview</h2>
+              <p className="text-xs text-gray-500">Try the fields as they will appear when editing a note.</p>
+            </div>
+            {previewSections.map((section, index) => (
+              <div key={`${index}-${section.name}`}>
+                <label className="block text-sm font-semibold text-royal mb-1">{section.name}</label>
+                {section.description && <p className="text-xs text-gray-500 mb-1">{section.description}</p>}
+                <SectionInput
+                  section={section}
+                  value={previewValues[index] ?? emptySectionValue(section)}
+                  onChange={(value) => setPreviewValues(prev => ({ ...prev, [index]: value }))}
+                />
+              </div>
+            ))}
+          </div>
+
+          {promptPreview?.rendered && (
+            <div className="bg-white border border-gray-200 rounded-xl p-5 mt-4">
+              <h2 className="text-lg font-semibold">Prompt preview</h2>
+              <p className="text-xs text-gray-500 mb-2">The prompt as it would be sent for a sample patient at a follow-up visit.</p>
+              <pre className="text-xs text-gray-700 whitespace-pre-wrap max-h-80 overflow-y-auto bg-gray-50 rounded-lg p-3">{promptPreview.rendered}</pre>
+            </div>
+          )}
+        </aside>
+      </form>
+    );
+  }
+
+  return (
+    <section className="bg-white border border-gray-200 rounded-xl p-5 space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="flex items-center mb-1">
+            <LayoutTemplate size={18} className="mr-2 text-royal" />
+            <h2 className="text-lg font-semibold">Templates</h2>
+          </div>
+          <p className="text-xs text-gray-500">
+            Choose the sections your notes are written in. Edits are saved as new versions.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {adminOrganizations.length > 0 && (
+            <select
+              value={importLibrary}
+              onChange={(e) => setImportLibrary(e.target.value)}
+              className="px-2 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-royal"
+              aria-label="Library to import into"
+            >
+              <option value="">Import into my templates</option>
+              {adminOrganizations.map(organization => (
+                <option key={organization.id} value={organization.id}>Import into {organization.name}</option>
+              ))}
+            </select>
+          )}
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            className="flex items-center px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100 transition-colors text-gray-700 disabled:opacity-50"
+          >
+            <Upload size={16} className="mr-1" />
+            {isImporting ? 'Importing...' : 'Import'}
+          </button>
+          <button
+            type="button"
+            onClick={() => openForm(toFormValues(null))}
+            className="flex items-center px-4 py-2 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors"
+          >
+            <Plus size={16} className="mr-1" />
+            New template
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+      {notice && <p className="text-green-700 text-sm">{notice}</p>}
+
+      {pendingImport && (
+        <ImportConflict
+          conflicts={pendingImport.conflicts}
+          message={pendingImport.message}
+          canReplace={pendingImport.conflicts.some(conflict => conflict.type === 'name'
+            && canEdit(templates.find(template => template.id === conflict.templateId) || {}))}
+          isImporting={isImporting}
+          onResolve={(onConflict) => runImport(pendingImport.file, onConflict)}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading templates...</p>
+      ) : templates.length === 0 ? (
+        <p className="text-sm text-gray-500">No templates yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {templates.map(template => (
+            <li key={template.id} className="py-3">
+              <div className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <div className="flex items-center flex-wrap gap-2">
+                  <span className="font-medium text-gray-800">{template.name}</span>
+                  {template.specialty && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{template.specialty}</span>
+                  )}
+                  {template.is_system_template && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-royal/10 text-royal">Built in</span>
+                  )}
+                  {template.organization_id && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-50 text-green-700">{organizationName(template)}</span>
+                  )}
+                  {template.version && <span className="text-xs text-gray-400">v{template.version}</span>}
+                </div>
+                <p className="text-xs text-gray-500 mt-1 truncate">
+                  {(template.structure?.sections || SECTION_PRESETS[0].sections).map(section => section.name).join(' · ')}
+                </p>
+              </div>
+              <div className="flex items-center space-x-1 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => openForm({ ...toFormValues(template), id: null, name: `${template.name} (copy)` })}
+                  className="p-1.5 text-gray-400 hover:text-royal rounded-md"
+                  aria-label={`Copy ${template.name}`}
+                >
+                  <Copy size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleExport(template)}
+                  className="p-1.5 text-gray-400 hover:text-royal rounded-md"
+                  aria-label={`Export ${template.name}`}
+                >
+                  <Download size={16} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => toggleSharing(template)}
+                  className={`p-1.5 rounded-md ${sharing?.templateId === template.id ? 'text-royal' : 'text-gray-400 hover:text-royal'}`}
+                  aria-label={`Share ${template.name}`}
+                  aria-expanded={sharing?.templateId === template.id}
+                >
+                  <Share2 size={16} />
+                </button>
+                {canEdit(template) && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => openForm(toFormValues(template))}
+                      className="p-1.5 text-gray-400 hover:text-royal rounded-md"
+                      aria-label={`Edit ${template.name}`}
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(template)}
+                      className="p-1.5 text-gray-400 hover:text-red-500 rounded-md"
+                      aria-label={`Delete ${template.name}`}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </>
+                )}
+              </div>
+              </div>
+
+              {sharing?.templateId === template.id && (
+                <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-xs text-gray-500">
+                      A link shares this version of the template. Colleagues who open it can add a copy to their templates.
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => handleCreateShare(template)}
+                      className="flex-shrink-0 px-3 py-1.5 bg-royal text-white rounded-md hover:bg-royal-700 transition-colors"
+                    >
+                      Create link
+                    </button>
+                  </div>
+                  {sharing.shares === null ? (
+                    <p className="text-xs text-gray-500">Loading links...</p>
+                  ) : sharing.shares.map(share => (
+                    <div key={share.id} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        readOnly
+                        value={`${window.location.origin}${share.url}`}
+                        onFocus={(e) => e.target.select()}
+                        className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-200 rounded bg-white"
+                        aria-label="Share link"
+                      />
+                      {share.version && <span className="text-xs text-gray-400">v{share.version}</span>}
+                      <button
+                        type="button"
+                        onClick={() => handleRevokeShare(template, share)}
+                        className="text-xs text-red-500 hover:text-red-700"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
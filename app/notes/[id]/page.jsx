@@ -2,6 +2,8 @@ import { createClient } from "../../../supabase/server";
 import { ArrowLeft } from "lucide-react";
 import Link from "next/link";
 import NoteCard from "../../components/notes/NoteCard";
+import RecordingPlayer from "../../components/notes/RecordingPlayer";
+import { getNoteSections, emptySectionValue } from "../../utils/noteSections";
 
 /**
  * Individual Note Page
@@ -88,18 +90,17 @@ export default async function NotePage({ params }) {
       }
     }
     
-    // Ensure SOAP data has the expected structure
-    const formattedSoapData = {
-      subjective: soapData?.subjective || '',
-      objective: soapData?.objective || '',
-      assessment: soapData?.assessment || '',
-      plan: soapData?.plan || ''
-    };
+    // Ensure SOAP data has every section of the template it was written with
+    const sections = getNoteSections(soapData);
+    const formattedSoapData = Object.fromEntries(
+      sections.map(section => [section.key, soapData?.[section.key] ?? emptySectionValue(section)])
+    );
     
     note = {
       id: rawNote.id,
       title: rawNote.title || 'Untitled Note',
       date: rawNote.created_at || rawNote.timestamp || new Date().toISOString(),
+      patientId: rawNote.patient_id || rawNote.patient?.id || null,
       patient: rawNote.first_name && rawNote.last_name ? 
         `${rawNote.first_name} ${rawNote.last_name}` : 
         (rawNote.patient_name || 'No Patient'),
@@ -108,7 +109,14 @@ export default async function NotePage({ params }) {
       snippet: rawNote.raw_transcript ? 
         rawNote.raw_transcript.substring(0, 150) + (rawNote.raw_transcript.length > 150 ? '...' : '') : 
         'No content',
-      content: formattedSoapData
+      content: formattedSoapData,
+      sections,
+      attributions: soapData?.attributions || null,
+      verification: soapData?.verification || null,
+      vitalSigns: soapData?.vitalSigns || null,
+      codes: rawNote.codes || [],
+      transcript: rawNote.raw_transcript || '',
+      transcriptSegments: rawNote.transcript_segments || []
     };
     
   } catch (err) {
@@ -171,6 +179,9 @@ export default async function NotePage({ params }) {
       
       {/* Note Card */}
       <NoteCard note={note} />
+      
+      {/* Dictation recording, when one was kept */}
+      <RecordingPlayer noteId={note.id} segments={note.transcriptSegments} />
     </div>
   );
 }
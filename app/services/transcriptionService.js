@@ -6,6 +6,9 @@
 // Use a relative URL that works in all environments
 const API_BASE_URL = '/api';
 
+// Streaming transcription runs on the Express backend, which can hold WebSocket connections
+const STREAM_URL = process.env.NEXT_PUBLIC_TRANSCRIPTION_STREAM_URL || 'ws://localhost:3001/api/transcription/stream';
+
 /**
  * Generate a SOAP note from a transcript using GCP Natural Language API
  * @param {string} transcript - The transcribed text
@@ -39,9 +42,79 @@ export async function generateSoapNote(transcript, options = {}) {
   }
 }
 
+/**
+ * Generate a SOAP note, receiving each section as soon as it is written
+ * @param {string} transcript - The transcribed text
+ * @param {Object} options - Same options as generateSoapNote
+ * @param {Object} handlers - { onSection(section, text), signal } (abort the signal to cancel)
+ * @returns {Promise<Object>} The generated SOAP note
+ */
+export async function streamSoapNote(transcript, options = {}, { onSection, signal } = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/transcription/soap/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({
+        transcript,
+        options
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const result = await response.json();
+      throw new Error(result.error || 'Failed to generate SOAP note');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let soapNote = null;
+
+    // Server-sent events are separated by a blank line
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const message of events) {
+        const event = message.match(/^event: (.*)$/m)?.[1];
+        const data = message.match(/^data: (.*)$/m)?.[1];
+        if (!event || !data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'section' && onSection) {
+          onSection(payload.section, payload.text);
+        } else if (event === 'complete') {
+          soapNote = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.error);
+        }
+      }
+    }
+
+    if (!soapNote) {
+      throw new Error('SOAP note generation ended before the note was complete');
+    }
+    return soapNote;
+  } catch (error) {
+    // Cancelling is not an error worth logging
+    if (error.name !== 'AbortError') {
+      console.error('Error streaming SOAP note:', error);
+    }
+    throw error;
+  }
+}
+
 /**
  * Save a note to the database
- * @param {Object} noteData - The note data (title, transcript, SOAP sections, etc.)
+ * @param {Object} noteData - The note data (title, transcript, transcriptSegments, noteLanguage, SOAP sections, etc.)
  * @returns {Promise<Object>} The saved note
  */
 export async function saveNote(noteData) {
@@ -52,7 +125,9 @@ export async function saveNote(noteData) {
     if (!soapData && noteData.transcript) {
       const options = {
         template: noteData.template,
-        patientInfo: noteData.patient
+        patientInfo: noteData.patient,
+        segments: noteData.transcriptSegments,
+        outputLanguage: noteData.noteLanguage
       };
       
       soapData = await generateSoapNote(noteData.transcript, options);
@@ -71,6 +146,7 @@ export async function saveNote(noteData) {
         template: noteData.template,
         templateName: noteData.templateName || '', // Include template name for consistency
         transcript: noteData.transcript,
+        transcript_segments: noteData.transcriptSegments,
         recordingTime: noteData.recordingTime,
         soapData,
         timestamp: new Date().toISOString()
@@ -90,6 +166,77 @@ export async function saveNote(noteData) {
   }
 }
 
+/**
+ * Regenerate one section of a generated note that hasn't been saved yet
+ * @param {string} transcript - Transcript the note was generated from
+ * @param {string} section - Key of a text section of the note (subjective, objective, assessment or plan for SOAP notes)
+ * @param {Object} note - Current note; its other sections are kept as they are
+ * @param {string} instruction - Optional instruction, e.g. "be more concise"
+ * @param {Object} options - { outputLanguage, segments, patientInfo }
+ * @returns {Promise<Object>} { section, text, attributions, verification, medicationOrders, vitalSigns, generatedBy, model }
+ */
+export async function regenerateSoapSection(transcript, section, note, instruction = '', options = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/transcription/soap/section`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({
+        transcript,
+        section,
+        note,
+        instruction,
+        options
+      })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to regenerate section');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error regenerating SOAP section:', error);
+    throw error;
+  }
+}
+
+/**
+ * Dictate into one SOAP section of an existing note
+ * The server merges the dictation into the section and keeps the previous
+ * content as a note version
+ * @param {string} noteId - Note ID
+ * @param {Object} options - { section, mode: 'append'|'replace', transcript, noteLanguage }
+ * @returns {Promise<Object>} { note, section, text, generatedBy }
+ */
+export async function refineNoteSection(noteId, options) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/refine`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(options)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update note section');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating note section:', error);
+    throw error;
+  }
+}
+
 /**
  * Process audio directly with GCP Speech-to-Text (alternative to Web Speech API)
  * This is a fallback for browsers that don't support Web Speech API
@@ -133,11 +280,15 @@ export async function transcribeAudio(audioData, options = {}) {
 
 /**
  * Process audio and generate SOAP note in one request
+ * Long recordings are handed off to a background job by the server (202),
+ * in which case this polls the job until it finishes
  * @param {Blob|File|Base64String} audioData - The audio data to transcribe
- * @param {Object} options - Processing options
+ * @param {Object} options - Processing options; onProgress receives job updates
  * @returns {Promise<Object>} The transcription and SOAP note
  */
 export async function processAudioComplete(audioData, options = {}) {
+  const { onProgress, ...processingOptions } = options;
+  
   try {
     // Convert File/Blob to base64 if needed
     let audioContent = audioData;
@@ -154,7 +305,7 @@ export async function processAudioComplete(audioData, options = {}) {
       },
       body: JSON.stringify({
         audio: audioContent,
-        options
+        options: processingOptions
       })
     });
 
@@ -164,6 +315,18 @@ export async function processAudioComplete(audioData, options = {}) {
       throw new Error(result.error || 'Failed to process audio');
     }
     
+    if (response.status === 202) {
+      const job = await waitForTranscriptionJob(result.data.jobId, { onProgress });
+      return {
+        transcription: {
+          transcript: job.transcript,
+          confidence: job.confidence,
+          segments: job.segments
+        },
+        soapNote: job.soap_note
+      };
+    }
+    
     return result.data;
   } catch (error) {
     console.error('Error processing audio:', error);
@@ -171,6 +334,192 @@ export async function processAudioComplete(audioData, options = {}) {
   }
 }
 
+/**
+ * Start an asynchronous transcription job for a long recording
+ * Files are uploaded as multipart form data to avoid base64 overhead
+ * @param {Blob|File|Base64String} audioData - The audio data to transcribe
+ * @param {Object} options - Transcription options (encoding, sampleRateHertz, languageCode)
+ * @returns {Promise<Object>} The created job
+ */
+export async function createTranscriptionJob(audioData, options = {}) {
+  try {
+    let body;
+    const headers = {
+      'Authorization': `Bearer ${await getAuthToken()}`
+    };
+    
+    if (audioData instanceof Blob || audioData instanceof File) {
+      body = new FormData();
+      body.append('audio', audioData);
+      body.append('options', JSON.stringify(options));
+    } else {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify({
+        audio: audioData,
+        options
+      });
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/transcription/jobs`, {
+      method: 'POST',
+      headers,
+      body
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to create transcription job');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error creating transcription job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the status, progress and partial transcript of a transcription job
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} The job
+ */
+export async function getTranscriptionJob(jobId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/transcription/jobs/${jobId}`, {
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch transcription job');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching transcription job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Poll a transcription job until it completes or fails
+ * @param {string} jobId - The job ID
+ * @param {Object} options - Polling options (onProgress callback, intervalMs)
+ * @returns {Promise<Object>} The completed job
+ */
+export async function waitForTranscriptionJob(jobId, options = {}) {
+  const { onProgress = () => {}, intervalMs = 2000 } = options;
+  
+  while (true) {
+    const job = await getTranscriptionJob(jobId);
+    onProgress(job);
+    
+    if (job.status === 'completed') {
+      return job;
+    }
+    
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Transcription job failed');
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Stream microphone audio to the server-side recognizer over WebSocket
+ * Used when the browser's Web Speech API is missing or disabled by policy
+ * @param {Object} options - Stream options (languageCode, alternativeLanguageCodes for
+ *   automatic language detection) and callbacks (onResult, onError, onEnd)
+ * @returns {Promise<Object>} Controller with a stop method
+ */
+export async function startStreamingTranscription(options = {}) {
+  const {
+    languageCode = 'en-US',
+    alternativeLanguageCodes = [],
+    onResult = () => {},
+    onError = () => {},
+    onEnd = () => {}
+  } = options;
+
+  // MediaRecorder formats the recognizer can decode without transcoding
+  const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus']
+    .find(type => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(type));
+
+  if (!mimeType) {
+    throw new Error('This browser cannot record audio in a format supported by server transcription');
+  }
+
+  const token = await getAuthToken();
+  const socket = new WebSocket(`${STREAM_URL}?token=${encodeURIComponent(token)}`);
+
+  await new Promise((resolve, reject) => {
+    socket.onopen = resolve;
+    socket.onerror = () => reject(new Error('Could not connect to the transcription server'));
+  });
+
+  const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(mediaStream, { mimeType });
+
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+
+    if (message.type === 'result') {
+      onResult(message);
+    } else if (message.type === 'error') {
+      onError(new Error(message.error));
+    } else if (message.type === 'end') {
+      socket.close();
+    }
+  };
+
+  socket.onerror = () => onError(new Error('Lost connection to the transcription server'));
+
+  socket.onclose = () => {
+    mediaStream.getTracks().forEach(track => track.stop());
+    onEnd();
+  };
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0 && socket.readyState === WebSocket.OPEN) {
+      socket.send(event.data);
+    }
+  };
+
+  socket.send(JSON.stringify({
+    type: 'start',
+    options: {
+      encoding: mimeType.startsWith('audio/webm') ? 'WEBM_OPUS' : 'OGG_OPUS',
+      sampleRateHertz: 48000,
+      languageCode,
+      alternativeLanguageCodes
+    }
+  }));
+
+  // Emit a chunk every 250ms so interim results arrive quickly
+  recorder.start(250);
+
+  return {
+    stop() {
+      if (recorder.state !== 'inactive') {
+        // Flush the final chunk before telling the server we're done
+        recorder.onstop = () => {
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'stop' }));
+          }
+        };
+        recorder.stop();
+      } else if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'stop' }));
+      }
+    }
+  };
+}
+
 // Helper function to convert Blob to base64
 async function blobToBase64(blob) {
   return new Promise((resolve, reject) => {
@@ -246,6 +595,1106 @@ export async function createTemplate(templateData) {
   }
 }
 
+/**
+ * Get a template with its versions
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template with versions, newest first
+ */
+export async function getTemplate(templateId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a template; changes to its content are saved as a new version
+ * @param {string} templateId - Template ID
+ * @param {Object} templateData - Fields to update (name, description, specialty, promptTemplate, structure)
+ * @returns {Promise<Object>} Updated template
+ */
+export async function updateTemplate(templateId, templateData) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(templateData)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { id, deleted }
+ */
+export async function deleteTemplate(templateId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the organizations the user belongs to
+ * @returns {Promise<Array>} [{ id, name, role }]
+ */
+export async function getOrganizations() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch organizations');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an organization; the user becomes its first admin
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} { id, name, role }
+ */
+export async function createOrganization(name) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ name })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to create organization');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the members of an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} [{ user_id, role, created_at }], admins first
+ */
+export async function getOrganizationMembers(organizationId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/members`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch organization members');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching organization members:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change an organization member's role (admins only)
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberId - User ID of the member
+ * @param {string} role - admin or member
+ * @returns {Promise<Object>} Member
+ */
+export async function updateOrganizationMemberRole(organizationId, memberId, role) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/members/${memberId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ role })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update organization member');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating organization member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an invite link for an organization (admins only)
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - { role, expiresInDays } (member and 7 days by default)
+ * @returns {Promise<Object>} Invite with url
+ */
+export async function createOrganizationInvite(organizationId, { role, expiresInDays } = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invites`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ role, expiresInDays })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to create organization invite');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error creating organization invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an organization's invite links that can still be accepted (admins only)
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} Invites with url
+ */
+export async function getOrganizationInvites(organizationId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invites`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch organization invites');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching organization invites:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke an organization invite link
+ * @param {string} organizationId - Organization ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} { id, revoked }
+ */
+export async function revokeOrganizationInvite(organizationId, inviteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/${organizationId}/invites/${inviteId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to revoke organization invite');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error revoking organization invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the organization behind an invite link
+ * @param {string} token - Invite token
+ * @returns {Promise<Object>} { organization_id, organization_name, role, expires_at }
+ */
+export async function getOrganizationInvite(token) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/invites/${encodeURIComponent(token)}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch organization invite');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching organization invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Accept an invite link and join its organization
+ * @param {string} token - Invite token
+ * @returns {Promise<Object>} Organization { id, name, role }
+ */
+export async function acceptOrganizationInvite(token) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/organizations/invites/${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to accept organization invite');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error accepting organization invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export a template as a portable file
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { fileName, file }
+ */
+export async function exportTemplate(templateId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}/export`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to export template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error exporting template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import a template file into the user's templates or an organization's library
+ * When the library already has a template with the same name or content, the
+ * error has conflicts ([{ type, templateId, name }]); retry with onConflict
+ * 'rename' or 'replace'
+ * @param {Object|string} file - Template file, parsed or as text
+ * @param {Object} options - { organizationId, onConflict }
+ * @returns {Promise<Object>} { template, action, schemaVersion, upgraded }
+ */
+export async function importTemplate(file, { organizationId, onConflict } = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ file, organizationId, onConflict })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      const error = new Error(result.error || 'Failed to import template');
+      error.conflicts = result.data?.conflicts || null;
+      throw error;
+    }
+    
+    return result.data;
+  } catch (error) {
+    if (!error.conflicts) {
+      console.error('Error importing template:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a share link for a template
+ * @param {string} templateId - Template ID
+ * @param {Object} options - { expiresInDays } (links don't expire by default)
+ * @returns {Promise<Object>} Share with url
+ */
+export async function shareTemplate(templateId, { expiresInDays } = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}/shares`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ expiresInDays })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to share template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error sharing template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active share links the user created for a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array>} Shares with url and the shared version
+ */
+export async function getTemplateShares(templateId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}/shares`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch template shares');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching template shares:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a template share link
+ * @param {string} templateId - Template ID
+ * @param {string} shareId - Share ID
+ * @returns {Promise<Object>} { id, revoked }
+ */
+export async function revokeTemplateShare(templateId, shareId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/${templateId}/shares/${shareId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to revoke template share');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error revoking template share:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the template behind a share link
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} { file, expiresAt }
+ */
+export async function getSharedTemplate(token) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/shared/${encodeURIComponent(token)}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch shared template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching shared template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a template being edited and render its prompt against a sample patient
+ * @param {Object} templateData - { promptTemplate, structure, specialty }
+ * @param {Object} options - { signal } to cancel an outdated preview
+ * @returns {Promise<Object>} { valid, errors, prompt, rendered, variables }
+ */
+export async function previewTemplate(templateData, { signal } = {}) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/templates/preview`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(templateData),
+      signal
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to preview template');
+    }
+    
+    return result.data;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error previewing template:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Search the ICD-10-CM and CPT code catalog
+ * @param {string} query - Code prefix or description words
+ * @param {Object} options - { system: 'ICD-10-CM'|'CPT', limit }
+ * @returns {Promise<Array>} [{ system, code, description, score }]
+ */
+export async function searchCodes(query, options = {}) {
+  try {
+    const params = new URLSearchParams({ q: query });
+    if (options.system) params.set('system', options.system);
+    if (options.limit) params.set('limit', String(options.limit));
+
+    const response = await fetch(`${API_BASE_URL}/coding/search?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to search codes');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error searching codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Suggest ICD-10-CM and CPT codes for a saved note's Assessment and Plan
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { suggestions, rejected, generatedBy }
+ */
+export async function suggestNoteCodes(noteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/codes/suggest`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to suggest codes');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error suggesting codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the codes accepted on a note
+ * @param {string} noteId - Note ID
+ * @param {Array} codes - [{ system, code, confidence, source: 'suggested'|'manual' }]
+ * @returns {Promise<Object>} Updated note
+ */
+export async function updateNoteCodes(noteId, codes) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/codes`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ codes })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update codes');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reconcile a note's medication orders with its patient's medication list
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { orders, patientMedications, hasPatient, items }
+ */
+export async function getMedicationReconciliation(noteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/medications`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to reconcile medications');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error reconciling medications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply confirmed reconciliation items to the patient's medication list
+ * @param {string} noteId - Note ID
+ * @param {Array} items - Reconciliation items the clinician accepted
+ * @returns {Promise<Object>} { patientMedications }
+ */
+export async function confirmMedicationReconciliation(noteId, items) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/medications`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ items })
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update patient medications');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating patient medications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a patient's vital signs across their notes
+ * @param {string} patientId - Patient ID
+ * @param {number} limit - Most recent notes to include
+ * @returns {Promise<Object>} { patientId, fields, readings, series }
+ */
+export async function getPatientVitals(patientId, limit = 50) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/patients/${patientId}/vitals?limit=${limit}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to get patient vitals');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error getting patient vitals:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's custom vocabulary
+ * @returns {Promise<Object>} { terms, organizations } where organizations carry the user's role
+ */
+export async function getVocabulary() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/vocabulary`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch vocabulary');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching vocabulary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a vocabulary term
+ * @param {Object} termData - { phrase, misrecognitions, category, boost, organizationId }
+ * @returns {Promise<Object>} Created term
+ */
+export async function createVocabularyTerm(termData) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/vocabulary`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(termData)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to create vocabulary term');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error creating vocabulary term:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a vocabulary term
+ * @param {string} termId - Term ID
+ * @param {Object} termData - Fields to update (phrase, misrecognitions, category, boost)
+ * @returns {Promise<Object>} Updated term
+ */
+export async function updateVocabularyTerm(termId, termData) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/vocabulary/${termId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(termData)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update vocabulary term');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating vocabulary term:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a vocabulary term
+ * @param {string} termId - Term ID
+ * @returns {Promise<Object>} { id, deleted }
+ */
+export async function deleteVocabularyTerm(termId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/vocabulary/${termId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete vocabulary term');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error deleting vocabulary term:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's in-progress dictation draft saved on the server
+ * @returns {Promise<Object|null>} dictation_drafts row, or null if there is none
+ */
+export async function getDictationDraft() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/dictation/drafts`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch dictation draft');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching dictation draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the in-progress dictation session so it can be continued on another device
+ * @param {Object} draft - { id, transcript, transcriptPieces, transcriptSegments, recordingTime, templateId, patient }
+ * @returns {Promise<Object>} Saved dictation_drafts row
+ */
+export async function saveDictationDraft(draft) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/dictation/drafts`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(draft)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to save dictation draft');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error saving dictation draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Discard the dictation draft saved on the server
+ * @param {string} [draftId] - Only discard the draft if it is still this session
+ * @returns {Promise<Object>} { deleted }
+ */
+export async function deleteDictationDraft(draftId) {
+  try {
+    const query = draftId ? `?id=${encodeURIComponent(draftId)}` : '';
+    const response = await fetch(`${API_BASE_URL}/dictation/drafts${query}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete dictation draft');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error deleting dictation draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload the dictation recording of a saved note
+ * @param {string} noteId - Note ID
+ * @param {Blob} audioBlob - Recorded audio
+ * @param {Object} options - { durationSeconds, offsetSeconds }
+ * @returns {Promise<Object>} Recording metadata
+ */
+export async function uploadNoteRecording(noteId, audioBlob, options = {}) {
+  try {
+    const formData = new FormData();
+    formData.append('audio', audioBlob, 'recording');
+    if (options.durationSeconds) formData.append('durationSeconds', String(options.durationSeconds));
+    if (options.offsetSeconds) formData.append('offsetSeconds', String(options.offsetSeconds));
+
+    // Let the browser set the multipart Content-Type with its boundary
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/recording`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: formData
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to upload recording');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error uploading recording:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the metadata of a note's recording
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object|null>} Recording metadata, or null if the note has no recording
+ */
+export async function getNoteRecording(noteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/recording`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch recording');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching recording:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download the decrypted audio of a note's recording
+ * The endpoint needs the auth header, so the audio is fetched as a Blob
+ * rather than linked directly from an <audio> element
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Blob>} Audio
+ */
+export async function getNoteRecordingAudio(noteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/recording/audio`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || 'Failed to download recording');
+    }
+    
+    return await response.blob();
+  } catch (error) {
+    console.error('Error downloading recording:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a note's recording
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { id, deleted }
+ */
+export async function deleteNoteRecording(noteId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/notes/${noteId}/recording`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete recording');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's recording settings
+ * @returns {Promise<Object>} { saveRecordings, retentionDays }
+ */
+export async function getRecordingSettings() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/recordings/settings`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      }
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to fetch recording settings');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching recording settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update the user's recording settings
+ * @param {Object} settings - { saveRecordings, retentionDays } (retentionDays null keeps recordings)
+ * @returns {Promise<Object>} Saved settings
+ */
+export async function updateRecordingSettings(settings) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/recordings/settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify(settings)
+    });
+
+    const result = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update recording settings');
+    }
+    
+    return result.data;
+  } catch (error) {
+    console.error('Error updating recording settings:', error);
+    throw error;
+  }
+}
+
 // Helper function to get auth token from Supabase
 async function getAuthToken() {
   // For development, use a mock token
@@ -0,0 +1,25 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import OrganizationInvite from "../../../../components/settings/OrganizationInvite";
+
+/**
+ * Organization invite page
+ * Opened from an organization invite link; shows the organization and joins it
+ */
+export default function OrganizationInvitePage({ params }) {
+  return (
+    <div className="p-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <header className="mb-6">
+        <Link href="/settings" className="inline-flex items-center text-sm text-gray-500 hover:text-royal mb-2">
+          <ArrowLeft size={16} className="mr-1" />
+          Settings
+        </Link>
+        <h1 className="text-2xl font-bold mb-1">Organization invite</h1>
+        <p className="text-gray-500 text-sm">A colleague invited you to their organization</p>
+      </header>
+
+      <OrganizationInvite token={params.token} />
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { getUserSettings } from "../actions/settings";
+import LanguageSettings from "../components/settings/LanguageSettings";
+import VoiceCommandSettings from "../components/settings/VoiceCommandSettings";
+import VocabularySettings from "../components/settings/VocabularySettings";
+import RecordingSettings from "../components/settings/RecordingSettings";
+import OrganizationSettings from "../components/settings/OrganizationSettings";
+
+/**
+ * Settings page
+ * Lets the user manage app preferences stored in Supabase (no PHI)
+ * and their custom vocabulary, recording rules and organizations, which live
+ * in Cloud SQL
+ */
+export default async function SettingsPage() {
+  const { settings, error } = await getUserSettings();
+
+  return (
+    <div className="p-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <header className="mb-6">
+        <h1 className="text-2xl font-bold mb-1">Settings</h1>
+        <p className="text-gray-500 text-sm">Manage your dictation and note preferences</p>
+        {error && (
+          <p className="text-red-500 text-sm mt-1">Error: {error}</p>
+        )}
+      </header>
+
+      <LanguageSettings initialSettings={settings} />
+      <VoiceCommandSettings initialSettings={settings} />
+      <VocabularySettings />
+      <RecordingSettings />
+      <OrganizationSettings />
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import TemplateBuilder from "../components/templates/TemplateBuilder";
+
+/**
+ * Templates page
+ * Lets the user build the templates their notes are generated with
+ */
+export default function TemplatesPage() {
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      {/* Header */}
+      <header className="mb-6">
+        <h1 className="text-2xl font-bold mb-1">Templates</h1>
+        <p className="text-gray-500 text-sm">Build note templates from your own sections, share them and use your organization's library</p>
+      </header>
+
+      <TemplateBuilder />
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import SharedTemplate from "../../../components/templates/SharedTemplate";
+
+/**
+ * Shared template page
+ * Opened from a template share link; shows the template and adds a copy to
+ * the user's templates
+ */
+export default function SharedTemplatePage({ params }) {
+  return (
+    <div className="p-6 max-w-3xl mx-auto">
+      {/* Header */}
+      <header className="mb-6">
+        <Link href="/templates" className="inline-flex items-center text-sm text-gray-500 hover:text-royal mb-2">
+          <ArrowLeft size={16} className="mr-1" />
+          Templates
+        </Link>
+        <h1 className="text-2xl font-bold mb-1">Shared template</h1>
+        <p className="text-gray-500 text-sm">A colleague shared this template with you</p>
+      </header>
+
+      <SharedTemplate token={params.token} />
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+/**
+ * Source attribution helpers
+ * Generated notes carry attributions: for each SOAP section, its sentences
+ * with the transcript spans that support them (see
+ * backend/services/sourceAttributionService.js). Offsets refer to the text
+ * as generated, so they are only used while they still match it.
+ */
+
+/**
+ * Get a section's attributions if they still line up with its text
+ * @param {string} text - Current section text
+ * @param {Array} attributions - [{ text, start, end, spans, segmentIds, supported }]
+ * @returns {Array|null} Attributions, or null if missing or out of date (e.g. after editing)
+ */
+export function getSectionAttributions(text = '', attributions) {
+  if (!Array.isArray(attributions) || attributions.length === 0) return null;
+
+  const current = attributions.every(sentence => text.slice(sentence.start, sentence.end) === sentence.text);
+  return current ? attributions : null;
+}
+
+/**
+ * Count the sentences of a note that nothing in the transcript supports
+ * @param {Object} sections - { subjective, objective, assessment, plan } text
+ * @param {Object} attributions - Attributions by section
+ * @returns {number} Unsupported sentences
+ */
+export function countUnsupportedSentences(sections = {}, attributions = {}) {
+  return Object.keys(attributions || {}).reduce((count, section) => {
+    const sentences = getSectionAttributions(sections[section], attributions[section]) || [];
+    return count + sentences.filter(sentence => !sentence.supported).length;
+  }, 0);
+}
@@ -0,0 +1,207 @@
+/**
+ * Local dictation drafts
+ * Persists the in-progress dictation session to IndexedDB so a reload or a
+ * browser crash doesn't lose the transcript. A draft is
+ *   { id, transcript, transcriptPieces, transcriptSegments, recordingTime,
+ *     templateId, patient, updatedAt }
+ * Raw audio can optionally be kept as well (NEXT_PUBLIC_SAVE_DRAFT_AUDIO=true).
+ * Audio is stored in clips, one per MediaRecorder run, because recordings
+ * from separate runs can't be joined into a single playable file.
+ */
+
+const DB_NAME = 'doctors-orders';
+const DB_VERSION = 1;
+const DRAFT_STORE = 'dictationDrafts';
+const AUDIO_STORE = 'dictationDraftAudio';
+
+// Only one session is in progress per browser
+const CURRENT_DRAFT_KEY = 'current';
+
+let databasePromise = null;
+
+/**
+ * Open (and create or upgrade) the drafts database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(DRAFT_STORE)) {
+          database.createObjectStore(DRAFT_STORE);
+        }
+        if (!database.objectStoreNames.contains(AUDIO_STORE)) {
+          const audioStore = database.createObjectStore(AUDIO_STORE, { autoIncrement: true });
+          audioStore.createIndex('draftId', 'draftId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run a request against an object store and resolve with its result
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable
+ */
+async function withStore(storeName, mode, makeRequest) {
+  const database = await openDatabase();
+  if (!database) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Create an id for a new dictation session
+ * @returns {string} UUID
+ */
+export function createDraftId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Check whether a draft has anything worth resuming
+ * @param {Object|null} draft - Draft
+ * @returns {boolean} True if there is no transcript and no recorded time
+ */
+export function isDraftEmpty(draft) {
+  return !draft || (!draft.transcript && !draft.recordingTime);
+}
+
+/**
+ * Convert a draft returned by /api/dictation/drafts to the local shape
+ * @param {Object|null} row - dictation_drafts row
+ * @returns {Object|null} Draft
+ */
+export function fromServerDraft(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    transcript: row.transcript || '',
+    transcriptPieces: row.transcript_pieces || null,
+    transcriptSegments: row.transcript_segments || [],
+    recordingTime: row.recording_time || 0,
+    templateId: row.template_id || null,
+    patient: row.patient || null,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Pick whichever of the local and server drafts was saved last
+ * @param {Object|null} localDraft - Draft from IndexedDB
+ * @param {Object|null} serverDraft - Draft from the server (local shape)
+ * @returns {Object|null} The newer draft
+ */
+export function pickLatestDraft(localDraft, serverDraft) {
+  if (!localDraft || !serverDraft) return localDraft || serverDraft;
+  return new Date(serverDraft.updatedAt) > new Date(localDraft.updatedAt) ? serverDraft : localDraft;
+}
+
+/**
+ * Load the draft saved in this browser
+ * @returns {Promise<Object|null>} Draft
+ */
+export async function loadLocalDraft() {
+  const draft = await withStore(DRAFT_STORE, 'readonly', store => store.get(CURRENT_DRAFT_KEY));
+  return draft || null;
+}
+
+/**
+ * Save the current session in this browser
+ * Audio from an earlier session is removed when a new session replaces it
+ * @param {Object} draft - Draft
+ */
+export async function saveLocalDraft(draft) {
+  const previous = await loadLocalDraft();
+  if (previous && previous.id !== draft.id) {
+    await deleteDraftAudio(previous.id);
+  }
+
+  await withStore(DRAFT_STORE, 'readwrite', store => store.put(
+    { ...draft, updatedAt: new Date().toISOString() },
+    CURRENT_DRAFT_KEY
+  ));
+}
+
+/**
+ * Remove the draft and its audio from this browser
+ */
+export async function clearLocalDraft() {
+  const draft = await loadLocalDraft();
+  if (draft) {
+    await deleteDraftAudio(draft.id);
+  }
+  await withStore(DRAFT_STORE, 'readwrite', store => store.delete(CURRENT_DRAFT_KEY));
+}
+
+/**
+ * Store a chunk of recorded audio for a draft
+ * @param {string} draftId - Draft ID
+ * @param {number} clip - Recorder run the chunk belongs to
+ * @param {Blob} blob - Audio chunk from MediaRecorder
+ */
+export async function appendDraftAudio(draftId, clip, blob) {
+  await withStore(AUDIO_STORE, 'readwrite', store => store.add({ draftId, clip, blob }));
+}
+
+/**
+ * Get a draft's recorded audio
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Blob[]>} One playable blob per clip, in recording order
+ */
+export async function getDraftAudio(draftId) {
+  const chunks = await withStore(AUDIO_STORE, 'readonly', store => store.index('draftId').getAll(draftId)) || [];
+
+  const clips = new Map();
+  for (const chunk of chunks) {
+    if (!clips.has(chunk.clip)) {
+      clips.set(chunk.clip, []);
+    }
+    clips.get(chunk.clip).push(chunk.blob);
+  }
+
+  return Array.from(clips.keys())
+    .sort((a, b) => a - b)
+    .map(clip => new Blob(clips.get(clip), { type: clips.get(clip)[0].type }));
+}
+
+/**
+ * Delete a draft's recorded audio
+ * @param {string} draftId - Draft ID
+ */
+async function deleteDraftAudio(draftId) {
+  const keys = await withStore(AUDIO_STORE, 'readonly', store => store.index('draftId').getAllKeys(draftId)) || [];
+  if (keys.length === 0) return;
+
+  await withStore(AUDIO_STORE, 'readwrite', (store) => {
+    let request;
+    keys.forEach((key) => {
+      request = store.delete(key);
+    });
+    return request;
+  });
+}
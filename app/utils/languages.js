@@ -0,0 +1,54 @@
+/**
+ * Languages supported for dictation and generated notes
+ * Dictation codes are BCP-47 tags accepted by both the Web Speech API
+ * and Google Speech-to-Text
+ */
+
+export const DICTATION_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'es-US', label: 'Spanish (US)' },
+  { code: 'es-MX', label: 'Spanish (Mexico)' },
+  { code: 'es-ES', label: 'Spanish (Spain)' },
+  { code: 'fr-FR', label: 'French' },
+  { code: 'pt-BR', label: 'Portuguese (Brazil)' },
+];
+
+export const NOTE_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'pt', label: 'Portuguese' },
+];
+
+export const DEFAULT_LANGUAGE_SETTINGS = {
+  dictationLanguage: 'en-US',
+  noteLanguage: 'en',
+  autoDetectLanguage: true,
+};
+
+// Speech-to-Text accepts at most three alternative languages per request
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+/**
+ * Pick the languages the server should listen for besides the primary one
+ * Prefers one regional variant of each other supported language, so an
+ * English dictation also recognizes Spanish and vice versa
+ * @param {string} primaryLanguage - The dictation language code
+ * @returns {string[]} Alternative language codes
+ */
+export function getAlternativeLanguages(primaryLanguage) {
+  const primaryBase = primaryLanguage.split('-')[0];
+  const seenBases = new Set([primaryBase]);
+  const alternatives = [];
+
+  for (const { code } of DICTATION_LANGUAGES) {
+    const base = code.split('-')[0];
+    if (!seenBases.has(base)) {
+      seenBases.add(base);
+      alternatives.push(code);
+    }
+  }
+
+  return alternatives.slice(0, MAX_ALTERNATIVE_LANGUAGES);
+}
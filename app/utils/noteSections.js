@@ -0,0 +1,141 @@
+/**
+ * Note section helpers
+ * A note is laid out by the sections of the template it was generated with
+ * (soapData.template.sections, see backend/services/soapSchemaService.js);
+ * notes without them are SOAP notes. Each section stores a value of its type:
+ * text (string), bullets (list), checklist (list of options that apply),
+ * number, dropdown (one option) or date ("YYYY-MM-DD").
+ */
+
+export const DEFAULT_SECTIONS = [
+  { key: 'subjective', name: 'Subjective', description: 'Patient symptoms, complaints, and history', type: 'text' },
+  { key: 'objective', name: 'Objective', description: 'Physical examination findings and test results', type: 'text' },
+  { key: 'assessment', name: 'Assessment', description: 'Diagnosis and clinical impression', type: 'text' },
+  { key: 'plan', name: 'Plan', description: 'Treatment plan and follow-up instructions', type: 'text' }
+];
+
+export const SECTION_TYPES = [
+  { value: 'text', label: 'Free text' },
+  { value: 'bullets', label: 'Bullet list' },
+  { value: 'checklist', label: 'Checklist' },
+  { value: 'number', label: 'Number' },
+  { value: 'dropdown', label: 'Dropdown' },
+  { value: 'date', label: 'Date' }
+];
+
+// Section types that choose from a list of options
+export const OPTION_TYPES = ['checklist', 'dropdown'];
+
+// Starting points for the template builder
+export const SECTION_PRESETS = [
+  { name: 'SOAP', sections: DEFAULT_SECTIONS },
+  {
+    name: 'DAP',
+    sections: [
+      { name: 'Data', description: 'What the client reported and what was observed', type: 'text' },
+      { name: 'Assessment', description: 'Clinical interpretation of the data', type: 'text' },
+      { name: 'Plan', description: 'Interventions, homework and next session', type: 'bullets' }
+    ]
+  },
+  {
+    name: 'BIRP',
+    sections: [
+      { name: 'Behavior', description: 'Client presentation, mood and statements', type: 'text' },
+      { name: 'Intervention', description: 'What the clinician did in the session', type: 'text' },
+      { name: 'Response', description: "The client's response to the intervention", type: 'text' },
+      { name: 'Plan', description: 'Next steps and follow-up', type: 'bullets' }
+    ]
+  },
+  {
+    name: 'H&P',
+    sections: [
+      { name: 'Chief Complaint', type: 'text' },
+      { name: 'History of Present Illness', type: 'text' },
+      { name: 'Past Medical History', type: 'bullets' },
+      { name: 'Review of Systems', type: 'text' },
+      { name: 'Physical Exam', type: 'text' },
+      { name: 'Assessment and Plan', type: 'text' }
+    ]
+  },
+  {
+    name: 'Progress note',
+    sections: [
+      { name: 'Interval History', description: 'Changes since the last visit', type: 'text' },
+      { name: 'Pain Score', type: 'number', unit: '/10' },
+      { name: 'Exam', type: 'text' },
+      { name: 'Assessment', type: 'text' },
+      { name: 'Plan', type: 'bullets' },
+      { name: 'Next Visit', type: 'date' }
+    ]
+  }
+];
+
+/**
+ * Sections of a note
+ * @param {Object} soapData - Note content, with template.sections when generated from a template
+ * @param {Array} fallback - Sections to use when the note has none (e.g. while generating)
+ * @returns {Array} Sections
+ */
+export function getNoteSections(soapData, fallback) {
+  const sections = soapData?.template?.sections;
+  if (Array.isArray(sections) && sections.length > 0) return sections;
+  return Array.isArray(fallback) && fallback.length > 0 ? fallback : DEFAULT_SECTIONS;
+}
+
+/**
+ * Whether a section is free text, which can be dictated into, regenerated and attributed
+ * @param {Object} section - Section
+ * @returns {boolean} True for text sections
+ */
+export function isTextSection(section) {
+  return (section.type || 'text') === 'text';
+}
+
+/**
+ * Empty value for a section
+ * @param {Object} section - Section
+ * @returns {*} '' for text, [] for lists, null otherwise
+ */
+export function emptySectionValue(section) {
+  const type = section.type || 'text';
+  if (type === 'text') return '';
+  return type === 'bullets' || type === 'checklist' ? [] : null;
+}
+
+/**
+ * Whether a section value is empty
+ * @param {*} value - Section value
+ * @returns {boolean} True for '', [], null and undefined
+ */
+export function isEmptySectionValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * A section value as plain text, e.g. for copying or converting to a text note
+ * @param {Object} section - Section
+ * @param {*} value - Section value
+ * @returns {string} Text ('' when empty)
+ */
+export function formatSectionValue(section, value) {
+  if (isEmptySectionValue(value)) return '';
+
+  switch (section.type) {
+    case 'bullets':
+      return value.map(item => `- ${item}`).join('\n');
+    case 'checklist':
+      return value.join(', ');
+    case 'number':
+      return section.unit ? `${value} ${section.unit}` : String(value);
+    case 'date': {
+      // Date-only values are local dates
+      const [year, month, day] = String(value).split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+      return Number.isNaN(date.getTime())
+        ? String(value)
+        : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    default:
+      return String(value);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Custom vocabulary helpers
+ * A vocabulary term is a correctly spelled phrase (drug name, abbreviation,
+ * provider name) plus the ways speech recognition commonly gets it wrong.
+ * The server sends phrases to Speech-to-Text as phrase hints; in the browser
+ * the misrecognitions become a correction dictionary for Web Speech transcripts.
+ */
+
+export const VOCABULARY_CATEGORIES = [
+  { value: 'medication', label: 'Medication' },
+  { value: 'abbreviation', label: 'Abbreviation' },
+  { value: 'provider', label: 'Provider name' },
+  { value: 'other', label: 'Other' },
+];
+
+// Speech-to-Text rejects phrases longer than this
+const MAX_PHRASE_LENGTH = 100;
+
+// Speech-to-Text accepts boosts in this range
+const MAX_BOOST = 20;
+
+/**
+ * Validate and normalize a vocabulary term from a request body
+ * @param {Object} input - { phrase, misrecognitions, category, boost }
+ * @param {Object} options - { partial: true } to only validate the fields present (updates)
+ * @returns {Object} { term, error } where term uses database column names
+ */
+export function normalizeVocabularyTerm(input = {}, { partial = false } = {}) {
+  const term = {};
+
+  if (!partial || input.phrase !== undefined) {
+    const phrase = typeof input.phrase === 'string' ? input.phrase.trim() : '';
+    if (!phrase) {
+      return { term: null, error: 'Phrase is required' };
+    }
+    if (phrase.length > MAX_PHRASE_LENGTH) {
+      return { term: null, error: `Phrase must be at most ${MAX_PHRASE_LENGTH} characters` };
+    }
+    term.phrase = phrase;
+  }
+
+  if (!partial || input.misrecognitions !== undefined) {
+    const misrecognitions = Array.isArray(input.misrecognitions)
+      ? input.misrecognitions
+      : String(input.misrecognitions || '').split(',');
+    term.misrecognitions = [...new Set(
+      misrecognitions.map(value => String(value).trim()).filter(Boolean)
+    )];
+  }
+
+  if (!partial || input.category !== undefined) {
+    const category = input.category || 'other';
+    if (!VOCABULARY_CATEGORIES.some(option => option.value === category)) {
+      return { term: null, error: `Invalid category: ${category}` };
+    }
+    term.category = category;
+  }
+
+  if (!partial || input.boost !== undefined) {
+    if (input.boost === null || input.boost === undefined || input.boost === '') {
+      term.boost = null;
+    } else {
+      const boost = Number(input.boost);
+      if (!Number.isFinite(boost) || boost < 0 || boost > MAX_BOOST) {
+        return { term: null, error: `Boost must be a number between 0 and ${MAX_BOOST}` };
+      }
+      term.boost = boost;
+    }
+  }
+
+  return { term, error: null };
+}
+
+// Escape a string for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build correction rules from vocabulary terms
+ * Longer misrecognitions are applied first so "metro pro lol" wins over "metro"
+ * @param {Array} terms - Vocabulary terms
+ * @returns {Array} Rules as [{ pattern, replacement }]
+ */
+export function buildCorrectionRules(terms = []) {
+  const replacements = new Map();
+
+  for (const term of terms) {
+    for (const misrecognition of term.misrecognitions || []) {
+      const key = misrecognition.trim().toLowerCase();
+      if (key && key !== term.phrase.toLowerCase() && !replacements.has(key)) {
+        replacements.set(key, term.phrase);
+      }
+    }
+  }
+
+  return Array.from(replacements, ([misrecognition, replacement]) => ({ misrecognition, replacement }))
+    .sort((a, b) => b.misrecognition.length - a.misrecognition.length)
+    .map(({ misrecognition, replacement }) => ({
+      // Match whole words only, and allow any whitespace between words
+      pattern: new RegExp(
+        `(?<![\\w-])${misrecognition.split(/\s+/).map(escapeRegExp).join('\\s+')}(?![\\w-])`,
+        'gi'
+      ),
+      replacement,
+    }));
+}
+
+/**
+ * Replace known misrecognitions in a transcript with the correct phrases
+ * @param {string} text - Transcript text
+ * @param {Array} rules - Rules from buildCorrectionRules
+ * @returns {string} Corrected text
+ */
+export function applyVocabularyCorrections(text, rules = []) {
+  if (!text || rules.length === 0) return text;
+
+  // Functional replacement so "$" in a phrase is never treated as a pattern
+  return rules.reduce((corrected, rule) => corrected.replace(rule.pattern, () => rule.replacement), text);
+}
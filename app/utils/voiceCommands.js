@@ -0,0 +1,190 @@
+/**
+ * Spoken dictation commands
+ * Browser dictation listens for command phrases such as "scratch that" or
+ * "next section plan" and performs them instead of writing them into the
+ * transcript. Each user can change the phrases for every action; the grammar
+ * is stored as { [action]: string[] } in their settings.
+ *
+ * The transcript is built from pieces so commands can edit it:
+ *   { type: 'text', value }        a recognized utterance
+ *   { type: 'punctuation', value } attached to the previous word
+ *   { type: 'break', value }       '\n' or '\n\n'
+ *   { type: 'section', value }     a SOAP section heading, e.g. 'Plan'
+ */
+
+export const SOAP_SECTIONS = [
+  { value: 'subjective', label: 'Subjective' },
+  { value: 'objective', label: 'Objective' },
+  { value: 'assessment', label: 'Assessment' },
+  { value: 'plan', label: 'Plan' },
+];
+
+export const VOICE_COMMANDS = [
+  {
+    action: 'nextSection',
+    label: 'Start a section',
+    description: 'Say the phrase followed by subjective, objective, assessment or plan',
+    defaultPhrases: ['next section', 'new section'],
+  },
+  { action: 'scratchThat', label: 'Delete the last phrase', defaultPhrases: ['scratch that', 'delete that'] },
+  { action: 'period', label: 'Period', defaultPhrases: ['period', 'full stop'] },
+  { action: 'comma', label: 'Comma', defaultPhrases: ['comma'] },
+  { action: 'questionMark', label: 'Question mark', defaultPhrases: ['question mark'] },
+  { action: 'newParagraph', label: 'New paragraph', defaultPhrases: ['new paragraph'] },
+  { action: 'newLine', label: 'New line', defaultPhrases: ['new line'] },
+  { action: 'pause', label: 'Pause dictation', defaultPhrases: ['pause dictation'] },
+  { action: 'stopAndGenerate', label: 'Stop and generate the note', defaultPhrases: ['stop and generate'] },
+];
+
+export const DEFAULT_VOICE_COMMAND_SETTINGS = {
+  voiceCommandsEnabled: true,
+  voiceCommands: Object.fromEntries(VOICE_COMMANDS.map(command => [command.action, command.defaultPhrases])),
+};
+
+const PUNCTUATION = {
+  period: '.',
+  comma: ',',
+  questionMark: '?',
+};
+
+// Lowercase a word and drop the punctuation recognizers sometimes attach to it
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Merge a saved grammar over the defaults, dropping unknown actions and empty phrases
+ * @param {Object} [grammar] - Saved { [action]: string[] }
+ * @returns {Object} Complete grammar
+ */
+export function resolveVoiceCommands(grammar = {}) {
+  return Object.fromEntries(VOICE_COMMANDS.map(({ action, defaultPhrases }) => {
+    const phrases = Array.isArray(grammar?.[action])
+      ? grammar[action].map(phrase => String(phrase).trim()).filter(Boolean)
+      : defaultPhrases;
+    return [action, phrases];
+  }));
+}
+
+/**
+ * Split recognized text into plain text and commands
+ * Longer phrases win, so "new paragraph" is never read as "new" + text.
+ * "nextSection" only matches when followed by a section name.
+ * @param {string} text - Recognized text
+ * @param {Object} grammar - Grammar from resolveVoiceCommands
+ * @returns {Array} Tokens: { type: 'text', value } or { type: 'command', action, section }
+ */
+export function parseVoiceCommands(text, grammar) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const normalized = words.map(normalizeWord);
+
+  const phrases = Object.entries(grammar)
+    .flatMap(([action, actionPhrases]) => actionPhrases.map(phrase => ({
+      action,
+      words: phrase.split(/\s+/).map(normalizeWord).filter(Boolean),
+    })))
+    .filter(phrase => phrase.words.length > 0)
+    .sort((a, b) => b.words.length - a.words.length);
+
+  const tokens = [];
+  let plain = [];
+
+  const flushText = () => {
+    if (plain.length > 0) {
+      tokens.push({ type: 'text', value: plain.join(' ') });
+      plain = [];
+    }
+  };
+
+  let index = 0;
+  while (index < words.length) {
+    let match = null;
+
+    for (const phrase of phrases) {
+      const end = index + phrase.words.length;
+      if (!phrase.words.every((word, offset) => normalized[index + offset] === word)) continue;
+
+      if (phrase.action === 'nextSection') {
+        const section = SOAP_SECTIONS.find(option => option.value === normalized[end]);
+        if (!section) continue;
+        match = { token: { type: 'command', action: phrase.action, section: section.value }, length: phrase.words.length + 1 };
+      } else {
+        match = { token: { type: 'command', action: phrase.action }, length: phrase.words.length };
+      }
+      break;
+    }
+
+    if (match) {
+      flushText();
+      tokens.push(match.token);
+      index += match.length;
+    } else {
+      plain.push(words[index]);
+      index += 1;
+    }
+  }
+
+  flushText();
+  return tokens;
+}
+
+/**
+ * Apply a text or editing token to the transcript pieces
+ * Control commands (pause, stopAndGenerate) are left to the caller
+ * @param {Array} pieces - Current transcript pieces
+ * @param {Object} token - Token from parseVoiceCommands
+ * @returns {Array} New pieces
+ */
+export function applyTranscriptToken(pieces, token) {
+  if (token.type === 'text') {
+    return [...pieces, { type: 'text', value: token.value }];
+  }
+
+  switch (token.action) {
+    case 'scratchThat':
+      return pieces.slice(0, -1);
+    case 'period':
+    case 'comma':
+    case 'questionMark':
+      return [...pieces, { type: 'punctuation', value: PUNCTUATION[token.action] }];
+    case 'newParagraph':
+      return [...pieces, { type: 'break', value: '\n\n' }];
+    case 'newLine':
+      return [...pieces, { type: 'break', value: '\n' }];
+    case 'nextSection':
+      return [...pieces, {
+        type: 'section',
+        value: SOAP_SECTIONS.find(section => section.value === token.section).label,
+      }];
+    default:
+      return pieces;
+  }
+}
+
+/**
+ * Join transcript pieces into text
+ * Text after a sentence end, line break or section heading is capitalized
+ * @param {Array} pieces - Transcript pieces
+ * @returns {string} Transcript
+ */
+export function joinTranscriptPieces(pieces) {
+  let text = '';
+  let capitalize = true;
+
+  for (const piece of pieces) {
+    if (piece.type === 'text') {
+      const value = capitalize ? piece.value.charAt(0).toUpperCase() + piece.value.slice(1) : piece.value;
+      text += text && !/\s$/.test(text) ? ` ${value}` : value;
+      capitalize = false;
+    } else if (piece.type === 'punctuation') {
+      text = text.trimEnd() + piece.value;
+      capitalize = piece.value !== ',';
+    } else if (piece.type === 'break') {
+      text = text.trimEnd() + piece.value;
+      capitalize = true;
+    } else if (piece.type === 'section') {
+      text = `${text.trimEnd()}${text ? '\n\n' : ''}${piece.value}: `;
+      capitalize = true;
+    }
+  }
+
+  return text.trim();
+}
@@ -5,6 +5,7 @@
 
 // Import the GCP database service
 const gcpDatabaseService = require('../services/gcpDatabaseService');
+const recordingService = require('../services/recordingService');
 
 class NotesController {
   /**
@@ -187,6 +188,10 @@ class NotesController {
         });
       }
       
+      // Notes are soft deleted, so remove the recording explicitly
+      await recordingService.deleteRecording(req.userId, noteId)
+        .catch(recordingError => console.error('Error deleting note recording:', recordingError));
+      
       return res.status(200).json({
         data: { id: noteId, deleted: true },
         error: null
@@ -1,4 +1,27 @@
 const gcpService = require('../services/gcpService');
+const transcriptionJobService = require('../services/transcriptionJobService');
+const audioFormatService = require('../services/audioFormatService');
+
+/**
+ * Send the error response for a failed audio request
+ * Unsupported formats get a 415 so clients can tell them apart from server failures
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error that occurred
+ * @param {string} prefix - Message prefix for other errors
+ */
+function sendAudioError(res, error, prefix) {
+  if (error.message.includes('Unsupported audio format')) {
+    return res.status(415).json({
+      data: null,
+      error: error.message
+    });
+  }
+  
+  return res.status(500).json({
+    data: null,
+    error: `${prefix}: ${error.message}`
+  });
+}
 
 /**
  * Controller for handling transcription and SOAP note generation
@@ -38,8 +61,11 @@ class TranscriptionController {
         });
       }
 
-      // Transcribe the audio
-      const result = await gcpService.transcribeAudio(audioContent, options);
+      // Detect the real format and transcode if the recognizer can't read it
+      const { audio, options: audioOptions } = await audioFormatService.normalize(audioContent, options);
+      
+      // Transcribe the audio, biased toward the user's custom vocabulary
+      const result = await gcpService.transcribeAudio(audio, { ...audioOptions, userId: req.userId });
       
       return res.status(200).json({
         data: result,
@@ -47,10 +73,7 @@ class TranscriptionController {
       });
     } catch (error) {
       console.error('Transcription error:', error);
-      return res.status(500).json({
-        data: null,
-        error: `Transcription failed: ${error.message}`
-      });
+      return sendAudioError(res, error, 'Transcription failed');
     }
   }
 
@@ -70,7 +93,8 @@ class TranscriptionController {
       }
 
       // Generate SOAP note
-      const soapNote = await gcpService.generateSoapNote(req.body.transcript);
+      // Options may carry diarized segments so the prompt can attribute speakers
+      const soapNote = await gcpService.generateSoapNote(req.body.transcript, { ...(req.body.options || {}), userId: req.userId });
       
       return res.status(200).json({
         data: soapNote,
@@ -119,11 +143,33 @@ class TranscriptionController {
         });
       }
 
+      // Detect the real format and transcode if the recognizer can't read it;
+      // long compressed recordings are decoded so they can be measured and split
+      const normalized = await audioFormatService.normalize(audioContent, options);
+      const { audio, options: audioOptions } = await transcriptionJobService.prepareAudio(normalized.audio, normalized.options);
+      
+      // Recordings beyond the synchronous limit are processed as a background job
+      if (transcriptionJobService.exceedsSynchronousLimit(audio, audioOptions)) {
+        const job = await transcriptionJobService.createJob(req.userId, audio, {
+          ...audioOptions,
+          generateSoap: true,
+          soapOptions: options,
+        });
+        
+        return res.status(202).json({
+          data: { jobId: job.id, job },
+          error: null
+        });
+      }
+      
       // Transcribe the audio
-      const transcriptionResult = await gcpService.transcribeAudio(audioContent, options);
+      const transcriptionResult = await gcpService.transcribeAudio(audio, { ...audioOptions, userId: req.userId });
       
       // Generate SOAP note from transcription
-      const soapNote = await gcpService.generateSoapNote(transcriptionResult.transcript);
+      const soapNote = await gcpService.generateSoapNote(transcriptionResult.transcript, {
+        userId: req.userId,
+        segments: transcriptionResult.segments
+      });
       
       return res.status(200).json({
         data: {
@@ -134,9 +180,77 @@ class TranscriptionController {
       });
     } catch (error) {
       console.error('Transcription and SOAP note generation error:', error);
+      return sendAudioError(res, error, 'Processing failed');
+    }
+  }
+
+  /**
+   * Start an asynchronous transcription job for a long recording
+   * Accepts a multipart upload (audio file) or base64 audio in the JSON body
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createTranscriptionJob(req, res) {
+    try {
+      let audioBuffer;
+      let options = req.body.options || {};
+      
+      if (req.file) {
+        audioBuffer = req.file.buffer;
+        // Multipart fields arrive as strings
+        if (typeof options === 'string') {
+          options = JSON.parse(options);
+        }
+      } else if (typeof req.body.audio === 'string') {
+        audioBuffer = Buffer.from(req.body.audio.replace(/^data:audio\/[\w.+-]+;base64,/, ''), 'base64');
+      }
+      
+      if (!audioBuffer || audioBuffer.length === 0) {
+        return res.status(400).json({
+          data: null,
+          error: 'Audio data is required'
+        });
+      }
+      
+      const { audio, options: audioOptions } = await audioFormatService.normalize(audioBuffer, options);
+      const job = await transcriptionJobService.createJob(req.userId, audio, audioOptions);
+      
+      return res.status(202).json({
+        data: job,
+        error: null
+      });
+    } catch (error) {
+      console.error('Transcription job creation error:', error);
+      return sendAudioError(res, error, 'Failed to create transcription job');
+    }
+  }
+
+  /**
+   * Get the status, progress and partial transcript of a transcription job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTranscriptionJob(req, res) {
+    try {
+      const job = await transcriptionJobService.getJob(req.params.id, req.userId);
+      
+      return res.status(200).json({
+        data: job,
+        error: null
+      });
+    } catch (error) {
+      console.error('Transcription job retrieval error:', error);
+      
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          data: null,
+          error: error.message
+        });
+      }
+      
       return res.status(500).json({
         data: null,
-        error: `Processing failed: ${error.message}`
+        error: `Failed to get transcription job: ${error.message}`
       });
     }
   }
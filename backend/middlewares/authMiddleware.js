@@ -6,6 +6,35 @@
 const jwt = require('jsonwebtoken');
 
 class AuthMiddleware {
+  constructor() {
+    // Routes pass validateJwt around unbound, so keep `this` pointing here
+    this.validateJwt = this.validateJwt.bind(this);
+  }
+
+  /**
+   * Verify a JWT and return the user ID it belongs to
+   * Shared by the HTTP middleware and the transcription WebSocket handshake
+   * @param {string} token - Raw JWT (without the Bearer prefix)
+   * @returns {string} Authenticated user ID
+   * @throws {Error} If the token is missing or invalid
+   */
+  verifyToken(token) {
+    // For testing purposes only - skip auth in development
+    // In production, this would properly validate the JWT
+    if (process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true') {
+      return 'test-user-id';
+    }
+
+    if (!token) {
+      throw new Error('No token provided');
+    }
+
+    // Verify token using the JWT_SECRET from environment variables
+    // In a real implementation, this would validate against Supabase JWT
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'development-secret');
+    return decoded.sub || decoded.user_id;
+  }
+
   /**
    * Validate JWT token from request headers
    * @param {Object} req - Express request object
@@ -14,10 +43,8 @@ class AuthMiddleware {
    */
   validateJwt(req, res, next) {
     try {
-      // For testing purposes only - skip auth in development
-      // In production, this would properly validate the JWT
       if (process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true') {
-        req.userId = 'test-user-id';
+        req.userId = this.verifyToken(null);
         return next();
       }
 
@@ -30,14 +57,10 @@ class AuthMiddleware {
       }
 
       const token = authHeader.split(' ')[1];
-      
-      // Verify token using the JWT_SECRET from environment variables
-      // In a real implementation, this would validate against Supabase JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'development-secret');
-      
+
       // Add user ID to request for use in controllers
-      req.userId = decoded.sub || decoded.user_id;
-      
+      req.userId = this.verifyToken(token);
+
       next();
     } catch (error) {
       console.error('JWT validation error:', error);
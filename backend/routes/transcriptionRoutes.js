@@ -2,6 +2,15 @@ const express = require('express');
 const router = express.Router();
 const transcriptionController = require('../controllers/transcriptionController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const multer = require('multer');
+
+// Long recordings are uploaded as files, so jobs get a larger limit than JSON bodies
+const jobUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.TRANSCRIPTION_UPLOAD_LIMIT_MB, 10) || 200) * 1024 * 1024,
+  },
+});
 
 /**
  * Transcription routes
@@ -20,4 +29,15 @@ router.post('/soap', authMiddleware.validateJwt, transcriptionController.generat
 // Transcribe audio and generate SOAP note in one request
 router.post('/complete', authMiddleware.validateJwt, transcriptionController.transcribeAndGenerateSoap);
 
+// POST /api/transcription/jobs
+// Start an asynchronous transcription job for a long recording
+router.post('/jobs', authMiddleware.validateJwt, jobUpload.single('audio'), transcriptionController.createTranscriptionJob);
+
+// GET /api/transcription/jobs/:id
+// Get job status, progress and partial transcript
+router.get('/jobs/:id', authMiddleware.validateJwt, transcriptionController.getTranscriptionJob);
+
+// WS /api/transcription/stream
+// Streaming transcription is served by transcriptionStreamService (attached in server.js)
+
 module.exports = router;
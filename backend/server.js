@@ -13,6 +13,8 @@ dotenv.config();
 const transcriptionRoutes = require('./routes/transcriptionRoutes');
 const notesRoutes = require('./routes/notesRoutes');
 const templateRoutes = require('./routes/templateRoutes');
+const transcriptionStreamService = require('./services/transcriptionStreamService');
+const transcriptionJobService = require('./services/transcriptionJobService');
 
 // Create Express app
 const app = express();
@@ -69,8 +71,17 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Run queued transcription jobs, including those created by the Next.js routes;
+  // set TRANSCRIPTION_WORKER=false when scripts/transcription-worker.js runs them instead
+  if (process.env.TRANSCRIPTION_WORKER !== 'false') {
+    transcriptionJobService.startWorker();
+  }
 });
 
+// WebSocket endpoint for streaming transcription (shares the HTTP port)
+transcriptionStreamService.attach(server);
+
 module.exports = app;
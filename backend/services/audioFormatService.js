@@ -0,0 +1,328 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Sample rates Speech-to-Text accepts for Opus audio
+const OPUS_SAMPLE_RATE = 48000;
+
+// Target format for transcoded audio
+const TRANSCODE_SAMPLE_RATE = 16000;
+
+// Give up on transcoding after this long
+const TRANSCODE_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Audio Format Service
+ * Detects the container and codec of uploaded audio from its leading bytes and
+ * normalizes it to an encoding Speech-to-Text accepts. Formats the recognizer
+ * can't read directly (MP4/AAC, MP3, Vorbis, ...) are transcoded to 16kHz mono
+ * LINEAR16 WAV with ffmpeg when it is installed (FFMPEG_PATH overrides the binary).
+ */
+class AudioFormatService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.transcoderAvailable = null;
+  }
+
+  /**
+   * Identify the container and codec of an audio buffer
+   * @param {Buffer} buffer - Audio data
+   * @returns {Object|null} { label, mimeType, encoding, sampleRateHertz, channels } where
+   *   encoding is the Speech-to-Text encoding, or null if the audio must be transcoded;
+   *   returns null when the format is not recognized at all
+   */
+  detectFormat(buffer) {
+    if (!buffer || buffer.length < 12) {
+      return null;
+    }
+
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+    const header = buffer.subarray(0, Math.min(buffer.length, 4096)).toString('latin1');
+
+    // WAV: RIFF....WAVE with a fmt chunk describing the sample format
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+      const fmtOffset = buffer.indexOf('fmt ', 12, 'ascii');
+      if (fmtOffset === -1 || fmtOffset + 24 > buffer.length) {
+        return { label: 'WAV', mimeType: 'audio/wav', encoding: null };
+      }
+
+      const audioFormat = buffer.readUInt16LE(fmtOffset + 8);
+      const channels = buffer.readUInt16LE(fmtOffset + 10);
+      const sampleRateHertz = buffer.readUInt32LE(fmtOffset + 12);
+      const bitsPerSample = buffer.readUInt16LE(fmtOffset + 22);
+
+      let encoding = null;
+      if (audioFormat === 1 && bitsPerSample === 16) {
+        encoding = 'LINEAR16';
+      } else if (audioFormat === 7 && bitsPerSample === 8) {
+        encoding = 'MULAW';
+      }
+
+      return { label: 'WAV', mimeType: 'audio/wav', encoding, sampleRateHertz, channels };
+    }
+
+    // FLAC: sample rate and channel count live in the STREAMINFO block
+    if (ascii(0, 4) === 'fLaC') {
+      return {
+        label: 'FLAC',
+        mimeType: 'audio/flac',
+        encoding: 'FLAC',
+        sampleRateHertz: (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4),
+        channels: ((buffer[20] >> 1) & 0x07) + 1,
+      };
+    }
+
+    // Ogg: the first page identifies the codec
+    if (ascii(0, 4) === 'OggS') {
+      if (header.includes('OpusHead')) {
+        return { label: 'Ogg/Opus', mimeType: 'audio/ogg', encoding: 'OGG_OPUS', sampleRateHertz: OPUS_SAMPLE_RATE };
+      }
+      return { label: header.includes('vorbis') ? 'Ogg/Vorbis' : 'Ogg', mimeType: 'audio/ogg', encoding: null };
+    }
+
+    // WebM/Matroska (EBML): the track's CodecID is near the start of the file
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) {
+      if (header.includes('A_OPUS')) {
+        return { label: 'WebM/Opus', mimeType: 'audio/webm', encoding: 'WEBM_OPUS', sampleRateHertz: OPUS_SAMPLE_RATE };
+      }
+      return { label: header.includes('A_VORBIS') ? 'WebM/Vorbis' : 'WebM', mimeType: 'audio/webm', encoding: null };
+    }
+
+    // MP4/M4A (MediaRecorder on Safari, phone voice memos)
+    if (ascii(4, 8) === 'ftyp') {
+      return { label: 'MP4/AAC', mimeType: 'audio/mp4', encoding: null };
+    }
+
+    // AMR (older phone recorders)
+    if (ascii(0, 9) === '#!AMR-WB\n') {
+      return { label: 'AMR-WB', mimeType: 'audio/amr-wb', encoding: null };
+    }
+    if (ascii(0, 6) === '#!AMR\n') {
+      return { label: 'AMR', mimeType: 'audio/amr', encoding: null };
+    }
+
+    // MP3: ID3 tag or a bare MPEG frame sync
+    if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) {
+      return { label: 'MP3', mimeType: 'audio/mpeg', encoding: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the length of audio from its container, without decoding it
+   * WebM from MediaRecorder usually has no Duration element, so its length is
+   * only known once it is decoded
+   * @param {Buffer} buffer - Audio data
+   * @returns {number|null} Seconds, or null when the container doesn't record it
+   */
+  getDurationSeconds(buffer) {
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      return null;
+    }
+
+    if (format.label === 'WAV') {
+      const fmtOffset = buffer.indexOf('fmt ', 12, 'ascii');
+      const dataOffset = buffer.indexOf('data', 12, 'ascii');
+      if (fmtOffset === -1 || dataOffset === -1 || dataOffset + 8 > buffer.length) {
+        return null;
+      }
+      const byteRate = buffer.readUInt32LE(fmtOffset + 16);
+      const dataBytes = Math.min(buffer.readUInt32LE(dataOffset + 4), buffer.length - dataOffset - 8);
+      return byteRate > 0 ? dataBytes / byteRate : null;
+    }
+
+    // FLAC: STREAMINFO's total sample count is 36 bits, 0 when unknown
+    if (format.encoding === 'FLAC' && buffer.length >= 26) {
+      const totalSamples = (buffer[21] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(22);
+      return totalSamples > 0 && format.sampleRateHertz > 0 ? totalSamples / format.sampleRateHertz : null;
+    }
+
+    // Ogg/Opus: the last page's granule position counts 48kHz samples, including the pre-skip
+    if (format.encoding === 'OGG_OPUS') {
+      const lastPage = buffer.lastIndexOf('OggS', buffer.length - 4, 'ascii');
+      const head = buffer.indexOf('OpusHead', 0, 'ascii');
+      if (lastPage === -1 || head === -1 || lastPage + 14 > buffer.length || head + 12 > buffer.length) {
+        return null;
+      }
+      const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+      const preSkip = buffer.readUInt16LE(head + 10);
+      return granule > preSkip ? (granule - preSkip) / OPUS_SAMPLE_RATE : null;
+    }
+
+    // WebM: Duration (0x4489, a float in TimecodeScale units) in the Segment Info near the start
+    if (format.mimeType === 'audio/webm') {
+      const header = buffer.subarray(0, Math.min(buffer.length, 64 * 1024));
+      const durationOffset = header.indexOf(Buffer.from([0x44, 0x89]));
+      if (durationOffset === -1 || durationOffset + 3 > header.length) {
+        return null;
+      }
+
+      const size = header[durationOffset + 2];
+      let duration = null;
+      if (size === 0x84 && durationOffset + 7 <= header.length) {
+        duration = header.readFloatBE(durationOffset + 3);
+      } else if (size === 0x88 && durationOffset + 11 <= header.length) {
+        duration = header.readDoubleBE(durationOffset + 3);
+      }
+
+      // TimecodeScale (0x2AD7B1) defaults to 1ms; it is stored as a 3-byte integer in practice
+      const scaleOffset = header.indexOf(Buffer.from([0x2A, 0xD7, 0xB1]));
+      const timecodeScale = scaleOffset !== -1 && header[scaleOffset + 3] === 0x83 && scaleOffset + 7 <= header.length
+        ? header.readUIntBE(scaleOffset + 4, 3)
+        : 1000000;
+
+      return Number.isFinite(duration) && duration > 0 ? (duration * timecodeScale) / 1e9 : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether ffmpeg can be run, caching the result
+   * @returns {Promise<boolean>} True if transcoding is available
+   */
+  isTranscoderAvailable() {
+    if (this.transcoderAvailable === null) {
+      this.transcoderAvailable = new Promise((resolve) => {
+        const probe = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+        probe.on('error', () => resolve(false));
+        probe.on('close', code => resolve(code === 0));
+      });
+    }
+    return this.transcoderAvailable;
+  }
+
+  /**
+   * Transcode audio to 16kHz mono LINEAR16 WAV
+   * Uses temp files rather than pipes because MP4 files often keep their
+   * index at the end, which ffmpeg can't reach on a non-seekable input
+   * @param {Buffer} buffer - Audio data in any format ffmpeg can decode
+   * @returns {Promise<Buffer>} WAV audio
+   */
+  async transcode(buffer) {
+    const id = uuidv4();
+    const inputPath = path.join(os.tmpdir(), `${id}-input`);
+    const outputPath = path.join(os.tmpdir(), `${id}-output.wav`);
+
+    try {
+      await fs.promises.writeFile(inputPath, buffer);
+
+      await new Promise((resolve, reject) => {
+        const ffmpeg = spawn(this.ffmpegPath, [
+          '-hide_banner', '-loglevel', 'error', '-y',
+          '-i', inputPath,
+          '-vn', '-ac', '1', '-ar', String(TRANSCODE_SAMPLE_RATE), '-acodec', 'pcm_s16le',
+          outputPath,
+        ]);
+
+        let stderr = '';
+        const timer = setTimeout(() => {
+          ffmpeg.kill('SIGKILL');
+          reject(new Error('ffmpeg timed out'));
+        }, TRANSCODE_TIMEOUT_MS);
+
+        ffmpeg.stderr.on('data', (data) => {
+          stderr += data.toString();
+        });
+        ffmpeg.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        ffmpeg.on('close', (code) => {
+          clearTimeout(timer);
+          if (code === 0) {
+            resolve();
+          } else {
+            reject(new Error(stderr.trim() || `ffmpeg exited with code ${code}`));
+          }
+        });
+      });
+
+      return await fs.promises.readFile(outputPath);
+    } finally {
+      await Promise.all([
+        fs.promises.unlink(inputPath).catch(() => {}),
+        fs.promises.unlink(outputPath).catch(() => {}),
+      ]);
+    }
+  }
+
+  /**
+   * Transcode audio to LINEAR16 and describe it in the recognition options
+   * @param {Buffer} buffer - Audio data
+   * @param {Object} options - Recognition options
+   * @param {string} label - Format name for error messages
+   * @returns {Promise<Object>} { audio, options }
+   * @throws {Error} "Unsupported audio format: ..." when the audio can't be decoded
+   */
+  async toLinear16(buffer, options = {}, label = 'The') {
+    let audio;
+    try {
+      console.log(`Transcoding ${label} audio (${buffer.length} bytes) to LINEAR16`);
+      audio = await this.transcode(buffer);
+    } catch (error) {
+      throw new Error(`Unsupported audio format: ${label} audio could not be decoded (${error.message})`);
+    }
+
+    // Transcoded audio is always mono, so drop any channel count the client sent
+    const normalizedOptions = { ...options, encoding: 'LINEAR16', sampleRateHertz: TRANSCODE_SAMPLE_RATE };
+    delete normalizedOptions.audioChannelCount;
+
+    return { audio, options: normalizedOptions };
+  }
+
+  /**
+   * Detect the format of uploaded audio and convert it to something the recognizer accepts
+   * Detected settings override any encoding/sampleRateHertz sent by the client, since a
+   * mismatch makes Speech-to-Text return an empty transcript instead of an error
+   * @param {Buffer|string} audioContent - Audio buffer or base64 encoded string (data URLs allowed)
+   * @param {Object} options - Recognition options from the request
+   * @returns {Promise<Object>} { audio: Buffer, options, format }
+   * @throws {Error} "Unsupported audio format: ..." when the audio can't be used
+   */
+  async normalize(audioContent, options = {}) {
+    const buffer = Buffer.isBuffer(audioContent)
+      ? audioContent
+      : Buffer.from(audioContent.replace(/^data:[\w/.+-]+(;[\w=.+-]+)*;base64,/, ''), 'base64');
+
+    const format = this.detectFormat(buffer);
+
+    // Headerless audio can only be raw PCM, which the client must describe explicitly
+    if (!format) {
+      if (options.encoding === 'LINEAR16' && options.sampleRateHertz) {
+        return { audio: buffer, options, format: { label: 'Raw PCM', encoding: 'LINEAR16' } };
+      }
+      throw new Error('Unsupported audio format: could not detect the container or codec. Upload WAV, FLAC, Ogg/Opus, WebM/Opus, MP4/AAC or MP3 audio.');
+    }
+
+    if (format.encoding) {
+      const normalizedOptions = {
+        ...options,
+        encoding: format.encoding,
+        sampleRateHertz: format.sampleRateHertz,
+      };
+      if (format.channels > 1) {
+        normalizedOptions.audioChannelCount = format.channels;
+      }
+      return { audio: buffer, options: normalizedOptions, format };
+    }
+
+    if (!(await this.isTranscoderAvailable())) {
+      throw new Error(`Unsupported audio format: ${format.label} audio must be transcoded, but ffmpeg is not installed on the server. Upload WAV, FLAC, Ogg/Opus or WebM/Opus audio.`);
+    }
+
+    const { audio, options: normalizedOptions } = await this.toLinear16(buffer, options, format.label);
+
+    return {
+      audio,
+      options: normalizedOptions,
+      format: { ...format, transcodedFrom: format.label },
+    };
+  }
+}
+
+module.exports = new AudioFormatService();
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Storage } = require('@google-cloud/storage');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// GCM's recommended nonce length
+const IV_BYTES = 12;
+
+/**
+ * Audio Storage Service
+ * Stores dictation recordings encrypted with AES-256-GCM. Files go to a GCS
+ * bucket (RECORDINGS_BUCKET) or, in development, to the local filesystem
+ * (RECORDINGS_DIR). RECORDING_STORAGE picks the backend explicitly.
+ * The key (RECORDING_ENCRYPTION_KEY, 32 bytes as base64 or hex) never leaves
+ * the server; the nonce and auth tag are returned for storing with the metadata.
+ */
+class AudioStorageService {
+  constructor() {
+    this.backend = process.env.RECORDING_STORAGE ||
+      (process.env.NODE_ENV === 'production' ? 'gcs' : 'local');
+    this.localDir = process.env.RECORDINGS_DIR || path.join(process.cwd(), '.recordings');
+
+    // Created lazily so the local backend never touches GCP credentials
+    this.storage = null;
+  }
+
+  /**
+   * Get the encryption key from the environment
+   * @returns {Buffer} 32-byte key
+   */
+  getKey() {
+    const value = process.env.RECORDING_ENCRYPTION_KEY;
+    if (!value) {
+      throw new Error('Recording encryption key is not configured (set RECORDING_ENCRYPTION_KEY)');
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw new Error('RECORDING_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded');
+    }
+    return key;
+  }
+
+  /**
+   * Get the recordings bucket
+   * @returns {Object} GCS bucket
+   */
+  getBucket() {
+    if (!process.env.RECORDINGS_BUCKET) {
+      throw new Error('Recording storage is not configured (set RECORDINGS_BUCKET)');
+    }
+    if (!this.storage) {
+      this.storage = new Storage();
+    }
+    return this.storage.bucket(process.env.RECORDINGS_BUCKET);
+  }
+
+  /**
+   * Resolve a storage key to a path inside the local recordings directory
+   * @param {string} storageKey - Storage key
+   * @returns {string} Absolute file path
+   */
+  getLocalPath(storageKey) {
+    const filePath = path.resolve(this.localDir, storageKey);
+    if (!filePath.startsWith(path.resolve(this.localDir) + path.sep)) {
+      throw new Error('Invalid recording storage key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Encrypt and store a recording
+   * @param {string} storageKey - Where to store it, e.g. "<userId>/<recordingId>.enc"
+   * @param {Buffer} audio - Audio data
+   * @returns {Promise<Object>} { storageBackend, storageKey, iv, authTag } (iv and authTag base64)
+   */
+  async save(storageKey, audio) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(audio), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    if (this.backend === 'gcs') {
+      await this.getBucket().file(storageKey).save(encrypted, {
+        resumable: false,
+        contentType: 'application/octet-stream',
+      });
+    } else {
+      const filePath = this.getLocalPath(storageKey);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, encrypted, { mode: 0o600 });
+    }
+
+    return {
+      storageBackend: this.backend,
+      storageKey,
+      iv: iv.toString('base64'),
+      authTag: authTag.toString('base64'),
+    };
+  }
+
+  /**
+   * Read and decrypt a recording
+   * @param {Object} recording - note_recordings row
+   * @returns {Promise<Buffer>} Audio data
+   */
+  async read(recording) {
+    let encrypted;
+    if (recording.storage_backend === 'gcs') {
+      [encrypted] = await this.getBucket().file(recording.storage_key).download();
+    } else {
+      encrypted = await fs.promises.readFile(this.getLocalPath(recording.storage_key));
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.getKey(),
+      Buffer.from(recording.encryption_iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(recording.encryption_auth_tag, 'base64'));
+
+    try {
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    } catch (error) {
+      throw new Error('Recording could not be decrypted (wrong key or corrupted file)');
+    }
+  }
+
+  /**
+   * Delete a stored recording; missing files are ignored
+   * @param {Object} recording - note_recordings row
+   */
+  async delete(recording) {
+    if (recording.storage_backend === 'gcs') {
+      await this.getBucket().file(recording.storage_key).delete({ ignoreNotFound: true });
+    } else {
+      await fs.promises.unlink(this.getLocalPath(recording.storage_key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  }
+}
+
+module.exports = new AudioStorageService();
@@ -0,0 +1,189 @@
+/**
+ * Code Catalog Service
+ * Loads the ICD-10-CM diagnosis and CPT procedure code catalogs from local
+ * files and answers lookups and searches against them. Nothing is sent to an
+ * external code service, and every code stored on a note must be in here.
+ *
+ * Catalogs are plain text, one code per line: the code (without a dot), then
+ * whitespace, then its description. This is the layout of the CMS
+ * icd10cm_codes_<year>.txt order file, so the full ICD-10-CM release can be
+ * used as-is. CPT is licensed by the AMA and is not distributed with the app.
+ *
+ * backend/data/codes holds a small primary care starter set of both. Point
+ * CODE_CATALOG_DIR at a directory with icd10cm.txt and cpt.txt to use full
+ * catalogs instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CODE_SYSTEMS = {
+  'ICD-10-CM': { file: 'icd10cm.txt' },
+  'CPT': { file: 'cpt.txt' },
+};
+
+// Resolved from the working directory: bundled route handlers don't get a real __dirname
+const DEFAULT_CATALOG_DIR = path.join(process.cwd(), 'backend', 'data', 'codes');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// Description words too common to search on
+const STOP_WORDS = new Set(['and', 'the', 'for', 'with', 'without', 'not', 'other', 'unspecified', 'of', 'or', 'in', 'to', 'due', 'by', 'on']);
+
+/**
+ * Uppercase a code and drop dots and spaces ("e11.9 " -> "E119")
+ * @param {string} code - Code as written
+ * @returns {string} Normalized code
+ */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[.\s]/g, '');
+}
+
+/**
+ * Format a code for display; ICD-10-CM codes get their dot back ("E119" -> "E11.9")
+ * @param {string} system - Code system
+ * @param {string} code - Normalized code
+ * @returns {string} Display code
+ */
+function formatCode(system, code) {
+  return system === 'ICD-10-CM' && code.length > 3 ? `${code.slice(0, 3)}.${code.slice(3)}` : code;
+}
+
+/**
+ * Split text into searchable words
+ * @param {string} text - Text
+ * @returns {Array<string>} Lowercase words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => (word.length >= 2 || /\d/.test(word)) && !STOP_WORDS.has(word));
+}
+
+class CodeCatalogService {
+  constructor() {
+    this.catalogDir = process.env.CODE_CATALOG_DIR || DEFAULT_CATALOG_DIR;
+    this.systems = Object.keys(CODE_SYSTEMS);
+    // system -> { entries: Map(code -> entry), index: Map(word -> Set(code)) }
+    this.catalogs = null;
+  }
+
+  /**
+   * Load the catalogs on first use
+   * @returns {Object} Catalogs by system
+   */
+  getCatalogs() {
+    if (!this.catalogs) {
+      this.catalogs = {};
+      for (const [system, { file }] of Object.entries(CODE_SYSTEMS)) {
+        this.catalogs[system] = this.loadCatalog(system, path.join(this.catalogDir, file));
+      }
+    }
+    return this.catalogs;
+  }
+
+  /**
+   * Read one catalog file and index its descriptions
+   * A missing file leaves that system empty rather than failing every request
+   * @param {string} system - Code system
+   * @param {string} filePath - Catalog file
+   * @returns {Object} { entries, index }
+   */
+  loadCatalog(system, filePath) {
+    const entries = new Map();
+    const index = new Map();
+
+    if (!fs.existsSync(filePath)) {
+      console.warn(`${system} code catalog not found at ${filePath}`);
+      return { entries, index };
+    }
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+      const match = line.match(/^\s*([A-Za-z0-9.]+)\s+(.+?)\s*$/);
+      if (!match) continue;
+
+      const code = normalizeCode(match[1]);
+      const entry = { system, code: formatCode(system, code), description: match[2] };
+      entries.set(code, entry);
+
+      for (const word of new Set(tokenize(entry.description))) {
+        if (!index.has(word)) index.set(word, new Set());
+        index.get(word).add(code);
+      }
+    }
+
+    console.log(`Loaded ${entries.size} ${system} codes from ${filePath}`);
+    return { entries, index };
+  }
+
+  /**
+   * Look up a code
+   * @param {string} system - 'ICD-10-CM' or 'CPT'
+   * @param {string} code - Code, with or without the dot
+   * @returns {Object|null} { system, code, description }, or null if it isn't in the catalog
+   */
+  lookup(system, code) {
+    const catalog = this.getCatalogs()[system];
+    return catalog ? catalog.entries.get(normalizeCode(code)) || null : null;
+  }
+
+  /**
+   * Search by code prefix or description words
+   * Description matches are scored by the share of query words they contain;
+   * a word matches description words it is a prefix of ("diab" -> "diabetes")
+   * @param {string} query - Code or words
+   * @param {Object} options - { system, limit }
+   * @returns {Array} [{ system, code, description, score }] best first
+   */
+  search(query, options = {}) {
+    const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+    const systems = options.system ? [options.system] : Object.keys(CODE_SYSTEMS);
+    const catalogs = this.getCatalogs();
+    const words = tokenize(query);
+    const codeQuery = normalizeCode(query);
+    const results = [];
+
+    for (const system of systems) {
+      const catalog = catalogs[system];
+      if (!catalog) continue;
+
+      // Code prefix ("E11", "9921")
+      if (/^[A-Z]?\d[A-Z0-9]*$/.test(codeQuery)) {
+        for (const [code, entry] of catalog.entries) {
+          if (code.startsWith(codeQuery)) {
+            results.push({ ...entry, score: codeQuery.length / code.length });
+          }
+        }
+        continue;
+      }
+
+      if (words.length === 0) continue;
+
+      const hits = new Map(); // code -> query words matched
+      for (const word of words) {
+        const matched = new Set();
+        for (const [indexed, codes] of catalog.index) {
+          if (indexed.startsWith(word)) {
+            codes.forEach(code => matched.add(code));
+          }
+        }
+        matched.forEach(code => hits.set(code, (hits.get(code) || 0) + 1));
+      }
+
+      for (const [code, count] of hits) {
+        const entry = catalog.entries.get(code);
+        // Among equal matches, prefer shorter (less specific) descriptions
+        const specificity = words.length / Math.max(words.length, tokenize(entry.description).length);
+        results.push({ ...entry, score: (count / words.length) * 0.9 + specificity * 0.1 });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.code.localeCompare(b.code))
+      .slice(0, limit)
+      .map(result => ({ ...result, score: Math.round(result.score * 100) / 100 }));
+  }
+}
+
+module.exports = new CodeCatalogService();
@@ -0,0 +1,272 @@
+/**
+ * Coding Service
+ * Suggests ICD-10-CM diagnosis and CPT procedure codes for a note's
+ * Assessment and Plan, and validates codes before they are stored on a note.
+ *
+ * Suggestion is retrieval first: each Assessment and Plan sentence (and each
+ * structured problem) is searched in the local catalog, and the model picks
+ * from that shortlist with a confidence score. Whatever the model returns is
+ * checked against the catalog; codes that aren't in it are reported as
+ * rejected, never suggested. If the model fails, the best catalog matches are
+ * suggested on their own with lower confidence.
+ */
+
+const codeCatalogService = require('./codeCatalogService');
+const { splitSentences } = require('./sourceAttributionService');
+const { getLlmProvider } = require('./llm');
+
+// Catalog matches kept per searched phrase
+const CANDIDATES_PER_PHRASE = 5;
+
+// Candidates below this search score aren't worth showing the model
+const MIN_CANDIDATE_SCORE = 0.5;
+
+const MAX_CANDIDATES = 40;
+
+const MAX_SUGGESTIONS = { 'ICD-10-CM': 10, 'CPT': 5 };
+
+// A word match alone is weak evidence, so fallback confidence is scaled down
+const CATALOG_ONLY_CONFIDENCE = 0.5;
+
+// Codes already written in the note ("Migraine (G43.909)", "99213")
+const WRITTEN_CODE_PATTERNS = [
+  { system: 'ICD-10-CM', pattern: /\b([A-TV-Z]\d[0-9A-Z](?:\.[0-9A-Z]{1,4})?)\b/g },
+  { system: 'CPT', pattern: /\b(\d{5})\b/g },
+];
+
+const CODE_SUGGESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    codes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          system: { type: 'string', enum: ['ICD-10-CM', 'CPT'] },
+          code: { type: 'string' },
+          confidence: { type: 'number', description: 'How well the documentation supports the code, from 0 to 1' },
+          rationale: { type: 'string', description: 'The documentation that supports the code' },
+        },
+        required: ['system', 'code', 'confidence'],
+      },
+    },
+  },
+  required: ['codes'],
+};
+
+/**
+ * Clamp a confidence to 0-1 with two decimals
+ * @param {*} value - Confidence from the model
+ * @returns {number} Confidence
+ */
+function toConfidence(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.round(Math.min(1, Math.max(0, number)) * 100) / 100;
+}
+
+class CodingService {
+  /**
+   * Build the catalog shortlist for a note
+   * @param {Object} note - { assessment, plan, problems }
+   * @returns {Array} [{ system, code, description, score, phrase }] best first
+   */
+  findCandidates(note) {
+    const phrases = [];
+    for (const section of ['assessment', 'plan']) {
+      const systems = section === 'plan' ? codeCatalogService.systems : ['ICD-10-CM'];
+      for (const sentence of splitSentences(note[section] || '')) {
+        phrases.push({ text: sentence.text, systems });
+
+        // "Check A1c and lipid panel" lists two things; search each on its own too
+        const clauses = sentence.text.split(/[,;]|\band\b/).map(clause => clause.trim()).filter(Boolean);
+        if (clauses.length > 1) {
+          clauses.forEach(clause => phrases.push({ text: clause, systems }));
+        }
+      }
+    }
+    for (const problem of Array.isArray(note.problems) ? note.problems : []) {
+      if (problem && problem.name) {
+        phrases.push({ text: problem.name, systems: ['ICD-10-CM'] });
+      }
+    }
+
+    const candidates = new Map(); // "system code" -> candidate
+    const keep = (candidate) => {
+      const key = `${candidate.system} ${candidate.code}`;
+      if (!candidates.has(key) || candidates.get(key).score < candidate.score) {
+        candidates.set(key, candidate);
+      }
+    };
+
+    for (const phrase of phrases) {
+      for (const { system, pattern } of WRITTEN_CODE_PATTERNS) {
+        for (const match of phrase.text.matchAll(pattern)) {
+          const entry = codeCatalogService.lookup(system, match[1]);
+          if (entry) keep({ ...entry, score: 1, phrase: phrase.text });
+        }
+      }
+
+      for (const system of phrase.systems) {
+        codeCatalogService.search(phrase.text, { system, limit: CANDIDATES_PER_PHRASE })
+          .filter(result => result.score >= MIN_CANDIDATE_SCORE)
+          .forEach(result => keep({ ...result, phrase: phrase.text }));
+      }
+    }
+
+    return [...candidates.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Suggest codes for a note's Assessment and Plan
+   * @param {Object} note - { assessment, plan, problems }
+   * @returns {Promise<Object>} { suggestions: [{ system, code, description, confidence, rationale, source }],
+   *   rejected: [{ system, code, reason }], generatedBy }
+   */
+  async suggestCodes(note) {
+    if (!(note.assessment || '').trim() && !(note.plan || '').trim()) {
+      return { suggestions: [], rejected: [], generatedBy: null };
+    }
+
+    const candidates = this.findCandidates(note);
+
+    let picked;
+    let generatedBy;
+    try {
+      const provider = getLlmProvider();
+      const result = await provider.generate({
+        task: 'codeSuggestion',
+        messages: [{ role: 'user', content: this.createCodeSuggestionPrompt(note, candidates) }],
+        schema: CODE_SUGGESTION_SCHEMA,
+        context: { assessment: note.assessment || '', plan: note.plan || '', candidates },
+      });
+      const parsed = JSON.parse(result.text);
+      picked = Array.isArray(parsed.codes) ? parsed.codes : [];
+      generatedBy = provider.name;
+    } catch (error) {
+      console.error('Error suggesting codes, using catalog matches only:', error);
+      picked = candidates.map(candidate => ({
+        system: candidate.system,
+        code: candidate.code,
+        confidence: candidate.score * CATALOG_ONLY_CONFIDENCE,
+        rationale: candidate.phrase,
+      }));
+      generatedBy = 'fallback';
+    }
+
+    const suggestions = [];
+    const rejected = [];
+    const seen = new Set();
+
+    for (const code of picked) {
+      if (!code || typeof code.code !== 'string') continue;
+
+      const entry = codeCatalogService.systems.includes(code.system)
+        ? codeCatalogService.lookup(code.system, code.code)
+        : null;
+      if (!entry) {
+        rejected.push({ system: code.system || null, code: code.code, reason: 'Not in the code catalog' });
+        continue;
+      }
+
+      const key = `${entry.system} ${entry.code}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      suggestions.push({
+        ...entry,
+        confidence: toConfidence(code.confidence),
+        rationale: typeof code.rationale === 'string' ? code.rationale : '',
+        source: generatedBy === 'fallback' ? 'catalog' : 'model',
+      });
+    }
+
+    suggestions.sort((a, b) => b.confidence - a.confidence);
+    const counts = {};
+    const limited = suggestions.filter(suggestion => {
+      counts[suggestion.system] = (counts[suggestion.system] || 0) + 1;
+      return counts[suggestion.system] <= MAX_SUGGESTIONS[suggestion.system];
+    });
+
+    return { suggestions: limited, rejected, generatedBy };
+  }
+
+  /**
+   * Check codes a clinician accepted before they are stored on a note
+   * Descriptions always come from the catalog; codes kept from currentCodes
+   * keep the time they were first accepted
+   * @param {Array} codes - [{ system, code, confidence, source }]
+   * @param {Array} currentCodes - Codes stored on the note now
+   * @returns {Object} { codes: [{ system, code, description, confidence, source, acceptedAt }], invalid }
+   */
+  validateCodes(codes, currentCodes = []) {
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+    const now = new Date().toISOString();
+
+    for (const code of Array.isArray(codes) ? codes : []) {
+      const entry = code && codeCatalogService.systems.includes(code.system)
+        ? codeCatalogService.lookup(code.system, code.code)
+        : null;
+      if (!entry) {
+        invalid.push({ system: code?.system || null, code: code?.code || null });
+        continue;
+      }
+
+      const key = `${entry.system} ${entry.code}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const current = (currentCodes || []).find(existing => existing.system === entry.system && existing.code === entry.code);
+      valid.push({
+        ...entry,
+        confidence: code.confidence === undefined || code.confidence === null ? null : toConfidence(code.confidence),
+        source: code.source === 'manual' ? 'manual' : 'suggested',
+        acceptedAt: current?.acceptedAt || now,
+      });
+    }
+
+    return { codes: valid, invalid };
+  }
+
+  /**
+   * Create a prompt for the model to pick codes for a note
+   * @param {Object} note - { assessment, plan }
+   * @param {Array} candidates - Catalog shortlist
+   * @returns {string} Prompt for the model
+   */
+  createCodeSuggestionPrompt(note, candidates) {
+    const candidateList = candidates.length > 0
+      ? candidates.map(candidate => `${candidate.system} ${candidate.code}: ${candidate.description}`).join('\n')
+      : '(none)';
+
+    return `
+You are a medical coding assistant. Suggest ICD-10-CM diagnosis codes for the conditions documented in the Assessment, and CPT codes for procedures and services documented in the Plan.
+
+Assessment:
+"""
+${note.assessment || '(empty)'}
+"""
+
+Plan:
+"""
+${note.plan || '(empty)'}
+"""
+
+Candidate codes from the code catalog:
+${candidateList}
+
+Prefer the candidate codes, and use the most specific code the documentation supports. Only suggest a code if the documentation supports it. Give each code a confidence from 0 to 1 and a short rationale quoting the supporting documentation. Do not suggest evaluation and management (office visit) levels unless the documentation states the visit type and complexity.
+
+Format your response as a JSON object with the following structure:
+{
+  "codes": [{ "system": "ICD-10-CM", "code": "E11.9", "confidence": 0.9, "rationale": "..." }]
+}
+`;
+  }
+}
+
+module.exports = new CodingService();
@@ -4,7 +4,13 @@
  */
 
 const { Pool } = require('pg');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { normalizeStructure, isNewVersion } = require('./templateService');
+
+// Transcription job columns clients see; where the job's audio is stored stays on the server
+const TRANSCRIPTION_JOB_COLUMNS = `id, user_id, status, options, total_chunks, completed_chunks, partial_transcript,
+  transcript, confidence, segments, soap_note, error, created_at, updated_at, completed_at`;
 
 class GcpDatabaseService {
   constructor() {
@@ -303,7 +309,9 @@ class GcpDatabaseService {
       title,
       soapData,
       rawTranscript,
+      transcriptSegments,
       templateId,
+      templateVersionId,
       recordingTime
     } = noteData;
 
@@ -311,8 +319,8 @@ class GcpDatabaseService {
     const query = `
       INSERT INTO notes (
         id, user_id, patient_id, title, soap_data, raw_transcript, 
-        template_id, recording_time, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+        transcript_segments, template_id, template_version_id, recording_time, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
       RETURNING *
     `;
 
@@ -323,7 +331,9 @@ class GcpDatabaseService {
       title,
       soapData,
       rawTranscript,
+      transcriptSegments ? JSON.stringify(transcriptSegments) : null,
       templateId || null,
+      templateVersionId || null,
       recordingTime || 0
     ];
 
@@ -435,7 +445,7 @@ class GcpDatabaseService {
     await this.createNoteVersion(currentNote, userId);
     
     // Build the update query
-    const allowedFields = ['title', 'soap_data', 'patient_id', 'template_id'];
+    const allowedFields = ['title', 'soap_data', 'transcript_segments', 'patient_id', 'template_id'];
     const updates = [];
     const values = [noteId, userId];
     let paramIndex = 3;
@@ -443,7 +453,8 @@ class GcpDatabaseService {
     for (const [key, value] of Object.entries(updateData)) {
       if (allowedFields.includes(key)) {
         updates.push(`${key.toLowerCase()} = $${paramIndex}`);
-        values.push(value);
+        // pg sends JS arrays as Postgres arrays, so JSONB arrays must be serialized
+        values.push(Array.isArray(value) ? JSON.stringify(value) : value);
         paramIndex++;
       }
     }
@@ -471,6 +482,54 @@ class GcpDatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * Replace one SOAP section of a note, keeping the previous content as a version
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} section - SOAP section key
+   * @param {string} text - New section text
+   * @returns {Promise<Object>} Updated note
+   */
+  async updateNoteSection(noteId, userId, section, text) {
+    const note = await this.getNoteById(noteId, userId);
+    const soapData = { ...(note.soap_data || {}), [section]: text };
+
+    // Source attributions describe the generated text, not the dictation
+    if (soapData.attributions) {
+      soapData.attributions = { ...soapData.attributions };
+      delete soapData.attributions[section];
+    }
+
+    // updateNote stores the current soap_data in note_versions first
+    return this.updateNote(noteId, userId, { soap_data: soapData });
+  }
+
+  /**
+   * Replace the ICD-10-CM and CPT codes accepted on a note
+   * Codes are billing metadata, not note content, so no version is kept
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Array} codes - Validated codes (see codingService.validateCodes)
+   * @returns {Promise<Object>} Updated note
+   */
+  async updateNoteCodes(noteId, userId, codes) {
+    const query = `
+      UPDATE notes
+      SET codes = $3, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND is_deleted = FALSE
+      RETURNING *
+    `;
+
+    // pg sends JS arrays as Postgres arrays, so JSONB arrays must be serialized
+    const result = await this.query(query, [noteId, userId, JSON.stringify(codes)]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Note not found');
+    }
+
+    return result.rows[0];
+  }
+
   /**
    * Create a version of a note
    * @param {Object} note - Note data
@@ -738,6 +797,17 @@ class GcpDatabaseService {
     return result.rows[0];
   }
 
+  /**
+   * Replace a patient's medication list
+   * @param {string} patientId - Patient ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {Array<string>} medications - New medication list
+   * @returns {Promise<Object>} Updated patient
+   */
+  async updatePatientMedications(patientId, userId, medications) {
+    return this.updatePatient(patientId, userId, { medications });
+  }
+
   /**
    * Soft delete a patient
    * @param {string} patientId - Patient ID
@@ -764,10 +834,11 @@ class GcpDatabaseService {
   // ===== Template Operations =====
 
   /**
-   * Get all templates (system and user-specific)
+   * Get all templates available to a user: system templates, their own and
+   * their organizations' libraries
    * @param {string} userId - User ID
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} Templates
+   * @returns {Promise<Array>} Templates, with organization_name for library templates
    */
   async getTemplates(userId, options = {}) {
     const {
@@ -777,25 +848,27 @@ class GcpDatabaseService {
     } = options;
 
     // Build the WHERE clause
-    let whereClause = '(user_id = $1 OR is_system_template = TRUE)';
+    let whereClause = `(t.user_id = $1 OR t.is_system_template = TRUE
+      OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $1))`;
     const queryParams = [userId];
     let paramIndex = 2;
 
     if (specialty) {
-      whereClause += ` AND specialty = $${paramIndex}`;
+      whereClause += ` AND t.specialty = $${paramIndex}`;
       queryParams.push(specialty);
       paramIndex++;
     }
 
     if (activeOnly) {
-      whereClause += ' AND is_active = TRUE';
+      whereClause += ' AND t.is_active = TRUE';
     }
 
     const query = `
-      SELECT *
-      FROM templates
+      SELECT t.*, o.name AS organization_name
+      FROM templates t
+      LEFT JOIN organizations o ON o.id = t.organization_id
       WHERE ${whereClause}
-      ORDER BY is_system_template DESC, name ASC
+      ORDER BY t.is_system_template DESC, t.organization_id IS NULL, t.name ASC
     `;
 
     const result = await this.query(query, queryParams);
@@ -824,8 +897,158 @@ class GcpDatabaseService {
   }
 
   /**
-   * Create a custom template
-   * @param {Object} templateData - Template data
+   * Get an active template the user can see: a system template, their own or
+   * one in an organization they belong to
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} Template data
+   */
+  async getAccessibleTemplate(templateId, userId) {
+    const result = await this.query(`
+      SELECT t.*
+      FROM templates t
+      WHERE t.id = $1 AND t.is_active = TRUE AND (
+        t.user_id = $2 OR t.is_system_template = TRUE
+        OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+      )
+    `, [templateId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Template not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get the active templates of one library: the user's own, or an organization's
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID, or null for the user's own templates
+   * @returns {Promise<Array>} Templates
+   */
+  async getLibraryTemplates(userId, organizationId = null) {
+    const result = organizationId
+      ? await this.query(`
+        SELECT * FROM templates
+        WHERE organization_id = $1 AND is_active = TRUE
+          AND $1 IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+        ORDER BY name ASC
+      `, [organizationId, userId])
+      : await this.query(`
+        SELECT * FROM templates
+        WHERE user_id = $1 AND is_active = TRUE
+        ORDER BY name ASC
+      `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Ensure a user may change a template
+   * Users change their own templates and organization admins their
+   * organization's; system templates can't be changed
+   * @param {Object} template - Template row
+   * @param {string} userId - User ID
+   * @param {string} action - Verb for the error message, e.g. 'update'
+   * @throws {Error} If the user may not change it
+   */
+  async assertTemplateEditable(template, userId, action) {
+    if (template.organization_id && !template.is_system_template) {
+      await this.assertOrganizationAdmin(userId, template.organization_id);
+      return;
+    }
+    if (template.is_system_template || template.user_id !== userId) {
+      throw new Error(`Cannot ${action} system template or template owned by another user`);
+    }
+  }
+
+  /**
+   * Get a template version
+   * @param {string} versionId - Template version ID
+   * @returns {Promise<Object>} Template version
+   */
+  async getTemplateVersion(versionId) {
+    const query = `
+      SELECT *
+      FROM template_versions
+      WHERE id = $1
+    `;
+
+    const result = await this.query(query, [versionId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Template version not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a template's versions, newest first
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Array>} Template versions
+   */
+  async getTemplateVersions(templateId, userId) {
+    const query = `
+      SELECT v.*
+      FROM template_versions v
+      JOIN templates t ON t.id = v.template_id
+      WHERE v.template_id = $1 AND (t.user_id = $2 OR t.is_system_template = TRUE
+        OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2))
+      ORDER BY v.version DESC
+    `;
+
+    const result = await this.query(query, [templateId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Template not found');
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Save a template's current content as a version and make it the current one
+   * @param {Object} client - Client in a transaction
+   * @param {Object} template - Template row, with version set to the new version number
+   * @param {string} userId - User saving the version
+   * @returns {Promise<Object>} Template row with current_version_id set
+   */
+  async insertTemplateVersion(client, template, userId) {
+    const versionResult = await client.query(`
+      INSERT INTO template_versions (
+        id, template_id, version, name, description, specialty,
+        structure, prompt_template, created_by, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      RETURNING id
+    `, [
+      uuidv4(),
+      template.id,
+      template.version,
+      template.name,
+      template.description,
+      template.specialty,
+      JSON.stringify(template.structure),
+      template.prompt_template,
+      userId || null
+    ]);
+
+    const result = await client.query(`
+      UPDATE templates
+      SET current_version_id = $2
+      WHERE id = $1
+      RETURNING *
+    `, [template.id, versionResult.rows[0].id]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a custom template as version 1, for the user or, for organization
+   * admins, in the organization's library
+   * @param {Object} templateData - Template data (userId, name, description, specialty,
+   *   promptTemplate, structure, organizationId)
    * @returns {Promise<Object>} Created template
    */
   async createTemplate(templateData) {
@@ -834,102 +1057,110 @@ class GcpDatabaseService {
       name,
       description,
       specialty,
-      promptTemplate
+      promptTemplate,
+      structure,
+      organizationId = null
     } = templateData;
 
-    const id = uuidv4();
-    const query = `
-      INSERT INTO templates (
-        id, user_id, name, description, specialty, prompt_template,
-        is_system_template, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, FALSE, NOW(), NOW())
-      RETURNING *
-    `;
+    if (organizationId) {
+      await this.assertOrganizationAdmin(userId, organizationId);
+    }
 
-    const values = [
-      id,
-      userId,
-      name,
-      description || null,
-      specialty,
-      promptTemplate
-    ];
+    return this.withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO templates (
+          id, user_id, organization_id, name, description, specialty, prompt_template, structure,
+          is_system_template, version, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, FALSE, 1, NOW(), NOW())
+        RETURNING *
+      `, [
+        uuidv4(),
+        organizationId ? null : userId,
+        organizationId,
+        name,
+        description || null,
+        specialty,
+        promptTemplate,
+        JSON.stringify(normalizeStructure(structure))
+      ]);
 
-    const result = await this.query(query, values);
-    return result.rows[0];
+      return this.insertTemplateVersion(client, result.rows[0], userId);
+    });
   }
 
   /**
    * Update a template
+   * Changes to its content are saved as a new version; earlier versions are
+   * kept unchanged for the notes generated with them
    * @param {string} templateId - Template ID
    * @param {string} userId - User ID (for authorization)
    * @param {Object} updateData - Data to update
    * @returns {Promise<Object>} Updated template
    */
   async updateTemplate(templateId, userId, updateData) {
-    // First check if this is a system template or belongs to user
-    const checkQuery = `
-      SELECT is_system_template, user_id
-      FROM templates
-      WHERE id = $1
-    `;
-    
-    const checkResult = await this.query(checkQuery, [templateId]);
-    
-    if (checkResult.rows.length === 0) {
-      throw new Error('Template not found');
-    }
-    
-    const template = checkResult.rows[0];
-    
-    // Users can only update their own templates
-    if (template.is_system_template || template.user_id !== userId) {
-      throw new Error('Cannot update system template or template owned by another user');
-    }
-    
-    // Build the update query
     const allowedFields = [
-      'name', 'description', 'specialty', 'prompt_template', 'is_active'
+      'name', 'description', 'specialty', 'prompt_template', 'structure', 'is_active'
     ];
     
-    const updates = [];
-    const values = [templateId, userId];
-    let paramIndex = 3;
-    
-    for (const [key, value] of Object.entries(updateData)) {
-      if (allowedFields.includes(key)) {
-        updates.push(`${key} = $${paramIndex}`);
-        values.push(value);
-        paramIndex++;
-      }
-    }
-    
-    if (updates.length === 0) {
-      // Nothing to update, get current template
-      return await this.getTemplateById(templateId);
-    }
-    
-    // Add updated_at timestamp and increment version
-    updates.push(`updated_at = NOW(), version = version + 1`);
-    
-    const query = `
-      UPDATE templates
-      SET ${updates.join(', ')}
-      WHERE id = $1 AND user_id = $2
-      RETURNING *
-    `;
-    
-    const result = await this.query(query, values);
-    
-    if (result.rows.length === 0) {
-      throw new Error('Template not found or update failed');
+    const updates = Object.fromEntries(
+      Object.entries(updateData).filter(([key]) => allowedFields.includes(key))
+    );
+    if (updates.structure) {
+      updates.structure = normalizeStructure(updates.structure);
     }
     
-    return result.rows[0];
+    return this.withTransaction(async (client) => {
+      // Lock the template so concurrent edits get consecutive versions
+      const checkResult = await client.query(`
+        SELECT *
+        FROM templates
+        WHERE id = $1
+        FOR UPDATE
+      `, [templateId]);
+      
+      if (checkResult.rows.length === 0) {
+        throw new Error('Template not found');
+      }
+      
+      const template = checkResult.rows[0];
+      
+      // Users update their own templates, organization admins their organization's
+      await this.assertTemplateEditable(template, userId, 'update');
+      
+      const newVersion = isNewVersion(template, updates);
+      const changed = Object.keys(updates).filter(key => key !== 'structure'
+        ? (updates[key] ?? null) !== (template[key] ?? null)
+        : newVersion);
+      
+      if (changed.length === 0) {
+        // Nothing to update
+        return template;
+      }
+      
+      const sets = changed.map((key, index) => `${key} = $${index + 2}`);
+      const values = [templateId, ...changed.map(key => (key === 'structure' ? JSON.stringify(updates[key]) : updates[key]))];
+      
+      if (newVersion) {
+        sets.push('version = version + 1');
+      }
+      
+      const result = await client.query(`
+        UPDATE templates
+        SET ${sets.join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, values);
+      
+      return newVersion
+        ? this.insertTemplateVersion(client, result.rows[0], userId)
+        : result.rows[0];
+    });
   }
 
   /**
-   * Delete a template (or deactivate system template)
+   * Delete a template
+   * Templates are deactivated rather than removed, so notes keep the version
+   * they were generated with
    * @param {string} templateId - Template ID
    * @param {string} userId - User ID (for authorization)
    * @returns {Promise<Object>} Delete result
@@ -937,7 +1168,7 @@ class GcpDatabaseService {
   async deleteTemplate(templateId, userId) {
     // First check if this is a system template or belongs to user
     const checkQuery = `
-      SELECT is_system_template, user_id
+      SELECT is_system_template, user_id, organization_id
       FROM templates
       WHERE id = $1
     `;
@@ -950,18 +1181,17 @@ class GcpDatabaseService {
     
     const template = checkResult.rows[0];
     
-    // Users can only delete their own templates
-    if (template.is_system_template || template.user_id !== userId) {
-      throw new Error('Cannot delete system template or template owned by another user');
-    }
+    // Users delete their own templates, organization admins their organization's
+    await this.assertTemplateEditable(template, userId, 'delete');
     
     const query = `
-      DELETE FROM templates
-      WHERE id = $1 AND user_id = $2
+      UPDATE templates
+      SET is_active = FALSE, updated_at = NOW()
+      WHERE id = $1
       RETURNING id
     `;
     
-    const result = await this.query(query, [templateId, userId]);
+    const result = await this.query(query, [templateId]);
     
     if (result.rows.length === 0) {
       throw new Error('Template not found or delete failed');
@@ -969,6 +1199,852 @@ class GcpDatabaseService {
     
     return { id: result.rows[0].id, deleted: true };
   }
+
+  /**
+   * Create a share link for a template the user can see
+   * The link shares the template's current version
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { expiresInDays }: NULL or 0 never expires
+   * @returns {Promise<Object>} Share (id, token, template_id, template_version_id, expires_at)
+   */
+  async createTemplateShare(templateId, userId, { expiresInDays = null } = {}) {
+    const template = await this.getAccessibleTemplate(templateId, userId);
+
+    const result = await this.query(`
+      INSERT INTO template_shares (
+        id, token, template_id, template_version_id, created_by, created_at, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW(),
+        CASE WHEN $6::int > 0 THEN NOW() + make_interval(days => $6::int) END)
+      RETURNING *
+    `, [
+      uuidv4(),
+      crypto.randomBytes(24).toString('base64url'),
+      template.id,
+      template.current_version_id,
+      userId,
+      expiresInDays || 0
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get the share links a user created for a template
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Active shares, newest first, with the shared version number
+   */
+  async getTemplateShares(templateId, userId) {
+    const result = await this.query(`
+      SELECT s.*, v.version
+      FROM template_shares s
+      JOIN template_versions v ON v.id = s.template_version_id
+      WHERE s.template_id = $1 AND s.created_by = $2 AND s.revoked_at IS NULL
+        AND (s.expires_at IS NULL OR s.expires_at > NOW())
+      ORDER BY s.created_at DESC
+    `, [templateId, userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get the template version behind a share link
+   * Any signed-in user with the link can read it
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} Template version, with share_expires_at
+   */
+  async getSharedTemplate(token) {
+    const result = await this.query(`
+      SELECT v.*, s.expires_at AS share_expires_at
+      FROM template_shares s
+      JOIN template_versions v ON v.id = s.template_version_id
+      JOIN templates t ON t.id = s.template_id
+      WHERE s.token = $1 AND s.revoked_at IS NULL AND t.is_active = TRUE
+        AND (s.expires_at IS NULL OR s.expires_at > NOW())
+    `, [token]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Shared template not found; the link may have expired or been revoked');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Revoke a share link the user created
+   * @param {string} shareId - Share ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { id, revoked }
+   */
+  async revokeTemplateShare(shareId, userId) {
+    const result = await this.query(`
+      UPDATE template_shares
+      SET revoked_at = NOW()
+      WHERE id = $1 AND created_by = $2 AND revoked_at IS NULL
+      RETURNING id
+    `, [shareId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Template share not found');
+    }
+
+    return { id: result.rows[0].id, revoked: true };
+  }
+
+  // ===== Prompt Guard Operations =====
+
+  /**
+   * Log content the prompt guard flagged during generation
+   * Only the rules and short excerpts are kept, not the transcript
+   * @param {Object} flagData - { userId, source: 'transcript'|'template', templateId, flags }
+   * @returns {Promise<Object>} Created log entry
+   */
+  async createPromptGuardFlag(flagData) {
+    const { userId, source, templateId, flags } = flagData;
+
+    const query = `
+      INSERT INTO prompt_guard_flags (id, user_id, source, template_id, rules, flags, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      RETURNING *
+    `;
+
+    const result = await this.query(query, [
+      uuidv4(),
+      userId,
+      source,
+      templateId,
+      [...new Set(flags.map(flag => flag.rule))],
+      JSON.stringify(flags)
+    ]);
+    return result.rows[0];
+  }
+
+  // ===== Transcription Job Operations =====
+
+  /**
+   * Create a queued transcription job with one row per audio chunk
+   * @param {Object} jobData - Job data (id, userId, options, chunks: [{ startSeconds, endSeconds }],
+   *   and storageBackend, storageKey, iv, authTag of the stored audio as returned by audioStorageService.save)
+   * @returns {Promise<Object>} Created job
+   */
+  async createTranscriptionJob(jobData) {
+    const { id = uuidv4(), userId, options, chunks, storageBackend, storageKey, iv, authTag } = jobData;
+
+    return this.withTransaction(async (client) => {
+      const jobResult = await client.query(`
+        INSERT INTO transcription_jobs (
+          id, user_id, status, options, total_chunks, completed_chunks,
+          storage_backend, storage_key, encryption_iv, encryption_auth_tag, created_at, updated_at
+        ) VALUES ($1, $2, 'queued', $3, $4, 0, $5, $6, $7, $8, NOW(), NOW())
+        RETURNING ${TRANSCRIPTION_JOB_COLUMNS}
+      `, [id, userId, options || {}, chunks.length, storageBackend, storageKey, iv, authTag]);
+
+      for (let index = 0; index < chunks.length; index++) {
+        await client.query(`
+          INSERT INTO transcription_job_chunks (
+            id, job_id, chunk_index, start_seconds, end_seconds, status, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, 'queued', NOW())
+        `, [uuidv4(), id, index, chunks[index].startSeconds, chunks[index].endSeconds]);
+      }
+
+      return jobResult.rows[0];
+    });
+  }
+
+  /**
+   * Get a transcription job with its chunks
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} Job data including chunks
+   */
+  async getTranscriptionJob(jobId, userId) {
+    const jobResult = await this.query(`
+      SELECT ${TRANSCRIPTION_JOB_COLUMNS}
+      FROM transcription_jobs
+      WHERE id = $1 AND user_id = $2
+    `, [jobId, userId]);
+
+    if (jobResult.rows.length === 0) {
+      throw new Error('Transcription job not found');
+    }
+
+    const chunkResult = await this.query(`
+      SELECT chunk_index, start_seconds, end_seconds, status, transcript, confidence, error, updated_at
+      FROM transcription_job_chunks
+      WHERE job_id = $1
+      ORDER BY chunk_index ASC
+    `, [jobId]);
+
+    return {
+      ...jobResult.rows[0],
+      chunks: chunkResult.rows
+    };
+  }
+
+  /**
+   * Update a transcription job
+   * @param {string} jobId - Job ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateTranscriptionJob(jobId, updateData) {
+    const allowedFields = [
+      'status', 'completed_chunks', 'partial_transcript', 'transcript',
+      'confidence', 'segments', 'soap_note', 'error', 'completed_at', 'storage_key'
+    ];
+
+    const updates = [];
+    const values = [jobId];
+    let paramIndex = 2;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        // pg sends JS arrays as Postgres arrays, so JSONB arrays must be serialized
+        values.push(Array.isArray(value) ? JSON.stringify(value) : value);
+        paramIndex++;
+      }
+    }
+
+    updates.push('updated_at = NOW()');
+
+    const result = await this.query(`
+      UPDATE transcription_jobs
+      SET ${updates.join(', ')}
+      WHERE id = $1
+      RETURNING ${TRANSCRIPTION_JOB_COLUMNS}
+    `, values);
+
+    if (result.rows.length === 0) {
+      throw new Error('Transcription job not found or update failed');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Record the outcome of a single chunk
+   * @param {string} jobId - Job ID
+   * @param {number} chunkIndex - Chunk index
+   * @param {Object} chunkData - Chunk result (status, transcript, confidence, error)
+   * @returns {Promise<Object>} Updated chunk
+   */
+  async updateTranscriptionJobChunk(jobId, chunkIndex, chunkData) {
+    const { status, transcript = null, confidence = null, error = null } = chunkData;
+
+    const result = await this.query(`
+      UPDATE transcription_job_chunks
+      SET status = $3, transcript = $4, confidence = $5, error = $6, updated_at = NOW()
+      WHERE job_id = $1 AND chunk_index = $2
+      RETURNING *
+    `, [jobId, chunkIndex, status, transcript, confidence, error]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the oldest job waiting for a worker
+   * A processing job that hasn't been updated for staleSeconds belonged to a
+   * worker that stopped, so it is claimed again from the start
+   * @param {number} staleSeconds - Seconds without progress after which a job is reclaimed
+   * @returns {Promise<Object|null>} Claimed job (status processing, attempts counted), or null
+   */
+  async claimTranscriptionJob(staleSeconds) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE transcription_jobs
+        SET status = 'processing', attempts = attempts + 1, completed_chunks = 0,
+          partial_transcript = NULL, error = NULL, updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM transcription_jobs
+          WHERE status = 'queued'
+            OR (status = 'processing' AND updated_at < NOW() - make_interval(secs => $1))
+          ORDER BY created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [staleSeconds]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`
+        UPDATE transcription_job_chunks
+        SET status = 'queued', transcript = NULL, confidence = NULL, error = NULL, updated_at = NOW()
+        WHERE job_id = $1
+      `, [result.rows[0].id]);
+
+      return result.rows[0];
+    });
+  }
+
+  // ===== Organization Operations =====
+
+  /**
+   * Get the organizations a user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Organizations with the user's role
+   */
+  async getUserOrganizations(userId) {
+    const result = await this.query(`
+      SELECT o.id, o.name, m.role
+      FROM organization_members m
+      JOIN organizations o ON o.id = m.organization_id
+      WHERE m.user_id = $1
+      ORDER BY o.name ASC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Ensure a user may edit an organization's shared configuration
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @throws {Error} If the user is not an admin of the organization
+   */
+  async assertOrganizationAdmin(userId, organizationId) {
+    const result = await this.query(`
+      SELECT 1 FROM organization_members
+      WHERE organization_id = $1 AND user_id = $2 AND role = 'admin'
+    `, [organizationId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Forbidden: only organization admins can change shared settings');
+    }
+  }
+
+  /**
+   * Create an organization; the user who creates it is its first admin
+   * @param {string} userId - User ID
+   * @param {Object} organizationData - { name }
+   * @returns {Promise<Object>} Organization (id, name, role)
+   */
+  async createOrganization(userId, { name }) {
+    return this.withTransaction(async (client) => {
+      const organizationId = uuidv4();
+      const result = await client.query(`
+        INSERT INTO organizations (id, name, created_by, created_at, updated_at)
+        VALUES ($1, $2, $3, NOW(), NOW())
+        RETURNING id, name
+      `, [organizationId, name, userId]);
+
+      await client.query(`
+        INSERT INTO organization_members (organization_id, user_id, role, created_at)
+        VALUES ($1, $2, 'admin', NOW())
+      `, [organizationId, userId]);
+
+      return { ...result.rows[0], role: 'admin' };
+    });
+  }
+
+  /**
+   * Get the members of an organization the user belongs to
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Members (user_id, role, created_at), admins first
+   */
+  async getOrganizationMembers(organizationId, userId) {
+    const result = await this.query(`
+      SELECT user_id, role, created_at
+      FROM organization_members
+      WHERE organization_id = $1
+        AND $1 IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+      ORDER BY role = 'admin' DESC, created_at ASC
+    `, [organizationId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization not found');
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Change a member's role; only admins can, and an organization always keeps
+   * at least one admin
+   * @param {string} organizationId - Organization ID
+   * @param {string} memberId - User ID of the member
+   * @param {string} role - admin or member
+   * @param {string} userId - User ID of the admin making the change
+   * @returns {Promise<Object>} Member (user_id, role, created_at)
+   */
+  async updateOrganizationMemberRole(organizationId, memberId, role, userId) {
+    await this.assertOrganizationAdmin(userId, organizationId);
+
+    return this.withTransaction(async (client) => {
+      // Lock the organization's admins so two admins can't demote each other at once
+      const admins = await client.query(`
+        SELECT user_id FROM organization_members
+        WHERE organization_id = $1 AND role = 'admin'
+        FOR UPDATE
+      `, [organizationId]);
+
+      if (role !== 'admin' && admins.rows.length === 1 && admins.rows[0].user_id === memberId) {
+        throw new Error('Cannot change the role of the only admin; make another member an admin first');
+      }
+
+      const result = await client.query(`
+        UPDATE organization_members
+        SET role = $3
+        WHERE organization_id = $1 AND user_id = $2
+        RETURNING user_id, role, created_at
+      `, [organizationId, memberId, role]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Organization member not found');
+      }
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Create an invite link that adds whoever accepts it to the organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID of an admin
+   * @param {Object} options - { role, expiresInDays }
+   * @returns {Promise<Object>} Invite (id, token, organization_id, role, expires_at)
+   */
+  async createOrganizationInvite(organizationId, userId, { role = 'member', expiresInDays = 7 } = {}) {
+    await this.assertOrganizationAdmin(userId, organizationId);
+
+    const result = await this.query(`
+      INSERT INTO organization_invites (
+        id, token, organization_id, role, created_by, created_at, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(days => $6::int))
+      RETURNING *
+    `, [
+      uuidv4(),
+      crypto.randomBytes(24).toString('base64url'),
+      organizationId,
+      role,
+      userId,
+      expiresInDays
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get an organization's invites that can still be accepted
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID of an admin
+   * @returns {Promise<Array>} Invites, newest first
+   */
+  async getOrganizationInvites(organizationId, userId) {
+    await this.assertOrganizationAdmin(userId, organizationId);
+
+    const result = await this.query(`
+      SELECT * FROM organization_invites
+      WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+    `, [organizationId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Revoke an invite that hasn't been accepted
+   * @param {string} organizationId - Organization ID
+   * @param {string} inviteId - Invite ID
+   * @param {string} userId - User ID of an admin
+   * @returns {Promise<Object>} { id, revoked }
+   */
+  async revokeOrganizationInvite(organizationId, inviteId, userId) {
+    await this.assertOrganizationAdmin(userId, organizationId);
+
+    const result = await this.query(`
+      UPDATE organization_invites
+      SET revoked_at = NOW()
+      WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `, [inviteId, organizationId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization invite not found');
+    }
+
+    return { id: result.rows[0].id, revoked: true };
+  }
+
+  /**
+   * Get the organization behind an invite link
+   * Any signed-in user with the link can read it
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} { organization_id, organization_name, role, expires_at }
+   */
+  async getOrganizationInvite(token) {
+    const result = await this.query(`
+      SELECT i.organization_id, o.name AS organization_name, i.role, i.expires_at
+      FROM organization_invites i
+      JOIN organizations o ON o.id = i.organization_id
+      WHERE i.token = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+    `, [token]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization invite not found; the link may have expired, been used or been revoked');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Accept an invite link, adding the user to its organization
+   * A user who already belongs keeps their role, unless the invite makes them an admin
+   * @param {string} token - Invite token
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Organization (id, name, role)
+   */
+  async acceptOrganizationInvite(token, userId) {
+    return this.withTransaction(async (client) => {
+      const invite = await client.query(`
+        UPDATE organization_invites
+        SET accepted_by = $2, accepted_at = NOW()
+        WHERE token = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+        RETURNING organization_id, role
+      `, [token, userId]);
+
+      if (invite.rows.length === 0) {
+        throw new Error('Organization invite not found; the link may have expired, been used or been revoked');
+      }
+
+      const { organization_id: organizationId, role } = invite.rows[0];
+      const member = await client.query(`
+        INSERT INTO organization_members (organization_id, user_id, role, created_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (organization_id, user_id) DO UPDATE
+          SET role = CASE WHEN EXCLUDED.role = 'admin' THEN 'admin' ELSE organization_members.role END
+        RETURNING role
+      `, [organizationId, userId, role]);
+
+      const organization = await client.query('SELECT id, name FROM organizations WHERE id = $1', [organizationId]);
+      return { ...organization.rows[0], role: member.rows[0].role };
+    });
+  }
+
+  // ===== Vocabulary Operations =====
+
+  /**
+   * Get the vocabulary terms that apply to a user: their own plus their organizations'
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Terms with scope ('user' or 'organization') and organization_name
+   */
+  async getVocabularyTerms(userId) {
+    const result = await this.query(`
+      SELECT t.*, o.name AS organization_name,
+        CASE WHEN t.user_id IS NULL THEN 'organization' ELSE 'user' END AS scope
+      FROM vocabulary_terms t
+      LEFT JOIN organizations o ON o.id = t.organization_id
+      WHERE t.user_id = $1
+        OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $1)
+      ORDER BY scope DESC, LOWER(t.phrase) ASC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a single vocabulary term visible to the user
+   * @param {string} termId - Term ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Term
+   */
+  async getVocabularyTerm(termId, userId) {
+    const result = await this.query(`
+      SELECT t.*
+      FROM vocabulary_terms t
+      WHERE t.id = $1 AND (
+        t.user_id = $2
+        OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+      )
+    `, [termId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Vocabulary term not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a vocabulary term for the user or, for organization admins, the organization
+   * @param {string} userId - User ID
+   * @param {Object} termData - Term data (phrase, misrecognitions, category, boost, organizationId)
+   * @returns {Promise<Object>} Created term
+   */
+  async createVocabularyTerm(userId, termData) {
+    const { phrase, misrecognitions = [], category = 'other', boost = null, organizationId = null } = termData;
+
+    if (organizationId) {
+      await this.assertOrganizationAdmin(userId, organizationId);
+    }
+
+    const result = await this.query(`
+      INSERT INTO vocabulary_terms (
+        id, user_id, organization_id, phrase, misrecognitions, category, boost, created_by, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      RETURNING *
+    `, [
+      uuidv4(),
+      organizationId ? null : userId,
+      organizationId,
+      phrase,
+      misrecognitions,
+      category,
+      boost,
+      userId
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a vocabulary term
+   * Personal terms can be edited by their owner, shared terms by organization admins
+   * @param {string} termId - Term ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to update (phrase, misrecognitions, category, boost)
+   * @returns {Promise<Object>} Updated term
+   */
+  async updateVocabularyTerm(termId, userId, updateData) {
+    const term = await this.getVocabularyTerm(termId, userId);
+    if (term.organization_id) {
+      await this.assertOrganizationAdmin(userId, term.organization_id);
+    }
+
+    const allowedFields = ['phrase', 'misrecognitions', 'category', 'boost'];
+    const updates = [];
+    const values = [termId];
+    let paramIndex = 2;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    updates.push('updated_at = NOW()');
+
+    const result = await this.query(`
+      UPDATE vocabulary_terms
+      SET ${updates.join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, values);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a vocabulary term
+   * @param {string} termId - Term ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteVocabularyTerm(termId, userId) {
+    const term = await this.getVocabularyTerm(termId, userId);
+    if (term.organization_id) {
+      await this.assertOrganizationAdmin(userId, term.organization_id);
+    }
+
+    await this.query('DELETE FROM vocabulary_terms WHERE id = $1', [termId]);
+    return true;
+  }
+
+  // ===== Dictation Draft Operations =====
+
+  /**
+   * Get the user's in-progress dictation draft
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Draft, or null if there is none
+   */
+  async getDictationDraft(userId) {
+    const result = await this.query(
+      'SELECT * FROM dictation_drafts WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Save the user's in-progress dictation draft, replacing any earlier one
+   * @param {string} userId - User ID
+   * @param {Object} draftData - Draft data (id, transcript, transcriptPieces, transcriptSegments,
+   *   recordingTime, templateId, patient)
+   * @returns {Promise<Object>} Saved draft
+   */
+  async saveDictationDraft(userId, draftData) {
+    const result = await this.query(`
+      INSERT INTO dictation_drafts (
+        id, user_id, transcript, transcript_pieces, transcript_segments,
+        recording_time, template_id, patient, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      ON CONFLICT (user_id) DO UPDATE SET
+        id = EXCLUDED.id,
+        transcript = EXCLUDED.transcript,
+        transcript_pieces = EXCLUDED.transcript_pieces,
+        transcript_segments = EXCLUDED.transcript_segments,
+        recording_time = EXCLUDED.recording_time,
+        template_id = EXCLUDED.template_id,
+        patient = EXCLUDED.patient,
+        created_at = CASE WHEN dictation_drafts.id = EXCLUDED.id THEN dictation_drafts.created_at ELSE NOW() END,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      draftData.id,
+      userId,
+      draftData.transcript || '',
+      draftData.transcriptPieces ? JSON.stringify(draftData.transcriptPieces) : null,
+      draftData.transcriptSegments ? JSON.stringify(draftData.transcriptSegments) : null,
+      draftData.recordingTime || 0,
+      draftData.templateId || null,
+      draftData.patient ? JSON.stringify(draftData.patient) : null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete the user's dictation draft
+   * @param {string} userId - User ID
+   * @param {string} [draftId] - Only delete the draft if it is still this session
+   * @returns {Promise<boolean>} True if a draft was deleted
+   */
+  async deleteDictationDraft(userId, draftId = null) {
+    const result = draftId
+      ? await this.query('DELETE FROM dictation_drafts WHERE user_id = $1 AND id = $2', [userId, draftId])
+      : await this.query('DELETE FROM dictation_drafts WHERE user_id = $1', [userId]);
+
+    return result.rowCount > 0;
+  }
+
+  // ===== Recording Operations =====
+
+  /**
+   * Get a user's recording and retention settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Settings row, with defaults when the user has none
+   */
+  async getRecordingSettings(userId) {
+    const result = await this.query(
+      'SELECT * FROM recording_settings WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || { user_id: userId, save_recordings: true, retention_days: null };
+  }
+
+  /**
+   * Save a user's recording settings and apply the retention period to existing recordings
+   * @param {string} userId - User ID
+   * @param {Object} settings - { saveRecordings, retentionDays } (retentionDays null keeps recordings)
+   * @returns {Promise<Object>} Saved settings row
+   */
+  async saveRecordingSettings(userId, settings) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO recording_settings (user_id, save_recordings, retention_days, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET
+          save_recordings = EXCLUDED.save_recordings,
+          retention_days = EXCLUDED.retention_days,
+          updated_at = NOW()
+        RETURNING *
+      `, [userId, settings.saveRecordings, settings.retentionDays]);
+
+      await client.query(`
+        UPDATE note_recordings
+        SET expires_at = CASE
+          WHEN $2::INTEGER IS NULL THEN NULL
+          ELSE created_at + make_interval(days => $2::INTEGER)
+        END
+        WHERE user_id = $1
+      `, [userId, settings.retentionDays]);
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Create a recording record
+   * @param {Object} recordingData - Recording data
+   * @returns {Promise<Object>} Created recording
+   */
+  async createNoteRecording(recordingData) {
+    const result = await this.query(`
+      INSERT INTO note_recordings (
+        id, note_id, user_id, storage_backend, storage_key, mime_type, size_bytes,
+        duration_seconds, offset_seconds, encryption_iv, encryption_auth_tag, created_at, expires_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(),
+        CASE WHEN $12::INTEGER IS NULL THEN NULL ELSE NOW() + make_interval(days => $12::INTEGER) END
+      )
+      RETURNING *
+    `, [
+      recordingData.id,
+      recordingData.noteId,
+      recordingData.userId,
+      recordingData.storageBackend,
+      recordingData.storageKey,
+      recordingData.mimeType,
+      recordingData.sizeBytes,
+      recordingData.durationSeconds,
+      recordingData.offsetSeconds || 0,
+      recordingData.iv,
+      recordingData.authTag,
+      recordingData.retentionDays
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get the recording of a note
+   * @param {string} noteId - Note ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object|null>} Recording, or null if the note has none
+   */
+  async getNoteRecording(noteId, userId) {
+    const result = await this.query(
+      'SELECT * FROM note_recordings WHERE note_id = $1 AND user_id = $2',
+      [noteId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a recording record
+   * @param {string} recordingId - Recording ID
+   * @returns {Promise<boolean>} Success indicator
+   */
+  async deleteNoteRecording(recordingId) {
+    await this.query('DELETE FROM note_recordings WHERE id = $1', [recordingId]);
+    return true;
+  }
+
+  /**
+   * Get recordings whose retention period has passed
+   * @param {number} limit - Maximum number of recordings to return
+   * @returns {Promise<Array>} Expired recordings
+   */
+  async getExpiredNoteRecordings(limit = 100) {
+    const result = await this.query(`
+      SELECT * FROM note_recordings
+      WHERE expires_at IS NOT NULL AND expires_at <= NOW()
+      ORDER BY expires_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows;
+  }
 }
 
 module.exports = new GcpDatabaseService();
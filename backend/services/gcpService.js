@@ -1,12 +1,66 @@
 const { Storage } = require('@google-cloud/storage');
-const speech = require('@google-cloud/speech');
 const { LanguageServiceClient } = require('@google-cloud/language');
-const { VertexAI } = require('@google-cloud/vertexai');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const gcpDatabaseService = require('./gcpDatabaseService');
+const { getRecognizer } = require('./recognizers');
+const { getLlmProvider } = require('./llm');
+const { formatConversation } = require('./transcriptSegmentService');
+const { attributeNote } = require('./sourceAttributionService');
+const { verifyNote } = require('./noteVerificationService');
+const { extractMedicationOrders } = require('./medicationService');
+const { extractVitalSigns } = require('./vitalsService');
+const { normalizeStructure, templateReference } = require('./templateService');
+const { TRANSCRIPT_GUIDANCE, delimitTranscript, sanitizeUntrustedText, sanitizeTemplateValue, inspectTranscript, inspectTemplateValues, validateTemplate, renderTemplate } = require('./promptGuardService');
+const { buildTemplateValues, renderVariables, usedVariables } = require('./templateVariableService');
+const vocabularyService = require('./vocabularyService');
+
+const {
+  SOAP_LAYOUT,
+  isSoapLayout,
+  noteLayout,
+  textSectionKeys,
+  buildNoteSchema,
+  sectionText,
+  soapTextView,
+  isEmptySectionValue,
+  validateSoapNote,
+  extractCompletedSections
+} = require('./soapSchemaService');
+
+// The first request plus repair requests for unusable responses
+const MAX_SOAP_ATTEMPTS = 3;
+
+// Patient line of prompts whose template doesn't place the patient itself
+const PATIENT_CONTEXT_TEMPLATE = '{{#if patient.name}}Patient: {{patient.name}}{{#if patient.age}}, Age: {{patient.age}}{{/if}}{{#if patient.sex}}, Gender: {{patient.sex}}{{/if}}{{#if patient.date_of_birth}}, DOB: {{patient.date_of_birth}}{{/if}}{{/if}}';
+
+/**
+ * Asks for the transcript evidence behind each sentence of the text sections
+ * (see sourceAttributionService)
+ * @param {Array} sections - Sections of the note
+ * @returns {string} Prompt text ('' when no section is free text)
+ */
+function sourcesInstruction(sections = SOAP_LAYOUT) {
+  const keys = textSectionKeys(sections);
+  if (keys.length === 0) return '';
+  const list = keys.length === 1 ? keys[0] : `${keys.slice(0, -1).join(', ')} and ${keys[keys.length - 1]}`;
+
+  return `
+For every sentence you write in the ${list} section${keys.length === 1 ? '' : 's'}, add an entry to "sources" with the section, the sentence exactly as written, and one or more short quotes copied word for word from the transcript that support it. If nothing in the transcript supports a sentence, give it an empty quotes list.
+`;
+}
+
+// What each section type holds, for the prompt
+const SECTION_TYPE_FORMATS = {
+  text: 'text',
+  bullets: 'a list of short items',
+  checklist: 'a list of the options that apply',
+  number: 'a number, or null if not stated',
+  dropdown: 'one of the options, or null if not stated',
+  date: 'a date as YYYY-MM-DD, or null if not stated',
+};
 
 /**
  * GCP Service for handling Speech-to-Text and Natural Language API
@@ -17,32 +71,9 @@ class GcpService {
     // Initialize clients based on environment
     // In production, these will use Application Default Credentials
     // In development, they'll use credentials from a JSON file
-    this.speechClient = new speech.SpeechClient();
     this.languageClient = new LanguageServiceClient();
     this.storage = new Storage();
     
-    // Initialize Vertex AI
-    this.vertexAI = new VertexAI({
-      project: process.env.GCP_PROJECT_ID || 'ptapp2025-459122', // Use your project ID
-      location: process.env.GCP_LOCATION || 'us-central1', // Default region
-    });
-    
-    // Initialize with null - we'll try different models until one works
-    this.generativeModel = null;
-    
-    // List of models to try in order of preference
-    this.geminiModels = [
-      "gemini-2.0-flash-001"  // We know this works from our test
-    ];
-    
-    // Default generation config
-    this.generationConfig = {
-      temperature: 0.2,        // Lower temperature for more consistent results
-      topP: 0.8,
-      topK: 40,
-      maxOutputTokens: 2048,
-    };
-    
     // Configure temporary storage for audio files
     this.tempDir = path.join(os.tmpdir(), 'doctors-orders-audio');
     if (!fs.existsSync(this.tempDir)) {
@@ -51,35 +82,23 @@ class GcpService {
   }
 
   /**
-   * Transcribe audio using Google Speech-to-Text
+   * Transcribe a complete audio recording with the configured recognizer
+   * This is the batch path; streaming sessions go through transcriptionStreamService.
+   * Uploads should be passed through audioFormatService.normalize first so the
+   * encoding and sample rate match the audio
    * @param {Buffer|string} audioContent - Audio buffer or base64 encoded string
-   * @param {Object} options - Configuration options
+   * @param {Object} options - Configuration options; userId loads that user's vocabulary
+   *   as phraseHints ([{ phrase, boost }]) unless phraseHints are passed explicitly
    * @returns {Promise<Object>} Transcription result
    */
   async transcribeAudio(audioContent, options = {}) {
     try {
-      const request = {
-        audio: {
-          content: Buffer.isBuffer(audioContent) ? audioContent.toString('base64') : audioContent,
-        },
-        config: {
-          encoding: options.encoding || 'LINEAR16',
-          sampleRateHertz: options.sampleRateHertz || 16000,
-          languageCode: options.languageCode || 'en-US',
-          model: options.model || 'medical_conversation',
-          enableAutomaticPunctuation: true,
-          enableSpokenPunctuation: true,
-          useEnhanced: true,
-        },
-      };
+      const { userId, ...recognitionOptions } = options;
+      if (userId && !recognitionOptions.phraseHints) {
+        recognitionOptions.phraseHints = await vocabularyService.getPhraseHints(userId);
+      }
 
-      const [response] = await this.speechClient.recognize(request);
-      return {
-        transcript: response.results
-          .map(result => result.alternatives[0].transcript)
-          .join('\n'),
-        confidence: response.results[0]?.alternatives[0]?.confidence || 0,
-      };
+      return await getRecognizer().recognize(audioContent, recognitionOptions);
     } catch (error) {
       console.error('Error transcribing audio:', error);
       throw new Error(`Transcription failed: ${error.message}`);
@@ -126,80 +145,46 @@ class GcpService {
   }
 
   /**
-   * Get a working Gemini model
-   * @returns {Promise<Object>} A working Gemini model
+   * Generate SOAP note from transcription with the configured LLM provider
+   * (LLM_PROVIDER, see ./llm)
+   * @param {string} transcription - Transcribed text
+   * @param {Object} options - Optional parameters (templateId, userId, specialty, patientInfo or patientId,
+   *   visitType, etc.; the patient and visit fill in the template's variables, and a
+   *   templateId is only used if userId may use the template)
+   * @param {Object} stream - Optional streaming hooks: onSection(section, text) is called as
+   *   each SOAP section is completed; aborting signal cancels generation and rejects
+   * @returns {Promise<Object>} Structured SOAP note
    */
-  async getGeminiModel() {
-    // If we already have a working model, return it
-    if (this.generativeModel) {
-      return this.generativeModel;
+  async generateSoapNote(transcription, options = {}, { onSection, signal } = {}) {
+    // Instruction-like content is still generated from (the prompt delimits it), but logged
+    const promptGuard = inspectTranscript(transcription);
+    if (promptGuard.flagged) {
+      this.logPromptGuardFlags('transcript', promptGuard.flags, options);
     }
     
-    // Try each model in sequence until one works
-    for (const modelName of this.geminiModels) {
-      try {
-        console.log(`Trying Gemini model: ${modelName}`);
-        const model = this.vertexAI.getGenerativeModel({
-          model: modelName,
-          generationConfig: this.generationConfig,
-        });
-        
-        // Test the model with a simple prompt
-        const request = {
-          contents: [
-            {
-              role: 'user',
-              parts: [{ text: 'Hello' }],
-            },
-          ],
-        };
-        
-        await model.generateContent(request);
-        
-        // If we get here, the model works
-        console.log(`Successfully connected to Gemini model: ${modelName}`);
-        this.generativeModel = model;
-        return model;
-      } catch (error) {
-        console.warn(`Failed to use Gemini model ${modelName}: ${error.message}`);
-        // Continue to the next model
-      }
-    }
+    // The template's sections shape the note, including the fallback note
+    let template;
+    let sections = SOAP_LAYOUT;
     
-    // If we get here, none of the models worked
-    console.error('Could not connect to any Gemini model');
-    return null;
-  }
-
-  /**
-   * Generate SOAP note from transcription using Vertex AI
-   * @param {string} transcription - Transcribed text
-   * @param {Object} options - Optional parameters (templateId, specialty, patient info, etc.)
-   * @returns {Promise<Object>} Structured SOAP note
-   */
-  async generateSoapNote(transcription, options = {}) {
     try {
-      // Initialize Gemini model if not already done
-      if (!this.generativeModel) {
-        await this.getGeminiModel();
-      }
+      const provider = getLlmProvider();
 
-      // Analyze text to extract medical entities
-      const analysis = await this.analyzeText(transcription);
-      
-      // Get a working Gemini model
-      const model = this.generativeModel;
-      if (!model) {
-        console.error('No Gemini model available');
-        throw new Error('No Gemini model available');
+      // Entities are only supporting context, so the note is still generated
+      // without them (e.g. offline with the fixture provider)
+      let analysis;
+      try {
+        analysis = await this.analyzeText(transcription);
+      } catch (analysisError) {
+        console.warn('Continuing without entity analysis:', analysisError.message);
+        analysis = { entities: [], medicalEntities: [], sentiment: {}, categories: [], language: 'en' };
       }
       
-      // Get template based on options
-      let template;
+      // Get template based on options; the dictation modal sends the selected template's ID as template
+      const templateId = options.templateId || (typeof options.template === 'string' ? options.template : null);
       try {
-        if (options.templateId) {
-          // If templateId is provided, get specific template
-          template = await gcpDatabaseService.getTemplateById(options.templateId);
+        if (templateId) {
+          // If templateId is provided, get specific template, if the user may use it
+          template = await gcpDatabaseService.getAccessibleTemplate(templateId, options.userId || null);
           console.log('Using template by ID:', template.name);
         } else if (options.specialty) {
           // If specialty is provided, get default template for that specialty
@@ -225,53 +210,70 @@ class GcpService {
         // Continue with default prompt if template retrieval fails
       }
       
-      // Create a prompt for Gemini to generate a SOAP note
-      console.log('Creating prompt for Gemini...');
-      const prompt = this.createSoapPrompt(transcription, analysis, { ...options, template });
+      // User templates saved before validation existed may misuse placeholders;
+      // they are still used (a missing transcript placeholder is appended), but logged
+      if (template && !template.is_system_template) {
+        const templateCheck = validateTemplate(template.prompt_template);
+        if (!templateCheck.valid) {
+          console.warn(`Template ${template.id} failed validation:`, templateCheck.errors);
+          this.logPromptGuardFlags('template', templateCheck.errors.map(error => ({ rule: 'invalid_template', description: error, excerpt: null })), { ...options, templateId: template.id });
+        }
+      }
+      if (template) {
+        sections = normalizeStructure(template.structure).sections;
+      }
       
-      // Call Gemini model to generate SOAP note
-      console.log('Calling Gemini model with prompt...');
-      let result;
-      try {
-        const request = {
-          contents: [
-            {
-              role: "user",
-              parts: [{ text: prompt }]
-            }
-          ],
-        };
-        
-        result = await model.generateContent(request);
-        console.log('Gemini model returned response successfully');
-      } catch (geminiError) {
-        console.error('Error calling Gemini API:', geminiError);
-        throw new Error(`Gemini API call failed: ${geminiError.message}`);
+      // Create a prompt for the model to generate a SOAP note
+      console.log('Creating SOAP prompt...');
+      const templateValues = await this.getTemplateValues(options, template);
+      const valueCheck = inspectTemplateValues(templateValues, [
+        ...usedVariables(PATIENT_CONTEXT_TEMPLATE),
+        ...(template?.prompt_template ? usedVariables(template.prompt_template) : [])
+      ]);
+      if (valueCheck.flagged) {
+        this.logPromptGuardFlags('variables', valueCheck.flags, { ...options, templateId: template?.id });
       }
+      const prompt = this.createSoapPrompt(transcription, analysis, { ...options, template, sections, templateValues });
       
-      const response = result.response;
+      // Generate with structured output; invalid responses are sent back for repair
+      console.log(`Generating SOAP note with LLM provider: ${provider.name}`);
+      const generated = await this.generateStructuredSoapNote(provider, prompt, { transcript: transcription, sections }, { onSection, signal });
+      const soapText = soapTextView(generated.note, sections);
       
-      // Parse the response to extract structured SOAP note
-      console.log('Parsing Gemini response...');
-      let soapNote;
-      try {
-        soapNote = this.parseSoapResponse(
-          response.candidates[0].content.parts[0].text, 
-          transcription, 
-          analysis
-        );
-        console.log('Successfully parsed SOAP response');
-      } catch (parseError) {
-        console.error('Error parsing Gemini response:', parseError);
-        throw new Error(`Failed to parse Gemini response: ${parseError.message}`);
-      }
+      const soapNote = {
+        ...generated.note,
+        attributions: attributeNote(generated.note, transcription, {
+          sources: generated.sources,
+          segments: options.segments,
+          sections: textSectionKeys(sections)
+        }),
+        verification: verifyNote(generated.note, transcription, { sections }),
+        medicationOrders: extractMedicationOrders(
+          { ...soapText, entities: analysis.medicalEntities },
+          options.patientInfo?.medications || []
+        ),
+        vitalSigns: extractVitalSigns(soapText),
+        promptGuard,
+        template: templateReference(template),
+        rawTranscription: transcription,
+        entities: analysis.medicalEntities,
+        generatedBy: provider.name,
+        model: generated.model,
+        validation: generated.validation,
+        timestamp: new Date().toISOString()
+      };
       
       console.log('SOAP note generation complete with generatedBy:', soapNote.generatedBy);
       return soapNote;
     } catch (error) {
+      // A cancelled request wants no note at all
+      if (signal?.aborted) {
+        throw error;
+      }
+      
       console.error('Error generating SOAP note:', error);
       
-      // Fallback to basic analysis if Vertex AI fails
+      // Fallback to basic analysis if the provider fails
       console.log('Falling back to basic analysis for SOAP note generation');
       let analysis;
       try {
@@ -288,38 +290,422 @@ class GcpService {
         };
       }
       
-      // Create a basic SOAP structure
+      // Create a basic SOAP structure; the whole transcript is kept so nothing dictated is lost.
+      // A template's own sections start empty, with the transcript in the first text section
+      let fallbackNote;
+      if (isSoapLayout(sections)) {
+        fallbackNote = {
+          subjective: transcription,
+          objective: this.extractObjective(analysis),
+          assessment: this.extractAssessment(analysis),
+          plan: this.extractPlan(analysis)
+        };
+      } else {
+        const [transcriptSection] = textSectionKeys(sections);
+        const { note } = validateSoapNote(transcriptSection ? { [transcriptSection]: transcription } : {}, sections);
+        fallbackNote = Object.fromEntries(sections.map(section => [section.key, note[section.key]]));
+      }
+      const fallbackText = soapTextView(fallbackNote, sections);
+      
       return {
-        subjective: transcription.substring(0, 300) + '...',
-        objective: this.extractObjective(analysis),
-        assessment: this.extractAssessment(analysis),
-        plan: this.extractPlan(analysis),
+        ...fallbackNote,
+        attributions: attributeNote(fallbackNote, transcription, {
+          segments: options.segments,
+          sections: textSectionKeys(sections)
+        }),
+        verification: verifyNote(fallbackNote, transcription, { sections }),
+        medicationOrders: extractMedicationOrders(
+          { ...fallbackText, entities: analysis.medicalEntities },
+          options.patientInfo?.medications || []
+        ),
+        vitalSigns: extractVitalSigns(fallbackText),
+        promptGuard,
+        template: templateReference(template),
+        problems: [],
+        medications: [],
+        vitals: [],
+        followUps: [],
         rawAnalysis: analysis,
         generatedBy: 'fallback',
+        validation: {
+          attempts: 0,
+          errors: [error.message],
+          repairedFields: [],
+          missingFields: ['problems', 'medications', 'vitals', 'followUps']
+        },
       };
     }
   }
   
   /**
-   * Create a prompt for Gemini to generate a SOAP note
+   * Values of the template variables for a generation (see templateVariableService)
+   * A saved patient (options.patientId, with options.userId) is read from the
+   * database together with their previous note; otherwise options.patientInfo
+   * is all that is known
+   * @param {Object} options - Generation options (patientId, userId, patientInfo, specialty, visitType)
+   * @param {Object} template - Template row, whose specialty is the default
+   * @returns {Promise<Object>} Variable name -> text
+   */
+  async getTemplateValues(options = {}, template = null) {
+    let patient = options.patientInfo || null;
+    let lastNote = null;
+
+    if (options.patientId && options.userId) {
+      try {
+        patient = await gcpDatabaseService.getPatientById(options.patientId, options.userId);
+        const { notes } = await gcpDatabaseService.getNotes(options.userId, { patientId: options.patientId, limit: 1 });
+        lastNote = notes[0] || null;
+      } catch (error) {
+        console.warn('Continuing without the patient record:', error.message);
+      }
+    }
+
+    return buildTemplateValues({
+      patient,
+      lastNote,
+      clinician: { specialty: options.specialty || template?.specialty },
+      visit: { type: options.visitType }
+    });
+  }
+  
+  /**
+   * Ask the LLM provider for a schema-conforming SOAP note, retrying with the
+   * validation errors when a response is unusable
+   * @param {Object} provider - LLM provider (see ./llm)
+   * @param {string} prompt - SOAP prompt
+   * @param {Object} context - { transcript, sections }, for providers that don't read the prompt;
+   *   sections is the note's section layout, the SOAP sections by default
+   * @param {Object} stream - { onSection, signal }; with onSection the first attempt is streamed
+   * @returns {Promise<Object>} { note, sources, model, validation: { attempts, errors, repairedFields, missingFields } }
+   */
+  async generateStructuredSoapNote(provider, prompt, context = {}, { onSection, signal } = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    const sections = context.sections || SOAP_LAYOUT;
+    const schema = buildNoteSchema(sections);
+    let best = null;
+    
+    for (let attempt = 1; attempt <= MAX_SOAP_ATTEMPTS; attempt++) {
+      signal?.throwIfAborted();
+      
+      let responseText;
+      let model;
+      try {
+        const request = { task: 'soapNote', messages, schema, context: { ...context, sections }, signal };
+        
+        // Repairs are not streamed; the sections already shown stay until the final note replaces them
+        ({ text: responseText, model } = attempt === 1 && onSection
+          ? await this.streamSoapResponse(provider, request, onSection)
+          : await provider.generate(request));
+      } catch (providerError) {
+        signal?.throwIfAborted();
+        console.error(`Error calling LLM provider ${provider.name}:`, providerError);
+        throw new Error(`LLM call failed: ${providerError.message}`);
+      }
+      
+      let errors;
+      try {
+        const response = JSON.parse(responseText);
+        const { note, errors: validationErrors, repairedFields, missingFields } = validateSoapNote(response, sections);
+        const validation = { attempts: attempt, errors: validationErrors, repairedFields, missingFields };
+        const sources = response?.sources;
+        
+        if (validationErrors.length === 0) {
+          return { note, sources, model, validation };
+        }
+        
+        // Keep a usable response in case the retries do no better
+        if (note && sections.some(section => !isEmptySectionValue(note[section.key]))) {
+          best = { note, sources, model, validation };
+        }
+        errors = validationErrors;
+      } catch (parseError) {
+        errors = [`Response is not valid JSON: ${parseError.message}`];
+      }
+      
+      console.warn(`SOAP note attempt ${attempt} was invalid: ${errors.join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: responseText },
+        {
+          role: 'user',
+          content: `That response does not match the required JSON schema:\n${errors.map(message => `- ${message}`).join('\n')}\nReturn the complete corrected SOAP note as JSON only.`
+        }
+      );
+    }
+    
+    if (best) {
+      return best;
+    }
+    throw new Error(`${provider.name} returned no valid SOAP note after ${MAX_SOAP_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Stream a SOAP response, reporting each text section as soon as it is complete
+   * @param {Object} provider - LLM provider (see ./llm)
+   * @param {Object} request - generateStream request (context.sections is the layout)
+   * @param {Function} onSection - Called with (section, text)
+   * @returns {Promise<Object>} { text, model } once the response is complete
+   */
+  async streamSoapResponse(provider, request, onSection) {
+    const reported = {};
+    const keys = textSectionKeys(request.context?.sections || SOAP_LAYOUT);
+    let text = '';
+    
+    for await (const chunk of provider.generateStream(request)) {
+      text += chunk;
+      
+      for (const [section, sectionText] of Object.entries(extractCompletedSections(text, keys))) {
+        if (reported[section] !== sectionText) {
+          reported[section] = sectionText;
+          onSection(section, sectionText);
+        }
+      }
+    }
+    
+    // Providers stop quietly when aborted; don't treat the partial text as a response
+    request.signal?.throwIfAborted();
+    
+    return { text, model: provider.model || provider.name };
+  }
+
+  /**
+   * Merge newly dictated text into one section of an existing SOAP note
+   * Falls back to plain concatenation (append) or the dictation itself
+   * (replace) when the LLM provider fails, so dictation is never lost
+   * @param {string} section - Key of a text section (subjective, objective, assessment or plan for SOAP notes)
+   * @param {string} dictation - Newly dictated text for the section
+   * @param {Object} options - { currentText, mode: 'append'|'replace', outputLanguage, sections: the note's layout, userId }
+   * @returns {Promise<Object>} { section, text, generatedBy }
+   */
+  async refineSection(section, dictation, options = {}) {
+    const layoutSection = (options.sections || SOAP_LAYOUT).find(candidate => candidate.key === section);
+    if (!layoutSection || (layoutSection.type || 'text') !== 'text') {
+      throw new Error(`Invalid section: ${section}`);
+    }
+
+    const mode = options.mode === 'replace' ? 'replace' : 'append';
+    const currentText = (options.currentText || '').trim();
+    const fallbackText = mode === 'append' && currentText
+      ? `${currentText}\n\n${dictation.trim()}`
+      : dictation.trim();
+
+    // Flagged dictation is still used (the prompt delimits it), but logged
+    const promptGuard = inspectTranscript(dictation);
+    if (promptGuard.flagged) {
+      this.logPromptGuardFlags('transcript', promptGuard.flags, options);
+    }
+
+    try {
+      const provider = getLlmProvider();
+      const prompt = this.createRefineSectionPrompt(section, dictation, { ...options, mode, currentText, sectionName: layoutSection.name });
+      const result = await provider.generate({
+        task: 'refineSection',
+        messages: [{ role: 'user', content: prompt }],
+        schema: {
+          type: 'object',
+          properties: { text: { type: 'string' } },
+          required: ['text'],
+        },
+        context: { section, dictation, currentText, mode },
+      });
+
+      const { text } = JSON.parse(result.text);
+
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('LLM response did not contain the section text');
+      }
+
+      return { section, text: text.trim(), generatedBy: provider.name };
+    } catch (error) {
+      console.error('Error refining SOAP section, using dictation as-is:', error);
+      return { section, text: fallbackText, generatedBy: 'fallback' };
+    }
+  }
+
+  /**
+   * Create a prompt for the model to rewrite one SOAP section with new dictation
+   * @param {string} section - Section being edited
+   * @param {string} dictation - Newly dictated text
+   * The dictation is delimited and the current text sanitized like a transcript
+   * @param {Object} options - { currentText, mode, outputLanguage, sectionName }
+   * @returns {string} Prompt for the model
+   */
+  createRefineSectionPrompt(section, dictation, options = {}) {
+    const sectionName = options.sectionName || section.charAt(0).toUpperCase() + section.slice(1);
+    const instruction = options.mode === 'replace'
+      ? `Rewrite the ${sectionName} section using only the new dictation. The current section text is shown for context and should be discarded.`
+      : `Add the new dictation to the ${sectionName} section. Keep every fact in the current section, integrate the new information where it belongs, and remove only exact duplicates. If the dictation corrects something in the current text, prefer the dictation.`;
+
+    return `
+You are a medical professional assistant editing one section of an existing SOAP note.
+${instruction}
+
+Current ${sectionName} section:
+"""
+${sanitizeUntrustedText(options.currentText || '(empty)')}
+"""
+
+New dictation:
+${delimitTranscript(dictation)}
+
+${TRANSCRIPT_GUIDANCE}
+${this.getOutputLanguageInstruction(options.outputLanguage)}
+Write in the same clinical style as a SOAP note. Only include information that is in the current section or the dictation. Do not invent information.
+
+Format your response as a JSON object with the following structure:
+{
+  "text": "The complete ${sectionName} section..."
+}
+`;
+  }
+  
+  /**
+   * Rewrite one section of a generated SOAP note from the transcript, following
+   * a clinician's instruction ("be more concise", "list differentials")
+   * Unlike refineSection there is no fallback: on failure the section is left
+   * as it was and the error is thrown
+   * @param {string} section - Key of a text section (subjective, objective, assessment or plan for SOAP notes)
+   * @param {string} transcription - Transcript the note was generated from
+   * @param {Object} options - { note, instruction, outputLanguage, segments, patientInfo }; the
+   *   note's template.sections gives its layout, patientInfo.medications the list
+   *   medication orders are reconciled against
+   * @returns {Promise<Object>} { section, text, attributions, verification, medicationOrders, vitalSigns, generatedBy, model }
+   */
+  async regenerateSection(section, transcription, options = {}) {
+    const note = options.note || {};
+    const sections = noteLayout(note);
+    if (!textSectionKeys(sections).includes(section)) {
+      throw new Error(`Invalid section: ${section}`);
+    }
+
+    const instruction = (options.instruction || '').trim();
+    const provider = getLlmProvider();
+    const prompt = this.createRegenerateSectionPrompt(section, transcription, { ...options, note, instruction, sections });
+
+    const result = await provider.generate({
+      task: 'regenerateSection',
+      messages: [{ role: 'user', content: prompt }],
+      schema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          sources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                sentence: { type: 'string' },
+                quotes: { type: 'array', items: { type: 'string' } },
+              },
+              required: ['sentence', 'quotes'],
+            },
+          },
+        },
+        required: ['text'],
+      },
+      context: { section, transcript: transcription, instruction, currentText: note[section] || '', sections },
+    });
+
+    const parsed = JSON.parse(result.text);
+    const text = typeof parsed.text === 'string' ? parsed.text.trim() : '';
+    if (!text) {
+      throw new Error('LLM response did not contain the section text');
+    }
+
+    const sources = (Array.isArray(parsed.sources) ? parsed.sources : []).map(entry => ({ ...entry, section }));
+    const updatedNote = { ...note, [section]: text };
+    const soapText = soapTextView(updatedNote, sections);
+
+    return {
+      section,
+      text,
+      attributions: attributeNote({ [section]: text }, transcription, { sources, segments: options.segments, sections: [section] })[section],
+      verification: verifyNote(updatedNote, transcription, { sections }),
+      medicationOrders: extractMedicationOrders(soapText, options.patientInfo?.medications || []),
+      vitalSigns: extractVitalSigns(soapText),
+      generatedBy: provider.name,
+      model: result.model,
+    };
+  }
+
+  /**
+   * Create a prompt for the model to rewrite one SOAP section from the transcript
+   * @param {string} section - Section being rewritten
+   * @param {string} transcription - Transcript
+   * @param {Object} options - { note, instruction, outputLanguage, sections }
+   * @returns {string} Prompt for the model
+   */
+  createRegenerateSectionPrompt(section, transcription, options = {}) {
+    const sections = options.sections || SOAP_LAYOUT;
+    const sectionName = sections.find(candidate => candidate.key === section)?.name
+      || section.charAt(0).toUpperCase() + section.slice(1);
+    const note = options.note || {};
+    const otherSections = sections
+      .filter(other => other.key !== section)
+      .map(other => `${other.name}:\n${sectionText(other, note[other.key]) || '(empty)'}`)
+      .join('\n\n');
+
+    return `
+You are a medical professional assistant rewriting the ${sectionName} section of a SOAP note generated from the transcript below.
+${options.instruction ? `The clinician asked: "${options.instruction}". Follow this instruction for the ${sectionName} section only.` : `Write the ${sectionName} section again from the transcript.`}
+
+Transcript:
+${delimitTranscript(transcription)}
+
+${TRANSCRIPT_GUIDANCE}
+
+The other sections of the note, which will not change (for context, and to avoid repeating them):
+"""
+${sanitizeUntrustedText(otherSections)}
+"""
+
+Current ${sectionName} section:
+"""
+${sanitizeUntrustedText(note[section] || '(empty)')}
+"""
+${this.getOutputLanguageInstruction(options.outputLanguage)}
+Only include information that is in the transcript. Do not invent information.
+For every sentence you write, add an entry to "sources" with the sentence exactly as written and one or more short quotes copied word for word from the transcript that support it. If nothing in the transcript supports a sentence, give it an empty quotes list.
+
+Format your response as a JSON object with the following structure:
+{
+  "text": "The complete ${sectionName} section...",
+  "sources": [{ "sentence": "...", "quotes": ["..."] }]
+}
+`;
+  }
+
+  /**
+   * Create a prompt for the model to generate a SOAP note
    * @param {string} transcription - Transcribed text
    * @param {Object} analysis - Text analysis results
    * @param {Object} options - Optional parameters
-   * @returns {string} Prompt for Gemini
+   * @returns {string} Prompt for the model
    */
   createSoapPrompt(transcription, analysis, options = {}) {
-    // Extract patient info if available
-    const patientInfo = options.patientInfo || {};
-    const patientName = patientInfo.name || 'the patient';
-    const patientAge = patientInfo.age || '';
-    const patientGender = patientInfo.gender || '';
-    const patientDob = patientInfo.dob || '';
+    // Variables for the template; the patient line is for prompts that don't place the patient themselves
+    const templateValues = options.templateValues || buildTemplateValues({
+      patient: options.patientInfo,
+      clinician: { specialty: options.specialty },
+      visit: { type: options.visitType }
+    });
+    const patientContext = renderVariables(
+      PATIENT_CONTEXT_TEMPLATE,
+      Object.fromEntries(Object.entries(templateValues).map(([name, value]) => [name, sanitizeTemplateValue(value)]))
+    );
     
-    // Create patient context string
-    const patientContext = patientName !== 'the patient' 
-      ? `Patient: ${patientName}${patientAge ? `, Age: ${patientAge}` : ''}${patientGender ? `, Gender: ${patientGender}` : ''}${patientDob ? `, DOB: ${patientDob}` : ''}`
+    // With diarized segments, show the model who said what
+    const hasSpeakers = Array.isArray(options.segments) && options.segments.length > 0;
+    const transcriptText = hasSpeakers ? formatConversation(options.segments) : transcription;
+    const speakerGuidance = hasSpeakers
+      ? `\nThe transcript is a clinician-patient conversation with each turn labelled by speaker.
+- Statements labelled [Patient] are the patient's own account: use them for the Subjective section.
+- Statements labelled [Clinician] are the clinician's findings, measurements and reasoning: use them for the Objective, Assessment and Plan sections.
+- Do not attribute the clinician's questions or statements to the patient.\n`
       : '';
     
+    // Write the note in the clinician's chosen language, even if the visit was in another
+    const languageGuidance = this.getOutputLanguageInstruction(options.outputLanguage);
+    
     // Create a prompt based on the template from database or fallback to default
     let promptTemplate;
     
@@ -328,33 +714,38 @@ class GcpService {
       promptTemplate = options.template.prompt_template;
       console.log(`Using template: ${options.template.name}`);
       
-      // Replace the {{transcription}} placeholder with the actual transcription
-      promptTemplate = promptTemplate.replace('{{transcription}}', transcription);
+      // Fill in the delimited transcription and the visit's variables
+      const placesPatient = usedVariables(promptTemplate).some(name => name.startsWith('patient.'));
+      promptTemplate = renderTemplate(promptTemplate, transcriptText, templateValues);
       
       // Add patient context and entities if not already included in the template
       let finalPrompt = `You are a medical professional assistant.
-${patientContext ? `\nPatient Information: ${patientContext}\n` : ''}\n${promptTemplate}\n`;
+${patientContext && !placesPatient ? `\nPatient Information: ${patientContext}\n` : ''}\n${promptTemplate}\n\n${TRANSCRIPT_GUIDANCE}\n${speakerGuidance}${languageGuidance}`;
       
       // Add entities detected
       finalPrompt += `\nEntities detected in the transcript:\n${analysis.medicalEntities.map(entity => `- ${entity.name}: ${entity.type}`).join('\n')}\n`;
       
-      // Add JSON format instructions if not in template
-      if (!finalPrompt.includes('JSON')) {
+      // A template with its own sections always gets their exact format;
+      // SOAP templates get JSON format instructions if they don't give any
+      const sections = options.sections || SOAP_LAYOUT;
+      if (!isSoapLayout(sections)) {
+        finalPrompt += this.createSectionFormatInstructions(sections);
+      } else if (!finalPrompt.includes('JSON')) {
         finalPrompt += `\nFormat your response as a JSON object with the following structure:\n{\n  "subjective": "Detailed subjective information...",\n  "objective": "Detailed objective information...",\n  "assessment": "Detailed assessment...",\n  "plan": "Detailed plan..."\n}\n`;
       }
       
-      return finalPrompt;
+      return finalPrompt + sourcesInstruction(sections);
     } else {
       // Default SOAP template if no template is found
       return `
 You are a medical professional assistant. Generate a comprehensive SOAP note based on the following medical dictation transcript.
 ${patientContext ? `\nPatient Information: ${patientContext}` : ''}
 
-Medical Dictation Transcript:
-"""
-${transcription}
-"""
+${hasSpeakers ? 'Clinician-Patient Conversation' : 'Medical Dictation Transcript'}:
+${delimitTranscript(transcriptText)}
 
+${TRANSCRIPT_GUIDANCE}
+${speakerGuidance}${languageGuidance}
 Entities detected in the transcript:
 ${analysis.medicalEntities.map(entity => `- ${entity.name}: ${entity.type}`).join('\n')}
 
@@ -364,12 +755,19 @@ Please create a well-structured SOAP note with the following sections:
 3. Assessment: Diagnosis or clinical impression based on subjective and objective data.
 4. Plan: Treatment plan, medications, follow-up instructions, and referrals.
 
+Also list the problems addressed, every medication mentioned (with whether it is continued, started, stopped or changed), any vital signs stated, and the follow-ups. Use empty lists when there are none.
+${sourcesInstruction()}
 Format your response as a JSON object with the following structure:
 {
   "subjective": "Detailed subjective information...",
   "objective": "Detailed objective information...",
   "assessment": "Detailed assessment...",
-  "plan": "Detailed plan..."
+  "plan": "Detailed plan...",
+  "problems": [{ "name": "...", "status": "active" }],
+  "medications": [{ "name": "...", "dose": "...", "route": "...", "frequency": "...", "action": "continue" }],
+  "vitals": [{ "type": "blood_pressure", "value": "120/80", "unit": "mmHg" }],
+  "followUps": [{ "description": "...", "timeframe": "..." }],
+  "sources": [{ "section": "subjective", "sentence": "...", "quotes": ["..."] }]
 }
 
 Only include information that is explicitly stated or can be reasonably inferred from the transcript. Do not invent information. If certain sections lack sufficient information, note this in your response.
@@ -378,88 +776,88 @@ Only include information that is explicitly stated or can be reasonably inferred
   }
   
   /**
-   * Parse the response from Gemini to extract structured SOAP note
-   * @param {string} responseText - Response text from Gemini
-   * @param {string} transcription - Original transcription
-   * @param {Object} analysis - Text analysis results
-   * @returns {Object} Structured SOAP note
+   * Describe a template's own sections and the JSON they are returned in
+   * @param {Array} sections - Sections (see soapSchemaService)
+   * @returns {string} Prompt text
    */
-  parseSoapResponse(responseText, transcription, analysis) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        const jsonStr = jsonMatch[0];
-        const parsedResponse = JSON.parse(jsonStr);
-        
-        // Add metadata to the response
-        return {
-          ...parsedResponse,
-          rawTranscription: transcription,
-          entities: analysis.medicalEntities,
-          generatedBy: 'gemini',
-          timestamp: new Date().toISOString()
-        };
-      } else {
-        // If no JSON found, use the full text as a fallback
-        console.warn('Could not extract JSON from Gemini response, using text fallback');
-        
-        // Try to identify sections in the text response
-        const sections = this.extractSectionsFromText(responseText);
-        
-        return {
-          ...sections,
-          rawTranscription: transcription,
-          entities: analysis.medicalEntities,
-          generatedBy: 'gemini-text',
-          timestamp: new Date().toISOString()
-        };
+  createSectionFormatInstructions(sections) {
+    const exampleValue = (section) => {
+      switch (section.type) {
+        case 'bullets': return '["..."]';
+        case 'checklist': return JSON.stringify(section.options.slice(0, 1));
+        case 'number': return '0';
+        case 'dropdown': return JSON.stringify(section.options[0]);
+        case 'date': return '"YYYY-MM-DD"';
+        default: return '"..."';
       }
-    } catch (error) {
-      console.error('Error parsing Gemini response:', error);
-      
-      // Fallback to basic structure
-      return {
-        subjective: transcription.substring(0, 300) + '...',
-        objective: this.extractObjective(analysis),
-        assessment: this.extractAssessment(analysis),
-        plan: this.extractPlan(analysis),
-        rawTranscription: transcription,
-        entities: analysis.medicalEntities,
-        generatedBy: 'fallback',
-        timestamp: new Date().toISOString()
-      };
-    }
+    };
+
+    const sectionList = sections.map(section => {
+      const details = [
+        section.description,
+        section.type === 'number' && section.unit ? `in ${section.unit}` : '',
+        section.options ? `options: ${section.options.join(', ')}` : '',
+      ].filter(Boolean).join('; ');
+      return `- ${section.name} ("${section.key}"): ${SECTION_TYPE_FORMATS[section.type] || 'text'}${details ? ` (${details})` : ''}`;
+    }).join('\n');
+
+    const [firstText] = textSectionKeys(sections);
+
+    return `
+Write the note with exactly these sections, in this order:
+${sectionList}
+Use only the listed options for sections that have them. Leave a section empty (or null) if the transcript says nothing about it.
+
+Also list the problems addressed, every medication mentioned (with whether it is continued, started, stopped or changed), any vital signs stated, and the follow-ups. Use empty lists when there are none.
+
+Format your response as a JSON object with the following structure:
+{
+${sections.map(section => `  "${section.key}": ${exampleValue(section)},`).join('\n')}
+  "problems": [{ "name": "...", "status": "active" }],
+  "medications": [{ "name": "...", "dose": "...", "route": "...", "frequency": "...", "action": "continue" }],
+  "vitals": [{ "type": "blood_pressure", "value": "120/80", "unit": "mmHg" }],
+  "followUps": [{ "description": "...", "timeframe": "..." }]${firstText ? `,
+  "sources": [{ "section": "${firstText}", "sentence": "...", "quotes": ["..."] }]` : ''}
+}
+`;
+  }
+
+  /**
+   * Record content the prompt guard flagged; logging never blocks generation
+   * @param {string} source - 'transcript', 'variables' (patient record or previous note) or 'template'
+   * @param {Array} flags - [{ rule, description, excerpt }], with the variable for 'variables'
+   * @param {Object} options - Generation options (userId, templateId)
+   */
+  logPromptGuardFlags(source, flags, options = {}) {
+    console.warn(`Prompt guard flagged the ${source}:`, flags.map(flag => flag.rule).join(', '));
+    Promise.resolve()
+      .then(() => gcpDatabaseService.createPromptGuardFlag({
+        userId: options.userId || null,
+        source,
+        templateId: options.templateId || null,
+        flags
+      }))
+      .catch(error => console.error('Error logging prompt guard flags:', error.message));
   }
   
   /**
-   * Extract sections from text response when JSON parsing fails
-   * @param {string} text - Response text
-   * @returns {Object} Extracted sections
+   * Build the prompt instruction for the language the note should be written in
+   * @param {string} languageCode - Language code (e.g. 'es' or 'es-US'); empty for no instruction
+   * @returns {string} Prompt instruction
    */
-  extractSectionsFromText(text) {
-    const sections = {};
+  getOutputLanguageInstruction(languageCode) {
+    if (!languageCode) return '';
     
-    // Try to find SOAP sections
-    const subjectiveMatch = text.match(/Subjective:?\s*([\s\S]*?)(?=Objective:|Assessment:|Plan:|$)/i);
-    const objectiveMatch = text.match(/Objective:?\s*([\s\S]*?)(?=Subjective:|Assessment:|Plan:|$)/i);
-    const assessmentMatch = text.match(/Assessment:?\s*([\s\S]*?)(?=Subjective:|Objective:|Plan:|$)/i);
-    const planMatch = text.match(/Plan:?\s*([\s\S]*?)(?=Subjective:|Objective:|Assessment:|$)/i);
-    
-    if (subjectiveMatch) sections.subjective = subjectiveMatch[1].trim();
-    if (objectiveMatch) sections.objective = objectiveMatch[1].trim();
-    if (assessmentMatch) sections.assessment = assessmentMatch[1].trim();
-    if (planMatch) sections.plan = planMatch[1].trim();
-    
-    // If no sections found, use the whole text as a note
-    if (Object.keys(sections).length === 0) {
-      sections.note = text.trim();
+    let languageName = languageCode;
+    try {
+      languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(languageCode.split('-')[0]) || languageCode;
+    } catch (error) {
+      console.warn(`Unknown note language code: ${languageCode}`);
     }
     
-    return sections;
+    return `\nWrite every section of the SOAP note in ${languageName}, translating from the transcript's language where it differs. Keep the JSON keys ("subjective", "objective", "assessment", "plan") in English, and keep medication names, doses and measurements exactly as stated.\n`;
   }
-
+  
   /**
    * Save audio file temporarily for processing
    * @param {Buffer} audioBuffer - Audio data
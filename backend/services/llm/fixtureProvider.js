@@ -0,0 +1,307 @@
+/**
+ * Deterministic local provider for development and CI
+ * Never calls a model: the same input always produces the same output, and
+ * nothing leaves the machine. If LLM_FIXTURE_DIR contains <task>.json, that
+ * file is returned as-is (useful for pinning an exact response in a test run).
+ * Otherwise the response is built from the request context:
+ *   soapNote      - transcript sentences sorted into sections by keyword, with
+ *                   vital signs and follow-ups picked out by pattern and
+ *                   each sentence quoting itself as its source. A template's
+ *                   own sections take the SOAP section their name suggests;
+ *                   choices are the options the transcript mentions and
+ *                   numbers the one stated after the section's name
+ *   refineSection - the dictation appended to or replacing the current text
+ *   regenerateSection - the section as soapNote would write it; "concise"
+ *                   in the instruction keeps only its first sentence
+ *   codeSuggestion - the best catalog candidates, scored by their search score
+ * Any other task gets an empty object that matches the schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractVitals } = require('../noteVerificationService');
+const { isSoapLayout } = require('../soapSchemaService');
+
+// Checked in order; sentences matching none of them are subjective
+const SECTION_PATTERNS = [
+  ['plan', /\b(plan|prescrib\w*|start\w*|continu\w*|stop\w*|follow[- ]?up|refer\w*|return\w*|advis\w*|recommend\w*|schedul\w*)\b/i],
+  ['assessment', /\b(assessment|diagnos\w*|impression|likely|consistent with|suspect\w*)\b/i],
+  ['objective', /\b(exam\w*|vitals?|blood pressure|bp|pulse|heart rate|temperature|temp|respirat\w*|saturation|spo2|weight|auscultation|tender\w*|palpat\w*)\b/i],
+];
+
+// SOAP section whose sentences a custom section takes, by its name and description
+const SECTION_ROLES = [
+  ['plan', /\b(plan|follow[- ]?up|recommend\w*|intervention|disposition|orders?)\b/i],
+  ['assessment', /\b(assess\w*|impression|diagnos\w*|differential)\b/i],
+  ['objective', /\b(objective|exam\w*|findings?|vitals?|data|observ\w*|results?)\b/i],
+  ['subjective', /\b(subjective|history|complaint|hpi|symptoms?|behaviou?r|response|interval)\b/i],
+];
+
+// Characters per chunk when streaming
+const STREAM_CHUNK_LENGTH = 40;
+
+const FOLLOW_UP_PATTERN = /\bfollow[- ]?up\b(?:[^.]*?\bin\s+((?:\w+\s+){0,2}(?:days?|weeks?|months?|years?)))?/i;
+
+/**
+ * Build an empty value matching a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @returns {*} Empty string, list, object or null
+ */
+function emptyValue(schema = {}) {
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, emptyValue(value)])
+      );
+    case 'array':
+      return [];
+    case 'string':
+      return schema.enum ? schema.enum[0] : '';
+    default:
+      return null;
+  }
+}
+
+class FixtureProvider {
+  constructor() {
+    this.name = 'fixture';
+    this.fixtureDir = process.env.LLM_FIXTURE_DIR || null;
+  }
+
+  /**
+   * Generate a JSON response
+   * @param {Object} request - { task, schema, context }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate({ task, schema, context = {} }) {
+    const fixture = this.readFixture(task);
+    if (fixture !== null) {
+      return { text: fixture, model: `fixture:${task}.json` };
+    }
+
+    let response;
+    if (task === 'soapNote') {
+      response = context.sections && !isSoapLayout(context.sections)
+        ? this.buildSectionNote(context.transcript || '', context.sections)
+        : this.buildSoapNote(context.transcript || '');
+    } else if (task === 'refineSection') {
+      response = this.buildSection(context);
+    } else if (task === 'regenerateSection') {
+      response = this.buildRegeneratedSection(context);
+    } else if (task === 'codeSuggestion') {
+      response = this.buildCodeSuggestions(context);
+    } else {
+      response = emptyValue(schema);
+    }
+
+    return { text: JSON.stringify(response), model: 'fixture' };
+  }
+
+  /**
+   * Generate a JSON response in fixed-size chunks, as a streaming model would
+   * @param {Object} request - { task, schema, context, signal }
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *generateStream(request) {
+    const { text } = await this.generate(request);
+
+    for (let index = 0; index < text.length; index += STREAM_CHUNK_LENGTH) {
+      if (request.signal?.aborted) return;
+
+      // Yield to the event loop so chunks reach the client one at a time
+      await new Promise(resolve => setImmediate(resolve));
+      yield text.slice(index, index + STREAM_CHUNK_LENGTH);
+    }
+  }
+
+  /**
+   * Read a pinned response from LLM_FIXTURE_DIR
+   * @param {string} task - Task name
+   * @returns {string|null} File contents, or null if there is no fixture
+   */
+  readFixture(task) {
+    if (!this.fixtureDir || !task) return null;
+
+    const filePath = path.join(this.fixtureDir, `${path.basename(task)}.json`);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  /**
+   * Build a SOAP note from a transcript without a model
+   * @param {string} transcript - Transcript text
+   * @returns {Object} SOAP note matching SOAP_RESPONSE_SCHEMA
+   */
+  buildSoapNote(transcript) {
+    const sections = { subjective: [], objective: [], assessment: [], plan: [] };
+    const sentences = transcript
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+
+    // Every sentence is copied from the transcript, so it is its own source
+    const sources = [];
+    for (const sentence of sentences) {
+      const match = SECTION_PATTERNS.find(([, pattern]) => pattern.test(sentence));
+      const section = match ? match[0] : 'subjective';
+      sections[section].push(sentence);
+      sources.push({ section, sentence, quotes: [sentence] });
+    }
+
+    // First reading of each vital sign
+    const vitals = extractVitals(transcript)
+      .filter((vital, index, all) => all.findIndex(other => other.type === vital.type) === index)
+      .map(({ type, value, unit }) => (unit ? { type, value, unit } : { type, value }));
+
+    const followUps = sentences
+      .map(sentence => ({ sentence, match: sentence.match(FOLLOW_UP_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ sentence, match }) => (match[1]
+        ? { description: sentence, timeframe: match[1].trim() }
+        : { description: sentence }));
+
+    return {
+      subjective: sections.subjective.join(' ') || transcript.trim(),
+      objective: sections.objective.join(' '),
+      assessment: sections.assessment.join(' '),
+      plan: sections.plan.join(' '),
+      problems: [],
+      medications: [],
+      vitals,
+      followUps,
+      sources,
+    };
+  }
+
+  /**
+   * Build a note with a template's own sections from a transcript without a model
+   * @param {string} transcript - Transcript text
+   * @param {Array} sections - Sections (see soapSchemaService)
+   * @returns {Object} Note matching buildNoteSchema(sections)
+   */
+  buildSectionNote(transcript, sections) {
+    const soapNote = this.buildSoapNote(transcript);
+    const writtenSections = sections.filter(section => ['text', 'bullets'].includes(section.type || 'text'));
+
+    // Each SOAP section's sentences go to the first section that asks for them
+    const sectionForRole = new Map();
+    for (const section of writtenSections) {
+      const about = `${section.name} ${section.description || ''}`;
+      const match = SECTION_ROLES.find(([role, pattern]) => role === section.key || pattern.test(about));
+      if (match && !sectionForRole.has(match[0])) {
+        sectionForRole.set(match[0], section.key);
+      }
+    }
+
+    // Sentences no section asks for go to the first one, so nothing dictated is lost
+    const sentences = {};
+    for (const { section: role, sentence } of soapNote.sources) {
+      const key = sectionForRole.get(role) || writtenSections[0]?.key;
+      if (key) (sentences[key] = sentences[key] || []).push(sentence);
+    }
+
+    const note = {};
+    const sources = [];
+    const lowerTranscript = transcript.toLowerCase();
+    const mentioned = (options = []) => options.filter(option => lowerTranscript.includes(option.toLowerCase()));
+
+    for (const section of sections) {
+      switch (section.type || 'text') {
+        case 'text':
+        case 'bullets': {
+          const written = sentences[section.key] || [];
+          if (section.type === 'bullets') {
+            note[section.key] = written;
+          } else {
+            note[section.key] = written.join(' ');
+            sources.push(...written.map(sentence => ({ section: section.key, sentence, quotes: [sentence] })));
+          }
+          break;
+        }
+        case 'checklist':
+          note[section.key] = mentioned(section.options);
+          break;
+        case 'dropdown':
+          note[section.key] = mentioned(section.options)[0] || null;
+          break;
+        case 'number': {
+          const name = section.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          const match = transcript.match(new RegExp(`${name}\\D{0,20}?(-?\\d+(?:\\.\\d+)?)`, 'i'));
+          note[section.key] = match ? Number(match[1]) : null;
+          break;
+        }
+        default:
+          note[section.key] = null;
+      }
+    }
+
+    return {
+      ...note,
+      problems: soapNote.problems,
+      medications: soapNote.medications,
+      vitals: soapNote.vitals,
+      followUps: soapNote.followUps,
+      sources,
+    };
+  }
+
+  /**
+   * Merge dictation into a section without a model
+   * @param {Object} context - { dictation, currentText, mode }
+   * @returns {Object} { text }
+   */
+  buildSection({ dictation = '', currentText = '', mode }) {
+    const text = mode === 'replace' || !currentText.trim()
+      ? dictation.trim()
+      : `${currentText.trim()}\n\n${dictation.trim()}`;
+    return { text };
+  }
+
+  /**
+   * Rewrite one section from the transcript without a model
+   * @param {Object} context - { section, transcript, instruction, sections }
+   * @returns {Object} { text, sources }
+   */
+  buildRegeneratedSection({ section, transcript = '', instruction = '', sections }) {
+    const note = sections && !isSoapLayout(sections)
+      ? this.buildSectionNote(transcript, sections)
+      : this.buildSoapNote(transcript);
+    let sources = note.sources
+      .filter(source => source.section === section)
+      .map(({ sentence, quotes }) => ({ sentence, quotes }));
+
+    if (/\bconcise\b/i.test(instruction)) {
+      sources = sources.slice(0, 1);
+    }
+
+    return {
+      text: sources.map(source => source.sentence).join(' '),
+      sources,
+    };
+  }
+
+  /**
+   * Pick codes from the catalog shortlist without a model
+   * @param {Object} context - { candidates: [{ system, code, score, phrase }] }
+   * @returns {Object} { codes }
+   */
+  buildCodeSuggestions({ candidates = [] }) {
+    const limits = { 'ICD-10-CM': 3, 'CPT': 1 };
+    const codes = [];
+
+    for (const candidate of candidates) {
+      if (candidate.score < 0.6 || codes.filter(code => code.system === candidate.system).length >= (limits[candidate.system] || 0)) {
+        continue;
+      }
+      codes.push({
+        system: candidate.system,
+        code: candidate.code,
+        confidence: candidate.score,
+        rationale: candidate.phrase,
+      });
+    }
+
+    return { codes };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,48 @@
+/**
+ * LLM provider registry
+ * Every provider exposes the same interface:
+ *   generate({ task, messages, schema, context }) - one JSON completion
+ *     task     - what is being generated (soapNote, refineSection, regenerateSection, codeSuggestion)
+ *     messages - conversation as [{ role: 'user' | 'assistant', content }]
+ *     schema   - JSON Schema the response must follow (lowercase types)
+ *     context  - the inputs behind the prompt, e.g. { transcript }; only the
+ *                fixture provider reads it
+ *   and resolves to { text, model } where text is the raw JSON response.
+ *   generateStream({ ...same, signal }) - the same completion as an async
+ *     iterable of text chunks; stops early when signal is aborted
+ * The active provider is chosen with LLM_PROVIDER (vertex | openai | fixture).
+ */
+
+const VertexProvider = require('./vertexProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const providers = {
+  vertex: VertexProvider,
+  openai: OpenAiCompatibleProvider,
+  fixture: FixtureProvider,
+};
+
+// Instances are cached so clients are only created once per process
+const instances = {};
+
+/**
+ * Get an LLM provider by name, defaulting to the configured provider
+ * @param {string} name - Provider name (vertex, openai, fixture)
+ * @returns {Object} Provider instance
+ */
+function getLlmProvider(name = process.env.LLM_PROVIDER || 'vertex') {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+}
+
+module.exports = {
+  getLlmProvider,
+};
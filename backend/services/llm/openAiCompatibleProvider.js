@@ -0,0 +1,108 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server implementing the /chat/completions API (OpenAI, Azure
+ * OpenAI, vLLM, Ollama, LM Studio). Configure with LLM_BASE_URL (including
+ * the /v1 prefix), LLM_MODEL and, where the server needs one, LLM_API_KEY.
+ * Responses are constrained with a json_schema response_format.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Local models can be slow; give up rather than hold a request open forever
+const REQUEST_TIMEOUT_MS = 120000;
+
+class OpenAiCompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.model = process.env.LLM_MODEL || null;
+    this.apiKey = process.env.LLM_API_KEY || null;
+  }
+
+  /**
+   * Generate a JSON response
+   * @param {Object} request - { task, messages, schema }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate(request) {
+    const response = await this.requestCompletion(request, false);
+
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('LLM returned an empty response');
+    }
+
+    return { text, model: result.model || this.model };
+  }
+
+  /**
+   * Generate a JSON response as it is written
+   * @param {Object} request - { task, messages, schema, signal }
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *generateStream(request) {
+    const response = await this.requestCompletion(request, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Object} request - { task, messages, schema, signal }
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Promise<Response>} Successful response
+   */
+  async requestCompletion({ task, messages, schema, signal }, stream) {
+    if (!this.model) {
+      throw new Error('OpenAI-compatible provider is not configured (set LLM_MODEL)');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0.2,
+        stream,
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: task || 'response', schema },
+        },
+      }),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LLM request failed with status ${response.status}${detail ? `: ${detail.slice(0, 500)}` : ''}`);
+    }
+
+    return response;
+  }
+}
+
+module.exports = OpenAiCompatibleProvider;
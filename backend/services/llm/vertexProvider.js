@@ -0,0 +1,114 @@
+/**
+ * Vertex AI (Gemini) provider
+ * The SDK and model are set up on first use, without a test request, so
+ * selecting another provider never needs GCP credentials.
+ */
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-001';
+
+/**
+ * Convert a JSON Schema to the OpenAPI subset Vertex AI accepts as responseSchema
+ * @param {Object} schema - JSON Schema with lowercase types
+ * @returns {Object} Schema with uppercase types
+ */
+function toVertexSchema(schema) {
+  const converted = { ...schema };
+  if (schema.type) converted.type = schema.type.toUpperCase();
+  if (schema.items) converted.items = toVertexSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toVertexSchema(value)])
+    );
+  }
+  return converted;
+}
+
+class VertexProvider {
+  constructor() {
+    this.name = 'vertex';
+    this.model = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+    this.generationConfig = {
+      temperature: 0.2,        // Lower temperature for more consistent results
+      topP: 0.8,
+      topK: 40,
+      maxOutputTokens: 8192,   // Room for the notes' per-sentence sources
+    };
+
+    this.generativeModel = null;
+  }
+
+  /**
+   * Get the Gemini model, creating the Vertex AI client on first use
+   * @returns {Object} Generative model
+   */
+  getModel() {
+    if (!this.generativeModel) {
+      const { VertexAI } = require('@google-cloud/vertexai');
+      const vertexAI = new VertexAI({
+        project: process.env.GCP_PROJECT_ID || 'ptapp2025-459122',
+        location: process.env.GCP_LOCATION || 'us-central1',
+      });
+      this.generativeModel = vertexAI.getGenerativeModel({
+        model: this.model,
+        generationConfig: this.generationConfig,
+      });
+    }
+    return this.generativeModel;
+  }
+
+  /**
+   * Generate a JSON response
+   * @param {Object} request - { messages, schema }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async generate({ messages, schema }) {
+    const result = await this.getModel().generateContent(this.buildRequest(messages, schema));
+
+    const text = result.response.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Gemini returned an empty response');
+    }
+
+    return { text, model: this.model };
+  }
+
+  /**
+   * Generate a JSON response as it is written
+   * @param {Object} request - { messages, schema, signal }
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *generateStream({ messages, schema, signal }) {
+    const { stream } = await this.getModel().generateContentStream(this.buildRequest(messages, schema));
+
+    for await (const chunk of stream) {
+      // The SDK can't cancel the request; stop reading so nothing more is sent on
+      if (signal?.aborted) return;
+
+      const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * Build a Vertex AI request
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} schema - JSON Schema of the response
+   * @returns {Object} generateContent request
+   */
+  buildRequest(messages, schema) {
+    return {
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }],
+      })),
+      generationConfig: {
+        ...this.generationConfig,
+        responseMimeType: 'application/json',
+        responseSchema: toVertexSchema(schema),
+      },
+    };
+  }
+}
+
+module.exports = VertexProvider;
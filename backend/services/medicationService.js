@@ -0,0 +1,289 @@
+/**
+ * Medication Service
+ * Turns a generated note into structured medication orders and reconciles
+ * them with the medication list on the patient's record.
+ *
+ * Orders are { drug, dose, route, frequency, action, source } where action is
+ * start, stop, hold, change or continue. A held medication is paused for a
+ * while ("Hold metformin for 48 hours after contrast") and stays on the record. They come from the note's medications list
+ * (source 'note'), completed and extended by orders written in Plan
+ * sentences such as "Start sumatriptan 50 mg PO as needed" (source 'plan').
+ *
+ * The patient's record keeps medications as free text (patients.medications
+ * TEXT[]), so each entry is parsed the same way before comparing. A
+ * reconciliation is a list of items
+ *   { drug, change: 'add' | 'update' | 'remove' | 'keep', current, proposed, reason, order }
+ * where current and proposed are record entries; applying the accepted items
+ * to the current list gives the new list.
+ */
+
+const { splitSentences } = require('./sourceAttributionService');
+
+const DOSE_PATTERN = /\b(\d+(?:\.\d+)?\s*(?:mg|mcg|g|ml|units?|iu|meq|%)(?:\/(?:kg|day|hr|ml))?)\b/i;
+
+const ROUTE_PATTERN = /\b(po|by mouth|orally|oral|iv|intravenous(?:ly)?|im|intramuscular(?:ly)?|sc|subq|subcutaneous(?:ly)?|topical(?:ly)?|inhaled|sl|sublingual(?:ly)?|pr|rectal(?:ly)?|nasal(?:ly)?|ophthalmic|transdermal)\b/i;
+
+const FREQUENCY_PATTERN = /\b(once (?:a )?daily|twice (?:a )?daily|three times (?:a )?daily|four times (?:a )?daily|once a week|daily|nightly|weekly|bid|tid|qid|qd|qhs|at bedtime|every (?:morning|evening|night|other day)|every \d+(?:\s*(?:to|-)\s*\d+)? hours|q\d+h)\b/i;
+
+const AS_NEEDED_PATTERN = /\b(as needed|prn)\b/i;
+
+// Verbs that make a Plan clause an order, and the action they mean
+const ORDER_VERBS = [
+  { action: 'start', pattern: /\b(?:start|begin|initiate|prescribe|add)(?:s|ed|ing)?\b/i },
+  { action: 'stop', pattern: /\b(?:stop|discontinue|d\/c)(?:s|ed|ping|ing)?\b/i },
+  { action: 'hold', pattern: /\b(?:hold|held)(?:s|ing)?\b/i },
+  { action: 'change', pattern: /\b(?:increase|decrease|reduce|change|switch|adjust|titrate)(?:s|d|ed|ing)?\b/i },
+  { action: 'continue', pattern: /\b(?:continue|resume|refill)(?:s|d|ed|ing)?\b/i },
+];
+
+// Words that can sit between an order verb and the drug ("continue her home lisinopril")
+const FILLER_WORDS = new Set(['the', 'her', 'his', 'their', 'patient', 'on', 'taking', 'current', 'home', 'a', 'an', 'with']);
+
+// First words after an order verb that mean the clause isn't a medication order
+const NOT_DRUGS = new Set([
+  'therapy', 'physical', 'occupational', 'exercise', 'exercises', 'diet', 'dose', 'doses', 'medication', 'medications',
+  'monitoring', 'to', 'at', 'from', 'and', 'all', 'daily', 'twice', 'once', 'weekly', 'walking', 'smoking', 'ice', 'rest',
+]);
+
+/**
+ * Key a drug name for comparison: "Metformin XR" and "metformin" are the same drug
+ * @param {string} name - Drug name
+ * @returns {string} Key
+ */
+function drugKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').trim().split(/\s+/)[0] || '';
+}
+
+/**
+ * Read dose, route and frequency from free text
+ * @param {string} text - "lisinopril 10 mg PO daily"
+ * @returns {Object} { dose, route, frequency } with null for what isn't stated
+ */
+function parseDosing(text = '') {
+  const dose = text.match(DOSE_PATTERN);
+  const route = text.match(ROUTE_PATTERN);
+  const frequency = text.match(FREQUENCY_PATTERN);
+  const asNeeded = AS_NEEDED_PATTERN.test(text);
+
+  const frequencyText = [frequency ? frequency[1] : null, asNeeded ? 'as needed' : null].filter(Boolean).join(' ');
+
+  return {
+    dose: dose ? dose[1].replace(/\s+/g, ' ') : null,
+    route: route ? route[1] : null,
+    frequency: frequencyText || null,
+  };
+}
+
+/**
+ * Parse one entry of a patient's medication list
+ * @param {string} entry - "Lisinopril 10 mg daily"
+ * @returns {Object} { drug, dose, route, frequency, text }
+ */
+function parseMedicationEntry(entry) {
+  const text = String(entry || '').trim();
+  const dosingStart = text.search(/\d/);
+  const drug = (dosingStart > 0 ? text.slice(0, dosingStart) : text.split(/\s+/).slice(0, 2).join(' ')).trim();
+  return { drug, ...parseDosing(text), text };
+}
+
+/**
+ * Write a medication back as a record entry
+ * @param {Object} medication - { drug, dose, route, frequency }
+ * @returns {string} "Lisinopril 20 mg PO daily"
+ */
+function formatMedication({ drug, dose, route, frequency }) {
+  const name = drug ? drug.charAt(0).toUpperCase() + drug.slice(1) : '';
+  return [name, dose, route, frequency].filter(Boolean).join(' ');
+}
+
+/**
+ * Find orders written in Plan sentences
+ * A clause counts when it has an order verb followed by a drug name and some
+ * dosing, or names a drug known from elsewhere (knownDrugs)
+ * @param {string} plan - Plan text
+ * @param {Set<string>} knownDrugs - Drug keys from the note, entities and the patient's list
+ * @returns {Array} Orders
+ */
+function parsePlanOrders(plan = '', knownDrugs = new Set()) {
+  const orders = [];
+
+  for (const sentence of splitSentences(plan)) {
+    for (const clause of sentence.text.split(/;|,\s*(?=(?:and\s+)?(?:start|stop|continue|increase|decrease|change|switch|hold|resume|discontinue)\b)|\band\s+(?=(?:start|stop|continue|increase|decrease|change|switch|hold|resume|discontinue)\b)/i)) {
+      const verb = ORDER_VERBS.find(({ pattern }) => pattern.test(clause));
+      if (!verb) continue;
+
+      const afterVerb = clause.slice(clause.search(verb.pattern)).replace(verb.pattern, '').trim();
+      const words = afterVerb.split(/\s+/).map(word => word.replace(/[^A-Za-z-]/g, '')).filter(Boolean);
+      const drug = words.find(word => !FILLER_WORDS.has(word.toLowerCase()));
+      if (!drug || drug.length <= 2 || NOT_DRUGS.has(drug.toLowerCase())) continue;
+
+      const dosing = parseDosing(afterVerb);
+      const hasDosing = Boolean(dosing.dose || dosing.route || dosing.frequency);
+      if (!hasDosing && !knownDrugs.has(drugKey(drug))) continue;
+
+      orders.push({ drug: drug.toLowerCase(), ...dosing, action: verb.action, source: 'plan' });
+    }
+  }
+
+  return orders;
+}
+
+/**
+ * Extract structured medication orders from a generated note
+ * @param {Object} note - Note with plan, medications and (optionally) entities
+ * @param {Array<string>} patientMedications - Patient's record, used to recognize drug names
+ * @returns {Array} [{ drug, dose, route, frequency, action, source }]
+ */
+function extractMedicationOrders(note = {}, patientMedications = []) {
+  const orders = [];
+  const byDrug = new Map();
+
+  for (const medication of Array.isArray(note.medications) ? note.medications : []) {
+    if (!medication || !medication.name) continue;
+
+    const key = drugKey(medication.name);
+    if (byDrug.has(key)) continue;
+
+    const order = {
+      drug: medication.name,
+      dose: medication.dose || null,
+      route: medication.route || null,
+      frequency: medication.frequency || null,
+      action: medication.action || 'continue',
+      source: 'note',
+    };
+    orders.push(order);
+    byDrug.set(key, order);
+  }
+
+  const knownDrugs = new Set([
+    ...byDrug.keys(),
+    ...(Array.isArray(note.entities) ? note.entities : [])
+      .filter(entity => entity && entity.type === 'MEDICINE')
+      .map(entity => drugKey(entity.name)),
+    ...patientMedications.map(entry => drugKey(parseMedicationEntry(entry).drug)),
+  ]);
+
+  for (const planOrder of parsePlanOrders(note.plan || '', knownDrugs)) {
+    const key = drugKey(planOrder.drug);
+    const existing = byDrug.get(key);
+
+    if (existing) {
+      // The Plan often has the dosing the list left out
+      for (const field of ['dose', 'route', 'frequency']) {
+        if (!existing[field] && planOrder[field]) existing[field] = planOrder[field];
+      }
+      continue;
+    }
+
+    orders.push(planOrder);
+    byDrug.set(key, planOrder);
+  }
+
+  return orders;
+}
+
+/**
+ * Compare orders with the patient's medication list
+ * @param {Array} orders - From extractMedicationOrders
+ * @param {Array<string>} patientMedications - patients.medications
+ * @returns {Array} Reconciliation items, record order first, then new medications
+ */
+function reconcileMedications(orders = [], patientMedications = []) {
+  const items = [];
+  const matched = new Set();
+
+  for (const entry of patientMedications) {
+    const current = parseMedicationEntry(entry);
+    const order = orders.find(candidate => drugKey(candidate.drug) === drugKey(current.drug));
+
+    if (!order) {
+      items.push({ drug: current.drug, change: 'keep', current: entry, proposed: entry, reason: 'Not addressed in this visit', order: null });
+      continue;
+    }
+    matched.add(order);
+
+    if (order.action === 'stop') {
+      items.push({ drug: current.drug, change: 'remove', current: entry, proposed: null, reason: 'Stopped in the plan', order });
+      continue;
+    }
+
+    if (order.action === 'hold') {
+      items.push({ drug: current.drug, change: 'keep', current: entry, proposed: entry, reason: 'Held in the plan; it stays on the record', order });
+      continue;
+    }
+
+    const merged = {
+      drug: current.drug,
+      dose: order.dose || current.dose,
+      route: order.route || current.route,
+      frequency: order.frequency || current.frequency,
+    };
+    const differs = ['dose', 'route', 'frequency'].some(field => order[field] && order[field].toLowerCase() !== (current[field] || '').toLowerCase());
+
+    if (differs) {
+      items.push({
+        drug: current.drug,
+        change: 'update',
+        current: entry,
+        proposed: formatMedication(merged),
+        reason: order.action === 'change' ? 'Changed in the plan' : 'The note gives different dosing than the record',
+        order,
+      });
+    } else {
+      items.push({ drug: current.drug, change: 'keep', current: entry, proposed: entry, reason: order.action === 'change' ? 'Marked as changed, but the dosing matches the record' : 'Continued', order });
+    }
+  }
+
+  for (const order of orders) {
+    if (matched.has(order)) continue;
+
+    if (order.action === 'stop' || order.action === 'hold') {
+      items.push({ drug: order.drug, change: 'keep', current: null, proposed: null, reason: `${order.action === 'stop' ? 'Stopped' : 'Held'} in the plan, but not on the record`, order });
+      continue;
+    }
+
+    items.push({
+      drug: order.drug,
+      change: 'add',
+      current: null,
+      proposed: formatMedication(order),
+      reason: order.action === 'start' ? 'Started in the plan' : 'Taken by the patient, but not on the record',
+      order,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Apply confirmed reconciliation items to a medication list
+ * Items are matched to the list by their current entry, so a list that
+ * changed since the reconciliation was shown is updated safely
+ * @param {Array<string>} patientMedications - Current list
+ * @param {Array} items - Items the clinician accepted
+ * @returns {Array<string>} New list
+ */
+function applyReconciliation(patientMedications = [], items = []) {
+  let medications = [...patientMedications];
+
+  for (const item of items) {
+    if (item.change === 'remove' && item.current) {
+      medications = medications.filter(entry => entry !== item.current);
+    } else if (item.change === 'update' && item.current && item.proposed) {
+      medications = medications.map(entry => (entry === item.current ? item.proposed : entry));
+    } else if (item.change === 'add' && item.proposed) {
+      const exists = medications.some(entry => drugKey(parseMedicationEntry(entry).drug) === drugKey(item.drug));
+      if (!exists) medications.push(item.proposed);
+    }
+  }
+
+  return medications;
+}
+
+module.exports = {
+  extractMedicationOrders,
+  reconcileMedications,
+  applyReconciliation,
+  parseMedicationEntry,
+};
@@ -0,0 +1,523 @@
+/**
+ * Note Verification Service
+ * Checks a generated SOAP note against its transcript. Facts that are easy
+ * to get dangerously wrong are extracted from both with patterns, not a
+ * model, so the check is cheap, deterministic and independent of the model
+ * that wrote the note:
+ *   vitals       - blood pressure, heart rate, temperature, respiratory rate,
+ *                  oxygen saturation, weight, height, BMI, pain score
+ *   doses        - "<medication> <amount> <unit>", allowing a few linking
+ *                  words between them ("lisinopril, increased to 20 mg")
+ *   laterality   - "left/right/bilateral <site>"
+ *   negations    - "no / denies / without / negative for <finding>"
+ * and compared. Each finding is
+ *   { type: 'contradiction' | 'invented_value' | 'omission',
+ *     category: 'vital' | 'dose' | 'laterality' | 'negation',
+ *     severity: 'high' | 'medium' | 'low', message, transcriptText, noteText, section }
+ */
+
+const { SOAP_LAYOUT, sectionText } = require('./soapSchemaService');
+
+// Named groups: value (diastolic for blood pressure, feet and inches for height) and the unit if stated.
+// A type can have several patterns; when two claim the same number, the one whose label is
+// nearest to it wins (see extractVitals)
+const VITAL_PATTERNS = [
+  { type: 'blood_pressure', unit: 'mmHg', pattern: /\b(?:blood pressure|bp)\b\D{0,15}(?<value>\d{2,3})\s*(?:\/|over)\s*(?<diastolic>\d{2,3})/gid },
+  { type: 'heart_rate', unit: 'bpm', pattern: /\b(?:pulse(?![\s-]*ox)|heart rate|hr)\b\D{0,15}(?<value>\d{2,3})\b/gid },
+  { type: 'temperature', unit: null, pattern: /\b(?:temperature|temp)\b\D{0,15}(?<value>\d{2,3}(?:\.\d)?)(?:\s*(?:°|degrees?)?\s*(?<unit>fahrenheit|celsius|f|c)\b)?/gid },
+  { type: 'respiratory_rate', unit: '/min', pattern: /\b(?:respiratory rate|respirations|rr)\b\D{0,15}(?<value>\d{1,2})\b/gid },
+  { type: 'oxygen_saturation', unit: '%', pattern: /\b(?:oxygen saturation|o2 saturation|saturation|spo2|o2 sats?|sats|pulse[\s-]*ox(?:imetry|imeter)?)\b\D{0,15}(?<value>\d{2,3})\b/gid },
+  { type: 'oxygen_saturation', unit: '%', pattern: /\b(?<value>\d{2,3})\s*(?:%|percent)\s+on\s+(?:room air|ra\b|\d+\s*(?:l|liters?)\b)/gid },
+  { type: 'weight', unit: null, pattern: /\bweigh(?:t|s|ing)?\b\D{0,15}(?<value>\d{2,3}(?:\.\d)?)\s*(?<unit>kg|lbs?|pounds|kilograms)\b/gid },
+  { type: 'height', unit: null, pattern: /\b(?:height|ht)\b\D{0,15}?(?:(?<feet>\d)\s*(?:'|ft|feet|foot)\s*(?:(?<inches>\d{1,2})\s*(?:"|in\b|inches)?)?|(?<value>\d{1,3}(?:\.\d{1,2})?)\s*(?<unit>cm|m|in|inches)\b)/gid },
+  { type: 'bmi', unit: 'kg/m2', pattern: /\b(?:bmi|body mass index)\b\D{0,15}(?<value>\d{2}(?:\.\d{1,2})?)/gid },
+  { type: 'pain_score', unit: '/10', pattern: /\bpain\b(?:\s+(?:score|level|scale|rating))?\D{0,15}(?<value>\d{1,2})\s*(?:\/|out of)\s*10\b/gid },
+];
+
+// Stated units, written one way
+const UNIT_SPELLINGS = { f: '°F', fahrenheit: '°F', c: '°C', celsius: '°C', lbs: 'lb', pounds: 'lb', kilograms: 'kg', inches: 'in' };
+
+const VITAL_LABELS = {
+  blood_pressure: 'blood pressure',
+  heart_rate: 'heart rate',
+  temperature: 'temperature',
+  respiratory_rate: 'respiratory rate',
+  oxygen_saturation: 'oxygen saturation',
+  weight: 'weight',
+  height: 'height',
+  bmi: 'BMI',
+  pain_score: 'pain score',
+};
+
+// Up to three linking words may stand between a medication and its dose ("lisinopril, increased to 20 mg")
+const DOSE_PATTERN = /\b([a-z][a-z-]{3,}),?\s+(?:(?:is|was|now|at|to|by|of|the|dose|increased|decreased|reduced|changed|titrated|raised|lowered|up|down)\s+){0,3}(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|ml|units?|iu|meq)\b/gi;
+
+// Words that precede a dose without being a medication ("take 2 mg", "about 10 mg", "increased to 20 mg")
+const NOT_MEDICATIONS = new Set([
+  'take', 'takes', 'taking', 'about', 'dose', 'with', 'given', 'give', 'from', 'than', 'over', 'daily', 'twice',
+  'increase', 'increased', 'decrease', 'decreased', 'reduce', 'reduced', 'change', 'changed', 'titrated',
+  'raised', 'lowered', 'start', 'started', 'continue', 'continued',
+]);
+
+const LATERALITY_PATTERN = /\b(left|right|bilateral)\s+([a-z]{3,}(?:\s+(?:arm|leg|side|knee|hip|ear|eye|hand|foot|shoulder|temple|lung|chest|flank|wrist|ankle))?)/gi;
+
+const OPPOSITE_SIDE = { left: 'right', right: 'left' };
+
+// A negation cue followed by the rest of its clause
+const NEGATION_PATTERN = /\b(?:no|denies|denied|without|negative for|free of|absence of)\s+([^.;:\n]+)/gi;
+
+// Cue anywhere earlier in the same clause negates a term
+const NEGATED_CONTEXT = /\b(?:no|not|denies|denied|without|negative for|free of|absence of)\b[^.;:\n]*$/i;
+
+// Filler at the edges of a negated finding ("no known drug allergies noted")
+const FINDING_FILLER = /^(?:known|history of|signs of|evidence of|complaints of|any)\s+|\s+(?:noted|reported|today|present|seen|at this time)$/gi;
+
+const FINDING_STOP_WORDS = new Set(['the', 'and', 'any', 'other', 'some', 'her', 'his', 'their', 'has', 'had', 'have', 'was', 'were']);
+
+/**
+ * Collapse a value for comparison: "135 over 82" and "135/82" are the same reading
+ * @param {string} value - Value
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value) {
+  return String(value).toLowerCase().replace(/\s+/g, '').replace(/over/g, '/').replace(/\.0+$/, '');
+}
+
+/**
+ * Reduce a word to a crude stem so "deficits" matches "deficit"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  return word.length > 4 ? word.replace(/(?:es|s)$/, '') : word;
+}
+
+/**
+ * Words of a finding worth matching on
+ * @param {string} text - Finding
+ * @returns {Array<string>} Stems
+ */
+function findingWords(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !FINDING_STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Extract vital sign readings
+ * A label's pattern can reach past other words to a number ("pulse regular,
+ * sats 95"), so each number goes to the reading whose label is nearest to it
+ * @param {string} text - Text to search
+ * @returns {Array} [{ type, value, unit, text }] in order of appearance
+ */
+function extractVitals(text = '') {
+  const byNumber = new Map();
+  for (const { type, unit, pattern } of VITAL_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const { value, diastolic, feet, inches, unit: statedUnit } = match.groups;
+      const numberIndex = (match.indices.groups.value || match.indices.groups.feet)[0];
+      const vital = feet
+        ? { type, value: `${feet}'${inches || 0}"`, unit: 'ft/in', text: match[0], index: match.index }
+        : {
+            type,
+            value: diastolic ? `${value}/${diastolic}` : value,
+            unit: statedUnit ? UNIT_SPELLINGS[statedUnit.toLowerCase()] || statedUnit.toLowerCase() : unit,
+            text: match[0],
+            index: match.index,
+          };
+
+      const claimed = byNumber.get(numberIndex);
+      if (!claimed || vital.index > claimed.index) {
+        byNumber.set(numberIndex, vital);
+      }
+    }
+  }
+  return [...byNumber.values()]
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...vital }) => vital);
+}
+
+/**
+ * Extract medication doses
+ * @param {string} text - Text to search
+ * @returns {Array} [{ name, amount, unit, text }]
+ */
+function extractDoses(text = '') {
+  return [...text.matchAll(DOSE_PATTERN)]
+    .filter(match => !NOT_MEDICATIONS.has(match[1].toLowerCase()))
+    .map(match => ({
+      name: match[1].toLowerCase(),
+      amount: normalizeValue(match[2]),
+      unit: match[3].toLowerCase().replace(/s$/, '').replace('µg', 'mcg'),
+      text: match[0],
+    }));
+}
+
+/**
+ * Extract body sites with a side
+ * @param {string} text - Text to search
+ * @returns {Array} [{ side, site, text }]
+ */
+function extractLaterality(text = '') {
+  return [...text.matchAll(LATERALITY_PATTERN)].map(match => ({
+    side: match[1].toLowerCase(),
+    site: match[2].toLowerCase(),
+    text: match[0],
+  }));
+}
+
+/**
+ * Extract negated findings; lists ("denies fever, chills or nausea") give one per item
+ * @param {string} text - Text to search
+ * @returns {Array} [{ finding, words, text }]
+ */
+function extractNegations(text = '') {
+  const negations = [];
+  for (const match of text.matchAll(NEGATION_PATTERN)) {
+    for (const item of match[1].split(/,|\bor\b|\band\b|\bnor\b/i)) {
+      const finding = item.trim().replace(FINDING_FILLER, '').trim();
+      const words = findingWords(finding);
+      if (words.length > 0 && words.length <= 4) {
+        negations.push({ finding, words, text: match[0].trim() });
+      }
+    }
+  }
+  return negations;
+}
+
+/**
+ * Find where a finding is mentioned in text and whether that mention is negated
+ * @param {string} text - Text to search
+ * @param {Array<string>} words - Stems of the finding
+ * @returns {Object} { mentioned, affirmed, excerpt } affirmed when a mention is not negated
+ */
+function findMention(text, words) {
+  const head = words[words.length - 1];
+  const pattern = new RegExp(`\\b${head.replace(/[^a-z0-9]/g, '')}\\w*`, 'gi');
+  let mentioned = false;
+
+  for (const match of text.matchAll(pattern)) {
+    // The rest of the finding's words must appear in the same clause
+    const clauseStart = Math.max(text.lastIndexOf('.', match.index), text.lastIndexOf(';', match.index), text.lastIndexOf('\n', match.index)) + 1;
+    const clauseEnd = text.slice(match.index).search(/[.;\n]/);
+    const clause = text.slice(clauseStart, clauseEnd === -1 ? undefined : match.index + clauseEnd).toLowerCase();
+    if (!words.every(word => clause.includes(word))) continue;
+
+    mentioned = true;
+    if (!NEGATED_CONTEXT.test(text.slice(clauseStart, match.index))) {
+      return { mentioned, affirmed: true, excerpt: clause.trim() };
+    }
+  }
+
+  return { mentioned, affirmed: false, excerpt: null };
+}
+
+/**
+ * Split the note into its sections' text
+ * @param {Object} note - SOAP note
+ * @param {Array} sections - Section layout of the note
+ * @returns {Array} [{ section, text }]
+ */
+function noteSections(note, sections = SOAP_LAYOUT) {
+  return sections.map(section => ({ section: section.key, text: sectionText(section, note[section.key]) }));
+}
+
+/**
+ * Read a structured vital's value as it would be read from text, so a unit
+ * written into the value ("98.6 °F", "180 lb") isn't compared as part of it
+ * @param {Object} vital - { type, value } from the note's vitals list
+ * @returns {string} Value without its unit
+ */
+function structuredVitalValue(vital) {
+  const [parsed] = extractVitals(`${VITAL_LABELS[vital.type]} ${vital.value}`).filter(candidate => candidate.type === vital.type);
+  if (parsed) return parsed.value;
+
+  const number = String(vital.value).match(/\d+(?:\.\d+)?(?:\s*(?:\/|over)\s*\d+)?/i);
+  return number ? number[0] : String(vital.value);
+}
+
+/**
+ * Facts stated in the note, with the section they are in
+ * Structured lists (vitals, medications) count as being in the most likely
+ * section, when the note has it
+ * @param {Object} note - SOAP note
+ * @param {Array} sections - Section layout of the note
+ * @returns {Object} { vitals, doses, laterality, negations }
+ */
+function extractNoteFacts(note, sections = SOAP_LAYOUT) {
+  const facts = { vitals: [], doses: [], laterality: [], negations: [] };
+  const listSection = key => (sections.some(section => section.key === key) ? key : null);
+
+  for (const { section, text } of noteSections(note, sections)) {
+    facts.vitals.push(...extractVitals(text).map(fact => ({ ...fact, section })));
+    facts.doses.push(...extractDoses(text).map(fact => ({ ...fact, section })));
+    facts.laterality.push(...extractLaterality(text).map(fact => ({ ...fact, section })));
+    facts.negations.push(...extractNegations(text).map(fact => ({ ...fact, section })));
+  }
+
+  for (const vital of Array.isArray(note.vitals) ? note.vitals : []) {
+    if (vital && VITAL_LABELS[vital.type] && vital.value) {
+      facts.vitals.push({ type: vital.type, value: structuredVitalValue(vital), text: `${VITAL_LABELS[vital.type]} ${vital.value}`, section: listSection('objective') });
+    }
+  }
+
+  for (const medication of Array.isArray(note.medications) ? note.medications : []) {
+    if (medication && medication.name && medication.dose) {
+      facts.doses.push(...extractDoses(`${medication.name} ${medication.dose}`).map(fact => ({ ...fact, section: listSection('plan') })));
+    }
+  }
+
+  return facts;
+}
+
+/**
+ * Compare vital signs
+ * @returns {Array} Findings
+ */
+function checkVitals(transcriptVitals, noteVitals) {
+  const findings = [];
+
+  for (const vital of noteVitals) {
+    const stated = transcriptVitals.filter(candidate => candidate.type === vital.type);
+    if (stated.some(candidate => normalizeValue(candidate.value) === normalizeValue(vital.value))) continue;
+
+    const label = VITAL_LABELS[vital.type];
+    findings.push(stated.length > 0
+      ? {
+          type: 'contradiction',
+          category: 'vital',
+          severity: 'high',
+          message: `The note gives ${label} ${vital.value}, but the transcript says ${stated.map(candidate => candidate.value).join(' or ')}.`,
+          transcriptText: stated[0].text,
+          noteText: vital.text,
+          section: vital.section,
+        }
+      : {
+          type: 'invented_value',
+          category: 'vital',
+          severity: 'high',
+          message: `The note gives ${label} ${vital.value}, which is not in the transcript.`,
+          transcriptText: null,
+          noteText: vital.text,
+          section: vital.section,
+        });
+  }
+
+  for (const vital of transcriptVitals) {
+    if (noteVitals.some(candidate => candidate.type === vital.type && normalizeValue(candidate.value) === normalizeValue(vital.value))) continue;
+    // A different value for the same vital is already reported as a contradiction
+    if (noteVitals.some(candidate => candidate.type === vital.type)) continue;
+
+    findings.push({
+      type: 'omission',
+      category: 'vital',
+      severity: 'medium',
+      message: `The transcript gives ${VITAL_LABELS[vital.type]} ${vital.value}, but the note doesn't mention it.`,
+      transcriptText: vital.text,
+      noteText: null,
+      section: null,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Compare medication doses
+ * @returns {Array} Findings
+ */
+function checkDoses(transcriptDoses, noteDoses, noteText) {
+  const findings = [];
+  const sameDose = (a, b) => a.name === b.name && a.amount === b.amount && a.unit === b.unit;
+
+  for (const dose of noteDoses) {
+    if (transcriptDoses.some(candidate => sameDose(candidate, dose))) continue;
+
+    const stated = transcriptDoses.filter(candidate => candidate.name === dose.name);
+    findings.push(stated.length > 0
+      ? {
+          type: 'contradiction',
+          category: 'dose',
+          severity: 'high',
+          message: `The note gives ${dose.name} ${dose.amount} ${dose.unit}, but the transcript says ${stated.map(candidate => `${candidate.amount} ${candidate.unit}`).join(' or ')}.`,
+          transcriptText: stated[0].text,
+          noteText: dose.text,
+          section: dose.section,
+        }
+      : {
+          type: 'invented_value',
+          category: 'dose',
+          severity: 'high',
+          message: `The note gives a dose of ${dose.amount} ${dose.unit} for ${dose.name}, which is not in the transcript.`,
+          transcriptText: null,
+          noteText: dose.text,
+          section: dose.section,
+        });
+  }
+
+  const sentences = noteText.toLowerCase().split(/[.;\n]+/);
+  for (const dose of transcriptDoses) {
+    if (noteDoses.some(candidate => candidate.name === dose.name)) continue;
+
+    // The pattern only pairs a name with a dose close by; a sentence naming the
+    // medication and the same amount and unit keeps the dose, however it is worded
+    const amount = new RegExp(`(?:^|[^\\d.])${dose.amount.replace('.', '\\.')}\\s*${dose.unit}`);
+    const mentions = sentences.filter(sentence => sentence.includes(dose.name));
+    if (mentions.some(sentence => amount.test(sentence))) continue;
+
+    // Without a dose the pattern could pair with it, this may be wording rather than an omission
+    const mentioned = mentions.length > 0;
+    findings.push({
+      type: 'omission',
+      category: 'dose',
+      severity: mentioned ? 'low' : 'high',
+      message: mentioned
+        ? `The note mentions ${dose.name}, but the dose from the transcript (${dose.amount} ${dose.unit}) couldn't be found with it.`
+        : `The transcript mentions ${dose.text}, but the note doesn't.`,
+      transcriptText: dose.text,
+      noteText: null,
+      section: null,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Compare left/right
+ * @returns {Array} Findings
+ */
+function checkLaterality(transcriptSites, noteSites) {
+  const findings = [];
+
+  for (const site of noteSites) {
+    const opposite = OPPOSITE_SIDE[site.side];
+    if (!opposite) continue;
+
+    const sameSide = transcriptSites.some(candidate => candidate.site === site.site && candidate.side === site.side);
+    const otherSide = transcriptSites.find(candidate => candidate.site === site.site && candidate.side === opposite);
+    if (!sameSide && otherSide) {
+      findings.push({
+        type: 'contradiction',
+        category: 'laterality',
+        severity: 'high',
+        message: `The note says ${site.text}, but the transcript says ${otherSide.text}.`,
+        transcriptText: otherSide.text,
+        noteText: site.text,
+        section: site.section,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Compare negated findings in both directions
+ * @returns {Array} Findings
+ */
+function checkNegations(transcript, transcriptNegations, noteFacts, note, sections) {
+  const findings = [];
+  const reported = new Set();
+
+  for (const negation of transcriptNegations) {
+    const key = negation.words.join(' ');
+    if (reported.has(key)) continue;
+    reported.add(key);
+
+    const mentions = noteSections(note, sections).map(({ section, text }) => ({ section, ...findMention(text, negation.words) }));
+    const affirmed = mentions.find(mention => mention.affirmed);
+
+    if (affirmed) {
+      findings.push({
+        type: 'contradiction',
+        category: 'negation',
+        severity: 'high',
+        message: `The transcript rules out ${negation.finding} ("${negation.text}"), but the note states it.`,
+        transcriptText: negation.text,
+        noteText: affirmed.excerpt,
+        section: affirmed.section,
+      });
+    } else if (!mentions.some(mention => mention.mentioned)) {
+      findings.push({
+        type: 'omission',
+        category: 'negation',
+        severity: 'low',
+        message: `The transcript rules out ${negation.finding} ("${negation.text}"), but the note doesn't say so.`,
+        transcriptText: negation.text,
+        noteText: null,
+        section: null,
+      });
+    }
+  }
+
+  for (const negation of noteFacts.negations) {
+    const mention = findMention(transcript, negation.words);
+    if (mention.affirmed && !transcriptNegations.some(candidate => candidate.words.join(' ') === negation.words.join(' '))) {
+      findings.push({
+        type: 'contradiction',
+        category: 'negation',
+        severity: 'high',
+        message: `The note rules out ${negation.finding}, but the transcript mentions it ("${mention.excerpt}").`,
+        transcriptText: mention.excerpt,
+        noteText: negation.text,
+        section: negation.section,
+      });
+    }
+  }
+
+  return findings;
+}
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Verify a generated note against its transcript
+ * @param {Object} note - SOAP note (sections plus the structured lists)
+ * @param {string} transcript - Transcript the note was generated from
+ * @param {Object} options - { sections: section layout, the SOAP sections by default }
+ * @returns {Object} { findings, summary: { contradictions, inventedValues, omissions }, checkedAt }
+ */
+function verifyNote(note, transcript = '', { sections = SOAP_LAYOUT } = {}) {
+  const noteFacts = extractNoteFacts(note, sections);
+  const noteText = noteSections(note, sections).map(({ text }) => text).join('\n');
+  const transcriptNegations = extractNegations(transcript);
+
+  const findings = [
+    ...checkVitals(extractVitals(transcript), noteFacts.vitals),
+    ...checkDoses(extractDoses(transcript), noteFacts.doses, noteText),
+    ...checkLaterality(extractLaterality(transcript), noteFacts.laterality),
+    ...checkNegations(transcript, transcriptNegations, noteFacts, note, sections),
+  ];
+
+  // The same fact can appear in the text and the structured lists; report it once
+  const unique = [];
+  const seen = new Set();
+  for (const finding of findings) {
+    if (!seen.has(finding.message)) {
+      seen.add(finding.message);
+      unique.push(finding);
+    }
+  }
+  unique.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  return {
+    findings: unique,
+    summary: {
+      contradictions: unique.filter(finding => finding.type === 'contradiction').length,
+      inventedValues: unique.filter(finding => finding.type === 'invented_value').length,
+      omissions: unique.filter(finding => finding.type === 'omission').length,
+    },
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  extractVitals,
+  extractDoses,
+  extractLaterality,
+  extractNegations,
+  verifyNote,
+};
@@ -0,0 +1,201 @@
+const speech = require('@google-cloud/speech');
+const {
+  createSpeakerRoleMapper,
+  buildSegmentsFromWords,
+  durationToSeconds,
+} = require('../transcriptSegmentService');
+
+// Boost applied to vocabulary phrases that don't set their own
+const DEFAULT_PHRASE_BOOST = 10;
+
+/**
+ * Group phrase hints into speech contexts, one per boost value
+ * @param {Array} phraseHints - Hints as [{ phrase, boost }] or plain strings
+ * @returns {Array} Speech-to-Text speechContexts
+ */
+function buildSpeechContexts(phraseHints) {
+  const phrasesByBoost = new Map();
+
+  for (const hint of phraseHints) {
+    const phrase = typeof hint === 'string' ? hint : hint.phrase;
+    const boost = (typeof hint === 'object' && hint.boost) || DEFAULT_PHRASE_BOOST;
+    if (!phrase) continue;
+
+    if (!phrasesByBoost.has(boost)) {
+      phrasesByBoost.set(boost, []);
+    }
+    phrasesByBoost.get(boost).push(phrase);
+  }
+
+  return Array.from(phrasesByBoost, ([boost, phrases]) => ({ phrases, boost }));
+}
+
+/**
+ * Google Cloud Speech-to-Text recognizer
+ * Provides both the batch (recognize) and streaming (createStream) paths
+ */
+class GcpSpeechRecognizer {
+  constructor() {
+    this.name = 'gcp';
+
+    // Created lazily so that selecting another recognizer never touches GCP credentials
+    this.speechClient = null;
+  }
+
+  /**
+   * Get the Speech-to-Text client, creating it on first use
+   * @returns {Object} SpeechClient instance
+   */
+  getClient() {
+    if (!this.speechClient) {
+      this.speechClient = new speech.SpeechClient();
+    }
+    return this.speechClient;
+  }
+
+  /**
+   * Build a recognition config from request options
+   * @param {Object} options - Configuration options
+   * @returns {Object} Speech-to-Text recognition config
+   */
+  buildConfig(options = {}) {
+    const languageCode = options.languageCode || 'en-US';
+    const alternativeLanguageCodes = (options.alternativeLanguageCodes || [])
+      .filter(code => code !== languageCode)
+      .slice(0, 3);
+
+    // The medical models only support en-US without language detection
+    const canUseMedicalModel = languageCode === 'en-US' && alternativeLanguageCodes.length === 0;
+
+    const config = {
+      encoding: options.encoding || 'LINEAR16',
+      sampleRateHertz: options.sampleRateHertz || 16000,
+      languageCode,
+      model: options.model || (canUseMedicalModel ? 'medical_conversation' : 'default'),
+      enableAutomaticPunctuation: true,
+      enableSpokenPunctuation: true,
+      useEnhanced: true,
+    };
+
+    // Let the recognizer pick whichever of these languages is being spoken
+    if (alternativeLanguageCodes.length > 0) {
+      config.alternativeLanguageCodes = alternativeLanguageCodes;
+    }
+
+    // Multi-channel recordings (e.g. chunks of a stereo WAV) must declare their channel count
+    if (options.audioChannelCount) {
+      config.audioChannelCount = options.audioChannelCount;
+    }
+
+    // Bias recognition toward the user's drug names, abbreviations and provider names
+    if (options.phraseHints && options.phraseHints.length > 0) {
+      config.speechContexts = buildSpeechContexts(options.phraseHints);
+    }
+
+    // Separate clinician and patient turns unless the caller opts out
+    if (options.diarization !== false) {
+      config.enableWordTimeOffsets = true;
+      config.diarizationConfig = {
+        enableSpeakerDiarization: true,
+        minSpeakerCount: 2,
+        maxSpeakerCount: options.maxSpeakerCount || 2,
+      };
+    }
+
+    return config;
+  }
+
+  /**
+   * Transcribe a complete audio recording in one request
+   * @param {Buffer|string} audioContent - Audio buffer or base64 encoded string
+   * @param {Object} options - Configuration options
+   * @returns {Promise<Object>} Transcription result
+   */
+  async recognize(audioContent, options = {}) {
+    const config = this.buildConfig(options);
+    const request = {
+      audio: {
+        content: Buffer.isBuffer(audioContent) ? audioContent.toString('base64') : audioContent,
+      },
+      config,
+    };
+
+    const [response] = await this.getClient().recognize(request);
+
+    // With diarization, the last result's words cover the whole recording with speaker tags
+    const lastResult = response.results[response.results.length - 1];
+    const words = lastResult?.alternatives[0]?.words || [];
+
+    return {
+      transcript: response.results
+        .map(result => result.alternatives[0].transcript)
+        .join('\n'),
+      confidence: response.results[0]?.alternatives[0]?.confidence || 0,
+      languageCode: response.results[0]?.languageCode || config.languageCode,
+      segments: buildSegmentsFromWords(words.filter(word => word.speakerTag)),
+      recognizer: this.name,
+    };
+  }
+
+  /**
+   * Open a streaming recognition session
+   * Google closes streaming sessions after roughly five minutes, so callers
+   * should be prepared to receive onEnd and start a new stream
+   * @param {Object} options - Configuration options
+   * @param {Object} handlers - Callbacks (onResult, onError, onEnd)
+   * @returns {Object} Stream handle with write, end and destroy methods
+   */
+  createStream(options = {}, handlers = {}) {
+    const { onResult = () => {}, onError = () => {}, onEnd = () => {} } = handlers;
+
+    // Speaker roles must stay stable for the whole stream
+    const mapRole = createSpeakerRoleMapper();
+    let lastWordEnd = 0;
+
+    const recognizeStream = this.getClient()
+      .streamingRecognize({
+        config: this.buildConfig(options),
+        interimResults: true,
+      })
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        if (!result || !result.alternatives || !result.alternatives[0]) return;
+
+        const message = {
+          transcript: result.alternatives[0].transcript,
+          confidence: result.alternatives[0].confidence || 0,
+          isFinal: Boolean(result.isFinal),
+          languageCode: result.languageCode,
+        };
+
+        // Speaker tags are only reported on final results; skip words already emitted
+        if (message.isFinal) {
+          const words = (result.alternatives[0].words || [])
+            .filter(word => word.speakerTag && durationToSeconds(word.startTime) >= lastWordEnd);
+          message.segments = buildSegmentsFromWords(words, mapRole);
+          if (words.length > 0) {
+            lastWordEnd = durationToSeconds(words[words.length - 1].endTime);
+          }
+        }
+
+        onResult(message);
+      })
+      .on('error', onError)
+      .on('end', onEnd);
+
+    return {
+      write(chunk) {
+        recognizeStream.write(chunk);
+      },
+      end() {
+        recognizeStream.end();
+      },
+      destroy() {
+        recognizeStream.removeAllListeners();
+        recognizeStream.destroy();
+      },
+    };
+  }
+}
+
+module.exports = GcpSpeechRecognizer;
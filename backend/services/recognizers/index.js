@@ -0,0 +1,40 @@
+/**
+ * Speech recognizer registry
+ * Every recognizer exposes the same interface:
+ *   recognize(audioContent, options)      - batch transcription
+ *   createStream(options, handlers)       - streaming transcription with
+ *                                           interim and final results
+ * The active recognizer is chosen with SPEECH_RECOGNIZER (gcp | local).
+ */
+
+const GcpSpeechRecognizer = require('./gcpSpeechRecognizer');
+const LocalRecognizer = require('./localRecognizer');
+
+const recognizers = {
+  gcp: GcpSpeechRecognizer,
+  local: LocalRecognizer,
+};
+
+// Instances are cached so the GCP client is only created once per process
+const instances = {};
+
+/**
+ * Get a recognizer by name, defaulting to the configured recognizer
+ * @param {string} name - Recognizer name (gcp, local)
+ * @returns {Object} Recognizer instance
+ */
+function getRecognizer(name = process.env.SPEECH_RECOGNIZER || 'gcp') {
+  const Recognizer = recognizers[name];
+  if (!Recognizer) {
+    throw new Error(`Unknown speech recognizer: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Recognizer();
+  }
+  return instances[name];
+}
+
+module.exports = {
+  getRecognizer,
+};
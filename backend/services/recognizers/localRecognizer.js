@@ -0,0 +1,151 @@
+/**
+ * Local stand-in recognizer for development
+ * Does not decode audio at all: it replays a scripted dictation so the
+ * streaming and batch flows can be exercised without GCP credentials.
+ * Set LOCAL_RECOGNIZER_SCRIPT to replace the default script; prefix a
+ * sentence with "Clinician:" or "Patient:" to change who is speaking.
+ */
+
+const { offsetSegments } = require('../transcriptSegmentService');
+
+const DEFAULT_SCRIPT = [
+  'Clinician: What brings you in today?',
+  'Patient: I have had a persistent headache for three days.',
+  'Clinician: Blood pressure 135 over 82, pulse 76, temperature 98.6.',
+  'Assessment is tension headache.',
+  'Plan is ibuprofen as needed and follow up in two weeks.',
+].join(' ');
+
+// Number of audio chunks that advance the script by one word
+const CHUNKS_PER_WORD = 2;
+
+// Simulated speaking rate used for segment timestamps
+const SECONDS_PER_WORD = 0.4;
+
+const SPEAKER_PREFIX = /^(clinician|patient):\s*/i;
+
+class LocalRecognizer {
+  constructor(script = process.env.LOCAL_RECOGNIZER_SCRIPT || DEFAULT_SCRIPT) {
+    this.name = 'local';
+
+    // Each sentence keeps the speaker of the most recent prefix
+    let speaker = 'clinician';
+    this.sentences = script
+      .split(/(?<=[.!?])\s+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .map(sentence => {
+        const prefix = sentence.match(SPEAKER_PREFIX);
+        if (prefix) {
+          speaker = prefix[1].toLowerCase();
+        }
+        return { speaker, text: sentence.replace(SPEAKER_PREFIX, '') };
+      });
+  }
+
+  /**
+   * Build one segment per sentence with simulated timestamps
+   * @param {Array} sentences - Sentences ({ speaker, text }) to convert
+   * @returns {Array} Segments starting at time zero
+   */
+  buildSegments(sentences) {
+    let time = 0;
+    return sentences.map((sentence, index) => {
+      const startTime = time;
+      time += sentence.text.split(/\s+/).length * SECONDS_PER_WORD;
+      return {
+        id: index,
+        speaker: sentence.speaker,
+        speakerTag: sentence.speaker === 'clinician' ? 1 : 2,
+        text: sentence.text,
+        startTime,
+        endTime: time,
+      };
+    });
+  }
+
+  /**
+   * Return the full script as a transcription result
+   * @param {Buffer|string} audioContent - Ignored
+   * @param {Object} options - Ignored
+   * @returns {Promise<Object>} Transcription result
+   */
+  async recognize(audioContent, options = {}) {
+    return {
+      transcript: this.sentences.map(sentence => sentence.text).join('\n'),
+      confidence: 1,
+      languageCode: options.languageCode || 'en-US',
+      segments: this.buildSegments(this.sentences),
+      recognizer: this.name,
+    };
+  }
+
+  /**
+   * Open a streaming session that emits one scripted word every few chunks,
+   * finalizing at the end of each sentence
+   * @param {Object} options - Ignored
+   * @param {Object} handlers - Callbacks (onResult, onError, onEnd)
+   * @returns {Object} Stream handle with write, end and destroy methods
+   */
+  createStream(options = {}, handlers = {}) {
+    const { onResult = () => {}, onEnd = () => {} } = handlers;
+    const sentences = this.sentences;
+
+    let chunkCount = 0;
+    let sentenceIndex = 0;
+    let wordIndex = 0;
+    let elapsed = 0;
+    let closed = false;
+
+    // Final results carry the sentence as a single segment, timed from the stream start
+    const finalResult = (speaker, transcript) => {
+      const [segment] = offsetSegments(this.buildSegments([{ speaker, text: transcript }]), elapsed, sentenceIndex);
+      elapsed = segment.endTime;
+      return { transcript, confidence: 1, isFinal: true, segments: [segment] };
+    };
+
+    const emitNextWord = () => {
+      if (sentenceIndex >= sentences.length) return;
+
+      const { speaker, text } = sentences[sentenceIndex];
+      const words = text.split(/\s+/);
+      wordIndex++;
+      const transcript = words.slice(0, wordIndex).join(' ');
+
+      if (wordIndex < words.length) {
+        onResult({ transcript, confidence: 0, isFinal: false });
+        return;
+      }
+
+      onResult(finalResult(speaker, transcript));
+      sentenceIndex++;
+      wordIndex = 0;
+    };
+
+    return {
+      write() {
+        if (closed) return;
+        chunkCount++;
+        if (chunkCount % CHUNKS_PER_WORD === 0) {
+          emitNextWord();
+        }
+      },
+      end() {
+        if (closed) return;
+        closed = true;
+
+        // Finalize whatever part of the current sentence was spoken
+        if (wordIndex > 0) {
+          const { speaker, text } = sentences[sentenceIndex];
+          onResult(finalResult(speaker, text.split(/\s+/).slice(0, wordIndex).join(' ')));
+        }
+        onEnd();
+      },
+      destroy() {
+        closed = true;
+      },
+    };
+  }
+}
+
+module.exports = LocalRecognizer;
@@ -0,0 +1,227 @@
+/**
+ * Recording Service
+ * Keeps the raw dictation audio of a note so it can be played back next to
+ * the transcript. Audio is encrypted by audioStorageService; metadata lives in
+ * note_recordings. Each user chooses whether recordings are kept and for how
+ * many days (recording_settings); expired recordings are removed on access and
+ * by `npm run recordings:purge`.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const gcpDatabaseService = require('./gcpDatabaseService');
+const audioStorageService = require('./audioStorageService');
+
+// Upper bound for uploads; an hour of Opus audio is well under this
+const MAX_RECORDING_BYTES = 100 * 1024 * 1024;
+
+// Retention can be set between one day and ten years
+const MAX_RETENTION_DAYS = 3650;
+
+class RecordingService {
+  /**
+   * Get a user's recording settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { saveRecordings, retentionDays }
+   */
+  async getSettings(userId) {
+    const row = await gcpDatabaseService.getRecordingSettings(userId);
+    return { saveRecordings: row.save_recordings, retentionDays: row.retention_days };
+  }
+
+  /**
+   * Update a user's recording settings
+   * Changing the retention period also moves the expiry of existing recordings
+   * @param {string} userId - User ID
+   * @param {Object} settings - { saveRecordings, retentionDays } (retentionDays null keeps recordings)
+   * @returns {Promise<Object>} Saved settings
+   */
+  async updateSettings(userId, settings = {}) {
+    const current = await this.getSettings(userId);
+
+    const saveRecordings = settings.saveRecordings === undefined
+      ? current.saveRecordings
+      : Boolean(settings.saveRecordings);
+
+    let retentionDays = current.retentionDays;
+    if (settings.retentionDays !== undefined) {
+      retentionDays = settings.retentionDays === null || settings.retentionDays === ''
+        ? null
+        : Number(settings.retentionDays);
+
+      if (retentionDays !== null &&
+          (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS)) {
+        throw new Error(`Invalid retention period: use a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+      }
+    }
+
+    const row = await gcpDatabaseService.saveRecordingSettings(userId, { saveRecordings, retentionDays });
+    return { saveRecordings: row.save_recordings, retentionDays: row.retention_days };
+  }
+
+  /**
+   * Store the recording of a note, replacing any earlier one
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @param {Buffer} audio - Audio data as recorded by the browser
+   * @param {Object} options - { mimeType, durationSeconds, offsetSeconds }
+   * @returns {Promise<Object>} Recording metadata
+   */
+  async saveRecording(userId, noteId, audio, options = {}) {
+    if (!audio || audio.length === 0) {
+      throw new Error('Invalid recording: no audio data');
+    }
+    if (audio.length > MAX_RECORDING_BYTES) {
+      throw new Error('Invalid recording: file is too large');
+    }
+
+    // Throws "Note not found" for other users' notes
+    await gcpDatabaseService.getNoteById(noteId, userId);
+
+    const settings = await this.getSettings(userId);
+    if (!settings.saveRecordings) {
+      throw new Error('Forbidden: recording storage is turned off in your settings');
+    }
+
+    const existing = await gcpDatabaseService.getNoteRecording(noteId, userId);
+    if (existing) {
+      await this.removeRecording(existing);
+    }
+
+    const recordingId = uuidv4();
+    const stored = await audioStorageService.save(`${userId}/${recordingId}.enc`, audio);
+
+    try {
+      const recording = await gcpDatabaseService.createNoteRecording({
+        id: recordingId,
+        noteId,
+        userId,
+        ...stored,
+        mimeType: options.mimeType || 'audio/webm',
+        sizeBytes: audio.length,
+        durationSeconds: options.durationSeconds ?? null,
+        offsetSeconds: options.offsetSeconds || 0,
+        retentionDays: settings.retentionDays
+      });
+
+      return this.toMetadata(recording);
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await audioStorageService.delete({ storage_backend: stored.storageBackend, storage_key: stored.storageKey })
+        .catch(cleanupError => console.error('Error removing orphaned recording:', cleanupError));
+      throw error;
+    }
+  }
+
+  /**
+   * Get the recording of a note
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} note_recordings row
+   */
+  async getRecording(userId, noteId) {
+    const recording = await gcpDatabaseService.getNoteRecording(noteId, userId);
+
+    if (recording && this.isExpired(recording)) {
+      await this.removeRecording(recording);
+      throw new Error('Recording not found');
+    }
+    if (!recording) {
+      throw new Error('Recording not found');
+    }
+
+    return recording;
+  }
+
+  /**
+   * Get the metadata of a note's recording
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} Recording metadata
+   */
+  async getRecordingMetadata(userId, noteId) {
+    return this.toMetadata(await this.getRecording(userId, noteId));
+  }
+
+  /**
+   * Read and decrypt the audio of a note's recording
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Object>} { audio, mimeType }
+   */
+  async readRecordingAudio(userId, noteId) {
+    const recording = await this.getRecording(userId, noteId);
+    const audio = await audioStorageService.read(recording);
+    return { audio, mimeType: recording.mime_type };
+  }
+
+  /**
+   * Delete the recording of a note
+   * @param {string} userId - User ID
+   * @param {string} noteId - Note ID
+   * @returns {Promise<boolean>} True if a recording was deleted
+   */
+  async deleteRecording(userId, noteId) {
+    const recording = await gcpDatabaseService.getNoteRecording(noteId, userId);
+    if (!recording) return false;
+
+    await this.removeRecording(recording);
+    return true;
+  }
+
+  /**
+   * Delete recordings whose retention period has passed
+   * @returns {Promise<number>} Number of recordings deleted
+   */
+  async purgeExpiredRecordings() {
+    let purged = 0;
+    let batch;
+
+    do {
+      batch = await gcpDatabaseService.getExpiredNoteRecordings(100);
+      for (const recording of batch) {
+        await this.removeRecording(recording);
+        purged++;
+      }
+    } while (batch.length > 0);
+
+    return purged;
+  }
+
+  /**
+   * Delete a recording's audio and then its metadata
+   * @param {Object} recording - note_recordings row
+   */
+  async removeRecording(recording) {
+    await audioStorageService.delete(recording);
+    await gcpDatabaseService.deleteNoteRecording(recording.id);
+  }
+
+  /**
+   * Check whether a recording is past its retention period
+   * @param {Object} recording - note_recordings row
+   * @returns {boolean} True if expired
+   */
+  isExpired(recording) {
+    return Boolean(recording.expires_at) && new Date(recording.expires_at) <= new Date();
+  }
+
+  /**
+   * Strip storage and encryption details from a recording
+   * @param {Object} recording - note_recordings row
+   * @returns {Object} Metadata safe to return to clients
+   */
+  toMetadata(recording) {
+    return {
+      id: recording.id,
+      note_id: recording.note_id,
+      mime_type: recording.mime_type,
+      size_bytes: Number(recording.size_bytes),
+      duration_seconds: recording.duration_seconds === null ? null : Number(recording.duration_seconds),
+      offset_seconds: Number(recording.offset_seconds) || 0,
+      created_at: recording.created_at,
+      expires_at: recording.expires_at
+    };
+  }
+}
+
+module.exports = new RecordingService();
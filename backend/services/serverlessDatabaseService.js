@@ -9,7 +9,9 @@
  * robust connection approach for production environments.
  */
 
-const { query, isDatabaseHealthy } = require('../../app/api/database/connectionManager');
+const crypto = require('crypto');
+const { query, withClient, isDatabaseHealthy } = require('../../app/api/database/connectionManager');
+const { normalizeStructure, isNewVersion } = require('./templateService');
 
 /**
  * Gets notes for a user with pagination and filtering
@@ -51,6 +53,7 @@ async function getNotes(userId, options = {}) {
       n.title, 
       n.content, 
       n.raw_transcript, 
+      n.transcript_segments, 
       n.soap_data, 
       n.created_at, 
       n.updated_at,
@@ -81,6 +84,7 @@ async function getNotes(userId, options = {}) {
       title: row.title,
       content: row.content,
       raw_transcript: row.raw_transcript,
+      transcript_segments: row.transcript_segments,
       soap_data: row.soap_data,
       created_at: row.created_at,
       updated_at: row.updated_at,
@@ -117,7 +121,11 @@ async function getNote(noteId, userId) {
       n.title, 
       n.content, 
       n.raw_transcript, 
+      n.transcript_segments, 
       n.soap_data, 
+      n.codes, 
+      n.template_id, 
+      n.template_version_id, 
       n.created_at, 
       n.updated_at,
       p.id as patient_id, 
@@ -142,7 +150,11 @@ async function getNote(noteId, userId) {
       title: row.title,
       content: row.content,
       raw_transcript: row.raw_transcript,
+      transcript_segments: row.transcript_segments,
       soap_data: row.soap_data,
+      codes: row.codes || [],
+      template_id: row.template_id,
+      template_version_id: row.template_version_id,
       created_at: row.created_at,
       updated_at: row.updated_at,
       patient: {
@@ -170,16 +182,20 @@ async function createNote(noteData) {
     title,
     content,
     raw_transcript,
+    transcript_segments,
     soap_data,
+    template_id,
+    template_version_id,
     created_at = new Date().toISOString()
   } = noteData;
 
   const queryText = `
     INSERT INTO notes (
-      user_id, patient_id, title, content, raw_transcript, soap_data, created_at, updated_at
+      user_id, patient_id, title, content, raw_transcript, transcript_segments, soap_data,
+      template_id, template_version_id, created_at, updated_at
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $7
-    ) RETURNING id, title, content, raw_transcript, soap_data, created_at, updated_at
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10
+    ) RETURNING id, title, content, raw_transcript, transcript_segments, soap_data, template_id, template_version_id, created_at, updated_at
   `;
 
   const values = [
@@ -188,7 +204,10 @@ async function createNote(noteData) {
     title || 'Untitled Note',
     content,
     raw_transcript || null,
+    transcript_segments ? JSON.stringify(transcript_segments) : null,
     soap_data || null,
+    template_id || null,
+    template_version_id || null,
     created_at
   ];
 
@@ -241,12 +260,13 @@ async function updateNote(noteId, noteData, userId) {
   let paramIndex = 3;
   
   // Add each field that was provided
-  const updateableFields = ['title', 'content', 'raw_transcript', 'soap_data', 'patient_id'];
+  const updateableFields = ['title', 'content', 'raw_transcript', 'transcript_segments', 'soap_data', 'patient_id'];
   
   updateableFields.forEach(field => {
     if (noteData[field] !== undefined) {
       updates.push(`${field} = $${paramIndex}`);
-      values.push(noteData[field]);
+      // pg sends JS arrays as Postgres arrays, so JSONB arrays must be serialized
+      values.push(Array.isArray(noteData[field]) ? JSON.stringify(noteData[field]) : noteData[field]);
       paramIndex++;
     }
   });
@@ -276,6 +296,85 @@ async function updateNote(noteId, noteData, userId) {
   }
 }
 
+/**
+ * Saves the current SOAP data of a note as a new version
+ * @param {Object} note - Note data (id, soap_data)
+ * @param {string} userId - User who made the change
+ * @returns {Promise<Object>} Created version
+ */
+async function createNoteVersion(note, userId) {
+  const queryText = `
+    INSERT INTO note_versions (note_id, soap_data, version_number, created_by, created_at)
+    SELECT $1, $2, COALESCE(MAX(version_number), 0) + 1, $3, NOW()
+    FROM note_versions
+    WHERE note_id = $1
+    RETURNING *
+  `;
+
+  try {
+    const result = await query(queryText, [note.id, note.soap_data || {}, userId]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating note version:', error);
+    throw new Error(`Failed to create note version: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces one SOAP section of a note, keeping the previous content as a version
+ * @param {string} noteId - ID of the note to update
+ * @param {string} userId - User ID for authorization
+ * @param {string} section - SOAP section key
+ * @param {string} text - New section text
+ * @returns {Promise<Object>} Updated note
+ */
+async function updateNoteSection(noteId, userId, section, text) {
+  const note = await getNote(noteId, userId);
+  await createNoteVersion(note, userId);
+
+  const soapData = { ...(note.soap_data || {}), [section]: text };
+
+  // Source attributions describe the generated text, not the dictation
+  if (soapData.attributions) {
+    soapData.attributions = { ...soapData.attributions };
+    delete soapData.attributions[section];
+  }
+
+  return updateNote(noteId, { soap_data: soapData }, userId);
+}
+
+/**
+ * Replaces the ICD-10-CM and CPT codes accepted on a note
+ * Codes are billing metadata, not note content, so no version is kept
+ * @param {string} noteId - ID of the note to update
+ * @param {string} userId - User ID for authorization
+ * @param {Array} codes - Validated codes (see codingService.validateCodes)
+ * @returns {Promise<Object>} Updated note
+ */
+async function updateNoteCodes(noteId, userId, codes) {
+  const queryText = `
+    UPDATE notes
+    SET codes = $3, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id
+  `;
+
+  let result;
+  try {
+    // pg sends JS arrays as Postgres arrays, so JSONB arrays must be serialized
+    result = await query(queryText, [noteId, userId, JSON.stringify(codes)]);
+  } catch (error) {
+    console.error('Error updating note codes:', error);
+    throw new Error(`Failed to update note codes: ${error.message}`);
+  }
+
+  if (result.rows.length === 0) {
+    throw new Error('Note not found');
+  }
+
+  return getNote(noteId, userId);
+}
+
 /**
  * Deletes a note
  * @param {string} noteId - ID of the note to delete
@@ -371,20 +470,105 @@ async function findOrCreatePatient(patientData, userId) {
 }
 
 /**
- * Gets all templates for a user
+ * Gets a patient by ID
+ * @param {string} patientId - Patient ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object>} Patient object
+ */
+async function getPatient(patientId, userId) {
+  const queryText = `
+    SELECT id, first_name, last_name, mrn, allergies, medications, updated_at
+    FROM patients
+    WHERE id = $1 AND user_id = $2 AND is_deleted = FALSE
+  `;
+
+  const result = await query(queryText, [patientId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Patient not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Replaces a patient's medication list
+ * @param {string} patientId - Patient ID
+ * @param {string} userId - User ID for authorization
+ * @param {Array<string>} medications - New medication list
+ * @returns {Promise<Object>} Updated patient
+ */
+async function updatePatientMedications(patientId, userId, medications) {
+  const queryText = `
+    UPDATE patients
+    SET medications = $3, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND is_deleted = FALSE
+    RETURNING id, first_name, last_name, mrn, allergies, medications, updated_at
+  `;
+
+  const result = await query(queryText, [patientId, userId, medications]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Patient not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Runs a callback in a transaction
+ * @param {Function} callback - Function to execute with the client
+ * @returns {Promise<any>} Result of the callback
+ */
+async function withTransaction(callback) {
+  return withClient(async (client) => {
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+/**
+ * Gets the templates available to a user: the system templates, their own and
+ * their organizations' libraries
  * @param {string} userId - User ID
- * @returns {Promise<Array>} List of templates
+ * @param {Object} options - Query options (specialty, activeOnly)
+ * @returns {Promise<Array>} List of templates, with organization_name for library templates
  */
-async function getTemplates(userId) {
+async function getTemplates(userId, options = {}) {
+  const { specialty = null, activeOnly = true } = options;
+
+  const whereConditions = [`(t.user_id = $1 OR t.is_system_template = TRUE
+    OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $1))`];
+  const queryParams = [userId];
+
+  if (specialty) {
+    whereConditions.push('t.specialty = $2');
+    queryParams.push(specialty);
+  }
+
+  if (activeOnly) {
+    whereConditions.push('t.is_active = TRUE');
+  }
+
   const queryText = `
-    SELECT id, name, specialty, template_data, created_at, updated_at
-    FROM templates
-    WHERE user_id = $1 OR is_public = true
-    ORDER BY name ASC
+    SELECT t.id, t.user_id, t.organization_id, o.name AS organization_name, t.name, t.description,
+      t.specialty, t.prompt_template, t.structure, t.is_system_template, t.is_active, t.version,
+      t.current_version_id, t.created_at, t.updated_at
+    FROM templates t
+    LEFT JOIN organizations o ON o.id = t.organization_id
+    WHERE ${whereConditions.join(' AND ')}
+    ORDER BY t.is_system_template DESC, t.organization_id IS NULL, t.name ASC
   `;
   
   try {
-    const result = await query(queryText, [userId]);
+    const result = await query(queryText, queryParams);
     return result.rows;
   } catch (error) {
     console.error('Error getting templates:', error);
@@ -392,6 +576,823 @@ async function getTemplates(userId) {
   }
 }
 
+/**
+ * Gets an active template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template
+ */
+async function getTemplateById(templateId) {
+  const result = await query('SELECT * FROM templates WHERE id = $1 AND is_active = TRUE', [templateId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Template not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Gets an active template the user can see: a system template, their own or
+ * one in an organization they belong to
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object>} Template
+ */
+async function getAccessibleTemplate(templateId, userId) {
+  const queryText = `
+    SELECT t.*
+    FROM templates t
+    WHERE t.id = $1 AND t.is_active = TRUE AND (
+      t.user_id = $2 OR t.is_system_template = TRUE
+      OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+    )
+  `;
+
+  const result = await query(queryText, [templateId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Template not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Gets the active templates of one library: the user's own, or an organization's
+ * @param {string} userId - User ID
+ * @param {string} organizationId - Organization ID, or null for the user's own templates
+ * @returns {Promise<Array>} Templates
+ */
+async function getLibraryTemplates(userId, organizationId = null) {
+  const result = organizationId
+    ? await query(`
+      SELECT * FROM templates
+      WHERE organization_id = $1 AND is_active = TRUE
+        AND $1 IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+      ORDER BY name ASC
+    `, [organizationId, userId])
+    : await query('SELECT * FROM templates WHERE user_id = $1 AND is_active = TRUE ORDER BY name ASC', [userId]);
+
+  return result.rows;
+}
+
+/**
+ * Ensures a user may change a template: their own, or their organization's as an admin
+ * @param {Object} template - Template row
+ * @param {string} userId - User ID
+ * @param {string} action - Verb for the error message, e.g. 'update'
+ * @throws {Error} If the user may not change it
+ */
+async function assertTemplateEditable(template, userId, action) {
+  if (template.organization_id && !template.is_system_template) {
+    await assertOrganizationAdmin(userId, template.organization_id);
+    return;
+  }
+  if (template.is_system_template || template.user_id !== userId) {
+    throw new Error(`Cannot ${action} system template or template owned by another user`);
+  }
+}
+
+/**
+ * Gets a template version
+ * @param {string} versionId - Template version ID
+ * @returns {Promise<Object>} Template version
+ */
+async function getTemplateVersion(versionId) {
+  const result = await query('SELECT * FROM template_versions WHERE id = $1', [versionId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Template version not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Gets a template's versions, newest first
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Array>} Template versions
+ */
+async function getTemplateVersions(templateId, userId) {
+  const queryText = `
+    SELECT v.*
+    FROM template_versions v
+    JOIN templates t ON t.id = v.template_id
+    WHERE v.template_id = $1 AND (t.user_id = $2 OR t.is_system_template = TRUE
+      OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2))
+    ORDER BY v.version DESC
+  `;
+
+  const result = await query(queryText, [templateId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Template not found');
+  }
+
+  return result.rows;
+}
+
+/**
+ * Saves a template's current content as a version and makes it the current one
+ * @param {Object} client - Client in a transaction
+ * @param {Object} template - Template row, with version set to the new version number
+ * @param {string} userId - User saving the version
+ * @returns {Promise<Object>} Template with current_version_id set
+ */
+async function insertTemplateVersion(client, template, userId) {
+  const versionResult = await client.query(`
+    INSERT INTO template_versions (
+      template_id, version, name, description, specialty, structure, prompt_template, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [
+    template.id,
+    template.version,
+    template.name,
+    template.description,
+    template.specialty,
+    JSON.stringify(template.structure),
+    template.prompt_template,
+    userId || null
+  ]);
+
+  const result = await client.query(
+    'UPDATE templates SET current_version_id = $2 WHERE id = $1 RETURNING *',
+    [template.id, versionResult.rows[0].id]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Creates a custom template as version 1, for the user or, for organization
+ * admins, in the organization's library
+ * @param {Object} templateData - { userId, name, description, specialty, promptTemplate, structure, organizationId }
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(templateData) {
+  const { userId, name, description, specialty, promptTemplate, structure, organizationId = null } = templateData;
+
+  if (organizationId) {
+    await assertOrganizationAdmin(userId, organizationId);
+  }
+
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO templates (
+        user_id, organization_id, name, description, specialty, prompt_template, structure, is_system_template, version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, FALSE, 1)
+      RETURNING *
+    `, [
+      organizationId ? null : userId,
+      organizationId,
+      name,
+      description || null,
+      specialty,
+      promptTemplate,
+      JSON.stringify(normalizeStructure(structure))
+    ]);
+
+    return insertTemplateVersion(client, result.rows[0], userId);
+  });
+}
+
+/**
+ * Updates a template; changes to its content are saved as a new version
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID for authorization
+ * @param {Object} updateData - Fields to update (name, description, specialty, prompt_template, structure, is_active)
+ * @returns {Promise<Object>} Updated template
+ */
+async function updateTemplate(templateId, userId, updateData) {
+  const allowedFields = ['name', 'description', 'specialty', 'prompt_template', 'structure', 'is_active'];
+
+  const updates = Object.fromEntries(
+    Object.entries(updateData).filter(([key]) => allowedFields.includes(key))
+  );
+  if (updates.structure) {
+    updates.structure = normalizeStructure(updates.structure);
+  }
+
+  return withTransaction(async (client) => {
+    // Lock the template so concurrent edits get consecutive versions
+    const checkResult = await client.query('SELECT * FROM templates WHERE id = $1 FOR UPDATE', [templateId]);
+
+    if (checkResult.rows.length === 0) {
+      throw new Error('Template not found');
+    }
+
+    const template = checkResult.rows[0];
+
+    await assertTemplateEditable(template, userId, 'update');
+
+    const newVersion = isNewVersion(template, updates);
+    const changed = Object.keys(updates).filter(key => key !== 'structure'
+      ? (updates[key] ?? null) !== (template[key] ?? null)
+      : newVersion);
+
+    if (changed.length === 0) {
+      return template;
+    }
+
+    const sets = changed.map((key, index) => `${key} = $${index + 2}`);
+    const values = [templateId, ...changed.map(key => (key === 'structure' ? JSON.stringify(updates[key]) : updates[key]))];
+
+    if (newVersion) {
+      sets.push('version = version + 1');
+    }
+
+    const result = await client.query(`
+      UPDATE templates
+      SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, values);
+
+    return newVersion
+      ? insertTemplateVersion(client, result.rows[0], userId)
+      : result.rows[0];
+  });
+}
+
+/**
+ * Deletes (deactivates) a template; notes keep the version they were generated with
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID for authorization
+ * @returns {Promise<Object>} Delete result
+ */
+async function deleteTemplate(templateId, userId) {
+  const checkResult = await query(
+    'SELECT is_system_template, user_id, organization_id FROM templates WHERE id = $1 AND is_active = TRUE',
+    [templateId]
+  );
+
+  if (checkResult.rows.length === 0) {
+    throw new Error('Template not found or already deleted');
+  }
+
+  await assertTemplateEditable(checkResult.rows[0], userId, 'delete');
+
+  const result = await query(
+    'UPDATE templates SET is_active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING id',
+    [templateId]
+  );
+
+  return { id: result.rows[0].id, deleted: true };
+}
+
+/**
+ * Creates a share link for the current version of a template the user can see
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { expiresInDays }: NULL or 0 never expires
+ * @returns {Promise<Object>} Share
+ */
+async function createTemplateShare(templateId, userId, { expiresInDays = null } = {}) {
+  const template = await getAccessibleTemplate(templateId, userId);
+
+  const queryText = `
+    INSERT INTO template_shares (token, template_id, template_version_id, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, CASE WHEN $5::int > 0 THEN NOW() + make_interval(days => $5::int) END)
+    RETURNING *
+  `;
+
+  const result = await query(queryText, [
+    crypto.randomBytes(24).toString('base64url'),
+    template.id,
+    template.current_version_id,
+    userId,
+    expiresInDays || 0
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Gets the active share links a user created for a template
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Shares, newest first, with the shared version number
+ */
+async function getTemplateShares(templateId, userId) {
+  const queryText = `
+    SELECT s.*, v.version
+    FROM template_shares s
+    JOIN template_versions v ON v.id = s.template_version_id
+    WHERE s.template_id = $1 AND s.created_by = $2 AND s.revoked_at IS NULL
+      AND (s.expires_at IS NULL OR s.expires_at > NOW())
+    ORDER BY s.created_at DESC
+  `;
+
+  const result = await query(queryText, [templateId, userId]);
+  return result.rows;
+}
+
+/**
+ * Gets the template version behind a share link
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} Template version, with share_expires_at
+ */
+async function getSharedTemplate(token) {
+  const queryText = `
+    SELECT v.*, s.expires_at AS share_expires_at
+    FROM template_shares s
+    JOIN template_versions v ON v.id = s.template_version_id
+    JOIN templates t ON t.id = s.template_id
+    WHERE s.token = $1 AND s.revoked_at IS NULL AND t.is_active = TRUE
+      AND (s.expires_at IS NULL OR s.expires_at > NOW())
+  `;
+
+  const result = await query(queryText, [token]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Shared template not found; the link may have expired or been revoked');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Revokes a share link the user created
+ * @param {string} shareId - Share ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { id, revoked }
+ */
+async function revokeTemplateShare(shareId, userId) {
+  const result = await query(
+    'UPDATE template_shares SET revoked_at = NOW() WHERE id = $1 AND created_by = $2 AND revoked_at IS NULL RETURNING id',
+    [shareId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Template share not found');
+  }
+
+  return { id: result.rows[0].id, revoked: true };
+}
+
+/**
+ * Gets the organizations a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Organizations with the user's role
+ */
+async function getUserOrganizations(userId) {
+  const queryText = `
+    SELECT o.id, o.name, m.role
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.user_id = $1
+    ORDER BY o.name ASC
+  `;
+  
+  const result = await query(queryText, [userId]);
+  return result.rows;
+}
+
+/**
+ * Ensures a user may edit an organization's shared configuration
+ * @param {string} userId - User ID
+ * @param {string} organizationId - Organization ID
+ * @throws {Error} If the user is not an admin of the organization
+ */
+async function assertOrganizationAdmin(userId, organizationId) {
+  const queryText = `
+    SELECT 1 FROM organization_members
+    WHERE organization_id = $1 AND user_id = $2 AND role = 'admin'
+  `;
+  
+  const result = await query(queryText, [organizationId, userId]);
+  
+  if (result.rows.length === 0) {
+    throw new Error('Forbidden: only organization admins can change shared settings');
+  }
+}
+
+/**
+ * Creates an organization; the user who creates it is its first admin
+ * @param {string} userId - User ID
+ * @param {Object} organizationData - { name }
+ * @returns {Promise<Object>} Organization (id, name, role)
+ */
+async function createOrganization(userId, { name }) {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO organizations (name, created_by)
+      VALUES ($1, $2)
+      RETURNING id, name
+    `, [name, userId]);
+
+    await client.query(`
+      INSERT INTO organization_members (organization_id, user_id, role)
+      VALUES ($1, $2, 'admin')
+    `, [result.rows[0].id, userId]);
+
+    return { ...result.rows[0], role: 'admin' };
+  });
+}
+
+/**
+ * Gets the members of an organization the user belongs to
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Members (user_id, role, created_at), admins first
+ */
+async function getOrganizationMembers(organizationId, userId) {
+  const queryText = `
+    SELECT user_id, role, created_at
+    FROM organization_members
+    WHERE organization_id = $1
+      AND $1 IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+    ORDER BY role = 'admin' DESC, created_at ASC
+  `;
+
+  const result = await query(queryText, [organizationId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Organization not found');
+  }
+
+  return result.rows;
+}
+
+/**
+ * Changes a member's role; only admins can, and an organization always keeps
+ * at least one admin
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberId - User ID of the member
+ * @param {string} role - admin or member
+ * @param {string} userId - User ID of the admin making the change
+ * @returns {Promise<Object>} Member (user_id, role, created_at)
+ */
+async function updateOrganizationMemberRole(organizationId, memberId, role, userId) {
+  await assertOrganizationAdmin(userId, organizationId);
+
+  return withTransaction(async (client) => {
+    // Lock the organization's admins so two admins can't demote each other at once
+    const admins = await client.query(`
+      SELECT user_id FROM organization_members
+      WHERE organization_id = $1 AND role = 'admin'
+      FOR UPDATE
+    `, [organizationId]);
+
+    if (role !== 'admin' && admins.rows.length === 1 && admins.rows[0].user_id === memberId) {
+      throw new Error('Cannot change the role of the only admin; make another member an admin first');
+    }
+
+    const result = await client.query(`
+      UPDATE organization_members
+      SET role = $3
+      WHERE organization_id = $1 AND user_id = $2
+      RETURNING user_id, role, created_at
+    `, [organizationId, memberId, role]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization member not found');
+    }
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Creates an invite link that adds whoever accepts it to the organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID of an admin
+ * @param {Object} options - { role, expiresInDays }
+ * @returns {Promise<Object>} Invite
+ */
+async function createOrganizationInvite(organizationId, userId, { role = 'member', expiresInDays = 7 } = {}) {
+  await assertOrganizationAdmin(userId, organizationId);
+
+  const queryText = `
+    INSERT INTO organization_invites (token, organization_id, role, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5::int))
+    RETURNING *
+  `;
+
+  const result = await query(queryText, [
+    crypto.randomBytes(24).toString('base64url'),
+    organizationId,
+    role,
+    userId,
+    expiresInDays
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Gets an organization's invites that can still be accepted
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID of an admin
+ * @returns {Promise<Array>} Invites, newest first
+ */
+async function getOrganizationInvites(organizationId, userId) {
+  await assertOrganizationAdmin(userId, organizationId);
+
+  const queryText = `
+    SELECT * FROM organization_invites
+    WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY created_at DESC
+  `;
+
+  const result = await query(queryText, [organizationId]);
+  return result.rows;
+}
+
+/**
+ * Revokes an invite that hasn't been accepted
+ * @param {string} organizationId - Organization ID
+ * @param {string} inviteId - Invite ID
+ * @param {string} userId - User ID of an admin
+ * @returns {Promise<Object>} { id, revoked }
+ */
+async function revokeOrganizationInvite(organizationId, inviteId, userId) {
+  await assertOrganizationAdmin(userId, organizationId);
+
+  const queryText = `
+    UPDATE organization_invites
+    SET revoked_at = NOW()
+    WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `;
+
+  const result = await query(queryText, [inviteId, organizationId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Organization invite not found');
+  }
+
+  return { id: result.rows[0].id, revoked: true };
+}
+
+/**
+ * Gets the organization behind an invite link, for any signed-in user with the link
+ * @param {string} token - Invite token
+ * @returns {Promise<Object>} { organization_id, organization_name, role, expires_at }
+ */
+async function getOrganizationInvite(token) {
+  const queryText = `
+    SELECT i.organization_id, o.name AS organization_name, i.role, i.expires_at
+    FROM organization_invites i
+    JOIN organizations o ON o.id = i.organization_id
+    WHERE i.token = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+  `;
+
+  const result = await query(queryText, [token]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Organization invite not found; the link may have expired, been used or been revoked');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Accepts an invite link, adding the user to its organization
+ * A user who already belongs keeps their role, unless the invite makes them an admin
+ * @param {string} token - Invite token
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Organization (id, name, role)
+ */
+async function acceptOrganizationInvite(token, userId) {
+  return withTransaction(async (client) => {
+    const invite = await client.query(`
+      UPDATE organization_invites
+      SET accepted_by = $2, accepted_at = NOW()
+      WHERE token = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING organization_id, role
+    `, [token, userId]);
+
+    if (invite.rows.length === 0) {
+      throw new Error('Organization invite not found; the link may have expired, been used or been revoked');
+    }
+
+    const { organization_id: organizationId, role } = invite.rows[0];
+    const member = await client.query(`
+      INSERT INTO organization_members (organization_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (organization_id, user_id) DO UPDATE
+        SET role = CASE WHEN EXCLUDED.role = 'admin' THEN 'admin' ELSE organization_members.role END
+      RETURNING role
+    `, [organizationId, userId, role]);
+
+    const organization = await client.query('SELECT id, name FROM organizations WHERE id = $1', [organizationId]);
+    return { ...organization.rows[0], role: member.rows[0].role };
+  });
+}
+
+/**
+ * Gets the vocabulary terms that apply to a user: their own plus their organizations'
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Terms with scope ('user' or 'organization') and organization_name
+ */
+async function getVocabularyTerms(userId) {
+  const queryText = `
+    SELECT t.*, o.name AS organization_name,
+      CASE WHEN t.user_id IS NULL THEN 'organization' ELSE 'user' END AS scope
+    FROM vocabulary_terms t
+    LEFT JOIN organizations o ON o.id = t.organization_id
+    WHERE t.user_id = $1
+      OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $1)
+    ORDER BY scope DESC, LOWER(t.phrase) ASC
+  `;
+  
+  try {
+    const result = await query(queryText, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting vocabulary terms:', error);
+    throw new Error(`Failed to get vocabulary terms: ${error.message}`);
+  }
+}
+
+/**
+ * Gets a single vocabulary term visible to the user
+ * @param {string} termId - Term ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Term
+ */
+async function getVocabularyTerm(termId, userId) {
+  const queryText = `
+    SELECT t.*
+    FROM vocabulary_terms t
+    WHERE t.id = $1 AND (
+      t.user_id = $2
+      OR t.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = $2)
+    )
+  `;
+  
+  const result = await query(queryText, [termId, userId]);
+  
+  if (result.rows.length === 0) {
+    throw new Error('Vocabulary term not found');
+  }
+  
+  return result.rows[0];
+}
+
+/**
+ * Creates a vocabulary term for the user or, for organization admins, the organization
+ * @param {string} userId - User ID
+ * @param {Object} termData - Term data (phrase, misrecognitions, category, boost, organizationId)
+ * @returns {Promise<Object>} Created term
+ */
+async function createVocabularyTerm(userId, termData) {
+  const { phrase, misrecognitions = [], category = 'other', boost = null, organizationId = null } = termData;
+  
+  if (organizationId) {
+    await assertOrganizationAdmin(userId, organizationId);
+  }
+  
+  const queryText = `
+    INSERT INTO vocabulary_terms (
+      user_id, organization_id, phrase, misrecognitions, category, boost, created_by, created_at, updated_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $8
+    ) RETURNING *
+  `;
+  
+  const result = await query(queryText, [
+    organizationId ? null : userId,
+    organizationId,
+    phrase,
+    misrecognitions,
+    category,
+    boost,
+    userId,
+    new Date().toISOString()
+  ]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Updates a vocabulary term
+ * Personal terms can be edited by their owner, shared terms by organization admins
+ * @param {string} termId - Term ID
+ * @param {string} userId - User ID
+ * @param {Object} termData - Fields to update (phrase, misrecognitions, category, boost)
+ * @returns {Promise<Object>} Updated term
+ */
+async function updateVocabularyTerm(termId, userId, termData) {
+  const term = await getVocabularyTerm(termId, userId);
+  if (term.organization_id) {
+    await assertOrganizationAdmin(userId, term.organization_id);
+  }
+  
+  const updates = [];
+  const values = [termId];
+  let paramIndex = 2;
+  
+  const updateableFields = ['phrase', 'misrecognitions', 'category', 'boost'];
+  
+  updateableFields.forEach(field => {
+    if (termData[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex}`);
+      values.push(termData[field]);
+      paramIndex++;
+    }
+  });
+  
+  updates.push(`updated_at = $${paramIndex}`);
+  values.push(new Date().toISOString());
+  
+  const updateQuery = `
+    UPDATE vocabulary_terms
+    SET ${updates.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `;
+  
+  const result = await query(updateQuery, values);
+  return result.rows[0];
+}
+
+/**
+ * Deletes a vocabulary term
+ * @param {string} termId - Term ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function deleteVocabularyTerm(termId, userId) {
+  const term = await getVocabularyTerm(termId, userId);
+  if (term.organization_id) {
+    await assertOrganizationAdmin(userId, term.organization_id);
+  }
+  
+  await query('DELETE FROM vocabulary_terms WHERE id = $1', [termId]);
+  return true;
+}
+
+/**
+ * Gets the user's in-progress dictation draft
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Draft, or null if there is none
+ */
+async function getDictationDraft(userId) {
+  const result = await query('SELECT * FROM dictation_drafts WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Saves the user's in-progress dictation draft, replacing any earlier one
+ * @param {string} userId - User ID
+ * @param {Object} draftData - Draft data (id, transcript, transcriptPieces, transcriptSegments,
+ *   recordingTime, templateId, patient)
+ * @returns {Promise<Object>} Saved draft
+ */
+async function saveDictationDraft(userId, draftData) {
+  const queryText = `
+    INSERT INTO dictation_drafts (
+      id, user_id, transcript, transcript_pieces, transcript_segments,
+      recording_time, template_id, patient, created_at, updated_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $9
+    )
+    ON CONFLICT (user_id) DO UPDATE SET
+      id = EXCLUDED.id,
+      transcript = EXCLUDED.transcript,
+      transcript_pieces = EXCLUDED.transcript_pieces,
+      transcript_segments = EXCLUDED.transcript_segments,
+      recording_time = EXCLUDED.recording_time,
+      template_id = EXCLUDED.template_id,
+      patient = EXCLUDED.patient,
+      created_at = CASE WHEN dictation_drafts.id = EXCLUDED.id THEN dictation_drafts.created_at ELSE EXCLUDED.created_at END,
+      updated_at = EXCLUDED.updated_at
+    RETURNING *
+  `;
+  
+  const result = await query(queryText, [
+    draftData.id,
+    userId,
+    draftData.transcript || '',
+    draftData.transcriptPieces ? JSON.stringify(draftData.transcriptPieces) : null,
+    draftData.transcriptSegments ? JSON.stringify(draftData.transcriptSegments) : null,
+    draftData.recordingTime || 0,
+    draftData.templateId || null,
+    draftData.patient ? JSON.stringify(draftData.patient) : null,
+    new Date().toISOString()
+  ]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Deletes the user's dictation draft
+ * @param {string} userId - User ID
+ * @param {string} [draftId] - Only delete the draft if it is still this session
+ * @returns {Promise<boolean>} True if a draft was deleted
+ */
+async function deleteDictationDraft(userId, draftId = null) {
+  const result = draftId
+    ? await query('DELETE FROM dictation_drafts WHERE user_id = $1 AND id = $2', [userId, draftId])
+    : await query('DELETE FROM dictation_drafts WHERE user_id = $1', [userId]);
+  
+  return result.rowCount > 0;
+}
+
 /**
  * Checks if the database connection is healthy
  * @returns {Promise<boolean>} Whether the database is connected
@@ -405,8 +1406,42 @@ module.exports = {
   getNote,
   createNote,
   updateNote,
+  createNoteVersion,
+  updateNoteSection,
+  updateNoteCodes,
   deleteNote,
   findOrCreatePatient,
+  getPatient,
+  updatePatientMedications,
   getTemplates,
+  getTemplateById,
+  getAccessibleTemplate,
+  getLibraryTemplates,
+  getTemplateVersion,
+  getTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createTemplateShare,
+  getTemplateShares,
+  getSharedTemplate,
+  revokeTemplateShare,
+  getUserOrganizations,
+  createOrganization,
+  getOrganizationMembers,
+  updateOrganizationMemberRole,
+  createOrganizationInvite,
+  getOrganizationInvites,
+  revokeOrganizationInvite,
+  getOrganizationInvite,
+  acceptOrganizationInvite,
+  getVocabularyTerms,
+  getVocabularyTerm,
+  createVocabularyTerm,
+  updateVocabularyTerm,
+  deleteVocabularyTerm,
+  getDictationDraft,
+  saveDictationDraft,
+  deleteDictationDraft,
   checkDatabaseHealth
 };
@@ -0,0 +1,550 @@
+/**
+ * SOAP Schema Service
+ * Defines the structure of a generated SOAP note and checks model output
+ * against it. The schema is sent to the LLM provider so output is constrained
+ * at generation time; validateSoapNote then repairs what can be
+ * repaired and reports the rest, so callers know exactly which fields were
+ * fixed up or are missing.
+ *
+ * A note is
+ *   { subjective, objective, assessment, plan,
+ *     problems: [{ name, status, notes }],
+ *     medications: [{ name, dose, route, frequency, action }],
+ *     vitals: [{ type, value, unit }],
+ *     followUps: [{ description, timeframe }] }
+ * The model also returns sources: [{ section, sentence, quotes }], which is
+ * not part of the note; sourceAttributionService turns it into attributions.
+ *
+ * Templates can replace the four SOAP sections with their own ordered
+ * sections (see templateService): [{ key, name, description, type, unit, options }].
+ * Each section is stored under its key, with a value that depends on its type:
+ *   text      - string
+ *   bullets   - list of strings
+ *   checklist - list of the options that apply; anything else the model
+ *               listed follows them and is reported as an error
+ *   number    - number (in the section's unit) or null
+ *   dropdown  - one of the options, or null
+ *   date      - "YYYY-MM-DD", or null
+ * The problems, medications, vitals and followUps lists are kept whatever the
+ * sections are. Functions that take sections default to the SOAP layout.
+ */
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const SECTION_TYPES = ['text', 'bullets', 'checklist', 'number', 'dropdown', 'date'];
+
+// The SOAP layout as sections
+const SOAP_LAYOUT = SOAP_SECTIONS.map(key => ({
+  key,
+  name: key.charAt(0).toUpperCase() + key.slice(1),
+  description: '',
+  type: 'text',
+}));
+
+const PROBLEM_STATUSES = ['active', 'chronic', 'resolved', 'suspected'];
+const MEDICATION_ACTIONS = ['continue', 'start', 'stop', 'hold', 'change'];
+const VITAL_TYPES = [
+  'blood_pressure',
+  'heart_rate',
+  'respiratory_rate',
+  'temperature',
+  'oxygen_saturation',
+  'weight',
+  'height',
+  'bmi',
+  'pain_score',
+  'other',
+];
+
+const stringField = (description) => ({ type: 'string', description });
+
+// JSON Schema; providers convert it to their own response format
+const SOAP_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    subjective: stringField("Patient's history, complaints and symptoms in their own words"),
+    objective: stringField('Examination findings, vital signs and test results'),
+    assessment: stringField('Diagnosis or clinical impression'),
+    plan: stringField('Treatment, medications, follow-up instructions and referrals'),
+    problems: {
+      type: 'array',
+      description: 'Problems or diagnoses addressed in the visit',
+      items: {
+        type: 'object',
+        properties: {
+          name: stringField('Problem or diagnosis'),
+          status: { type: 'string', enum: PROBLEM_STATUSES },
+          notes: stringField('Relevant detail, if any'),
+        },
+        required: ['name', 'status'],
+      },
+    },
+    medications: {
+      type: 'array',
+      description: 'Medications mentioned, with what is being done with each',
+      items: {
+        type: 'object',
+        properties: {
+          name: stringField('Medication name exactly as stated'),
+          dose: stringField('Dose with units, if stated'),
+          route: stringField('Route, if stated'),
+          frequency: stringField('Frequency, if stated'),
+          action: { type: 'string', enum: MEDICATION_ACTIONS },
+        },
+        required: ['name', 'action'],
+      },
+    },
+    vitals: {
+      type: 'array',
+      description: 'Vital signs stated in the transcript',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: VITAL_TYPES },
+          value: stringField('Value exactly as stated, e.g. "120/80" or "98.6"'),
+          unit: stringField('Unit, if stated'),
+        },
+        required: ['type', 'value'],
+      },
+    },
+    followUps: {
+      type: 'array',
+      description: 'Follow-up appointments, tests or referrals',
+      items: {
+        type: 'object',
+        properties: {
+          description: stringField('What should happen'),
+          timeframe: stringField('When, if stated, e.g. "2 weeks"'),
+        },
+        required: ['description'],
+      },
+    },
+    sources: {
+      type: 'array',
+      description: 'For every sentence written in a SOAP section, the transcript text that supports it',
+      items: {
+        type: 'object',
+        properties: {
+          section: { type: 'string', enum: SOAP_SECTIONS },
+          sentence: stringField('The sentence exactly as written in the section'),
+          quotes: {
+            type: 'array',
+            description: 'Verbatim excerpts of the transcript supporting the sentence; empty if nothing does',
+            items: { type: 'string' },
+          },
+        },
+        required: ['section', 'sentence', 'quotes'],
+      },
+    },
+  },
+  required: [...SOAP_SECTIONS, 'problems', 'medications', 'vitals', 'followUps'],
+};
+
+/**
+ * Whether sections are the plain SOAP layout
+ * @param {Array} sections - Sections
+ * @returns {boolean} True for subjective, objective, assessment and plan as text
+ */
+function isSoapLayout(sections = SOAP_LAYOUT) {
+  return sections.length === SOAP_SECTIONS.length
+    && sections.every((section, index) => section.key === SOAP_SECTIONS[index] && (section.type || 'text') === 'text');
+}
+
+/**
+ * Sections a note was generated with; notes from before templates had sections are SOAP
+ * @param {Object} note - Note, with template.sections when generated from a template
+ * @returns {Array} Sections
+ */
+function noteLayout(note) {
+  const sections = note?.template?.sections;
+  return Array.isArray(sections) && sections.length > 0 ? sections : SOAP_LAYOUT;
+}
+
+/**
+ * Keys of the sections written as prose, which are streamed and attributed
+ * @param {Array} sections - Sections
+ * @returns {Array} Keys
+ */
+function textSectionKeys(sections = SOAP_LAYOUT) {
+  return sections.filter(section => (section.type || 'text') === 'text').map(section => section.key);
+}
+
+/**
+ * JSON Schema for one section
+ * @param {Object} section - Section
+ * @returns {Object} JSON Schema
+ */
+function sectionSchema({ name, description, type = 'text', unit, options = [] }) {
+  const about = description || name;
+  switch (type) {
+    case 'bullets':
+      return { type: 'array', description: `${about}, one item per entry`, items: { type: 'string' } };
+    case 'checklist':
+      return { type: 'array', description: `${about}: only the items that apply`, items: { type: 'string', enum: options } };
+    case 'number':
+      return { type: 'number', description: `${about}${unit ? `, in ${unit}` : ''}; omit if not stated` };
+    case 'dropdown':
+      return { type: 'string', enum: options, description: `${about}; omit if not stated` };
+    case 'date':
+      return { type: 'string', description: `${about} as YYYY-MM-DD; omit if not stated` };
+    default:
+      return stringField(about);
+  }
+}
+
+/**
+ * Response schema for a note with the given sections
+ * @param {Array} sections - Sections
+ * @returns {Object} JSON Schema; SOAP_RESPONSE_SCHEMA for the SOAP layout
+ */
+function buildNoteSchema(sections = SOAP_LAYOUT) {
+  if (isSoapLayout(sections)) return SOAP_RESPONSE_SCHEMA;
+
+  const { problems, medications, vitals, followUps, sources } = SOAP_RESPONSE_SCHEMA.properties;
+  const textKeys = textSectionKeys(sections);
+
+  return {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries(sections.map(section => [section.key, sectionSchema(section)])),
+      problems,
+      medications,
+      vitals,
+      followUps,
+      sources: {
+        ...sources,
+        description: 'For every sentence written in a text section, the transcript text that supports it',
+        items: {
+          ...sources.items,
+          properties: { ...sources.items.properties, section: { type: 'string', enum: textKeys } },
+        },
+      },
+    },
+    required: [
+      ...sections.filter(section => ['text', 'bullets'].includes(section.type || 'text')).map(section => section.key),
+      'problems', 'medications', 'vitals', 'followUps',
+    ],
+  };
+}
+
+/**
+ * A section's value as text, e.g. for checking it against the transcript
+ * @param {Object} section - Section
+ * @param {*} value - Value stored under the section's key
+ * @returns {string} Text ('' when empty)
+ */
+function sectionText(section, value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.filter(Boolean).join(section.type === 'checklist' ? ', ' : '\n');
+  if (section.type === 'number') return section.unit ? `${value} ${section.unit}` : String(value);
+  return String(value);
+}
+
+/**
+ * A note's text arranged as the four SOAP sections, for the extractors that
+ * read them (vitals, medication orders). Sections a custom layout keeps under
+ * a SOAP key are used as they are; otherwise all of its text counts as both
+ * findings (objective) and orders (plan)
+ * @param {Object} note - Note
+ * @param {Array} sections - Sections of the note
+ * @returns {Object} The note with subjective, objective, assessment and plan as text
+ */
+function soapTextView(note, sections = SOAP_LAYOUT) {
+  if (isSoapLayout(sections)) return note;
+
+  const textOf = key => {
+    const section = sections.find(candidate => candidate.key === key);
+    return section ? sectionText(section, note[key]) : null;
+  };
+  const allText = sections.map(section => sectionText(section, note[section.key])).filter(Boolean).join('\n');
+  const objective = textOf('objective');
+  const plan = textOf('plan');
+
+  return {
+    ...note,
+    subjective: objective === null ? '' : textOf('subjective') || '',
+    objective: objective ?? allText,
+    assessment: textOf('assessment') || '',
+    plan: plan ?? allText,
+  };
+}
+
+/**
+ * Whether a section value is empty
+ * @param {*} value - Section value
+ * @returns {boolean} True for '', [], null and undefined
+ */
+function isEmptySectionValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// How array items are checked: required string fields, optional string fields and enums
+const LIST_FIELDS = {
+  problems: { required: ['name'], optional: ['notes'], enums: { status: { values: PROBLEM_STATUSES, fallback: 'active' } } },
+  medications: { required: ['name'], optional: ['dose', 'route', 'frequency'], enums: { action: { values: MEDICATION_ACTIONS, fallback: 'continue' } } },
+  vitals: { required: ['value'], optional: ['unit'], enums: { type: { values: VITAL_TYPES, fallback: 'other' } } },
+  followUps: { required: ['description'], optional: ['timeframe'], enums: {} },
+};
+
+/**
+ * Convert a value the model returned in place of text to a string
+ * @param {*} value - Value
+ * @returns {string|null} Text, or null if the value can't sensibly be text
+ */
+function toText(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value.join('\n').trim();
+  return null;
+}
+
+/**
+ * Check one list item, repairing types and enum values where possible
+ * @param {*} item - Item from the model
+ * @param {Object} rules - Entry of LIST_FIELDS
+ * @param {string} path - Path of the item, for reporting
+ * @param {Object} report - { repaired, missing } to add to
+ * @returns {Object|null} Clean item, or null if it must be dropped
+ */
+function validateListItem(item, rules, path, report) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    report.repaired.push(`${path} (dropped: not an object)`);
+    return null;
+  }
+
+  const clean = {};
+
+  for (const field of rules.required) {
+    const text = toText(item[field]);
+    if (!text) {
+      report.repaired.push(`${path} (dropped: no ${field})`);
+      return null;
+    }
+    if (text !== item[field]) report.repaired.push(`${path}.${field}`);
+    clean[field] = text;
+  }
+
+  for (const field of rules.optional) {
+    if (item[field] === undefined || item[field] === null || item[field] === '') continue;
+    const text = toText(item[field]);
+    if (text === null) {
+      report.repaired.push(`${path}.${field}`);
+      continue;
+    }
+    if (text !== item[field]) report.repaired.push(`${path}.${field}`);
+    clean[field] = text;
+  }
+
+  for (const [field, { values, fallback }] of Object.entries(rules.enums)) {
+    const value = typeof item[field] === 'string' ? item[field].trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+    if (values.includes(value)) {
+      if (value !== item[field]) report.repaired.push(`${path}.${field}`);
+      clean[field] = value;
+    } else {
+      report.repaired.push(`${path}.${field}`);
+      clean[field] = fallback;
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * Match a value to one of a section's options, ignoring case
+ * @param {*} value - Value from the model
+ * @param {Array} options - Allowed options
+ * @returns {string|null} The option, or null
+ */
+function matchOption(value, options = []) {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase();
+  return options.find(option => option.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Check one section's value, repairing its type where possible
+ * @param {Object} section - Section
+ * @param {*} value - Value from the model (not undefined or null)
+ * @param {Object} report - { repaired } to add to
+ * @param {Array} errors - Errors to add to
+ * @returns {*} Clean value
+ */
+function validateSectionValue(section, value, report, errors) {
+  const { key, type = 'text', options = [] } = section;
+
+  switch (type) {
+    case 'bullets': {
+      // A string is split into its lines, without list markers
+      const items = Array.isArray(value)
+        ? value.map(toText)
+        : (toText(value) || '').split(/\n+/).map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim());
+      const clean = items.filter(Boolean);
+      if (!Array.isArray(value) || clean.length !== value.length || clean.some((item, index) => item !== value[index])) {
+        report.repaired.push(key);
+      }
+      return clean;
+    }
+    case 'checklist': {
+      // Items that aren't options are kept as written after the options and
+      // reported, so the model is asked again but nothing it found is lost
+      const items = (Array.isArray(value) ? value : String(value).split(/[,\n]+/)).map(toText).filter(Boolean);
+      const matched = items.map(item => matchOption(item, options)).filter(Boolean);
+      const offList = items.filter(item => !matchOption(item, options));
+      const clean = [...new Set([...matched, ...offList])];
+      if (offList.length > 0) {
+        errors.push(`"${key}" lists ${offList.map(item => `"${item}"`).join(', ')}, which ${offList.length === 1 ? 'is' : 'are'} not one of its options (${options.join(', ')})`);
+      }
+      if (!Array.isArray(value) || clean.length !== value.length || clean.some((item, index) => item !== value[index])) {
+        report.repaired.push(key);
+      }
+      return clean;
+    }
+    case 'number': {
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      const match = String(value).match(/-?\d+(?:\.\d+)?/);
+      report.repaired.push(key);
+      return match ? Number(match[0]) : null;
+    }
+    case 'dropdown': {
+      const option = matchOption(value, options);
+      if (option !== value) report.repaired.push(key);
+      return option;
+    }
+    case 'date': {
+      const text = toText(value);
+      if (text && /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text))) return text;
+      report.repaired.push(key);
+      // Dates without a time parse as local midnight, so the local date is the one meant
+      const parsed = text ? new Date(text) : null;
+      if (!parsed || Number.isNaN(parsed.getTime())) return null;
+      return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+    }
+    default: {
+      const text = toText(value);
+      if (text === null) {
+        errors.push(`"${key}" must be a string`);
+        return '';
+      }
+      if (text !== value) report.repaired.push(key);
+      return text;
+    }
+  }
+}
+
+/**
+ * Validate a generated note against the schema for its sections
+ * Wrong types are coerced, invalid list items dropped and unknown enum values
+ * replaced, except checklist items that aren't options, which are kept and
+ * reported in errors; each fix is listed in repairedFields. Absent fields are listed in
+ * missingFields. errors lists problems serious enough to ask the model again.
+ * @param {*} candidate - Parsed model output
+ * @param {Array} sections - Sections of the note; defaults to SOAP
+ * @returns {Object} { note, errors, repairedFields, missingFields }
+ */
+function validateSoapNote(candidate, sections = SOAP_LAYOUT) {
+  const report = { repaired: [], missing: [] };
+  const errors = [];
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return {
+      note: null,
+      errors: ['Response is not a JSON object'],
+      repairedFields: [],
+      missingFields: [...sections.map(section => section.key), ...Object.keys(LIST_FIELDS)],
+    };
+  }
+
+  const note = {};
+
+  for (const section of sections) {
+    const value = candidate[section.key];
+    if (value === undefined || value === null) {
+      report.missing.push(section.key);
+      const type = section.type || 'text';
+      note[section.key] = type === 'text' ? '' : ['bullets', 'checklist'].includes(type) ? [] : null;
+      continue;
+    }
+
+    note[section.key] = validateSectionValue(section, value, report, errors);
+  }
+
+  if (sections.every(section => isEmptySectionValue(note[section.key]))) {
+    errors.push(isSoapLayout(sections) ? 'All SOAP sections are empty' : 'All note sections are empty');
+  }
+
+  for (const [field, rules] of Object.entries(LIST_FIELDS)) {
+    const value = candidate[field];
+    if (value === undefined || value === null) {
+      report.missing.push(field);
+      note[field] = [];
+      continue;
+    }
+
+    let items = value;
+    if (!Array.isArray(items)) {
+      // A single object where a list was expected
+      report.repaired.push(field);
+      items = typeof items === 'object' ? [items] : [];
+    }
+
+    note[field] = items
+      .map((item, index) => validateListItem(item, rules, `${field}[${index}]`, report))
+      .filter(Boolean);
+  }
+
+  return {
+    note,
+    errors,
+    repairedFields: report.repaired,
+    missingFields: report.missing,
+  };
+}
+
+/**
+ * Pattern for a section key followed by a complete (closed) JSON string
+ * @param {Array} keys - Text section keys (letters, digits and underscores)
+ * @returns {RegExp} Global pattern capturing the key and the string literal
+ */
+function completedSectionPattern(keys) {
+  return new RegExp(`"(${keys.join('|')})"\\s*:\\s*("(?:[^"\\\\]|\\\\.)*")`, 'g');
+}
+
+/**
+ * Find the text sections that are already complete in a partial JSON response
+ * Used while a response streams in; other fields are left to validateSoapNote
+ * @param {string} partialJson - Response text received so far
+ * @param {Array} keys - Text section keys; defaults to the SOAP sections
+ * @returns {Object} Section name to text, for sections whose string has closed
+ */
+function extractCompletedSections(partialJson, keys = SOAP_SECTIONS) {
+  const sections = {};
+  if (keys.length === 0) return sections;
+
+  for (const [, section, literal] of partialJson.matchAll(completedSectionPattern(keys))) {
+    try {
+      sections[section] = JSON.parse(literal).trim();
+    } catch (error) {
+      // Not a valid string literal yet; it will be seen again in a later chunk
+    }
+  }
+  return sections;
+}
+
+module.exports = {
+  SOAP_SECTIONS,
+  SECTION_TYPES,
+  SOAP_LAYOUT,
+  PROBLEM_STATUSES,
+  MEDICATION_ACTIONS,
+  VITAL_TYPES,
+  SOAP_RESPONSE_SCHEMA,
+  isSoapLayout,
+  noteLayout,
+  textSectionKeys,
+  buildNoteSchema,
+  sectionText,
+  soapTextView,
+  isEmptySectionValue,
+  validateSoapNote,
+  extractCompletedSections,
+};
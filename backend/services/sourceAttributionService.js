@@ -0,0 +1,245 @@
+/**
+ * Source Attribution Service
+ * Links each sentence of a generated SOAP note back to the transcript text
+ * that supports it, so clinicians can check the note before signing.
+ *
+ * The model returns, per sentence, verbatim quotes from the transcript
+ * (the "sources" list of SOAP_RESPONSE_SCHEMA). Quotes are located in the
+ * transcript here rather than trusting model-reported offsets; sentences the
+ * model gave no usable quote for are matched by shared words instead.
+ * Sentences with no support either way are marked unsupported.
+ *
+ * Attributions are { [section]: [{ text, start, end, spans, segmentIds, supported }] }
+ * where start/end are offsets in the section text, spans are
+ * [{ start, end }] offsets in the transcript and segmentIds are the
+ * transcript segments the spans fall in.
+ */
+
+const { SOAP_SECTIONS } = require('./soapSchemaService');
+
+// Quotes shorter than this (after normalizing) match too much to mean anything
+const MIN_QUOTE_LENGTH = 4;
+
+// Share of a sentence's words a transcript sentence must contain to support it
+const MIN_WORD_OVERLAP = 0.5;
+
+// Transcript sentences kept per note sentence when matching by words
+const MAX_WORD_MATCHES = 2;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'was', 'were', 'has', 'have', 'had',
+  'are', 'but', 'not', 'his', 'her', 'she', 'him', 'they', 'them', 'their', 'from',
+  'will', 'any', 'all', 'also', 'per', 'patient', 'reports', 'states', 'noted',
+]);
+
+/**
+ * Split text into sentences with their offsets
+ * A period only ends a sentence when followed by whitespace, so "98.6" stays whole
+ * @param {string} text - Text to split
+ * @returns {Array} [{ text, start, end }]
+ */
+function splitSentences(text = '') {
+  return [...text.matchAll(/\S[^\n]*?(?:[.!?](?=\s|$)|(?=\n)|$)/g)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Lowercase text and reduce it to words separated by single spaces, keeping
+ * the original offset of every remaining character
+ * @param {string} text - Text
+ * @returns {Object} { normalized, offsets }
+ */
+function normalize(text = '') {
+  let normalized = '';
+  const offsets = [];
+  let gap = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (!/[\p{L}\p{N}]/u.test(char)) {
+      gap = true;
+      continue;
+    }
+    if (gap && normalized) {
+      normalized += ' ';
+      offsets.push(index);
+    }
+    const lower = char.toLowerCase();
+    normalized += lower.length === 1 ? lower : char;
+    offsets.push(index);
+    gap = false;
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Words of a sentence that say something (numbers and non-stop words)
+ * @param {string} text - Sentence
+ * @returns {Set<string>} Words
+ */
+function contentWords(text) {
+  return new Set(
+    normalize(text).normalized
+      .split(' ')
+      .filter(word => /\d/.test(word) || (word.length >= 3 && !STOP_WORDS.has(word)))
+  );
+}
+
+/**
+ * Find a quote in the transcript, ignoring case, punctuation and spacing
+ * @param {Object} transcriptIndex - normalize() result for the transcript
+ * @param {string} quote - Quote from the model
+ * @returns {Object|null} { start, end } in the transcript
+ */
+function locateQuote(transcriptIndex, quote) {
+  if (typeof quote !== 'string') return null;
+
+  const needle = normalize(quote).normalized;
+  if (needle.length < MIN_QUOTE_LENGTH) return null;
+
+  const position = transcriptIndex.normalized.indexOf(needle);
+  if (position === -1) return null;
+
+  return {
+    start: transcriptIndex.offsets[position],
+    end: transcriptIndex.offsets[position + needle.length - 1] + 1,
+  };
+}
+
+/**
+ * Find transcript sentences sharing most of a sentence's words
+ * @param {Array} transcriptSentences - splitSentences(transcript) with a words set each
+ * @param {string} sentence - Note sentence
+ * @returns {Array} [{ start, end }] in the transcript
+ */
+function matchByWords(transcriptSentences, sentence) {
+  const words = contentWords(sentence);
+  if (words.size === 0) return [];
+
+  return transcriptSentences
+    .map(candidate => {
+      let shared = 0;
+      for (const word of words) {
+        if (candidate.words.has(word)) shared++;
+      }
+      return { candidate, overlap: shared / words.size };
+    })
+    .filter(({ overlap }) => overlap >= MIN_WORD_OVERLAP)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, MAX_WORD_MATCHES)
+    .map(({ candidate }) => ({ start: candidate.start, end: candidate.end }));
+}
+
+/**
+ * Sort spans and merge the ones that overlap or touch
+ * @param {Array} spans - [{ start, end }]
+ * @returns {Array} Merged spans
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find where each segment's text sits in the transcript
+ * @param {string} transcript - Transcript
+ * @param {Array} segments - Transcript segments
+ * @returns {Array} [{ id, start, end }]
+ */
+function locateSegments(transcript, segments = []) {
+  const ranges = [];
+  let cursor = 0;
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    const start = transcript.indexOf(text, cursor);
+    if (start === -1) continue;
+
+    ranges.push({ id: segment.id, start, end: start + text.length });
+    cursor = start + text.length;
+  }
+
+  return ranges;
+}
+
+/**
+ * Find the model's source entry for a sentence, consuming it
+ * @param {Array} entries - Remaining source entries for the section
+ * @param {string} sentence - Note sentence
+ * @returns {Object|undefined} Source entry
+ */
+function takeSourceEntry(entries, sentence) {
+  const wanted = normalize(sentence).normalized;
+  const index = entries.findIndex(entry => {
+    const written = normalize(entry.sentence).normalized;
+    return written && (written === wanted || written.includes(wanted) || wanted.includes(written));
+  });
+  return index === -1 ? undefined : entries.splice(index, 1)[0];
+}
+
+/**
+ * Attribute every sentence of a SOAP note to the transcript
+ * @param {Object} note - Note with the SOAP sections
+ * @param {string} transcript - Transcript the note was generated from
+ * @param {Object} options - { sources: model source entries, segments: transcript
+ *   segments, sections: keys of the free-text sections, the SOAP sections by default }
+ * @returns {Object} Attributions by section
+ */
+function attributeNote(note, transcript = '', { sources = [], segments = [], sections = SOAP_SECTIONS } = {}) {
+  const transcriptIndex = normalize(transcript);
+  const transcriptSentences = splitSentences(transcript)
+    .map(sentence => ({ ...sentence, words: contentWords(sentence.text) }));
+  const segmentRanges = locateSegments(transcript, segments);
+
+  const entriesBySection = {};
+  for (const entry of Array.isArray(sources) ? sources : []) {
+    if (!entry || !sections.includes(entry.section) || typeof entry.sentence !== 'string') continue;
+    (entriesBySection[entry.section] = entriesBySection[entry.section] || []).push(entry);
+  }
+
+  const attributions = {};
+
+  for (const section of sections) {
+    const entries = entriesBySection[section] || [];
+
+    attributions[section] = splitSentences(typeof note[section] === 'string' ? note[section] : '').map(sentence => {
+      const entry = takeSourceEntry(entries, sentence.text);
+      const quotes = Array.isArray(entry?.quotes) ? entry.quotes : [];
+
+      let spans = quotes.map(quote => locateQuote(transcriptIndex, quote)).filter(Boolean);
+
+      // An entry with no quotes is the model saying nothing supports the sentence
+      if (spans.length === 0 && (!entry || quotes.length > 0)) {
+        spans = matchByWords(transcriptSentences, sentence.text);
+      }
+      spans = mergeSpans(spans);
+
+      const segmentIds = segmentRanges
+        .filter(range => spans.some(span => span.start < range.end && span.end > range.start))
+        .map(range => range.id);
+
+      return { ...sentence, spans, segmentIds, supported: spans.length > 0 };
+    });
+  }
+
+  return attributions;
+}
+
+module.exports = {
+  splitSentences,
+  attributeNote,
+};
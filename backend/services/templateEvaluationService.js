@@ -0,0 +1,318 @@
+/**
+ * Template Evaluation Service
+ * Scores generated notes against a corpus of de-identified transcripts with
+ * reference notes (backend/data/evaluation), so template and provider changes
+ * can be compared before they reach clinicians. Each case file is:
+ *
+ *   {
+ *     "id": "hypertension-follow-up",
+ *     "description": "...",
+ *     "specialty": "Primary Care",
+ *     "visitType": "Follow-up",
+ *     "patient": { age, sex, allergies, medications },  (no identifiers)
+ *     "transcript": "...",
+ *     "reference": { subjective, objective, assessment, plan },
+ *     "facts": [{ "fact": "Blood pressure 148/92", "anyOf": ["148/92", "148 over 92"] }]
+ *   }
+ *
+ * A note is scored from 0 to 1 on:
+ *   completeness - share of the template's sections that are filled, out of
+ *                  those the reference expects (a reference section left
+ *                  empty, e.g. no exam on a phone visit, isn't expected)
+ *   factRecall   - share of the case's facts found in the note's text
+ *   length       - how close the note's word count is to the reference's
+ *                  (the smaller of the two counts over the larger)
+ *   schema       - 1 if the first response matched the note schema without
+ *                  repairs, otherwise 0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isEmptySectionValue, sectionText } = require('./soapSchemaService');
+
+const DEFAULT_CASES_DIR = path.join(__dirname, '..', 'data', 'evaluation');
+
+const METRICS = [
+  { key: 'completeness', label: 'Section completeness' },
+  { key: 'factRecall', label: 'Fact recall' },
+  { key: 'length', label: 'Length' },
+  { key: 'schema', label: 'Schema validity' },
+];
+
+// A case whose score drops by more than this is listed as a regression
+const REGRESSION_THRESHOLD = 0.05;
+
+/**
+ * Lowercase text with punctuation reduced to spaces, so facts match however
+ * they are punctuated; slashes, dots and hyphens inside numbers and words are kept
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9/.%-]+|[.-](?![a-z0-9])/g, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+/**
+ * Number of words in a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Read the evaluation cases
+ * @param {string} dir - Directory of case files (*.json)
+ * @returns {Array} Cases, sorted by ID
+ */
+function loadEvaluationCases(dir = DEFAULT_CASES_DIR) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  if (files.length === 0) {
+    throw new Error(`No evaluation cases found in ${dir}`);
+  }
+
+  return files.map(file => {
+    const testCase = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const problems = [];
+    if (!testCase.id) problems.push('id');
+    if (!testCase.transcript) problems.push('transcript');
+    if (!testCase.reference || typeof testCase.reference !== 'object') problems.push('reference');
+    if (!Array.isArray(testCase.facts)) problems.push('facts');
+    if (problems.length > 0) {
+      throw new Error(`Evaluation case ${file} is missing ${problems.join(', ')}`);
+    }
+    return testCase;
+  });
+}
+
+/**
+ * Text of a note's sections, as a reader of the note sees it
+ * @param {Object} note - Generated note
+ * @param {Array} sections - Sections it was generated with
+ * @returns {string} Text
+ */
+function noteText(note, sections) {
+  return sections.map(section => sectionText(section, note?.[section.key])).filter(Boolean).join('\n');
+}
+
+/**
+ * Sections a case expects to be filled: all written sections, except those
+ * the reference note leaves empty, plus any other section it fills
+ * @param {Object} testCase - Evaluation case
+ * @param {Array} sections - Template sections
+ * @returns {Array} Expected sections
+ */
+function expectedSections(testCase, sections) {
+  return sections.filter(section => {
+    if (Object.prototype.hasOwnProperty.call(testCase.reference, section.key)) {
+      return !isEmptySectionValue(testCase.reference[section.key]);
+    }
+    return ['text', 'bullets'].includes(section.type || 'text');
+  });
+}
+
+/**
+ * Score one generated note against its case
+ * @param {Object} testCase - Evaluation case
+ * @param {Object} generated - { note, validation } as returned for the note, or { error }
+ * @param {Array} sections - Sections the note was generated with
+ * @returns {Object} { id, scores: { completeness, factRecall, length, schema }, overall,
+ *   missingSections, missedFacts, words, referenceWords, schemaErrors, error }
+ */
+function scoreNote(testCase, generated, sections) {
+  const referenceWords = countWords(Object.values(testCase.reference).join(' '));
+
+  if (generated.error) {
+    return {
+      id: testCase.id,
+      scores: Object.fromEntries(METRICS.map(metric => [metric.key, 0])),
+      overall: 0,
+      missingSections: sections.map(section => section.key),
+      missedFacts: testCase.facts.map(fact => fact.fact),
+      words: 0,
+      referenceWords,
+      schemaErrors: [],
+      error: generated.error,
+    };
+  }
+
+  const { note, validation = {} } = generated;
+
+  const expected = expectedSections(testCase, sections);
+  const missingSections = expected
+    .filter(section => isEmptySectionValue(note[section.key]))
+    .map(section => section.key);
+  const completeness = expected.length > 0 ? (expected.length - missingSections.length) / expected.length : 1;
+
+  const text = normalizeText(noteText(note, sections));
+  const missedFacts = testCase.facts
+    .filter(fact => !(fact.anyOf || [fact.fact]).some(phrase => text.includes(normalizeText(phrase))))
+    .map(fact => fact.fact);
+  const factRecall = testCase.facts.length > 0 ? (testCase.facts.length - missedFacts.length) / testCase.facts.length : 1;
+
+  const words = countWords(noteText(note, sections));
+  const length = words && referenceWords ? Math.min(words, referenceWords) / Math.max(words, referenceWords) : 0;
+
+  const schemaErrors = [
+    ...(validation.errors || []),
+    ...(validation.repairedFields || []).map(field => `repaired ${field}`),
+    ...(validation.missingFields || []).map(field => `missing ${field}`),
+  ];
+  const schema = validation.attempts === 1 && schemaErrors.length === 0 ? 1 : 0;
+
+  const scores = { completeness, factRecall, length, schema };
+  return {
+    id: testCase.id,
+    scores,
+    overall: mean(Object.values(scores)),
+    missingSections,
+    missedFacts,
+    words,
+    referenceWords,
+    schemaErrors,
+    error: null,
+  };
+}
+
+/**
+ * Average of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Mean, or 0 for an empty list
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Average scores of a run over all cases
+ * @param {Array} results - Results of scoreNote
+ * @returns {Object} { scores: { completeness, factRecall, length, schema }, overall, failed }
+ */
+function summarizeRun(results) {
+  return {
+    scores: Object.fromEntries(METRICS.map(metric => [metric.key, mean(results.map(result => result.scores[metric.key]))])),
+    overall: mean(results.map(result => result.overall)),
+    failed: results.filter(result => result.error).length,
+  };
+}
+
+/**
+ * Compare a candidate run with a baseline run over the same cases
+ * @param {Object} baseline - { label, results }
+ * @param {Object} candidate - { label, results }
+ * @returns {Object} { metrics: [{ key, label, baseline, candidate, delta }],
+ *   cases: [{ id, baseline, candidate, delta }], regressions: [case IDs] }
+ */
+function compareRuns(baseline, candidate) {
+  const baselineSummary = summarizeRun(baseline.results);
+  const candidateSummary = summarizeRun(candidate.results);
+
+  const metrics = [...METRICS, { key: 'overall', label: 'Overall' }].map(metric => {
+    const before = metric.key === 'overall' ? baselineSummary.overall : baselineSummary.scores[metric.key];
+    const after = metric.key === 'overall' ? candidateSummary.overall : candidateSummary.scores[metric.key];
+    return { ...metric, baseline: before, candidate: after, delta: after - before };
+  });
+
+  const cases = candidate.results.map(result => {
+    const before = baseline.results.find(other => other.id === result.id);
+    return {
+      id: result.id,
+      baseline: before ? before.overall : null,
+      candidate: result.overall,
+      delta: before ? result.overall - before.overall : null,
+    };
+  });
+
+  return {
+    metrics,
+    cases,
+    regressions: cases.filter(entry => entry.delta !== null && entry.delta < -REGRESSION_THRESHOLD).map(entry => entry.id),
+  };
+}
+
+const formatScore = value => (value === null || value === undefined ? '-' : value.toFixed(2));
+const formatDelta = value => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+
+/**
+ * Markdown table of one run's results
+ * @param {Object} run - { label, results }
+ * @returns {string} Markdown
+ */
+function formatRunTable(run) {
+  const rows = run.results.map(result => {
+    const notes = result.error
+      ? `Failed: ${result.error}`
+      : [
+        result.missingSections.length > 0 && `empty: ${result.missingSections.join(', ')}`,
+        result.missedFacts.length > 0 && `missed: ${result.missedFacts.join('; ')}`,
+        result.schemaErrors.length > 0 && `schema: ${result.schemaErrors.join('; ')}`,
+      ].filter(Boolean).join(' / ');
+    return `| ${result.id} | ${METRICS.map(metric => formatScore(result.scores[metric.key])).join(' | ')} | ${formatScore(result.overall)} | ${result.words}/${result.referenceWords} | ${notes} |`;
+  });
+
+  const summary = summarizeRun(run.results);
+  return [
+    `### ${run.label}`,
+    '',
+    `| Case | ${METRICS.map(metric => metric.label).join(' | ')} | Overall | Words (note/reference) | Notes |`,
+    `|------|${METRICS.map(() => '---').join('|')}|---|---|---|`,
+    ...rows,
+    `| **Mean** | ${METRICS.map(metric => formatScore(summary.scores[metric.key])).join(' | ')} | ${formatScore(summary.overall)} | | ${summary.failed > 0 ? `${summary.failed} failed` : ''} |`,
+  ].join('\n');
+}
+
+/**
+ * Markdown report for one run, or a comparison of a candidate with a baseline
+ * @param {Object} candidate - { label, results }
+ * @param {Object} baseline - Optional { label, results }
+ * @param {Object} details - { provider, generatedAt }
+ * @returns {string} Markdown
+ */
+function formatReport(candidate, baseline = null, { provider, generatedAt = new Date() } = {}) {
+  const lines = [
+    '# Template evaluation',
+    '',
+    `${candidate.results.length} case(s), provider \`${provider}\`, ${generatedAt.toISOString()}`,
+    '',
+  ];
+
+  if (baseline) {
+    const comparison = compareRuns(baseline, candidate);
+    lines.push(
+      `## ${candidate.label} compared with ${baseline.label}`,
+      '',
+      '| Metric | Baseline | Candidate | Change |',
+      '|--------|---|---|---|',
+      ...comparison.metrics.map(metric => `| ${metric.label} | ${formatScore(metric.baseline)} | ${formatScore(metric.candidate)} | ${formatDelta(metric.delta)} |`),
+      '',
+      '| Case | Baseline | Candidate | Change |',
+      '|------|---|---|---|',
+      ...comparison.cases.map(entry => `| ${entry.id} | ${formatScore(entry.baseline)} | ${formatScore(entry.candidate)} | ${formatDelta(entry.delta)} |`),
+      '',
+      comparison.regressions.length > 0
+        ? `Regressed: ${comparison.regressions.join(', ')}`
+        : 'No case regressed.',
+      ''
+    );
+  }
+
+  lines.push('## Results', '', formatRunTable(candidate), '');
+  if (baseline) {
+    lines.push(formatRunTable(baseline), '');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_CASES_DIR,
+  METRICS,
+  REGRESSION_THRESHOLD,
+  loadEvaluationCases,
+  noteText,
+  scoreNote,
+  summarizeRun,
+  compareRuns,
+  formatReport,
+};
@@ -0,0 +1,263 @@
+/**
+ * Template Service
+ * Shared rules for the template model. A template holds a section structure
+ * and the prompt used to generate notes from it; every edit that changes
+ * either is saved as a new, immutable version (template_versions), and a
+ * generated note records the version it came from as
+ *   { id, versionId, version, name, sections }
+ *
+ * Structures are { sections: [{ key, name, description, type, unit, options }] }.
+ * The key is what the section is stored under in a note; it is derived from
+ * the name when a section doesn't have one. type is one of SECTION_TYPES
+ * (see soapSchemaService for the value each stores); number sections may have
+ * a unit, and dropdown and checklist sections list their options.
+ */
+
+const { validateTemplate } = require('./promptGuardService');
+const { SECTION_TYPES } = require('./soapSchemaService');
+
+const DEFAULT_TEMPLATE_STRUCTURE = {
+  sections: [
+    { key: 'subjective', name: 'Subjective', description: 'Patient symptoms, complaints, and history', type: 'text' },
+    { key: 'objective', name: 'Objective', description: 'Physical examination findings and test results', type: 'text' },
+    { key: 'assessment', name: 'Assessment', description: 'Diagnosis and clinical impression', type: 'text' },
+    { key: 'plan', name: 'Plan', description: 'Treatment plan and follow-up instructions', type: 'text' },
+  ],
+};
+
+const MAX_SECTIONS = 20;
+const MAX_SECTION_NAME_LENGTH = 80;
+const MAX_SECTION_DESCRIPTION_LENGTH = 500;
+const MAX_OPTIONS = 30;
+const MAX_OPTION_LENGTH = 100;
+const MAX_UNIT_LENGTH = 20;
+
+// Section types that choose from a list of options
+const OPTION_TYPES = ['checklist', 'dropdown'];
+
+// Note fields that aren't sections: the structured lists and sources of every
+// response (see soapSchemaService) and what generation adds to the note. A
+// section named after one, e.g. "Medications", is stored under medications_section
+const RESERVED_SECTION_KEYS = [
+  'problems', 'medications', 'vitals', 'sources',
+  'attributions', 'verification', 'template', 'entities', 'validation', 'model', 'timestamp',
+];
+
+// Fields that make up a version; changing any other field (e.g. is_active) doesn't create one
+const VERSIONED_FIELDS = ['name', 'description', 'specialty', 'structure', 'prompt_template'];
+
+/**
+ * Key a section is stored under, e.g. "Chief Complaint" -> "chief_complaint"
+ * and "Medications" -> "medications_section" (see RESERVED_SECTION_KEYS)
+ * @param {string} name - Section name
+ * @returns {string} Key
+ */
+function sectionKey(name = '') {
+  const key = String(name)
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return RESERVED_SECTION_KEYS.includes(key) ? `${key}_section` : key;
+}
+
+/**
+ * Check a section structure
+ * @param {Object} structure - { sections: [{ key?, name, description?, type?, unit?, options? }] }
+ * @returns {Object} { valid, errors } where errors are messages for the user
+ */
+function validateStructure(structure) {
+  if (!structure || !Array.isArray(structure.sections) || structure.sections.length === 0) {
+    return { valid: false, errors: ['The template needs at least one section'] };
+  }
+
+  const errors = [];
+  const keys = new Set();
+
+  if (structure.sections.length > MAX_SECTIONS) {
+    errors.push(`A template can have at most ${MAX_SECTIONS} sections`);
+  }
+
+  structure.sections.forEach((section, index) => {
+    const name = typeof section?.name === 'string' ? section.name.trim() : '';
+    if (!name) {
+      errors.push(`Section ${index + 1} needs a name`);
+      return;
+    }
+    if (name.length > MAX_SECTION_NAME_LENGTH) {
+      errors.push(`The name of section "${name.slice(0, 20)}..." is longer than ${MAX_SECTION_NAME_LENGTH} characters`);
+    }
+    if (section.description && String(section.description).length > MAX_SECTION_DESCRIPTION_LENGTH) {
+      errors.push(`The description of section "${name}" is longer than ${MAX_SECTION_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const type = section.type || 'text';
+    if (!SECTION_TYPES.includes(type)) {
+      errors.push(`Section "${name}" has an unknown type "${type}"; use one of ${SECTION_TYPES.join(', ')}`);
+    }
+
+    if (OPTION_TYPES.includes(type)) {
+      const options = Array.isArray(section.options)
+        ? section.options.map(option => String(option).trim()).filter(Boolean)
+        : [];
+      if (options.length < (type === 'dropdown' ? 2 : 1)) {
+        errors.push(`Section "${name}" needs ${type === 'dropdown' ? 'at least two options' : 'at least one item'}`);
+      } else if (options.length > MAX_OPTIONS) {
+        errors.push(`Section "${name}" can have at most ${MAX_OPTIONS} options`);
+      } else if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        errors.push(`Section "${name}" lists the same option twice`);
+      } else if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+        errors.push(`The options of section "${name}" must be at most ${MAX_OPTION_LENGTH} characters`);
+      }
+    }
+
+    if (type === 'number' && section.unit && String(section.unit).length > MAX_UNIT_LENGTH) {
+      errors.push(`The unit of section "${name}" is longer than ${MAX_UNIT_LENGTH} characters`);
+    }
+
+    const key = sectionKey(section.key || name);
+    if (!key) {
+      errors.push(`Section "${name}" needs a name with letters or numbers`);
+    } else if (keys.has(key)) {
+      errors.push(`Two sections are both called "${name}"`);
+    }
+    keys.add(key);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check a template's prompt and structure before it is saved
+ * @param {Object} content - { promptTemplate, structure }
+ * @param {Object} options - { partial }: only check the fields given
+ * @returns {Object} { valid, errors }
+ */
+function validateTemplateContent({ promptTemplate, structure } = {}, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || promptTemplate !== undefined) {
+    errors.push(...validateTemplate(promptTemplate).errors);
+  }
+  if (structure !== undefined && structure !== null) {
+    errors.push(...validateStructure(structure).errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a structure for storage; a missing or empty one is the default SOAP structure
+ * @param {Object} structure - Structure to normalize (validate it first)
+ * @returns {Object} { sections: [{ key, name, description, type, unit?, options? }] }
+ */
+function normalizeStructure(structure) {
+  if (!structure || !Array.isArray(structure.sections) || structure.sections.length === 0) {
+    return DEFAULT_TEMPLATE_STRUCTURE;
+  }
+
+  return {
+    sections: structure.sections
+      .filter(section => section && typeof section.name === 'string' && section.name.trim())
+      .map(section => {
+        const type = SECTION_TYPES.includes(section.type) ? section.type : 'text';
+        const normalized = {
+          key: sectionKey(section.key || section.name),
+          name: section.name.trim(),
+          description: section.description ? String(section.description).trim() : '',
+          type,
+        };
+        if (type === 'number' && section.unit) {
+          normalized.unit = String(section.unit).trim();
+        }
+        if (OPTION_TYPES.includes(type)) {
+          normalized.options = (Array.isArray(section.options) ? section.options : [])
+            .map(option => String(option).trim())
+            .filter(Boolean);
+        }
+        return normalized;
+      }),
+  };
+}
+
+/**
+ * Whether a structure is the default SOAP structure (ignoring keys)
+ * @param {Object} structure - Structure
+ * @returns {boolean} True for the default structure
+ */
+function isDefaultStructure(structure) {
+  const { sections } = normalizeStructure(structure);
+  return sections.length === DEFAULT_TEMPLATE_STRUCTURE.sections.length
+    && sections.every((section, index) => {
+      const defaultSection = DEFAULT_TEMPLATE_STRUCTURE.sections[index];
+      return section.name === defaultSection.name
+        && section.description === defaultSection.description
+        && section.type === defaultSection.type;
+    });
+}
+
+/**
+ * Generation prompt for a structure, for templates that only define sections
+ * The exact shape of each section is added to every prompt, so this only
+ * names them
+ * @param {Object} structure - Structure
+ * @param {Object} options - { specialty }
+ * @returns {string} Prompt with the {{transcription}} placeholder
+ */
+function buildPromptFromStructure(structure, { specialty } = {}) {
+  const { sections } = normalizeStructure(structure);
+  const sectionList = sections
+    .map(section => (section.description ? `${section.name} (${section.description})` : section.name))
+    .join(', ');
+  const noteType = isDefaultStructure(structure) ? 'SOAP note' : 'clinical note';
+
+  return `Create a ${noteType}${specialty ? ` for a ${specialty.toLowerCase()} visit` : ''} based on the following transcription. Include these sections: ${sectionList}: {{transcription}}`;
+}
+
+/**
+ * Whether an update changes a template's content, and so needs a new version
+ * @param {Object} template - Current template row
+ * @param {Object} updates - Column updates (snake_case)
+ * @returns {boolean} True if a versioned field changes
+ */
+function isNewVersion(template, updates) {
+  return VERSIONED_FIELDS.some(field => {
+    if (!(field in updates)) return false;
+    if (field === 'structure') {
+      return JSON.stringify(normalizeStructure(updates.structure)) !== JSON.stringify(normalizeStructure(template.structure));
+    }
+    return (updates[field] ?? null) !== (template[field] ?? null);
+  });
+}
+
+/**
+ * Reference to the template version a note was generated with
+ * The sections are copied so the note can be shown and edited with the
+ * layout it was written in, whatever happens to the template later
+ * @param {Object} template - Template row
+ * @returns {Object|null} { id, versionId, version, name, sections }
+ */
+function templateReference(template) {
+  if (!template) return null;
+  return {
+    id: template.id,
+    versionId: template.current_version_id || null,
+    version: template.version || null,
+    name: template.name,
+    sections: normalizeStructure(template.structure).sections,
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_STRUCTURE,
+  VERSIONED_FIELDS,
+  RESERVED_SECTION_KEYS,
+  sectionKey,
+  validateStructure,
+  validateTemplateContent,
+  normalizeStructure,
+  isDefaultStructure,
+  buildPromptFromStructure,
+  isNewVersion,
+  templateReference,
+};
@@ -0,0 +1,214 @@
+/**
+ * Template Transfer Service
+ * The portable template file, used to export and import templates and to
+ * show the template behind a share link:
+ *
+ *   {
+ *     "format": "doctors-orders/template",
+ *     "schemaVersion": 2,
+ *     "exportedAt": "2026-10-19T12:00:00.000Z",
+ *     "template": { name, description, specialty, structure: { sections }, promptTemplate, version }
+ *   }
+ *
+ * Older files are upgraded step by step to the current schema version before
+ * they are checked. Version 1 is the template model before typed sections and
+ * template variables (sections without types, the prompt as prompt_template);
+ * template rows as the API returns them are read as version 1.
+ */
+
+const { normalizeStructure, validateTemplateContent, buildPromptFromStructure } = require('./templateService');
+
+const TEMPLATE_FILE_FORMAT = 'doctors-orders/template';
+const TEMPLATE_SCHEMA_VERSION = 2;
+
+// Largest template file accepted, in characters of JSON
+const MAX_TEMPLATE_FILE_LENGTH = 100000;
+
+const MAX_TEMPLATE_NAME_LENGTH = 120;
+
+/**
+ * Upgrades from each schema version to the next
+ * Each takes the file's template and returns it in the next version's shape
+ */
+const UPGRADES = {
+  1: template => ({
+    name: template.name,
+    description: template.description || '',
+    specialty: template.specialty,
+    structure: {
+      // Sections were all free text; template rows may already have types
+      sections: (template.structure?.sections || template.sections || []).map(section => ({
+        ...section,
+        description: section.description || '',
+        type: section.type || 'text',
+      })),
+    },
+    promptTemplate: template.promptTemplate ?? template.prompt_template ?? '',
+    version: template.version || null,
+  }),
+};
+
+/**
+ * Portable file for a template
+ * @param {Object} template - Template row or template version row
+ * @returns {Object} Template file
+ */
+function exportTemplate(template) {
+  return {
+    format: TEMPLATE_FILE_FORMAT,
+    schemaVersion: TEMPLATE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    template: {
+      name: template.name,
+      description: template.description || '',
+      specialty: template.specialty,
+      structure: normalizeStructure(template.structure),
+      promptTemplate: template.prompt_template,
+      version: template.version || null,
+    },
+  };
+}
+
+/**
+ * File name for an exported template
+ * @param {Object} template - Template row
+ * @returns {string} e.g. "therapy-session-dap.template.json"
+ */
+function exportFileName(template) {
+  const base = String(template.name || 'template')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'template'}.template.json`;
+}
+
+/**
+ * Read, upgrade and check an imported template file
+ * @param {Object|string} file - Parsed file, or its JSON text
+ * @returns {Object} { valid, errors, template: { name, description, specialty, structure, promptTemplate },
+ *   schemaVersion (of the file), upgraded }
+ */
+function parseTemplateFile(file) {
+  let document = file;
+  if (typeof file === 'string') {
+    if (file.length > MAX_TEMPLATE_FILE_LENGTH) {
+      return { valid: false, errors: ['The file is too large to be a template'] };
+    }
+    try {
+      document = JSON.parse(file);
+    } catch {
+      return { valid: false, errors: ['The file is not valid JSON'] };
+    }
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { valid: false, errors: ['The file is not a template'] };
+  }
+
+  // A template row, e.g. saved from the API, rather than an exported file
+  const isTemplateRow = !document.format && !document.schemaVersion && typeof document.prompt_template === 'string';
+  if (!isTemplateRow && document.format !== TEMPLATE_FILE_FORMAT) {
+    return { valid: false, errors: ['The file is not a template exported from this app'] };
+  }
+
+  const schemaVersion = isTemplateRow ? 1 : document.schemaVersion;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    return { valid: false, errors: ['The file has no valid schemaVersion'] };
+  }
+  if (schemaVersion > TEMPLATE_SCHEMA_VERSION) {
+    return {
+      valid: false,
+      errors: [`The file uses template schema version ${schemaVersion}, but this app reads up to version ${TEMPLATE_SCHEMA_VERSION}; update the app to import it`],
+    };
+  }
+
+  let template = isTemplateRow ? document : document.template;
+  if (!template || typeof template !== 'object') {
+    return { valid: false, errors: ['The file has no template'] };
+  }
+  for (let version = schemaVersion; version < TEMPLATE_SCHEMA_VERSION; version++) {
+    template = UPGRADES[version](template);
+  }
+
+  const errors = [];
+  const name = typeof template.name === 'string' ? template.name.trim() : '';
+  const specialty = typeof template.specialty === 'string' ? template.specialty.trim() : '';
+  // Like templates created without one, a template without a prompt gets one built from its sections
+  const promptTemplate = template.promptTemplate
+    || (template.structure ? buildPromptFromStructure(template.structure, { specialty }) : '');
+  if (!name) {
+    errors.push('The template has no name');
+  } else if (name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    errors.push(`The template name is longer than ${MAX_TEMPLATE_NAME_LENGTH} characters`);
+  }
+  if (!specialty) {
+    errors.push('The template has no specialty');
+  }
+  errors.push(...validateTemplateContent({
+    promptTemplate,
+    structure: template.structure,
+  }).errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    template: {
+      name,
+      description: typeof template.description === 'string' ? template.description.trim() : '',
+      specialty,
+      structure: errors.length === 0 ? normalizeStructure(template.structure) : template.structure,
+      promptTemplate,
+    },
+    schemaVersion,
+    upgraded: schemaVersion < TEMPLATE_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Templates an import would clash with in the library it goes to
+ * @param {Object} imported - Template from parseTemplateFile
+ * @param {Array} existing - Active templates of the library (rows)
+ * @returns {Array} [{ type: 'name'|'duplicate', templateId, name }]: 'duplicate' when a template
+ *   already has the same sections and prompt, 'name' when one only has the same name
+ */
+function findImportConflicts(imported, existing = []) {
+  const content = JSON.stringify([normalizeStructure(imported.structure), imported.promptTemplate]);
+  const conflicts = [];
+
+  for (const template of existing) {
+    if (JSON.stringify([normalizeStructure(template.structure), template.prompt_template]) === content) {
+      conflicts.push({ type: 'duplicate', templateId: template.id, name: template.name });
+    } else if (template.name.trim().toLowerCase() === imported.name.toLowerCase()) {
+      conflicts.push({ type: 'name', templateId: template.id, name: template.name });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * A name not used in a library, e.g. "Follow-up (2)"
+ * @param {string} name - Wanted name
+ * @param {Array} existing - Templates of the library
+ * @returns {string} Name
+ */
+function uniqueTemplateName(name, existing = []) {
+  const taken = new Set(existing.map(template => template.name.trim().toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+
+  const base = name.replace(/\s\(\d+\)$/, '');
+  let count = 2;
+  while (taken.has(`${base} (${count})`.toLowerCase())) count++;
+  return `${base} (${count})`;
+}
+
+module.exports = {
+  TEMPLATE_FILE_FORMAT,
+  TEMPLATE_SCHEMA_VERSION,
+  exportTemplate,
+  exportFileName,
+  parseTemplateFile,
+  findImportConflicts,
+  uniqueTemplateName,
+};
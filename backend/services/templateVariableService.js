@@ -0,0 +1,384 @@
+/**
+ * Template Variable Service
+ * The variable language of template prompts. Besides {{transcription}}, a
+ * prompt can use what is known about the visit:
+ *
+ *   {{patient.age}}                      a value ('' when unknown)
+ *   {{#if patient.allergies}}...{{/if}}  text kept only when the value isn't empty
+ *   {{#if last_note.plan}}...{{else}}...{{/if}}
+ *   \{{                                  a literal {{
+ *
+ * Conditionals can be nested. Values are inserted in a single pass, so text
+ * in a value (e.g. "{{transcription}}" in a patient's history) is never read
+ * as template syntax. Values are untrusted: promptGuardService sanitizes them
+ * before they are rendered.
+ */
+
+// Variables a prompt can use, in the order they are documented
+const TEMPLATE_VARIABLES = [
+  { name: 'transcription', description: 'The visit transcript (required, exactly once, outside conditionals)' },
+  { name: 'patient.name', description: 'Full name' },
+  { name: 'patient.first_name', description: 'First name' },
+  { name: 'patient.last_name', description: 'Last name' },
+  { name: 'patient.age', description: 'Age from the date of birth, e.g. "47 years" or "18 months"' },
+  { name: 'patient.sex', description: 'Sex or gender as recorded' },
+  { name: 'patient.date_of_birth', description: 'Date of birth (YYYY-MM-DD)' },
+  { name: 'patient.allergies', description: 'Recorded allergies, comma separated' },
+  { name: 'patient.medications', description: 'Active medications, comma separated' },
+  { name: 'last_note.date', description: 'Date of the patient\'s previous note (YYYY-MM-DD)' },
+  { name: 'last_note.assessment', description: 'Assessment of the previous note' },
+  { name: 'last_note.plan', description: 'Plan of the previous note' },
+  { name: 'clinician.specialty', description: 'Specialty of the note, e.g. "Primary Care"' },
+  { name: 'visit.type', description: 'Visit type, e.g. "Follow-up"' },
+  { name: 'visit.date', description: 'Date of the visit (YYYY-MM-DD)' },
+];
+
+const VARIABLE_NAMES = TEMPLATE_VARIABLES.map(variable => variable.name);
+
+const TRANSCRIPT_VARIABLE = 'transcription';
+
+// Longest text a value from the previous note is shortened to
+const MAX_NOTE_VALUE_LENGTH = 1500;
+
+// Patient used to preview templates
+const SAMPLE_CONTEXT = {
+  patient: {
+    first_name: 'Maria',
+    last_name: 'Lopez',
+    date_of_birth: '1978-04-12',
+    gender: 'Female',
+    allergies: ['Penicillin'],
+    medications: ['Lisinopril 10 mg daily', 'Metformin 500 mg twice daily'],
+  },
+  lastNote: {
+    created_at: '2026-07-14',
+    soap_data: {
+      assessment: 'Type 2 diabetes, HbA1c 7.4%. Hypertension, controlled.',
+      plan: 'Continue metformin and lisinopril. Repeat HbA1c in 3 months.',
+    },
+  },
+  clinician: { specialty: 'Primary Care' },
+  visit: { type: 'Follow-up' },
+};
+
+// Transcript used to preview templates
+const SAMPLE_TRANSCRIPT = 'Patient is here for a diabetes follow-up. Reports good adherence to metformin. Blood pressure 128/82. Plan to continue current medications.';
+
+/**
+ * Split a prompt into text, variables and conditionals
+ * @param {string} text - Template prompt
+ * @returns {Object} { nodes, errors } where nodes are
+ *   { type: 'text', text } | { type: 'variable', name } | { type: 'if', name, then, otherwise }
+ *   and errors are messages for the user
+ */
+function parseTemplate(text = '') {
+  const errors = [];
+  const root = { nodes: [] };
+  // Open conditionals, innermost last
+  const stack = [];
+  let current = root.nodes;
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (!buffer) return;
+    // Single braces, e.g. {transcription}, are text but almost certainly meant as a variable
+    for (const [, tag, name] of buffer.matchAll(/(?:^|[^{])(\{\s*([\w.]+)\s*\})(?!\})/g)) {
+      if (VARIABLE_NAMES.includes(name)) errors.push(`Write the placeholder as {{${name}}}, not ${tag}`);
+    }
+    current.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  while (index < text.length) {
+    if (text.startsWith('\\{{', index)) {
+      buffer += '{{';
+      index += 3;
+      continue;
+    }
+    if (!text.startsWith('{{', index)) {
+      buffer += text[index];
+      index += 1;
+      continue;
+    }
+
+    const end = text.indexOf('}}', index + 2);
+    if (end === -1) {
+      errors.push(`"${text.slice(index, index + 30)}" is missing its closing }}; write \\{{ for literal braces`);
+      buffer += text.slice(index);
+      break;
+    }
+
+    // A third closing brace belongs to the tag, e.g. {{{transcription}}}
+    const tagEnd = text[end + 2] === '}' ? end + 3 : end + 2;
+    const tag = text.slice(index, tagEnd);
+    const inner = text.slice(index + 2, end);
+    index = tagEnd;
+
+    if (/[{}]/.test(inner) || tagEnd !== end + 2) {
+      const name = inner.replace(/[{}\s]/g, '');
+      errors.push(VARIABLE_NAMES.includes(name)
+        ? `Write the placeholder as {{${name}}}, not ${tag}`
+        : `Malformed placeholder ${tag}`);
+      buffer += tag;
+      continue;
+    }
+
+    const [keyword, ...args] = inner.trim().split(/\s+/);
+
+    if (keyword === '#if') {
+      if (args.length !== 1) {
+        errors.push(`${tag} needs exactly one variable, e.g. {{#if patient.allergies}}`);
+      } else if (!VARIABLE_NAMES.includes(args[0])) {
+        errors.push(`Unknown variable "${args[0]}" in ${tag}; see the list of available variables`);
+      } else if (args[0] === TRANSCRIPT_VARIABLE) {
+        errors.push('{{#if transcription}} is always true; leave the condition out');
+      }
+      flush();
+      const node = { type: 'if', name: args[0] || '', then: [], otherwise: [] };
+      current.push(node);
+      stack.push({ node, tag, inElse: false });
+      current = node.then;
+    } else if (keyword === 'else' && args.length === 0) {
+      const open = stack[stack.length - 1];
+      if (!open) {
+        errors.push('{{else}} needs an {{#if}} before it');
+        buffer += tag;
+      } else if (open.inElse) {
+        errors.push(`${open.tag} has more than one {{else}}`);
+        buffer += tag;
+      } else {
+        flush();
+        open.inElse = true;
+        current = open.node.otherwise;
+      }
+    } else if (keyword === '/if' && args.length === 0) {
+      if (stack.length === 0) {
+        errors.push('{{/if}} needs an {{#if}} before it');
+        buffer += tag;
+      } else {
+        flush();
+        stack.pop();
+        const open = stack[stack.length - 1];
+        current = !open ? root.nodes : open.inElse ? open.node.otherwise : open.node.then;
+      }
+    } else if (args.length > 0 || inner !== inner.trim()) {
+      errors.push(VARIABLE_NAMES.includes(inner.trim())
+        ? `Write the placeholder as {{${inner.trim()}}}, not ${tag}`
+        : `Malformed placeholder ${tag}`);
+      buffer += tag;
+    } else if (!VARIABLE_NAMES.includes(inner)) {
+      errors.push(`Unknown placeholder ${tag}; the available placeholders are ${VARIABLE_NAMES.map(name => `{{${name}}}`).join(', ')}`);
+      buffer += tag;
+    } else {
+      flush();
+      current.push({ type: 'variable', name: inner });
+    }
+  }
+
+  flush();
+  for (const { tag } of stack) {
+    errors.push(`${tag} is missing its {{/if}}`);
+  }
+
+  return { nodes: root.nodes, errors };
+}
+
+/**
+ * Check where the transcript goes
+ * @param {Array} nodes - Parsed template
+ * @returns {Array<string>} Errors
+ */
+function checkTranscriptPlacement(nodes) {
+  const errors = [];
+  let count = 0;
+
+  const visit = (list, conditional) => {
+    for (const node of list) {
+      if (node.type === 'variable' && node.name === TRANSCRIPT_VARIABLE) {
+        count += 1;
+        if (conditional) {
+          errors.push(`{{${TRANSCRIPT_VARIABLE}}} can't be inside {{#if}}; the transcript must always be included`);
+        }
+      } else if (node.type === 'if') {
+        visit(node.then, true);
+        visit(node.otherwise, true);
+      }
+    }
+  };
+  visit(nodes, false);
+
+  if (count === 0) {
+    errors.unshift(`The template must include {{${TRANSCRIPT_VARIABLE}}} where the transcript goes`);
+  } else if (count > 1) {
+    errors.unshift(`{{${TRANSCRIPT_VARIABLE}}} may only appear once`);
+  }
+  return errors;
+}
+
+/**
+ * Check a prompt's variables, conditionals and transcript placeholder
+ * @param {string} text - Template prompt
+ * @returns {Object} { valid, errors }
+ */
+function validateTemplateVariables(text = '') {
+  const { nodes, errors } = parseTemplate(text);
+  const allErrors = [...new Set([...checkTranscriptPlacement(nodes), ...errors])];
+  return { valid: allErrors.length === 0, errors: allErrors };
+}
+
+/**
+ * Render a prompt
+ * @param {string} text - Template prompt
+ * @param {Object} values - Variable name -> text ('' or missing when unknown)
+ * @returns {string} Prompt text
+ */
+function renderVariables(text, values = {}) {
+  const { nodes } = parseTemplate(text);
+
+  const render = list => list.map(node => {
+    if (node.type === 'text') return node.text;
+    if (node.type === 'variable') return values[node.name] ?? '';
+    return render(String(values[node.name] ?? '').trim() ? node.then : node.otherwise);
+  }).join('');
+
+  return render(nodes);
+}
+
+/**
+ * Variables a prompt uses
+ * @param {string} text - Template prompt
+ * @returns {Array<string>} Variable names, including those only tested by conditionals
+ */
+function usedVariables(text = '') {
+  const names = new Set();
+  const visit = list => {
+    for (const node of list) {
+      if (node.type === 'variable') names.add(node.name);
+      if (node.type === 'if') {
+        names.add(node.name);
+        visit(node.then);
+        visit(node.otherwise);
+      }
+    }
+  };
+  visit(parseTemplate(text).nodes);
+  return [...names];
+}
+
+/**
+ * A date as YYYY-MM-DD
+ * DATE columns come back as local midnight, so local parts keep the day
+ * @param {Date|string} value - Date or date string
+ * @returns {string} Date ('' when missing or invalid)
+ */
+function formatDate(value) {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Age on a date, in years from two years on and in months (or days) before
+ * @param {Date|string} dateOfBirth - Date of birth
+ * @param {Date} now - Date of the visit
+ * @returns {string} e.g. "47 years", "18 months", "5 days" ('' when unknown)
+ */
+function formatAge(dateOfBirth, now = new Date()) {
+  const dob = formatDate(dateOfBirth);
+  if (!dob) return '';
+
+  const [year, month, day] = dob.split('-').map(Number);
+  const born = new Date(year, month - 1, day);
+  if (born > now) return '';
+
+  let months = (now.getFullYear() - year) * 12 + (now.getMonth() - (month - 1));
+  if (now.getDate() < day) months -= 1;
+
+  if (months >= 24) {
+    const years = Math.floor(months / 12);
+    return `${years} years`;
+  }
+  if (months >= 1) {
+    return `${months} month${months === 1 ? '' : 's'}`;
+  }
+  const days = Math.round((new Date(now.getFullYear(), now.getMonth(), now.getDate()) - born) / 86400000);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * A list as comma separated text
+ * @param {Array|string} value - List (or text)
+ * @returns {string} Text
+ */
+function formatList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item ?? '').trim()).filter(Boolean).join(', ');
+  }
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Text of a previous note's section, shortened to MAX_NOTE_VALUE_LENGTH
+ * @param {Object} soapData - Previous note's content
+ * @param {string} key - Section key
+ * @returns {string} Text
+ */
+function noteSectionText(soapData, key) {
+  const value = soapData?.[key];
+  const text = Array.isArray(value) ? formatList(value) : typeof value === 'string' ? value.trim() : '';
+  return text.length > MAX_NOTE_VALUE_LENGTH ? `${text.slice(0, MAX_NOTE_VALUE_LENGTH).trimEnd()}...` : text;
+}
+
+/**
+ * Values of the variables for a visit
+ * @param {Object} context - { patient, lastNote, clinician, visit }: patient is a patients
+ *   row or the dictation modal's { name, dob }, lastNote a notes row
+ * @param {Object} options - { now }: date of the visit
+ * @returns {Object} Variable name -> text, without transcription
+ */
+function buildTemplateValues({ patient, lastNote, clinician, visit } = {}, { now = new Date() } = {}) {
+  const person = patient || {};
+  const firstName = String(person.first_name || '').trim();
+  const lastName = String(person.last_name || '').trim();
+  const name = String(person.name || '').trim() || [firstName, lastName].filter(Boolean).join(' ');
+  const dateOfBirth = person.date_of_birth || person.dob;
+  const soapData = lastNote?.soap_data;
+
+  return {
+    'patient.name': name,
+    'patient.first_name': firstName || name.split(/\s+/)[0] || '',
+    'patient.last_name': lastName || (name.includes(' ') ? name.split(/\s+/).slice(1).join(' ') : ''),
+    'patient.age': formatAge(dateOfBirth, now) || (person.age ? String(person.age) : ''),
+    'patient.sex': String(person.gender || person.sex || '').trim(),
+    'patient.date_of_birth': formatDate(dateOfBirth),
+    'patient.allergies': formatList(person.allergies),
+    'patient.medications': formatList(person.medications),
+    'last_note.date': lastNote ? formatDate(lastNote.created_at) : '',
+    'last_note.assessment': noteSectionText(soapData, 'assessment'),
+    'last_note.plan': noteSectionText(soapData, 'plan'),
+    'clinician.specialty': String(clinician?.specialty || '').trim(),
+    'visit.type': String(visit?.type || '').trim(),
+    'visit.date': formatDate(visit?.date || now),
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  TRANSCRIPT_VARIABLE,
+  SAMPLE_CONTEXT,
+  SAMPLE_TRANSCRIPT,
+  parseTemplate,
+  validateTemplateVariables,
+  renderVariables,
+  usedVariables,
+  formatAge,
+  buildTemplateValues,
+};
@@ -0,0 +1,112 @@
+/**
+ * Transcript Segment Service
+ * Builds and formats speaker-labelled transcript segments.
+ * A segment is { id, speaker, speakerTag, text, startTime, endTime } where
+ * speaker is 'clinician', 'patient' or 'other' and times are in seconds
+ * from the start of the recording.
+ */
+
+const SPEAKER_LABELS = {
+  clinician: 'Clinician',
+  patient: 'Patient',
+  other: 'Other speaker',
+};
+
+/**
+ * Convert a Speech-to-Text Duration ({ seconds, nanos }) to seconds
+ * @param {Object|number|string} duration - Duration object or number of seconds
+ * @returns {number} Seconds
+ */
+function durationToSeconds(duration) {
+  if (!duration) return 0;
+  if (typeof duration === 'number') return duration;
+  if (typeof duration === 'string') return parseFloat(duration) || 0;
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * Create a mapper from diarization speaker tags to roles
+ * The recognizer only numbers speakers, so the first voice heard is assumed
+ * to be the clinician (who usually opens the visit) and the second the
+ * patient. Users can swap roles in the dictation UI when this guess is wrong.
+ * @returns {Function} (speakerTag) => role
+ */
+function createSpeakerRoleMapper() {
+  const roles = new Map();
+
+  return (speakerTag) => {
+    if (!roles.has(speakerTag)) {
+      const order = roles.size;
+      roles.set(speakerTag, order === 0 ? 'clinician' : order === 1 ? 'patient' : 'other');
+    }
+    return roles.get(speakerTag);
+  };
+}
+
+/**
+ * Group diarized words into segments of consecutive words by the same speaker
+ * @param {Array} words - Recognizer words ({ word, speakerTag, startTime, endTime })
+ * @param {Function} mapRole - Speaker tag to role mapper (see createSpeakerRoleMapper)
+ * @returns {Array} Segments
+ */
+function buildSegmentsFromWords(words = [], mapRole = createSpeakerRoleMapper()) {
+  const segments = [];
+
+  for (const word of words) {
+    const speakerTag = word.speakerTag || 0;
+    const current = segments[segments.length - 1];
+
+    if (current && current.speakerTag === speakerTag) {
+      current.text += ` ${word.word}`;
+      current.endTime = durationToSeconds(word.endTime);
+    } else {
+      segments.push({
+        id: segments.length,
+        speaker: mapRole(speakerTag),
+        speakerTag,
+        text: word.word,
+        startTime: durationToSeconds(word.startTime),
+        endTime: durationToSeconds(word.endTime),
+      });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Shift segments by a time offset and renumber their ids
+ * Used when joining segments from consecutive chunks or streams
+ * @param {Array} segments - Segments to shift
+ * @param {number} offsetSeconds - Seconds to add to every timestamp
+ * @param {number} startId - Id of the first shifted segment
+ * @returns {Array} New segments
+ */
+function offsetSegments(segments = [], offsetSeconds = 0, startId = 0) {
+  return segments.map((segment, index) => ({
+    ...segment,
+    id: startId + index,
+    startTime: segment.startTime + offsetSeconds,
+    endTime: segment.endTime + offsetSeconds,
+  }));
+}
+
+/**
+ * Format segments as a speaker-labelled conversation, one turn per line
+ * @param {Array} segments - Segments to format
+ * @returns {string} e.g. "[Clinician] How are you feeling?\n[Patient] Tired."
+ */
+function formatConversation(segments = []) {
+  return segments
+    .map(segment => `[${SPEAKER_LABELS[segment.speaker] || SPEAKER_LABELS.other}] ${segment.text}`)
+    .join('\n');
+}
+
+module.exports = {
+  SPEAKER_LABELS,
+  durationToSeconds,
+  createSpeakerRoleMapper,
+  buildSegmentsFromWords,
+  offsetSegments,
+  formatConversation,
+};
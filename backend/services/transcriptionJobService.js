@@ -0,0 +1,405 @@
+/**
+ * Transcription Job Service
+ * Transcribes long recordings asynchronously by splitting them into chunks
+ * that fit the recognizer's synchronous limit and processing them in the
+ * background. Compressed recordings are decoded to LINEAR16 first, since they
+ * can't be cut without decoding. Progress and partial transcripts are stored
+ * per job so clients can poll GET /api/transcription/jobs/:id.
+ *
+ * Creating a job only stores it: the audio is saved encrypted (see
+ * audioStorageService) and the job row is queued in Cloud SQL, so routes that
+ * run as serverless functions can create jobs too. Jobs are run by a worker
+ * (startWorker), which the Express backend starts and
+ * scripts/transcription-worker.js runs on its own; any number of workers can
+ * share the queue.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const gcpDatabaseService = require('./gcpDatabaseService');
+const audioFormatService = require('./audioFormatService');
+const gcpService = require('./gcpService');
+const { getRecognizer } = require('./recognizers');
+const { offsetSegments } = require('./transcriptSegmentService');
+const vocabularyService = require('./vocabularyService');
+const audioStorageService = require('./audioStorageService');
+
+// Speech-to-Text accepts at most ~60 seconds of audio per synchronous request
+const SYNC_LIMIT_SECONDS = 55;
+
+// Inline audio content is capped at 10MB per request
+const SYNC_LIMIT_BYTES = 10 * 1024 * 1024;
+
+// Length of each chunk sent to the recognizer
+const CHUNK_SECONDS = 50;
+
+// How often an idle worker looks for new jobs
+const POLL_INTERVAL_MS = 5000;
+
+// A processing job not updated for this long lost its worker and is claimed again
+const STALE_JOB_SECONDS = 10 * 60;
+
+// Jobs are given up after this many claims, e.g. audio that crashes every worker
+const MAX_JOB_ATTEMPTS = 3;
+
+class TranscriptionJobService {
+  constructor() {
+    this.isWorking = false;
+    this.isProcessing = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Read the PCM layout of LINEAR16 audio, parsing the WAV header when present
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Recognition options (encoding, sampleRateHertz, audioChannelCount)
+   * @returns {Object|null} { data, sampleRateHertz, channels, bytesPerSecond } or null if not PCM
+   */
+  getPcmLayout(audioBuffer, options = {}) {
+    const isWav = audioBuffer.length > 44 &&
+      audioBuffer.toString('ascii', 0, 4) === 'RIFF' &&
+      audioBuffer.toString('ascii', 8, 12) === 'WAVE';
+
+    if (isWav) {
+      let offset = 12;
+      let format = null;
+
+      // Walk the RIFF chunks to find "fmt " and "data"
+      while (offset + 8 <= audioBuffer.length) {
+        const chunkId = audioBuffer.toString('ascii', offset, offset + 4);
+        const chunkSize = audioBuffer.readUInt32LE(offset + 4);
+
+        if (chunkId === 'fmt ') {
+          format = {
+            channels: audioBuffer.readUInt16LE(offset + 10),
+            sampleRateHertz: audioBuffer.readUInt32LE(offset + 12),
+            bitsPerSample: audioBuffer.readUInt16LE(offset + 22),
+          };
+        } else if (chunkId === 'data' && format && format.bitsPerSample === 16) {
+          return {
+            data: audioBuffer.subarray(offset + 8, Math.min(offset + 8 + chunkSize, audioBuffer.length)),
+            sampleRateHertz: format.sampleRateHertz,
+            channels: format.channels,
+            bytesPerSecond: format.sampleRateHertz * format.channels * 2,
+          };
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+      }
+
+      return null;
+    }
+
+    if ((options.encoding || 'LINEAR16') !== 'LINEAR16') {
+      return null;
+    }
+
+    const sampleRateHertz = options.sampleRateHertz || 16000;
+    const channels = options.audioChannelCount || 1;
+    return {
+      data: audioBuffer,
+      sampleRateHertz,
+      channels,
+      bytesPerSecond: sampleRateHertz * channels * 2,
+    };
+  }
+
+  /**
+   * Get normalized audio (see audioFormatService.normalize) ready to be measured and split
+   * Compressed audio (WebM/Opus, Ogg/Opus, FLAC) that is too long for one request,
+   * or whose container doesn't record its length (WebM from MediaRecorder), is
+   * transcoded to LINEAR16 so it can be split on sample boundaries
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Recognition options
+   * @returns {Promise<Object>} { audio, options }
+   * @throws {Error} "Unsupported audio format: ..." when long audio can't be decoded
+   */
+  async prepareAudio(audioBuffer, options = {}) {
+    if (this.getPcmLayout(audioBuffer, options)) {
+      return { audio: audioBuffer, options };
+    }
+
+    const durationSeconds = audioFormatService.getDurationSeconds(audioBuffer);
+    if (durationSeconds !== null && durationSeconds <= SYNC_LIMIT_SECONDS && audioBuffer.length <= SYNC_LIMIT_BYTES) {
+      return { audio: audioBuffer, options };
+    }
+
+    if (!(await audioFormatService.isTranscoderAvailable())) {
+      if (durationSeconds === null && audioBuffer.length <= SYNC_LIMIT_BYTES) {
+        console.warn(`Length of ${options.encoding} audio is unknown and ffmpeg is not installed, transcribing as a single chunk`);
+        return { audio: audioBuffer, options };
+      }
+      throw new Error(`Unsupported audio format: ${options.encoding} recordings longer than ${SYNC_LIMIT_SECONDS} seconds must be decoded to be split, but ffmpeg is not installed on the server. Upload WAV audio.`);
+    }
+
+    return audioFormatService.toLinear16(audioBuffer, options, options.encoding);
+  }
+
+  /**
+   * Check whether audio is too long or too large for synchronous transcription
+   * Pass audio through prepareAudio first, so compressed audio of unknown length is measured
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Recognition options
+   * @returns {boolean} True if the audio should go through a job
+   */
+  exceedsSynchronousLimit(audioBuffer, options = {}) {
+    if (audioBuffer.length > SYNC_LIMIT_BYTES) {
+      return true;
+    }
+
+    const pcm = this.getPcmLayout(audioBuffer, options);
+    const durationSeconds = pcm
+      ? pcm.data.length / pcm.bytesPerSecond
+      : audioFormatService.getDurationSeconds(audioBuffer);
+    return durationSeconds !== null && durationSeconds > SYNC_LIMIT_SECONDS;
+  }
+
+  /**
+   * Split audio into recognizer-sized chunks
+   * LINEAR16 audio is split on sample boundaries; other encodings cannot be
+   * cut safely without decoding, so they are sent as a single chunk (prepareAudio
+   * only leaves them compressed when they are short enough for one request)
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Recognition options
+   * @returns {Object} { chunks: [{ audio, startSeconds, endSeconds }], options }
+   */
+  splitAudio(audioBuffer, options = {}) {
+    const pcm = this.getPcmLayout(audioBuffer, options);
+
+    if (!pcm) {
+      console.warn(`Cannot split ${options.encoding} audio, transcribing as a single chunk`);
+      return {
+        chunks: [{ audio: audioBuffer, startSeconds: 0, endSeconds: null }],
+        options,
+      };
+    }
+
+    // Keep chunk boundaries aligned to whole sample frames
+    const frameBytes = pcm.channels * 2;
+    const chunkBytes = Math.floor((pcm.bytesPerSecond * CHUNK_SECONDS) / frameBytes) * frameBytes;
+    const chunks = [];
+
+    for (let start = 0; start < pcm.data.length; start += chunkBytes) {
+      const end = Math.min(start + chunkBytes, pcm.data.length);
+      chunks.push({
+        audio: pcm.data.subarray(start, end),
+        startSeconds: start / pcm.bytesPerSecond,
+        endSeconds: end / pcm.bytesPerSecond,
+      });
+    }
+
+    return {
+      chunks,
+      options: {
+        ...options,
+        encoding: 'LINEAR16',
+        sampleRateHertz: pcm.sampleRateHertz,
+        audioChannelCount: pcm.channels,
+      },
+    };
+  }
+
+  /**
+   * Create a job and queue it for a worker
+   * @param {string} userId - User ID
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - Recognition options; generateSoap also produces a SOAP note
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(userId, audioBuffer, options = {}) {
+    const prepared = await this.prepareAudio(audioBuffer, options);
+    const { chunks, options: chunkOptions } = this.splitAudio(prepared.audio, prepared.options);
+
+    const jobId = uuidv4();
+    const stored = await audioStorageService.save(`transcription-jobs/${userId}/${jobId}.enc`, prepared.audio);
+
+    let job;
+    try {
+      job = await gcpDatabaseService.createTranscriptionJob({
+        id: jobId,
+        userId,
+        options: chunkOptions,
+        chunks,
+        ...stored,
+      });
+    } catch (error) {
+      // Don't leave orphaned audio behind
+      await audioStorageService.delete({ storage_backend: stored.storageBackend, storage_key: stored.storageKey })
+        .catch(cleanupError => console.error('Error removing orphaned job audio:', cleanupError));
+      throw error;
+    }
+
+    console.log(`Queued transcription job ${job.id} with ${chunks.length} chunks`);
+
+    // A worker in this process picks the job up now rather than at its next poll
+    if (this.isWorking) {
+      this.processAvailableJobs();
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job's status, progress and partial transcript
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Object>} Job with chunks and a progress fraction
+   */
+  async getJob(jobId, userId) {
+    const job = await gcpDatabaseService.getTranscriptionJob(jobId, userId);
+    return {
+      ...job,
+      progress: job.total_chunks > 0 ? job.completed_chunks / job.total_chunks : 0,
+    };
+  }
+
+  /**
+   * Start processing queued jobs in this process, polling for new ones
+   * @param {Object} options - { pollIntervalMs }
+   */
+  startWorker({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+    if (this.isWorking) return;
+    this.isWorking = true;
+
+    const poll = async () => {
+      await this.processAvailableJobs();
+      if (this.isWorking) {
+        this.pollTimer = setTimeout(poll, pollIntervalMs);
+      }
+    };
+
+    console.log('Transcription job worker started');
+    poll();
+  }
+
+  /**
+   * Stop polling for jobs; a job being processed runs to the end of its current chunk
+   * and is reclaimed by another worker once it goes stale
+   */
+  stopWorker() {
+    this.isWorking = false;
+    clearTimeout(this.pollTimer);
+  }
+
+  /**
+   * Claim and process jobs one at a time until none are waiting
+   */
+  async processAvailableJobs() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.isWorking) {
+        const job = await gcpDatabaseService.claimTranscriptionJob(STALE_JOB_SECONDS);
+        if (!job) break;
+
+        try {
+          if (job.attempts > MAX_JOB_ATTEMPTS) {
+            throw new Error(`Gave up after ${MAX_JOB_ATTEMPTS} attempts`);
+          }
+          await this.processJob(job);
+        } catch (error) {
+          console.error(`Transcription job ${job.id} failed:`, error);
+          await gcpDatabaseService.updateTranscriptionJob(job.id, {
+            status: 'failed',
+            error: error.message,
+          }).catch(updateError => console.error('Error recording job failure:', updateError));
+        }
+
+        await this.removeJobAudio(job);
+      }
+    } catch (error) {
+      console.error('Error claiming transcription jobs:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Delete a finished job's stored audio
+   * @param {Object} job - transcription_jobs row
+   */
+  async removeJobAudio(job) {
+    if (!job.storage_key) return;
+
+    try {
+      await audioStorageService.delete(job);
+      await gcpDatabaseService.updateTranscriptionJob(job.id, { storage_key: null });
+    } catch (error) {
+      console.error(`Error removing audio of transcription job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Transcribe every chunk of a job, saving progress after each one
+   * @param {Object} job - Claimed transcription_jobs row
+   */
+  async processJob(job) {
+    const { id: jobId, user_id: userId } = job;
+    const audio = await audioStorageService.read(job);
+    const { chunks, options } = this.splitAudio(audio, job.options || {});
+
+    const recognizer = getRecognizer();
+    const recognitionOptions = {
+      ...options,
+      phraseHints: options.phraseHints || await vocabularyService.getPhraseHints(userId),
+    };
+    const transcripts = [];
+    const confidences = [];
+    let segments = [];
+
+    for (let index = 0; index < chunks.length; index++) {
+      try {
+        const result = await recognizer.recognize(chunks[index].audio, recognitionOptions);
+        transcripts.push(result.transcript);
+        confidences.push(result.confidence);
+
+        // Chunk timestamps start at zero, so shift them to the chunk's place in the recording.
+        // Speaker roles are assigned per chunk because diarization tags don't carry across requests.
+        segments = segments.concat(
+          offsetSegments(result.segments || [], chunks[index].startSeconds, segments.length)
+        );
+
+        await gcpDatabaseService.updateTranscriptionJobChunk(jobId, index, {
+          status: 'completed',
+          transcript: result.transcript,
+          confidence: result.confidence,
+        });
+      } catch (error) {
+        await gcpDatabaseService.updateTranscriptionJobChunk(jobId, index, {
+          status: 'failed',
+          error: error.message,
+        });
+        throw new Error(`Chunk ${index + 1} of ${chunks.length} failed: ${error.message}`);
+      }
+
+      await gcpDatabaseService.updateTranscriptionJob(jobId, {
+        completed_chunks: index + 1,
+        partial_transcript: transcripts.filter(Boolean).join('\n'),
+        segments,
+      });
+    }
+
+    const transcript = transcripts.filter(Boolean).join('\n');
+    const confidence = confidences.length > 0
+      ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+      : 0;
+
+    let soapNote = null;
+    if (options.generateSoap) {
+      soapNote = await gcpService.generateSoapNote(transcript, { ...options.soapOptions, userId, segments });
+    }
+
+    await gcpDatabaseService.updateTranscriptionJob(jobId, {
+      status: 'completed',
+      transcript,
+      confidence,
+      segments,
+      soap_note: soapNote,
+      completed_at: new Date().toISOString(),
+    });
+
+    console.log(`Transcription job ${jobId} completed`);
+  }
+}
+
+module.exports = new TranscriptionJobService();
@@ -0,0 +1,162 @@
+/**
+ * Transcription Stream Service
+ * Streams audio from the browser to a speech recognizer over WebSocket and
+ * relays interim and final results back to the client.
+ *
+ * Protocol (client -> server):
+ *   text   {"type":"start","options":{encoding,sampleRateHertz,languageCode}}
+ *   binary audio chunk (MediaRecorder WebM/Ogg Opus or raw LINEAR16 PCM)
+ *   text   {"type":"stop"}
+ *
+ * Protocol (server -> client):
+ *   {"type":"ready","recognizer":"gcp"}
+ *   {"type":"result","transcript":"...","isFinal":false,"confidence":0}
+ *   {"type":"error","error":"..."}
+ *   {"type":"end"}
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { getRecognizer } = require('./recognizers');
+const vocabularyService = require('./vocabularyService');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+const STREAM_PATH = '/api/transcription/stream';
+
+// Close codes in the private 4000-4999 range
+const CLOSE_UNAUTHORIZED = 4401;
+
+class TranscriptionStreamService {
+  constructor() {
+    this.wss = null;
+  }
+
+  /**
+   * Attach the WebSocket endpoint to an HTTP server
+   * @param {Object} server - Node HTTP server (the return value of app.listen)
+   * @returns {Object} WebSocketServer instance
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: STREAM_PATH });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    console.log(`Transcription stream listening on ${STREAM_PATH}`);
+    return this.wss;
+  }
+
+  /**
+   * Handle a single client connection
+   * Browsers cannot set headers on WebSocket requests, so the JWT is passed
+   * as the `token` query parameter
+   * @param {Object} socket - WebSocket connection
+   * @param {Object} req - HTTP upgrade request
+   */
+  handleConnection(socket, req) {
+    let userId;
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      userId = authMiddleware.verifyToken(url.searchParams.get('token'));
+    } catch (error) {
+      console.error('Transcription stream auth error:', error.message);
+      socket.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+      return;
+    }
+
+    const send = (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    let stream = null;
+
+    // Set while the user's vocabulary is loading; audio and stop messages
+    // that arrive in the meantime are chained onto it so none are lost
+    let starting = null;
+
+    const closeStream = () => {
+      starting = null;
+      if (stream) {
+        stream.destroy();
+        stream = null;
+      }
+    };
+
+    const startStream = (options, phraseHints) => {
+      try {
+        const recognizer = getRecognizer();
+        stream = recognizer.createStream({ ...options, phraseHints }, {
+          onResult: (result) => send({ type: 'result', ...result }),
+          onError: (error) => {
+            console.error('Streaming recognition error:', error);
+            send({ type: 'error', error: `Transcription failed: ${error.message}` });
+            closeStream();
+          },
+          onEnd: () => send({ type: 'end' }),
+        });
+        console.log(`Transcription stream started for user ${userId} using ${recognizer.name}`);
+        send({ type: 'ready', recognizer: recognizer.name });
+      } catch (error) {
+        console.error('Error starting transcription stream:', error);
+        send({ type: 'error', error: `Could not start transcription: ${error.message}` });
+      }
+    };
+
+    const stopStream = () => {
+      if (stream) {
+        stream.end();
+      } else {
+        send({ type: 'end' });
+      }
+    };
+
+    socket.on('message', (data, isBinary) => {
+      // Audio chunks
+      if (isBinary) {
+        const chunk = Buffer.from(data);
+        if (starting) {
+          starting.then(() => stream && stream.write(chunk));
+        } else if (stream) {
+          stream.write(chunk);
+        } else {
+          send({ type: 'error', error: 'Stream not started' });
+        }
+        return;
+      }
+
+      // Control messages
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        send({ type: 'error', error: 'Invalid control message' });
+        return;
+      }
+
+      if (message.type === 'start') {
+        closeStream();
+        const pending = vocabularyService.getPhraseHints(userId).then((phraseHints) => {
+          // Ignore starts superseded by a newer start or a closed socket
+          if (starting !== pending || socket.readyState !== WebSocket.OPEN) return;
+          starting = null;
+          startStream(message.options || {}, phraseHints);
+        });
+        starting = pending;
+      } else if (message.type === 'stop') {
+        if (starting) {
+          starting.then(stopStream);
+        } else {
+          stopStream();
+        }
+      } else {
+        send({ type: 'error', error: `Unknown message type: ${message.type}` });
+      }
+    });
+
+    socket.on('close', closeStream);
+    socket.on('error', (error) => {
+      console.error('Transcription stream socket error:', error);
+      closeStream();
+    });
+  }
+}
+
+module.exports = new TranscriptionStreamService();
@@ -0,0 +1,254 @@
+/**
+ * Vitals Service
+ * Turns the vital signs in a note into typed, unit-normalized fields and
+ * flags values outside adult reference ranges.
+ *
+ * Vital signs are
+ *   { systolic, diastolic, heartRate, respiratoryRate, temperatureC,
+ *     oxygenSaturation, weightKg, heightCm, bmi, painScore,
+ *     flags: [{ field, label, value, unit, status, severity, message }] }
+ * with null for what the note doesn't state. Temperatures are stored in °C,
+ * weights in kg and heights in cm whatever unit was dictated; BMI is
+ * calculated from weight and height when it isn't stated.
+ *
+ * Readings come from the Objective section first, then the note's structured
+ * vitals list, then the Subjective section, and the first plausible reading
+ * of each vital wins; an implausible one is flagged without hiding later ones.
+ */
+
+const { extractVitals } = require('./noteVerificationService');
+const { soapTextView } = require('./soapSchemaService');
+
+const LB_TO_KG = 0.45359237;
+const IN_TO_CM = 2.54;
+
+/**
+ * Fields, their units and ranges
+ * normal and critical are inclusive [low, high] bounds; either end may be null.
+ * Values outside plausible are taken to be misheard or in the wrong unit and
+ * are flagged instead of stored.
+ */
+const VITAL_FIELDS = {
+  systolic: { label: 'Systolic blood pressure', unit: 'mmHg', normal: [90, 139], critical: [70, 179], plausible: [40, 300] },
+  diastolic: { label: 'Diastolic blood pressure', unit: 'mmHg', normal: [60, 89], critical: [40, 119], plausible: [20, 200] },
+  heartRate: { label: 'Heart rate', unit: 'bpm', normal: [60, 100], critical: [40, 130], plausible: [20, 300] },
+  respiratoryRate: { label: 'Respiratory rate', unit: '/min', normal: [12, 20], critical: [8, 30], plausible: [4, 80] },
+  temperatureC: { label: 'Temperature', unit: '°C', normal: [36.1, 37.9], critical: [35, 39.9], plausible: [25, 45] },
+  oxygenSaturation: { label: 'Oxygen saturation', unit: '%', normal: [95, null], critical: [89, null], plausible: [50, 100] },
+  weightKg: { label: 'Weight', unit: 'kg', normal: [null, null], critical: [null, null], plausible: [0.5, 400] },
+  heightCm: { label: 'Height', unit: 'cm', normal: [null, null], critical: [null, null], plausible: [30, 250] },
+  bmi: { label: 'BMI', unit: 'kg/m2', normal: [18.5, 24.9], critical: [16, 39.9], plausible: [8, 90] },
+  painScore: { label: 'Pain score', unit: '/10', normal: [null, 6], critical: [null, null], plausible: [0, 10] },
+};
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals to keep
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Temperature in °C
+ * Without a unit, anything above 50 can only be °F
+ * @param {number} value - Stated temperature
+ * @param {string|null} unit - Stated unit
+ * @returns {number} °C
+ */
+function toCelsius(value, unit) {
+  const fahrenheit = unit ? /f/i.test(unit) : value > 50;
+  return round(fahrenheit ? (value - 32) * 5 / 9 : value);
+}
+
+/**
+ * Weight in kg
+ * Without a unit, weights are taken to be in pounds as dictated in US clinics
+ * @param {number} value - Stated weight
+ * @param {string|null} unit - Stated unit
+ * @returns {number} kg
+ */
+function toKilograms(value, unit) {
+  const kilograms = unit ? /^k/i.test(unit) : false;
+  return round(kilograms ? value : value * LB_TO_KG);
+}
+
+/**
+ * Height in cm
+ * @param {string} value - Stated height: "178", "1.78" or 5'10"
+ * @param {string|null} unit - Stated unit
+ * @returns {number|null} cm
+ */
+function toCentimeters(value, unit) {
+  const feetAndInches = String(value).match(/^(\d)\s*(?:'|ft)\s*(\d{1,2})?/);
+  if (feetAndInches) {
+    return round((Number(feetAndInches[1]) * 12 + Number(feetAndInches[2] || 0)) * IN_TO_CM);
+  }
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+
+  const stated = unit ? unit.toLowerCase() : number < 3 ? 'm' : number < 96 ? 'in' : 'cm';
+  if (stated === 'm') return round(number * 100);
+  if (stated === 'in' || stated === 'inches') return round(number * IN_TO_CM);
+  return round(number);
+}
+
+/**
+ * Typed fields from one reading
+ * @param {Object} reading - { type, value, unit }
+ * @returns {Object} Fields the reading sets, e.g. { systolic: 142, diastolic: 88 }
+ */
+function readingFields({ type, value, unit: statedUnit }) {
+  const text = String(value);
+  const number = parseFloat(text);
+  // The structured list sometimes has the unit in the value ("80 kg")
+  const unit = statedUnit || (text.match(/°?[a-z]+/i) || [null])[0];
+
+  switch (type) {
+    case 'blood_pressure': {
+      const match = text.match(/(\d{2,3})\s*(?:\/|over)\s*(\d{2,3})/i);
+      return match ? { systolic: Number(match[1]), diastolic: Number(match[2]) } : {};
+    }
+    case 'heart_rate':
+      return Number.isFinite(number) ? { heartRate: number } : {};
+    case 'respiratory_rate':
+      return Number.isFinite(number) ? { respiratoryRate: number } : {};
+    case 'temperature':
+      return Number.isFinite(number) ? { temperatureC: toCelsius(number, unit) } : {};
+    case 'oxygen_saturation':
+      return Number.isFinite(number) ? { oxygenSaturation: number } : {};
+    case 'weight':
+      return Number.isFinite(number) ? { weightKg: toKilograms(number, unit) } : {};
+    case 'height': {
+      const heightCm = toCentimeters(text, unit);
+      return heightCm ? { heightCm } : {};
+    }
+    case 'bmi':
+      return Number.isFinite(number) ? { bmi: round(number) } : {};
+    case 'pain_score':
+      return Number.isFinite(number) ? { painScore: number } : {};
+    default:
+      return {};
+  }
+}
+
+/**
+ * Flag a value against its field's ranges
+ * @param {string} field - Field name
+ * @param {number} value - Value
+ * @returns {Object|null} Flag, or null if the value is in range
+ */
+function flagValue(field, value) {
+  const { label, unit, normal, critical } = VITAL_FIELDS[field];
+  const [low, high] = normal;
+  const [criticalLow, criticalHigh] = critical;
+
+  let status = null;
+  if (low !== null && value < low) status = 'low';
+  if (high !== null && value > high) status = 'high';
+  if (!status) return null;
+
+  const isCritical = status === 'low'
+    ? criticalLow !== null && value < criticalLow
+    : criticalHigh !== null && value > criticalHigh;
+  const range = [low, high].map(bound => (bound === null ? '' : bound)).join('-');
+
+  return {
+    field,
+    label,
+    value,
+    unit,
+    status,
+    severity: isCritical ? 'critical' : 'warning',
+    message: `${label} ${value} ${unit} is ${status} (reference ${low === null ? `≤${high}` : high === null ? `≥${low}` : range} ${unit}).`,
+  };
+}
+
+/**
+ * Extract typed, normalized vital signs from a note
+ * @param {Object} note - Note with objective, subjective and (optionally) vitals
+ * @returns {Object} Vital signs with flags (see above)
+ */
+function extractVitalSigns(note = {}) {
+  const readings = [
+    ...extractVitals(typeof note.objective === 'string' ? note.objective : ''),
+    ...(Array.isArray(note.vitals) ? note.vitals : []).filter(vital => vital && vital.type && vital.value),
+    ...extractVitals(typeof note.subjective === 'string' ? note.subjective : ''),
+  ];
+
+  const vitalSigns = Object.fromEntries(Object.keys(VITAL_FIELDS).map(field => [field, null]));
+  const flags = [];
+
+  for (const reading of readings) {
+    for (const [field, value] of Object.entries(readingFields(reading))) {
+      if (vitalSigns[field] !== null) continue;
+
+      const [min, max] = VITAL_FIELDS[field].plausible;
+      if (value < min || value > max) {
+        if (flags.some(flag => flag.field === field)) continue;
+        flags.push({
+          field,
+          label: VITAL_FIELDS[field].label,
+          value,
+          unit: VITAL_FIELDS[field].unit,
+          status: 'implausible',
+          severity: 'warning',
+          message: `${VITAL_FIELDS[field].label} "${reading.value}${reading.unit ? ` ${reading.unit}` : ''}" is not a plausible value and was left out.`,
+        });
+        continue;
+      }
+      vitalSigns[field] = value;
+    }
+  }
+
+  if (vitalSigns.bmi === null && vitalSigns.weightKg && vitalSigns.heightCm) {
+    vitalSigns.bmi = round(vitalSigns.weightKg / (vitalSigns.heightCm / 100) ** 2);
+  }
+
+  for (const field of Object.keys(VITAL_FIELDS)) {
+    if (vitalSigns[field] === null) continue;
+    const flag = flagValue(field, vitalSigns[field]);
+    if (flag) flags.push(flag);
+  }
+
+  return { ...vitalSigns, flags };
+}
+
+/**
+ * Build a patient's vitals trend from their notes; notes with a custom layout
+ * are read through soapTextView
+ * @param {Array} notes - Notes with id, created_at and soap_data
+ * @returns {Object} { readings: [{ noteId, recordedAt, vitals }], series: { field: [{ noteId, recordedAt, value, status }] } }
+ *   oldest first; series only lists fields with at least one value
+ */
+function buildVitalsTrend(notes = []) {
+  const readings = notes
+    .filter(note => note && note.soap_data)
+    .map(note => ({
+      noteId: note.id,
+      recordedAt: note.created_at,
+      vitals: extractVitalSigns(soapTextView(note.soap_data, note.soap_data.template?.sections)),
+    }))
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+  const series = {};
+  for (const { noteId, recordedAt, vitals } of readings) {
+    for (const field of Object.keys(VITAL_FIELDS)) {
+      if (vitals[field] === null) continue;
+      const flag = vitals.flags.find(candidate => candidate.field === field);
+      (series[field] = series[field] || []).push({ noteId, recordedAt, value: vitals[field], status: flag ? flag.status : 'normal' });
+    }
+  }
+
+  return { readings: readings.filter(({ vitals }) => Object.keys(VITAL_FIELDS).some(field => vitals[field] !== null)), series };
+}
+
+module.exports = {
+  VITAL_FIELDS,
+  extractVitalSigns,
+  buildVitalsTrend,
+};
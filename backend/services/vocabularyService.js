@@ -0,0 +1,85 @@
+/**
+ * Vocabulary Service
+ * Turns a user's custom vocabulary (their own terms plus their organizations'
+ * shared terms) into speech adaptation phrase hints for the recognizer.
+ */
+
+const gcpDatabaseService = require('./gcpDatabaseService');
+
+// Phrase hints are looked up on every recognition request, so keep them briefly
+const CACHE_TTL_MS = 60 * 1000;
+
+// Speech-to-Text rejects phrases longer than 100 characters
+const MAX_PHRASE_LENGTH = 100;
+
+// Speech-to-Text accepts at most 5000 phrases per request
+const MAX_PHRASES = 5000;
+
+class VocabularyService {
+  constructor() {
+    // userId -> { hints, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get phrase hints for a user's recognition requests
+   * Vocabulary is a nice-to-have, so lookup failures return no hints rather
+   * than failing the transcription
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Hints as [{ phrase, boost }]
+   */
+  async getPhraseHints(userId) {
+    if (!userId) return [];
+
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hints;
+    }
+
+    try {
+      const terms = await gcpDatabaseService.getVocabularyTerms(userId);
+      const hints = this.buildPhraseHints(terms);
+      this.cache.set(userId, { hints, expiresAt: Date.now() + CACHE_TTL_MS });
+      return hints;
+    } catch (error) {
+      console.error('Error loading vocabulary phrase hints:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Convert vocabulary terms to phrase hints, dropping duplicates and phrases the recognizer rejects
+   * @param {Array} terms - Vocabulary terms
+   * @returns {Array} Hints as [{ phrase, boost }]
+   */
+  buildPhraseHints(terms = []) {
+    const seen = new Set();
+    const hints = [];
+
+    for (const term of terms) {
+      const phrase = (term.phrase || '').trim();
+      const key = phrase.toLowerCase();
+      if (!phrase || phrase.length > MAX_PHRASE_LENGTH || seen.has(key)) continue;
+
+      seen.add(key);
+      hints.push({ phrase, boost: term.boost ?? null });
+    }
+
+    return hints.slice(0, MAX_PHRASES);
+  }
+
+  /**
+   * Forget cached hints after a user's vocabulary changes
+   * Organization changes affect every member, so clear everything when no user is given
+   * @param {string} [userId] - User ID
+   */
+  clearCache(userId) {
+    if (userId) {
+      this.cache.delete(userId);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new VocabularyService();
@@ -1,10 +1,20 @@
 // test-vertex-ai.js
-// This script tests the Vertex AI integration for SOAP note generation
+// This script tests SOAP note generation through the LLM provider layer.
+// Usage: node backend/test-vertex-ai.js [vertex|openai|fixture]
+// The provider defaults to LLM_PROVIDER, then vertex; fixture runs offline.
 require('dotenv').config();
+
+process.env.LLM_PROVIDER = process.argv[2] || process.env.LLM_PROVIDER || 'vertex';
+
 const gcpService = require('./services/gcpService');
+const { getLlmProvider } = require('./services/llm');
 
-console.log('Starting Vertex AI Gemini test for SOAP note generation...');
-console.log('Using credentials from:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
+const provider = getLlmProvider();
+
+console.log(`Starting LLM provider test (${provider.name}) for SOAP note generation...`);
+if (provider.name === 'vertex') {
+  console.log('Using credentials from:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
+}
 
 // Sample medical transcription for testing
 const sampleTranscription = `
@@ -25,13 +35,24 @@ Will prescribe sumatriptan 50mg for acute relief and recommend stress management
 Advised to keep a headache diary and follow up in two weeks if symptoms persist.
 `;
 
+// generateSoapNote falls back to a transcript-based note instead of throwing,
+// so a note only counts if the provider produced it
+function checkGeneratedBy(note, label) {
+  if (note.generatedBy !== provider.name) {
+    console.error(`\n❌ ${label} fell back (generatedBy: ${note.generatedBy}):`, note.validation?.errors);
+    return false;
+  }
+  console.log(`\n✅ ${label} Successful!`);
+  return true;
+}
+
 // Test function for SOAP note generation
 async function testSoapNoteGeneration() {
   try {
-    console.log('\n=== Testing SOAP Note Generation with Vertex AI ===');
+    console.log(`\n=== Testing SOAP Note Generation with ${provider.name} ===`);
     console.log('Processing sample transcription...');
     
-    // Generate SOAP note using Vertex AI
+    // Generate SOAP note through the provider
     const soapNote = await gcpService.generateSoapNote(sampleTranscription, {
       template: 'soap',
       patientInfo: {
@@ -41,11 +62,10 @@ async function testSoapNoteGeneration() {
       }
     });
     
-    console.log('\n✅ SOAP Note Generation Successful!');
     console.log('\nGenerated SOAP Note:');
     console.log(JSON.stringify(soapNote, null, 2));
     
-    return true;
+    return checkGeneratedBy(soapNote, 'SOAP Note Generation');
   } catch (error) {
     console.error('\n❌ Error generating SOAP note:', error);
     return false;
@@ -55,7 +75,7 @@ async function testSoapNoteGeneration() {
 // Test function for follow-up note generation
 async function testFollowUpNoteGeneration() {
   try {
-    console.log('\n=== Testing Follow-Up Note Generation with Vertex AI ===');
+    console.log(`\n=== Testing Follow-Up Note Generation with ${provider.name} ===`);
     
     // Sample follow-up transcription
     const followUpTranscription = `
@@ -65,7 +85,7 @@ async function testFollowUpNoteGeneration() {
     Blood pressure today is 130/80. Will continue current management and follow up in three months.
     `;
     
-    // Generate follow-up note using Vertex AI
+    // Generate follow-up note through the provider
     const followUpNote = await gcpService.generateSoapNote(followUpTranscription, {
       template: 'followup',
       patientInfo: {
@@ -75,11 +95,10 @@ async function testFollowUpNoteGeneration() {
       }
     });
     
-    console.log('\n✅ Follow-Up Note Generation Successful!');
     console.log('\nGenerated Follow-Up Note:');
     console.log(JSON.stringify(followUpNote, null, 2));
     
-    return true;
+    return checkGeneratedBy(followUpNote, 'Follow-Up Note Generation');
   } catch (error) {
     console.error('\n❌ Error generating follow-up note:', error);
     return false;
@@ -88,8 +107,8 @@ async function testFollowUpNoteGeneration() {
 
 // Run all tests
 async function runTests() {
-  console.log('=== Vertex AI Integration Test ===');
-  console.log('Testing Vertex AI for medical note generation...\n');
+  console.log('=== LLM Provider Integration Test ===');
+  console.log(`Testing ${provider.name} for medical note generation...\n`);
   
   let soapSuccess = false;
   let followUpSuccess = false;
@@ -106,7 +125,7 @@ async function runTests() {
     console.log(`Follow-Up Note Generation: ${followUpSuccess ? '✅ PASSED' : '❌ FAILED'}`);
     
     if (soapSuccess && followUpSuccess) {
-      console.log('\n✅ All Vertex AI tests passed! Your setup is working correctly.');
+      console.log(`\n✅ All ${provider.name} tests passed! Your setup is working correctly.`);
     } else {
       console.log('\n❌ Some tests failed. Please check the error messages above.');
     }
@@ -0,0 +1,56 @@
+/**
+ * Test script for verifying notes against their transcript
+ *
+ * Checks that structured vitals written with their unit ("98.6 °F",
+ * "180 lb") match the transcript's readings, and that a changed value is
+ * still reported as a contradiction
+ * Run with: node backend/test/test-note-verification.js
+ */
+
+const assert = require('assert');
+const { verifyNote } = require('../services/noteVerificationService');
+
+const TRANSCRIPT = 'Temperature 98.6 F. Weight 180 pounds. Blood pressure 128/84. Heart rate 72.';
+
+const NOTE = {
+  subjective: 'Patient here for a routine visit.',
+  objective: 'Temperature 98.6 F, weight 180 lb, BP 128/84, heart rate 72.',
+  assessment: 'Well adult.',
+  plan: 'Return in one year.',
+  problems: [],
+  medications: [],
+  vitals: [
+    { type: 'temperature', value: '98.6 °F' },
+    { type: 'weight', value: '180 lb' },
+    { type: 'blood_pressure', value: '128/84 mmHg' },
+    { type: 'heart_rate', value: '72 bpm' },
+  ],
+};
+
+async function testNoteVerification() {
+  console.log('Testing note verification of structured vitals...');
+
+  // 1. Values with units match the transcript
+  const consistent = verifyNote(NOTE, TRANSCRIPT);
+  const vitalFindings = consistent.findings.filter(finding => finding.category === 'vital');
+  assert.deepStrictEqual(vitalFindings, [], `Vitals with units should match: ${vitalFindings.map(finding => finding.message).join(' ')}`);
+  console.log('✅ Vitals written with their units match the transcript');
+
+  // 2. A different value is still a contradiction
+  const changed = verifyNote({
+    ...NOTE,
+    objective: 'Temperature 98.6 F, BP 128/84, heart rate 72.',
+    vitals: NOTE.vitals.map(vital => (vital.type === 'weight' ? { ...vital, value: '190 lb' } : vital)),
+  }, TRANSCRIPT);
+  const contradictions = changed.findings.filter(finding => finding.category === 'vital' && finding.type === 'contradiction');
+  assert.strictEqual(contradictions.length, 1, `Expected one contradiction: ${changed.findings.map(finding => finding.message).join(' ')}`);
+  assert.ok(contradictions[0].noteText.includes('190 lb'));
+  console.log('✅ A changed weight is reported:', contradictions[0].message);
+
+  console.log('\nAll note verification tests passed!');
+}
+
+testNoteVerification().catch(error => {
+  console.error('❌ Note verification test failed:', error.message);
+  process.exitCode = 1;
+});
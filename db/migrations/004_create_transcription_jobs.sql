@@ -0,0 +1,40 @@
+-- 004_create_transcription_jobs.sql
+-- Migration script for asynchronous transcription of long recordings
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Transcripts are PHI and must stay in the GCP HIPAA-compliant environment
+
+-- Create transcription_jobs table to track long-audio transcription
+CREATE TABLE IF NOT EXISTS transcription_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL, -- References Supabase auth.users(id)
+    status TEXT NOT NULL DEFAULT 'queued', -- queued, processing, completed, failed
+    options JSONB, -- Recognition options (encoding, sampleRateHertz, languageCode, generateSoap)
+    total_chunks INTEGER NOT NULL DEFAULT 0,
+    completed_chunks INTEGER NOT NULL DEFAULT 0,
+    partial_transcript TEXT, -- Transcript of the chunks finished so far
+    transcript TEXT, -- Full transcript once completed
+    confidence REAL,
+    soap_note JSONB, -- Generated SOAP note when requested via /complete
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    completed_at TIMESTAMPTZ
+);
+
+-- Create transcription_job_chunks table for per-chunk progress
+CREATE TABLE IF NOT EXISTS transcription_job_chunks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES transcription_jobs(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    start_seconds REAL, -- Offset of the chunk within the recording
+    end_seconds REAL,
+    status TEXT NOT NULL DEFAULT 'queued', -- queued, completed, failed
+    transcript TEXT,
+    confidence REAL,
+    error TEXT,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    UNIQUE (job_id, chunk_index)
+);
+
+CREATE INDEX idx_transcription_jobs_user_id ON transcription_jobs(user_id);
+CREATE INDEX idx_transcription_jobs_status ON transcription_jobs(status);
@@ -0,0 +1,10 @@
+-- 005_add_transcript_segments.sql
+-- Migration script for speaker-labelled transcripts (diarization)
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Transcripts are PHI and must stay in the GCP HIPAA-compliant environment
+
+-- Ordered transcript segments: [{ id, speaker, speakerTag, text, startTime, endTime }]
+-- speaker is 'clinician', 'patient' or 'other'; times are seconds from the start of the recording
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS transcript_segments JSONB;
+
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS segments JSONB;
@@ -0,0 +1,22 @@
+-- 006_add_language_preferences.sql
+-- Migration script for per-user dictation and note language preferences in Supabase
+-- These are app preferences only (no PHI)
+
+ALTER TABLE public.user_settings
+    ADD COLUMN IF NOT EXISTS dictation_language TEXT DEFAULT 'en-US', -- BCP-47 code used for speech recognition
+    ADD COLUMN IF NOT EXISTS note_language TEXT DEFAULT 'en', -- Language generated SOAP notes are written in
+    ADD COLUMN IF NOT EXISTS auto_detect_language BOOLEAN DEFAULT TRUE; -- Let server transcription detect other languages
+
+-- Users upsert their own settings row from the settings page
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'user_settings' AND policyname = 'Users can insert their own settings'
+    ) THEN
+        CREATE POLICY "Users can insert their own settings"
+            ON public.user_settings FOR INSERT
+            WITH CHECK (auth.uid() = id);
+    END IF;
+END
+$$;
@@ -0,0 +1,41 @@
+-- 007_create_vocabulary.sql
+-- Migration script for custom medical vocabulary used by speech recognition
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Lives next to the notes and templates it is used with by the transcription backend
+
+-- Create organizations table for clinics/practices that share configuration
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Create organization_members table linking users to organizations
+CREATE TABLE IF NOT EXISTS organization_members (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL, -- References Supabase auth.users(id)
+    role TEXT NOT NULL DEFAULT 'member', -- admin (can edit shared configuration), member
+    created_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (organization_id, user_id)
+);
+
+-- Create vocabulary_terms table for phrase hints and transcript corrections
+-- A term belongs to exactly one user or one organization
+CREATE TABLE IF NOT EXISTS vocabulary_terms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID, -- Personal term owner
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE, -- Shared term owner
+    phrase TEXT NOT NULL, -- Correct spelling, e.g. 'metoprolol' or 'HbA1c'
+    misrecognitions TEXT[] NOT NULL DEFAULT '{}', -- Common wrong transcriptions to replace with the phrase
+    category TEXT NOT NULL DEFAULT 'other', -- medication, abbreviation, provider, other
+    boost REAL, -- Optional recognition boost (0-20); NULL uses the default
+    created_by UUID NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    CONSTRAINT vocabulary_terms_single_owner CHECK ((user_id IS NULL) <> (organization_id IS NULL))
+);
+
+CREATE INDEX idx_organization_members_user_id ON organization_members(user_id);
+CREATE INDEX idx_vocabulary_terms_user_id ON vocabulary_terms(user_id);
+CREATE INDEX idx_vocabulary_terms_organization_id ON vocabulary_terms(organization_id);
@@ -0,0 +1,7 @@
+-- 008_add_voice_commands.sql
+-- Migration script for per-user spoken dictation commands in Supabase
+-- These are app preferences only (no PHI)
+
+ALTER TABLE public.user_settings
+    ADD COLUMN IF NOT EXISTS voice_commands_enabled BOOLEAN DEFAULT TRUE, -- Listen for commands during browser dictation
+    ADD COLUMN IF NOT EXISTS voice_commands JSONB; -- Phrases per action, e.g. {"scratchThat": ["scratch that"]}; NULL uses the defaults
@@ -0,0 +1,18 @@
+-- 009_create_dictation_drafts.sql
+-- Migration script for in-progress dictation sessions that can be resumed on another device
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Drafts contain transcript text (PHI), so they live next to notes
+
+-- Create dictation_drafts table, one in-progress session per user
+CREATE TABLE IF NOT EXISTS dictation_drafts (
+    id UUID PRIMARY KEY, -- Session ID generated by the client
+    user_id UUID NOT NULL UNIQUE, -- References Supabase auth.users(id)
+    transcript TEXT, -- Committed transcript so far
+    transcript_pieces JSONB, -- Browser dictation transcript pieces, so voice commands keep working after resume
+    transcript_segments JSONB, -- Speaker segments from server transcription
+    recording_time INTEGER NOT NULL DEFAULT 0, -- Elapsed recording time in seconds
+    template_id TEXT, -- Selected template
+    patient JSONB, -- Selected patient
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
@@ -0,0 +1,33 @@
+-- 010_create_note_recordings.sql
+-- Migration script for encrypted dictation recordings linked to notes
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Audio is PHI; the files themselves are AES-256-GCM encrypted in GCS (or on local disk in development)
+
+-- Create note_recordings table, one recording per note
+CREATE TABLE IF NOT EXISTS note_recordings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    note_id UUID NOT NULL UNIQUE REFERENCES notes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL, -- References Supabase auth.users(id)
+    storage_backend TEXT NOT NULL, -- gcs, local
+    storage_key TEXT NOT NULL, -- Object name or file path relative to the storage root
+    mime_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    duration_seconds REAL, -- Length of the audio
+    offset_seconds REAL NOT NULL DEFAULT 0, -- Dictation time at which the audio starts (resumed sessions)
+    encryption_iv TEXT NOT NULL, -- Base64 AES-GCM nonce
+    encryption_auth_tag TEXT NOT NULL, -- Base64 AES-GCM authentication tag
+    created_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ -- Deleted after this time; NULL keeps the recording until the note is deleted
+);
+
+-- Create recording_settings table for per-user recording and retention rules
+CREATE TABLE IF NOT EXISTS recording_settings (
+    user_id UUID PRIMARY KEY, -- References Supabase auth.users(id)
+    save_recordings BOOLEAN NOT NULL DEFAULT TRUE, -- Keep dictation audio with notes
+    retention_days INTEGER, -- Delete recordings this many days after creation; NULL keeps them
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    CONSTRAINT recording_settings_retention_days_positive CHECK (retention_days IS NULL OR retention_days > 0)
+);
+
+CREATE INDEX idx_note_recordings_user_id ON note_recordings(user_id);
+CREATE INDEX idx_note_recordings_expires_at ON note_recordings(expires_at) WHERE expires_at IS NOT NULL;
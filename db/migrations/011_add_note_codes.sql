@@ -0,0 +1,18 @@
+-- 011_add_note_codes.sql
+-- Migration script for ICD-10-CM and CPT codes accepted on notes
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Codes are validated against the local code catalog (backend/data/codes) before they are stored
+
+-- Accepted codes: [{ system, code, description, confidence, source, acceptedAt }]
+-- system is 'ICD-10-CM' or 'CPT'; source is 'suggested' or 'manual'; confidence is 0-1, or null for manual codes
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS codes JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_notes_codes ON notes USING GIN (codes jsonb_path_ops);
+
+-- Codes are suggested and validated in a separate step now, so the system
+-- template no longer asks the model for free-text ICD-10 codes
+UPDATE templates
+SET prompt_template = replace(prompt_template, 'Assessment (diagnoses with ICD-10 codes when possible)', 'Assessment (diagnoses)'),
+    updated_at = now()
+WHERE is_system_template = TRUE
+  AND prompt_template LIKE '%Assessment (diagnoses with ICD-10 codes when possible)%';
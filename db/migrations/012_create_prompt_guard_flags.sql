@@ -0,0 +1,19 @@
+-- 012_create_prompt_guard_flags.sql
+-- Migration script for logging generations whose input the prompt guard flagged
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Transcripts are PHI, so only the matched rules and short excerpts are kept
+
+-- Create prompt_guard_flags table, one row per flagged generation
+CREATE TABLE IF NOT EXISTS prompt_guard_flags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID, -- References Supabase auth.users(id); NULL when generated without a user (jobs, scripts)
+    source TEXT NOT NULL, -- transcript, template
+    template_id UUID REFERENCES templates(id) ON DELETE SET NULL, -- Template in use, if any
+    rules TEXT[] NOT NULL, -- Matched rules, e.g. {ignore_instructions,output_override}
+    flags JSONB NOT NULL, -- [{ rule, description, excerpt }]
+    created_at TIMESTAMPTZ DEFAULT now(),
+    CONSTRAINT prompt_guard_flags_source_check CHECK (source IN ('transcript', 'template'))
+);
+
+CREATE INDEX idx_prompt_guard_flags_user_id ON prompt_guard_flags(user_id);
+CREATE INDEX idx_prompt_guard_flags_created_at ON prompt_guard_flags(created_at);
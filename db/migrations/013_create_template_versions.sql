@@ -0,0 +1,74 @@
+-- 013_create_template_versions.sql
+-- Migration script for the unified, versioned template model
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Templates used to live in two places: public.note_templates in Supabase (section structure)
+-- and templates here (generation prompt). templates now holds both, every edit creates an
+-- immutable row in template_versions, and notes record the version they were generated with.
+-- Existing Supabase rows are merged by scripts/migrate-templates.js (npm run templates:migrate).
+
+-- Section structure: { sections: [{ key, name, description }] }
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS structure JSONB NOT NULL DEFAULT '{"sections":[
+    {"key":"subjective","name":"Subjective","description":"Patient symptoms, complaints, and history"},
+    {"key":"objective","name":"Objective","description":"Physical examination findings and test results"},
+    {"key":"assessment","name":"Assessment","description":"Diagnosis and clinical impression"},
+    {"key":"plan","name":"Plan","description":"Treatment plan and follow-up instructions"}
+]}'::jsonb;
+
+-- Supabase note_templates row a template was merged from, so the merge can be rerun safely
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS source_note_template_id UUID UNIQUE;
+
+-- Create template_versions table, one row per saved version of a template
+CREATE TABLE IF NOT EXISTS template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    specialty TEXT NOT NULL,
+    structure JSONB NOT NULL,
+    prompt_template TEXT NOT NULL,
+    created_by UUID, -- References Supabase auth.users(id); NULL for system templates
+    created_at TIMESTAMPTZ DEFAULT now(),
+    CONSTRAINT template_versions_template_version_key UNIQUE (template_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_versions_template_id ON template_versions(template_id);
+
+-- Versions are immutable; an edit is a new version
+CREATE OR REPLACE FUNCTION prevent_template_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Template versions are immutable; save a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS template_versions_immutable ON template_versions;
+CREATE TRIGGER template_versions_immutable
+    BEFORE UPDATE ON template_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_template_version_update();
+
+-- The version in use; templates.version is its number
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES template_versions(id);
+
+-- Existing templates become their current version. version was never incremented, so this is 1
+INSERT INTO template_versions (template_id, version, name, description, specialty, structure, prompt_template, created_by, created_at)
+SELECT t.id, COALESCE(t.version, 1), t.name, t.description, t.specialty, t.structure, t.prompt_template, t.user_id, COALESCE(t.updated_at, now())
+FROM templates t
+WHERE NOT EXISTS (SELECT 1 FROM template_versions v WHERE v.template_id = t.id);
+
+UPDATE templates t
+SET current_version_id = v.id,
+    version = v.version
+FROM template_versions v
+WHERE v.template_id = t.id
+  AND t.current_version_id IS NULL
+  AND v.version = (SELECT MAX(version) FROM template_versions WHERE template_id = t.id);
+
+-- notes.template_id now references templates(id); older notes may still hold Supabase
+-- note_templates ids, so it stays without a foreign key
+COMMENT ON COLUMN notes.template_id IS 'Template used (templates.id)';
+
+-- The exact template version a note was generated with
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES template_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_template_version_id ON notes(template_version_id);
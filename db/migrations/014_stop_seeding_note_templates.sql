@@ -0,0 +1,30 @@
+-- 014_stop_seeding_note_templates.sql
+-- Supabase migration: templates now live in GCP Cloud SQL (see 013_create_template_versions.sql)
+-- New users no longer get a public.note_templates row; everyone starts from the system templates.
+-- public.note_templates is kept until scripts/migrate-templates.js has merged its rows into GCP.
+
+-- Update the handle_new_user function to stop creating the default SOAP template
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Create empty profile
+    INSERT INTO public.profiles (id, full_name)
+    VALUES (NEW.id, NEW.raw_user_meta_data->>'full_name');
+
+    -- Create default subscription
+    INSERT INTO public.subscriptions (id, subscription_status, plan_type)
+    VALUES (NEW.id, 'active', 'free');
+
+    -- Create default user settings
+    INSERT INTO public.user_settings (id)
+    VALUES (NEW.id);
+
+    -- Create empty onboarding record
+    INSERT INTO public.user_onboarding (id)
+    VALUES (NEW.id);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Note: No need to recreate the trigger as it's already done in the first migration
@@ -0,0 +1,28 @@
+-- 015_add_template_sharing.sql
+-- Migration script for organization template libraries and template share links
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- A template belongs to one user, one organization (its shared library) or, for
+-- system templates, nobody. Organization templates are edited by organization admins.
+
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+ALTER TABLE templates DROP CONSTRAINT IF EXISTS templates_single_owner;
+ALTER TABLE templates ADD CONSTRAINT templates_single_owner CHECK (user_id IS NULL OR organization_id IS NULL);
+
+CREATE INDEX IF NOT EXISTS idx_templates_organization_id ON templates(organization_id);
+
+-- Create template_shares table for links that let another user copy a template
+-- A link shares the version that was current when it was created, so later
+-- edits aren't shared without the owner creating a new link
+CREATE TABLE IF NOT EXISTS template_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token TEXT NOT NULL UNIQUE, -- Random, URL-safe; the link is /templates/shared/<token>
+    template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+    template_version_id UUID NOT NULL REFERENCES template_versions(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL, -- References Supabase auth.users(id)
+    created_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ, -- NULL never expires
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_shares_template_id ON template_shares(template_id);
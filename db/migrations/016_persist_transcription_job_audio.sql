@@ -0,0 +1,16 @@
+-- 016_persist_transcription_job_audio.sql
+-- Migration script for transcription jobs that any worker process can run
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Job audio used to live in the memory of the process that received it, so a
+-- job was lost when that process ended (always, for serverless routes). The
+-- audio is now stored encrypted like note recordings, and workers claim jobs
+-- from this table.
+
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS storage_backend TEXT; -- gcs, local
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS storage_key TEXT; -- Object name or file path of the audio; NULL once the job has finished
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS encryption_iv TEXT; -- Base64 AES-GCM nonce
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS encryption_auth_tag TEXT; -- Base64 AES-GCM authentication tag
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0; -- Times a worker has claimed the job
+
+-- Workers look for the oldest queued job, or a processing one whose worker stopped updating it
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_status_created_at ON transcription_jobs(status, created_at);
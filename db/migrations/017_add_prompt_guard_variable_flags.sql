@@ -0,0 +1,10 @@
+-- 017_add_prompt_guard_variable_flags.sql
+-- Migration script for logging instruction-like text in a prompt's variables
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- The prompt guard now checks the patient record and previous note values a
+-- prompt uses, not the template's own prompt; template rows only record
+-- stored templates that fail structural validation.
+
+ALTER TABLE prompt_guard_flags DROP CONSTRAINT IF EXISTS prompt_guard_flags_source_check;
+ALTER TABLE prompt_guard_flags ADD CONSTRAINT prompt_guard_flags_source_check
+    CHECK (source IN ('transcript', 'variables', 'template'));
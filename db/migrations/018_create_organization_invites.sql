@@ -0,0 +1,28 @@
+-- 018_create_organization_invites.sql
+-- Migration script for creating organizations and inviting members from the app
+-- IMPORTANT: This schema is for GCP Cloud SQL, NOT Supabase
+-- Users live in Supabase, so members are invited with a link rather than by
+-- email: an admin creates an invite and whoever signs in and accepts it joins
+-- the organization with the invite's role. Each invite can be accepted once.
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS created_by UUID; -- References Supabase auth.users(id)
+
+ALTER TABLE organization_members DROP CONSTRAINT IF EXISTS organization_members_role_check;
+ALTER TABLE organization_members ADD CONSTRAINT organization_members_role_check CHECK (role IN ('admin', 'member'));
+
+-- Create organization_invites table for links that add a user to an organization
+CREATE TABLE IF NOT EXISTS organization_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token TEXT NOT NULL UNIQUE, -- Random, URL-safe; the link is /settings/organizations/invites/<token>
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member', -- Role the invited user gets
+    created_by UUID NOT NULL, -- References Supabase auth.users(id)
+    created_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_by UUID, -- References Supabase auth.users(id)
+    accepted_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    CONSTRAINT organization_invites_role_check CHECK (role IN ('admin', 'member'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invites_organization_id ON organization_invites(organization_id);
@@ -0,0 +1,181 @@
+/**
+ * Template Evaluation Script
+ *
+ * Generates a note for every case in the evaluation corpus
+ * (backend/data/evaluation) with a template and scores it for section
+ * completeness, fact recall, length and schema validity (see
+ * backend/services/templateEvaluationService.js). With a baseline, both
+ * templates are run and compared case by case:
+ *
+ *   npm run templates:evaluate -- --template <spec> [--baseline <spec>]
+ *     [--provider fixture] [--cases <dir>] [--out report.md|report.json]
+ *
+ * A template spec is "default" (the built-in SOAP prompt), a template file
+ * exported from the Templates page, or <templateId>@<version> (just
+ * <templateId> for its current version) read from Cloud SQL. The provider
+ * defaults to LLM_PROVIDER; the fixture provider runs offline. Entity
+ * analysis is skipped so runs are repeatable.
+ */
+
+const dotenv = require('dotenv');
+
+// Load environment variables before the services read them
+dotenv.config();
+
+const fs = require('fs');
+const path = require('path');
+const gcpService = require('../backend/services/gcpService');
+const gcpDatabaseService = require('../backend/services/gcpDatabaseService');
+const { getLlmProvider } = require('../backend/services/llm');
+const { normalizeStructure } = require('../backend/services/templateService');
+const { parseTemplateFile } = require('../backend/services/templateTransferService');
+const { validateTemplate } = require('../backend/services/promptGuardService');
+const { buildTemplateValues } = require('../backend/services/templateVariableService');
+const { SOAP_LAYOUT } = require('../backend/services/soapSchemaService');
+const {
+  DEFAULT_CASES_DIR,
+  loadEvaluationCases,
+  scoreNote,
+  summarizeRun,
+  compareRuns,
+  formatReport
+} = require('../backend/services/templateEvaluationService');
+
+const NO_ANALYSIS = { entities: [], medicalEntities: [], sentiment: {}, categories: [], language: 'en' };
+
+/**
+ * Value of a command line option
+ * @param {string} name - Option, e.g. --template
+ * @returns {string|null} Value
+ */
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+/**
+ * Load the template a spec names
+ * @param {string} spec - "default", a template file path, or <templateId>[@<version>]
+ * @returns {Promise<Object>} { label, template } with template as a template row (null for default)
+ */
+async function loadTemplate(spec) {
+  if (spec === 'default') {
+    return { label: 'Default SOAP prompt', template: null };
+  }
+
+  if (fs.existsSync(spec)) {
+    const parsed = parseTemplateFile(fs.readFileSync(spec, 'utf8'));
+    if (!parsed.valid) {
+      throw new Error(`${spec} is not a valid template: ${parsed.errors.join('; ')}`);
+    }
+    return {
+      label: `${parsed.template.name} (${path.basename(spec)})`,
+      template: { ...parsed.template, prompt_template: parsed.template.promptTemplate, is_system_template: false },
+    };
+  }
+
+  const [templateId, version] = spec.split('@');
+  const result = await gcpDatabaseService.query(`
+    SELECT v.*, t.is_system_template
+    FROM template_versions v
+    JOIN templates t ON t.id = v.template_id
+    WHERE v.template_id = $1 AND v.version = COALESCE($2::integer, t.version)
+  `, [templateId, version || null]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`Template not found: ${spec}`);
+  }
+  const template = result.rows[0];
+  return { label: `${template.name} v${template.version}`, template };
+}
+
+/**
+ * Generate and score a note for every case with one template
+ * @param {Object} loaded - { label, template } from loadTemplate
+ * @param {Array} cases - Evaluation cases
+ * @param {Object} provider - LLM provider
+ * @returns {Promise<Object>} { label, results }
+ */
+async function runTemplate({ label, template }, cases, provider) {
+  if (template && !template.is_system_template) {
+    const check = validateTemplate(template.prompt_template);
+    if (!check.valid) {
+      console.warn(`${label} fails template validation and is logged when used for notes: ${check.errors.join('; ')}`);
+    }
+  }
+
+  const sections = template ? normalizeStructure(template.structure).sections : SOAP_LAYOUT;
+  const results = [];
+
+  for (const testCase of cases) {
+    let generated;
+    try {
+      const templateValues = buildTemplateValues({
+        patient: testCase.patient,
+        clinician: { specialty: testCase.specialty || template?.specialty },
+        visit: { type: testCase.visitType }
+      });
+      const prompt = gcpService.createSoapPrompt(testCase.transcript, NO_ANALYSIS, {
+        template,
+        sections,
+        templateValues,
+        specialty: testCase.specialty
+      });
+      generated = await gcpService.generateStructuredSoapNote(provider, prompt, { transcript: testCase.transcript, sections });
+    } catch (error) {
+      generated = { error: error.message };
+    }
+
+    results.push(scoreNote(testCase, generated, sections));
+  }
+
+  return { label, results };
+}
+
+async function main() {
+  const templateSpec = option('--template');
+  const baselineSpec = option('--baseline');
+  const out = option('--out');
+
+  if (!templateSpec) {
+    console.error('Usage: npm run templates:evaluate -- --template <spec> [--baseline <spec>] [--provider <name>] [--cases <dir>] [--out <file>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const provider = getLlmProvider(option('--provider') || undefined);
+    const cases = loadEvaluationCases(option('--cases') || DEFAULT_CASES_DIR);
+
+    const candidate = await runTemplate(await loadTemplate(templateSpec), cases, provider);
+    const baseline = baselineSpec ? await runTemplate(await loadTemplate(baselineSpec), cases, provider) : null;
+
+    if (out && out.endsWith('.json')) {
+      const report = {
+        provider: provider.name,
+        generatedAt: new Date().toISOString(),
+        candidate: { ...candidate, summary: summarizeRun(candidate.results) },
+        baseline: baseline && { ...baseline, summary: summarizeRun(baseline.results) },
+        comparison: baseline && compareRuns(baseline, candidate),
+      };
+      fs.writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+    } else {
+      const report = formatReport(candidate, baseline, { provider: provider.name });
+      if (out) {
+        fs.writeFileSync(out, report);
+      } else {
+        console.log(`\n${report}`);
+      }
+    }
+
+    const summary = summarizeRun(candidate.results);
+    console.log(`${candidate.label}: overall ${summary.overall.toFixed(2)} over ${cases.length} case(s)${out ? `; report written to ${out}` : ''}`);
+  } catch (error) {
+    console.error('Error evaluating templates:', error);
+    process.exitCode = 1;
+  } finally {
+    await gcpDatabaseService.pool.end().catch(() => {});
+  }
+}
+
+main();
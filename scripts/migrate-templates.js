@@ -0,0 +1,115 @@
+/**
+ * Template Merge Script
+ *
+ * One-time merge of the Supabase public.note_templates rows into the GCP
+ * templates table (see db/migrations/013_create_template_versions.sql).
+ * Each row becomes a user template at version 1, with a generation prompt
+ * built from its sections; notes that pointed at the Supabase row are pointed
+ * at the merged template. Unchanged copies of the default SOAP template that
+ * every user was given at sign-up are skipped, since the system templates
+ * cover them. Rows already merged are skipped, so the script can be rerun:
+ *
+ *   npm run templates:migrate [-- --dry-run]
+ */
+
+const dotenv = require('dotenv');
+
+// Load environment variables before the services read them
+dotenv.config();
+
+const { createClient } = require('@supabase/supabase-js');
+const gcpDatabaseService = require('../backend/services/gcpDatabaseService');
+const { normalizeStructure, isDefaultStructure, buildPromptFromStructure } = require('../backend/services/templateService');
+
+const DEFAULT_SPECIALTY = 'General';
+
+/**
+ * Whether a row is an untouched copy of the default template seeded at sign-up
+ * @param {Object} row - note_templates row
+ * @returns {boolean} True if the row can be skipped
+ */
+function isSeededDefault(row) {
+  return row.is_default && row.name === 'Default SOAP Template' && isDefaultStructure(row.structure);
+}
+
+/**
+ * Merge one note_templates row
+ * @param {Object} row - note_templates row
+ * @param {boolean} dryRun - Only report what would happen
+ * @returns {Promise<string>} 'merged', 'skipped' or 'exists'
+ */
+async function mergeRow(row, dryRun) {
+  if (isSeededDefault(row)) return 'skipped';
+
+  const existing = await gcpDatabaseService.query(
+    'SELECT id FROM templates WHERE source_note_template_id = $1',
+    [row.id]
+  );
+  if (existing.rows.length > 0) return 'exists';
+  if (dryRun) return 'merged';
+
+  const structure = normalizeStructure(row.structure);
+
+  await gcpDatabaseService.withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO templates (
+        user_id, name, description, specialty, prompt_template, structure,
+        is_system_template, version, source_note_template_id, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, FALSE, 1, $7, $8, $9)
+      RETURNING *
+    `, [
+      row.user_id,
+      row.name,
+      row.description || null,
+      DEFAULT_SPECIALTY,
+      buildPromptFromStructure(structure),
+      JSON.stringify(structure),
+      row.id,
+      row.created_at || new Date().toISOString(),
+      row.updated_at || new Date().toISOString()
+    ]);
+
+    const template = await gcpDatabaseService.insertTemplateVersion(client, result.rows[0], row.user_id);
+
+    await client.query(
+      'UPDATE notes SET template_id = $1 WHERE template_id = $2',
+      [template.id, row.id]
+    );
+  });
+
+  return 'merged';
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    const { data: rows, error } = await supabase
+      .from('note_templates')
+      .select('id, user_id, name, description, is_default, structure, created_at, updated_at')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to read note_templates: ${error.message}`);
+    }
+
+    const counts = { merged: 0, skipped: 0, exists: 0 };
+    for (const row of rows) {
+      counts[await mergeRow(row, dryRun)]++;
+    }
+
+    console.log(`${dryRun ? 'Would merge' : 'Merged'} ${counts.merged} template(s); skipped ${counts.skipped} unchanged default(s) and ${counts.exists} already merged`);
+  } catch (error) {
+    console.error('Error merging templates:', error);
+    process.exitCode = 1;
+  } finally {
+    await gcpDatabaseService.pool.end().catch(() => {});
+  }
+}
+
+main();
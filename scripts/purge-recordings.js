@@ -0,0 +1,31 @@
+/**
+ * Recording Purge Script
+ *
+ * Deletes dictation recordings whose retention period has passed.
+ * Recordings are also removed when they are next accessed, but audio that is
+ * never played again needs this script to run on a schedule (e.g. daily cron):
+ *
+ *   npm run recordings:purge
+ */
+
+const dotenv = require('dotenv');
+
+// Load environment variables before the services read them
+dotenv.config();
+
+const recordingService = require('../backend/services/recordingService');
+const gcpDatabaseService = require('../backend/services/gcpDatabaseService');
+
+async function main() {
+  try {
+    const purged = await recordingService.purgeExpiredRecordings();
+    console.log(`Purged ${purged} expired recording(s)`);
+  } catch (error) {
+    console.error('Error purging recordings:', error);
+    process.exitCode = 1;
+  } finally {
+    await gcpDatabaseService.pool.end().catch(() => {});
+  }
+}
+
+main();
@@ -0,0 +1,29 @@
+/**
+ * Transcription Worker Script
+ *
+ * Runs queued transcription jobs (see backend/services/transcriptionJobService.js)
+ * for deployments where the app runs as serverless functions, which can create
+ * jobs but not keep running them. Run it as a long-lived process next to the
+ * app; several can run at once:
+ *
+ *   npm run transcription:worker
+ */
+
+const dotenv = require('dotenv');
+
+// Load environment variables before the services read them
+dotenv.config();
+
+const transcriptionJobService = require('../backend/services/transcriptionJobService');
+const gcpDatabaseService = require('../backend/services/gcpDatabaseService');
+
+async function shutdown() {
+  transcriptionJobService.stopWorker();
+  await gcpDatabaseService.pool.end().catch(() => {});
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+transcriptionJobService.startWorker();